@@ -5,71 +5,193 @@
 'use strict';
 
 const { Contract } = require('fabric-contract-api');
+const { ROLES, getCaller, authorize, isCampaignOwner, assertCampaignOwner } = require('./lib/access');
+const { UnauthorizedError } = require('./lib/errors');
+const { getTxDate, getTxTimestamp } = require('./lib/time');
+const escrow = require('./lib/escrow');
+const refunds = require('./lib/refunds');
+const { STATUS, OWNER, SYSTEM, transitionCampaign, assertOperationAllowed } = require('./lib/campaign-status');
+const attestations = require('./lib/attestations');
+const disputes = require('./lib/disputes');
+const queries = require('./lib/queries');
+const history = require('./lib/history');
+const privacy = require('./lib/privacy');
+const risk = require('./lib/risk');
+const amendments = require('./lib/amendments');
+const money = require('./lib/money');
+const pledges = require('./lib/pledges');
+const matching = require('./lib/matching');
+const expiry = require('./lib/expiry');
+const ngos = require('./lib/ngos');
+const batches = require('./lib/batches');
+const deltas = require('./lib/deltas');
+const schema = require('./lib/schema');
 
 /**
  * DonationContract - A comprehensive chaincode for managing charitable donation campaigns
  * Features:
- * - Campaign lifecycle management
- * - Milestone-based fund release
- * - Multi-role access control (NGO, Oracle, Donor)
- * - Donation tracking and transparency
- * - Audit trail for all transactions
+ * - Campaign lifecycle management through an enforced state machine
+ * - Versioned campaign amendments that take effect after oracle approval
+ * - Milestone-based fund release from a per-campaign escrow
+ * - M-of-N oracle attestation of milestones with evidence hashes
+ * - Donor challenge window and disputes before milestone funds are released
+ * - Multi-role access control (NGO, Oracle, Admin, Donor) based on MSP ID and certificate attributes
+ * - NGO registry with KYC review and suspension; only approved NGOs create campaigns
+ * - Donation tracking and transparency, with donor details kept in private data collections
+ * - Idempotent batch import of donations settled off chain, keyed by payment reference
+ * - Donation totals written as per-transaction deltas, so concurrent donations do not conflict
+ * - Versioned document schemas, upgraded as records are read and migrated in pages by an admin
+ * - Amounts in integer minor units of a per-campaign currency, with oracle-maintained exchange rates
+ * - Pro-rata donor refunds for cancelled or failed campaigns
+ * - Scheduled expiry of campaigns past their deadline and NGO reputation from delivery, disputes and refunds
+ * - Audit trail for all transactions, built from campaign key history
+ * - Advisory fraud and anomaly risk assessments recorded by oracles
  */
 class DonationContract extends Contract {
 
     /**
-     * Initialize the ledger with default data
+     * Resolve the caller and enforce the access policy of the invoked transaction
      * @param {Context} ctx - Transaction context
      */
-    async initLedger(ctx) {
+    async beforeTransaction(ctx) {
+        const { fcn } = ctx.stub.getFunctionAndParameters();
+        const transaction = fcn.split(':').pop();
+
+        ctx.caller = getCaller(ctx);
+        authorize(ctx.caller, transaction);
+    }
+
+    /**
+     * Initialize the ledger. Safe to run any number of times, e.g. on every
+     * chaincode upgrade: it never overwrites existing records. Without the
+     * seedDemoData flag it writes nothing; with it, the demo campaign CAMP001
+     * and its approved NGO NGO_WALLET_001 are created if they do not exist.
+     * The demo campaign's dates count from the transaction time, so it is
+     * open for donations whenever it is seeded.
+     * @param {Context} ctx - Transaction context
+     * @param {string} seedDemoData - 'true' to seed demo data (optional, default 'false')
+     * @returns {Object} Result ({ seeded: { campaigns, ngos }, schemaVersions })
+     */
+    async initLedger(ctx, seedDemoData) {
         console.log('============= START : Initialize Ledger ===========');
-        
-        // Initialize with a sample campaign for testing
-        const sampleCampaign = {
-            docType: 'Campaign',
-            campaignId: 'CAMP001',
-            ngoWallet: 'NGO_WALLET_001',
-            title: 'Clean Water Initiative',
-            description: 'Providing clean water access to rural communities',
-            goalAmount: 50000,
-            currentAmount: 0,
-            deadline: '2025-12-31T23:59:59.000Z',
-            campaignStatus: 'Active',
-            createdAt: new Date().toISOString(),
-            createdBy: 'system',
-            category: 'Water & Sanitation',
-            milestones: {
-                'MILE001': {
-                    milestoneId: 'MILE001',
-                    title: 'Water Pump Installation',
-                    description: 'Install 5 water pumps in target villages',
-                    budgetAmount: 25000,
-                    targetDate: '2025-06-30T23:59:59.000Z',
-                    isVerified: false,
-                    fundsReleased: false,
-                    verifiedAt: null,
-                    verifiedBy: null
-                },
-                'MILE002': {
-                    milestoneId: 'MILE002',
-                    title: 'Water Quality Testing',
-                    description: 'Conduct water quality tests and setup monitoring',
-                    budgetAmount: 15000,
-                    targetDate: '2025-09-30T23:59:59.000Z',
-                    isVerified: false,
-                    fundsReleased: false,
-                    verifiedAt: null,
-                    verifiedBy: null
-                }
-            },
-            totalMilestones: 2,
-            completedMilestones: 0,
-            tags: ['water', 'rural', 'infrastructure']
-        };
 
-        await ctx.stub.putState(`CAMPAIGN_${sampleCampaign.campaignId}`, Buffer.from(JSON.stringify(sampleCampaign)));
-        console.log('Sample campaign created successfully');
+        if (![undefined, '', 'true', 'false'].includes(seedDemoData)) {
+            throw new Error(`Invalid seedDemoData flag: ${seedDemoData}. Use true or false`);
+        }
+        const seeded = { campaigns: [], ngos: [] };
+
+        if (seedDemoData === 'true') {
+            const campaignBytes = await ctx.stub.getState('CAMPAIGN_CAMP001');
+            if (!campaignBytes || campaignBytes.length === 0) {
+                const seededAt = getTxDate(ctx).getTime();
+                const daysAfterSeeding = days => new Date(seededAt + days * 24 * 60 * 60 * 1000).toISOString();
+                const sampleCampaign = {
+                    docType: 'Campaign',
+                    campaignId: 'CAMP001',
+                    ngoWallet: 'NGO_WALLET_001',
+                    ngoMspId: ctx.caller.mspId,
+                    title: 'Clean Water Initiative',
+                    description: 'Providing clean water access to rural communities',
+                    currency: money.DEFAULT_CURRENCY,
+                    // Amounts in minor units: a $50,000 goal in $25,000 and $15,000 milestones
+                    goalAmount: 5000000,
+                    currentAmount: 0,
+                    escrowBalance: 0,
+                    releasedAmount: 0,
+                    refundedAmount: 0,
+                    deadline: daysAfterSeeding(90),
+                    campaignStatus: STATUS.ACTIVE,
+                    statusUpdateReason: null,
+                    statusHistory: [{
+                        from: null,
+                        to: STATUS.ACTIVE,
+                        by: 'system',
+                        reason: 'Sample campaign',
+                        at: getTxTimestamp(ctx),
+                        txId: ctx.stub.getTxID()
+                    }],
+                    createdAt: getTxTimestamp(ctx),
+                    createdBy: 'system',
+                    category: 'Water & Sanitation',
+                    milestones: {
+                        'MILE001': {
+                            milestoneId: 'MILE001',
+                            title: 'Water Pump Installation',
+                            description: 'Install 5 water pumps in target villages',
+                            budgetAmount: 2500000,
+                            targetDate: daysAfterSeeding(30),
+                            isVerified: false,
+                            verificationStatus: attestations.VERIFICATION_STATUS.PENDING,
+                            fundsReleased: false,
+                            verifiedAt: null,
+                            verifiedBy: null,
+                            verificationNotes: null,
+                            isOverdue: false,
+                            overdueAt: null
+                        },
+                        'MILE002': {
+                            milestoneId: 'MILE002',
+                            title: 'Water Quality Testing',
+                            description: 'Conduct water quality tests and setup monitoring',
+                            budgetAmount: 1500000,
+                            targetDate: daysAfterSeeding(60),
+                            isVerified: false,
+                            verificationStatus: attestations.VERIFICATION_STATUS.PENDING,
+                            fundsReleased: false,
+                            verifiedAt: null,
+                            verifiedBy: null,
+                            verificationNotes: null,
+                            isOverdue: false,
+                            overdueAt: null
+                        }
+                    },
+                    totalMilestones: 2,
+                    completedMilestones: 0,
+                    tags: ['water', 'rural', 'infrastructure'],
+                    lastDonationAt: null
+                };
+
+                await this._putCampaign(ctx, sampleCampaign);
+                seeded.campaigns.push(sampleCampaign.campaignId);
+            }
+
+            // The demo campaign's NGO, approved so the demo data is usable as is
+            const existingNGO = await ngos.getNGO(ctx, 'NGO_WALLET_001');
+            if (existingNGO.status === ngos.NGO_STATUS.UNREGISTERED) {
+                const sampleNGO = {
+                    ...existingNGO,
+                    status: ngos.NGO_STATUS.APPROVED,
+                    kycStatus: ngos.KYC_STATUS.VERIFIED,
+                    profile: {
+                        name: 'Sample Water NGO',
+                        registrationNumber: 'SAMPLE-001',
+                        country: 'US',
+                        website: '',
+                        kycDocumentHash: '0'.repeat(64)
+                    },
+                    ownerId: 'system',
+                    ownerMspId: ctx.caller.mspId,
+                    statusHistory: [{
+                        from: ngos.NGO_STATUS.UNREGISTERED,
+                        to: ngos.NGO_STATUS.APPROVED,
+                        by: 'system',
+                        reason: 'Sample NGO',
+                        at: getTxTimestamp(ctx),
+                        txId: ctx.stub.getTxID()
+                    }],
+                    registeredAt: getTxTimestamp(ctx),
+                    reviewedAt: getTxTimestamp(ctx),
+                    reviewedBy: 'system'
+                };
+
+                await ngos.putNGO(ctx, sampleNGO);
+                seeded.ngos.push(sampleNGO.ngoWallet);
+            }
+        }
+
+        console.log(`Seeded ${seeded.campaigns.length} demo campaign(s) and ${seeded.ngos.length} demo NGO(s)`);
         console.log('============= END : Initialize Ledger ===========');
+        return { seeded, schemaVersions: schema.SCHEMA_VERSIONS };
     }
 
     /**
@@ -79,14 +201,16 @@ class DonationContract extends Contract {
      * @param {string} ngoWallet - NGO's wallet address
      * @param {string} title - Campaign title
      * @param {string} description - Campaign description
-     * @param {number} goalAmount - Target amount to raise
+     * @param {string} goalAmount - Target amount to raise (minor units of the campaign currency)
      * @param {string} deadline - Campaign deadline (ISO string)
      * @param {string} category - Campaign category
-     * @param {string} milestonesJSON - JSON string containing milestones data
+     * @param {string} milestonesJSON - JSON string containing milestones data (budgets in minor units)
      * @param {string} tags - Comma-separated tags
+     * @param {string} initialStatus - Draft or Active (optional, default Active)
+     * @param {string} currency - ISO 4217 currency code (optional, default USD)
      * @returns {Object} Created campaign object
      */
-    async createCampaign(ctx, campaignId, ngoWallet, title, description, goalAmount, deadline, category, milestonesJSON, tags) {
+    async createCampaign(ctx, campaignId, ngoWallet, title, description, goalAmount, deadline, category, milestonesJSON, tags, initialStatus, currency) {
         console.log('============= START : Create Campaign ===========');
 
         // Input validation
@@ -94,12 +218,23 @@ class DonationContract extends Contract {
             throw new Error('Missing required parameters for campaign creation');
         }
 
+        const goal = money.parseMinorUnits(goalAmount, 'Goal amount');
+        const campaignCurrency = money.parseCurrency(currency);
+
+        const status = initialStatus || STATUS.ACTIVE;
+        if (status !== STATUS.DRAFT && status !== STATUS.ACTIVE) {
+            throw new Error(`Invalid initial status: ${status}. Campaigns start as ${STATUS.DRAFT} or ${STATUS.ACTIVE}`);
+        }
+
         // Check if campaign already exists
         const existingCampaignBytes = await ctx.stub.getState(`CAMPAIGN_${campaignId}`);
         if (existingCampaignBytes && existingCampaignBytes.length > 0) {
             throw new Error(`Campaign with ID ${campaignId} already exists`);
         }
 
+        // Only an approved NGO can raise funds, and only into its own wallet
+        ngos.assertCanCreateCampaigns(await ngos.getNGO(ctx, ngoWallet), ctx.caller);
+
         // Parse and validate milestones
         let milestones = {};
         let totalMilestones = 0;
@@ -115,25 +250,30 @@ class DonationContract extends Contract {
                     if (!milestone.milestoneId || !milestone.title || !milestone.budgetAmount) {
                         throw new Error(`Invalid milestone at index ${index}: missing required fields`);
                     }
-                    
+                    const budgetAmount = money.parseMinorUnits(milestone.budgetAmount, `Budget of milestone ${milestone.milestoneId}`);
+
                     milestones[milestone.milestoneId] = {
                         milestoneId: milestone.milestoneId,
                         title: milestone.title,
                         description: milestone.description || '',
-                        budgetAmount: parseInt(milestone.budgetAmount),
+                        budgetAmount: budgetAmount,
                         targetDate: milestone.targetDate || deadline,
                         isVerified: false,
+                        verificationStatus: attestations.VERIFICATION_STATUS.PENDING,
                         fundsReleased: false,
                         verifiedAt: null,
-                        verifiedBy: null
+                        verifiedBy: null,
+                        verificationNotes: null,
+                        isOverdue: false,
+                        overdueAt: null
                     };
                     
-                    totalBudget += parseInt(milestone.budgetAmount);
+                    totalBudget += budgetAmount;
                     totalMilestones++;
                 });
 
                 // Validate total milestone budget doesn't exceed goal
-                if (totalBudget > parseInt(goalAmount)) {
+                if (totalBudget > goal) {
                     throw new Error('Total milestone budget exceeds campaign goal amount');
                 }
             } catch (error) {
@@ -142,36 +282,52 @@ class DonationContract extends Contract {
         }
 
         // Get creator identity
-        const creator = ctx.clientIdentity.getID();
+        const creator = ctx.caller.id;
 
         // Create campaign object
         const campaign = {
             docType: 'Campaign',
             campaignId: campaignId,
             ngoWallet: ngoWallet,
+            ngoMspId: ctx.caller.mspId,
             title: title,
             description: description,
-            goalAmount: parseInt(goalAmount),
+            currency: campaignCurrency,
+            goalAmount: goal,
             currentAmount: 0,
+            escrowBalance: 0,
+            releasedAmount: 0,
+            refundedAmount: 0,
             deadline: deadline,
-            campaignStatus: 'Active',
-            createdAt: new Date().toISOString(),
+            campaignStatus: status,
+            statusUpdateReason: null,
+            statusHistory: [{
+                from: null,
+                to: status,
+                by: creator,
+                reason: 'Campaign created',
+                at: getTxTimestamp(ctx),
+                txId: ctx.stub.getTxID()
+            }],
+            createdAt: getTxTimestamp(ctx),
             createdBy: creator,
             category: category || 'General',
             milestones: milestones,
             totalMilestones: totalMilestones,
             completedMilestones: 0,
-            tags: tags ? tags.split(',').map(tag => tag.trim()) : []
+            tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
+            lastDonationAt: null
         };
 
         // Save to ledger
-        await ctx.stub.putState(`CAMPAIGN_${campaignId}`, Buffer.from(JSON.stringify(campaign)));
+        await this._putCampaign(ctx, campaign);
 
         // Emit event
         ctx.stub.setEvent('CampaignCreated', Buffer.from(JSON.stringify({
             campaignId: campaignId,
             ngoWallet: ngoWallet,
-            goalAmount: parseInt(goalAmount),
+            currency: campaignCurrency,
+            goalAmount: goal,
             createdBy: creator,
             timestamp: campaign.createdAt
         })));
@@ -182,15 +338,17 @@ class DonationContract extends Contract {
     }
 
     /**
-     * Process a donation to a campaign
+     * Process a donation to a campaign. Donor details are read from the
+     * transient map (see lib/privacy.js) and never written to public state.
+     * A donation in another currency is converted into the campaign's
+     * currency with the exchange rate recorded by the oracle organisation.
      * @param {Context} ctx - Transaction context
      * @param {string} campaignId - Campaign identifier
-     * @param {number} donationAmount - Amount donated
-     * @param {string} donorId - Donor identifier (optional)
-     * @param {string} message - Optional donation message
+     * @param {string} donationAmount - Amount donated (minor units of the donation currency)
+     * @param {string} currency - Donation currency (optional, defaults to the campaign currency)
      * @returns {Object} Updated campaign object
      */
-    async donate(ctx, campaignId, donationAmount, donorId, message) {
+    async donate(ctx, campaignId, donationAmount, currency) {
         console.log('============= START : Process Donation ===========');
 
         // Input validation
@@ -198,76 +356,41 @@ class DonationContract extends Contract {
             throw new Error('Campaign ID and donation amount are required');
         }
 
-        const amount = parseInt(donationAmount);
-        if (amount <= 0) {
-            throw new Error('Donation amount must be positive');
-        }
-
-        // Get campaign from ledger
-        const campaignBytes = await ctx.stub.getState(`CAMPAIGN_${campaignId}`);
-        if (!campaignBytes || campaignBytes.length === 0) {
-            throw new Error(`Campaign with ID ${campaignId} does not exist`);
-        }
-
-        const campaign = JSON.parse(campaignBytes.toString());
+        const donor = privacy.readDonorInput(ctx);
+        const donorHash = privacy.computeDonorHash(ctx.caller.id, donor.salt);
 
-        // Check campaign status
-        if (campaign.campaignStatus !== 'Active') {
-            throw new Error(`Cannot donate to campaign with status: ${campaign.campaignStatus}`);
-        }
-
-        // Check deadline
-        const now = new Date();
-        const deadline = new Date(campaign.deadline);
-        if (now > deadline) {
-            throw new Error('Campaign deadline has passed');
-        }
+        const donatedAmount = money.parseMinorUnits(donationAmount, 'Donation amount');
 
-        // Update campaign
-        campaign.currentAmount += amount;
-        campaign.lastDonationAt = new Date().toISOString();
+        // Get campaign from ledger, as last compacted (see lib/deltas.js)
+        const campaign = await this._readCampaignRecord(ctx, campaignId);
 
-        // Check if goal reached
-        if (campaign.currentAmount >= campaign.goalAmount) {
-            campaign.campaignStatus = 'GoalReached';
-        }
+        this._assertDonationsOpen(ctx, campaign);
 
-        // Save updated campaign
-        await ctx.stub.putState(`CAMPAIGN_${campaignId}`, Buffer.from(JSON.stringify(campaign)));
+        const campaignCurrency = campaign.currency;
+        const donationCurrency = currency ? money.parseCurrency(currency) : campaignCurrency;
+        const conversion = await money.convertDonation(ctx, donatedAmount, donationCurrency, campaignCurrency);
+        const amount = conversion.amount;
 
-        // Create donation record
-        const donationId = `DONATION_${campaignId}_${ctx.stub.getTxID()}`;
-        const donation = {
-            docType: 'Donation',
-            donationId: donationId,
-            campaignId: campaignId,
-            donorId: donorId || 'anonymous',
+        const { donation } = await this._recordDonation(ctx, campaign, {
             amount: amount,
-            message: message || '',
-            timestamp: new Date().toISOString(),
-            txId: ctx.stub.getTxID(),
-            donorIdentity: ctx.clientIdentity.getID()
-        };
-
-        await ctx.stub.putState(donationId, Buffer.from(JSON.stringify(donation)));
+            originalAmount: donatedAmount,
+            originalCurrency: donationCurrency,
+            exchangeRate: conversion.rate ? conversion.rate.rate : null,
+            donorHash: donorHash,
+            anonymous: donor.anonymous
+        });
 
-        // Emit events
-        ctx.stub.setEvent('DonationReceived', Buffer.from(JSON.stringify({
+        // Donor details go to the collection matching the donation's visibility
+        await ctx.stub.putPrivateData(privacy.getDonorCollection(donor.anonymous), donation.donationId, schema.toBuffer({
+            docType: 'DonationDetails',
+            donationId: donation.donationId,
             campaignId: campaignId,
-            donationAmount: amount,
-            donorId: donorId,
-            currentAmount: campaign.currentAmount,
-            timestamp: donation.timestamp
-        })));
-
-        if (campaign.campaignStatus === 'GoalReached') {
-            ctx.stub.setEvent('GoalReached', Buffer.from(JSON.stringify({
-                campaignId: campaignId,
-                goalAmount: campaign.goalAmount,
-                currentAmount: campaign.currentAmount,
-                timestamp: new Date().toISOString()
-            })));
-        }
+            donorId: donor.donorId,
+            message: donor.message,
+            donorIdentity: ctx.caller.id,
+            salt: donor.salt,
+            amount: amount
+        }));
 
         console.log(`Donation of ${amount} processed for campaign ${campaignId}`);
         console.log('============= END : Process Donation ===========');
@@ -275,286 +398,1932 @@ class DonationContract extends Contract {
     }
 
     /**
-     * Verify a milestone (Oracle function)
+     * Import a batch of donations settled outside the ledger, such as the
+     * takings of a fundraising event or a payment processor's settlement
+     * (owning NGO or admin). Every item is validated as a single donation
+     * would be, and the campaign is written once. Each item's payment
+     * reference is recorded, and a batch with any payment imported before is
+     * rejected, so replaying a settlement file cannot count it twice.
+     *
+     * Each gift is recorded under its own donor's hash, from the donor
+     * identity and salt passed for its payment reference in the transient
+     * map under 'batchDonors' (see lib/privacy.js), so the donor rather than
+     * the importer can later prove it, read its details and claim refunds.
+     * Donations must be open when the batch is submitted; the goal is
+     * checked once all gifts are added.
      * @param {Context} ctx - Transaction context
      * @param {string} campaignId - Campaign identifier
-     * @param {string} milestoneId - Milestone identifier
-     * @param {string} verificationNotes - Optional verification notes
-     * @returns {Object} Updated campaign object
+     * @param {string} batchJSON - JSON array of { paymentReference, amount, currency } (see lib/batches.js)
+     * @returns {Object} Batch result ({ batchId, campaignId, donations, totalAmount, matchedAmount, campaign })
      */
-    async setMilestoneVerified(ctx, campaignId, milestoneId, verificationNotes) {
-        console.log('============= START : Verify Milestone ===========');
+    async donateBatch(ctx, campaignId, batchJSON) {
+        console.log('============= START : Process Donation Batch ===========');
 
-        // Access Control - Check if caller is authorized Oracle
-        const clientId = ctx.clientIdentity.getID();
-        const oracleId = "ORACLE_AUTHORIZED_ID"; // In production, this should be configurable
-        
-        // For demo purposes, allow any identity with "oracle" in the name
-        if (!clientId.toLowerCase().includes('oracle') && clientId !== oracleId) {
-            throw new Error(`Unauthorized: Only Oracle can verify milestones. Current identity: ${clientId}`);
+        if (!campaignId) {
+            throw new Error('Campaign ID is required');
         }
-
-        // Get campaign
-        const campaignBytes = await ctx.stub.getState(`CAMPAIGN_${campaignId}`);
-        if (!campaignBytes || campaignBytes.length === 0) {
-            throw new Error(`Campaign with ID ${campaignId} does not exist`);
+        const items = batches.parseBatch(batchJSON);
+        const batchDonors = privacy.readBatchDonors(ctx);
+        for (const item of items) {
+            if (!batchDonors[item.paymentReference]) {
+                throw new Error(`Invalid batch item at index ${item.index}: no donor passed under 'batchDonors' for payment reference ${item.paymentReference}`);
+            }
         }
 
-        const campaign = JSON.parse(campaignBytes.toString());
-
-        // Check if milestone exists
-        if (!campaign.milestones || !campaign.milestones[milestoneId]) {
-            throw new Error(`Milestone ${milestoneId} not found in campaign ${campaignId}`);
+        const campaign = await this._readCampaignRecord(ctx, campaignId);
+        if (ctx.caller.role !== ROLES.ADMIN) {
+            assertCampaignOwner(ctx.caller, campaign);
         }
+        this._assertDonationsOpen(ctx, campaign);
+        await batches.assertNotImported(ctx, items);
+
+        const campaignCurrency = campaign.currency;
+        const txId = ctx.stub.getTxID();
+        const timestamp = getTxTimestamp(ctx);
+        const batchId = `BATCH_${campaignId}_${txId}`;
+        const pools = await matching.getPools(ctx, campaignId);
+        const recorded = [];
+        let donationRecords = 0;
+
+        for (const item of items) {
+            let conversion;
+            try {
+                conversion = await money.convertDonation(ctx, item.amount, item.currency || campaignCurrency, campaignCurrency);
+            } catch (error) {
+                throw new Error(`Invalid batch item at index ${item.index}: ${error.message}`);
+            }
 
-        // Check if already verified
-        if (campaign.milestones[milestoneId].isVerified) {
-            throw new Error(`Milestone ${milestoneId} is already verified`);
+            const donor = batchDonors[item.paymentReference];
+            const donorHash = privacy.computeDonorHash(donor.donorIdentity, donor.salt);
+            const { donation, matches } = await this._addGift(ctx, campaign, pools, {
+                donationId: `DONATION_${campaignId}_${txId}_${String(item.index + 1).padStart(3, '0')}`,
+                amount: conversion.amount,
+                originalAmount: item.amount,
+                originalCurrency: item.currency || campaignCurrency,
+                exchangeRate: conversion.rate ? conversion.rate.rate : null,
+                donorHash: donorHash,
+                anonymous: donor.anonymous,
+                batchId: batchId,
+                paymentReference: item.paymentReference
+            });
+
+            await ctx.stub.putPrivateData(privacy.getDonorCollection(donor.anonymous), donation.donationId, schema.toBuffer({
+                docType: 'DonationDetails',
+                donationId: donation.donationId,
+                campaignId: campaignId,
+                donorId: donor.donorId,
+                message: donor.message,
+                donorIdentity: donor.donorIdentity,
+                salt: donor.salt,
+                amount: donation.amount
+            }));
+
+            await ctx.stub.putState(batches.paymentKey(item.paymentReference), schema.toBuffer({
+                docType: 'PaymentReference',
+                paymentReference: item.paymentReference,
+                campaignId: campaignId,
+                donationId: donation.donationId,
+                batchId: batchId,
+                importedAt: timestamp,
+                txId: txId
+            }));
+
+            recorded.push({
+                donationId: donation.donationId,
+                paymentReference: item.paymentReference,
+                donorHash: donorHash,
+                amount: donation.amount,
+                originalAmount: donation.originalAmount,
+                originalCurrency: donation.originalCurrency,
+                matchedAmount: matches.reduce((sum, match) => sum + match.amount, 0)
+            });
+            donationRecords += 1 + matches.length;
         }
 
-        // Verify milestone
-        campaign.milestones[milestoneId].isVerified = true;
-        campaign.milestones[milestoneId].verifiedAt = new Date().toISOString();
-        campaign.milestones[milestoneId].verifiedBy = clientId;
-        campaign.milestones[milestoneId].verificationNotes = verificationNotes || '';
-
-        // Save updated campaign
-        await ctx.stub.putState(`CAMPAIGN_${campaignId}`, Buffer.from(JSON.stringify(campaign)));
+        const totalAmount = recorded.reduce((sum, donation) => sum + donation.amount, 0);
+        const matchedAmount = recorded.reduce((sum, donation) => sum + donation.matchedAmount, 0);
+        await this._settleGifts(ctx, campaign, totalAmount + matchedAmount, donationRecords, ctx.caller.id);
 
-        // Emit event
-        ctx.stub.setEvent('MilestoneVerified', Buffer.from(JSON.stringify({
+        // One event for the whole batch (Fabric only delivers the last event set by a transaction)
+        ctx.stub.setEvent('DonationBatchReceived', Buffer.from(JSON.stringify({
             campaignId: campaignId,
-            milestoneId: milestoneId,
-            verifiedBy: clientId,
-            verifiedAt: campaign.milestones[milestoneId].verifiedAt,
-            budgetAmount: campaign.milestones[milestoneId].budgetAmount
+            batchId: batchId,
+            currency: campaignCurrency,
+            donations: recorded,
+            totalAmount: totalAmount,
+            matchedAmount: matchedAmount,
+            currentAmount: campaign.currentAmount,
+            goalReached: campaign.campaignStatus === STATUS.GOAL_REACHED,
+            timestamp: timestamp
         })));
 
-        console.log(`Milestone ${milestoneId} verified for campaign ${campaignId}`);
-        console.log('============= END : Verify Milestone ===========');
-        return campaign;
+        console.log(`Batch of ${recorded.length} donations totalling ${totalAmount} processed for campaign ${campaignId}`);
+        console.log('============= END : Process Donation Batch ===========');
+        return { batchId, campaignId, donations: recorded, totalAmount, matchedAmount, campaign };
     }
 
     /**
-     * Release funds for a verified milestone
+     * Check that a campaign accepts donations: its status allows them and
+     * its deadline, compared with the transaction time rather than the peer
+     * clock, has not passed
      * @param {Context} ctx - Transaction context
-     * @param {string} campaignId - Campaign identifier
-     * @param {string} milestoneId - Milestone identifier
-     * @returns {Object} Updated campaign object
+     * @param {Object} campaign - Campaign object
      */
-    async releaseMilestoneFunds(ctx, campaignId, milestoneId) {
-        console.log('============= START : Release Milestone Funds ===========');
-
-        // Get campaign
-        const campaignBytes = await ctx.stub.getState(`CAMPAIGN_${campaignId}`);
-        if (!campaignBytes || campaignBytes.length === 0) {
-            throw new Error(`Campaign with ID ${campaignId} does not exist`);
-        }
-
-        const campaign = JSON.parse(campaignBytes.toString());
-
-        // Check if milestone exists
-        if (!campaign.milestones || !campaign.milestones[milestoneId]) {
-            throw new Error(`Milestone ${milestoneId} not found in campaign ${campaignId}`);
-        }
-
-        const milestone = campaign.milestones[milestoneId];
-
-        // Validation checks
-        if (!milestone.isVerified) {
-            throw new Error(`Milestone ${milestoneId} is not verified yet`);
-        }
-
-        if (milestone.fundsReleased) {
-            throw new Error(`Funds for milestone ${milestoneId} have already been released`);
+    _assertDonationsOpen(ctx, campaign) {
+        assertOperationAllowed(campaign, 'donate');
+        if (getTxDate(ctx) > new Date(campaign.deadline)) {
+            throw new Error('Campaign deadline has passed');
         }
+    }
 
-        // Check if sufficient funds are available
-        if (campaign.currentAmount < milestone.budgetAmount) {
-            throw new Error(`Insufficient funds in campaign. Required: ${milestone.budgetAmount}, Available: ${campaign.currentAmount}`);
-        }
+    /**
+     * Add a gift to a campaign: write its public Donation record, match it
+     * from the campaign's active matching pools, settle it against the
+     * campaign and emit DonationReceived. Shared by donate and executePledge;
+     * the caller has already checked the campaign's status and deadline.
+     * @param {Context} ctx - Transaction context
+     * @param {Object} campaign - Campaign object from _readCampaignRecord (modified in place)
+     * @param {Object} gift - Gift ({ amount, donorHash, anonymous, originalAmount, originalCurrency, exchangeRate, pledgeId })
+     * @returns {Object} The donation and its matches ({ donation, matches })
+     */
+    async _recordDonation(ctx, campaign, gift) {
+        const campaignId = campaign.campaignId;
+        const currency = campaign.currency;
+        const timestamp = getTxTimestamp(ctx);
+        const pools = await matching.getPools(ctx, campaignId);
+        const { donation, matches } = await this._addGift(ctx, campaign, pools, {
+            ...gift,
+            donationId: `DONATION_${campaignId}_${ctx.stub.getTxID()}`
+        });
+        const matchedAmount = matches.reduce((sum, match) => sum + match.amount, 0);
 
-        // Release funds
-        milestone.fundsReleased = true;
-        milestone.fundsReleasedAt = new Date().toISOString();
-        milestone.releasedBy = ctx.clientIdentity.getID();
+        await this._settleGifts(ctx, campaign, gift.amount + matchedAmount, 1 + matches.length, privacy.donorReference(gift.donorHash));
 
-        // Update campaign counters
-        campaign.completedMilestones += 1;
+        // One event, flagging the goal if this gift reached it (Fabric only delivers the last event set by a transaction)
+        ctx.stub.setEvent('DonationReceived', Buffer.from(JSON.stringify({
+            campaignId: campaignId,
+            donationId: donation.donationId,
+            donationAmount: gift.amount,
+            currency: currency,
+            originalAmount: donation.originalAmount,
+            originalCurrency: donation.originalCurrency,
+            donorHash: gift.donorHash,
+            anonymous: gift.anonymous,
+            pledgeId: donation.pledgeId,
+            matches: matches.map(match => ({ donationId: match.donationId, matchPoolId: match.matchPoolId, amount: match.amount })),
+            matchedAmount: matchedAmount,
+            currentAmount: campaign.currentAmount,
+            goalAmount: campaign.goalAmount,
+            goalReached: campaign.campaignStatus === STATUS.GOAL_REACHED,
+            timestamp: timestamp
+        })));
 
-        // Check if all milestones are completed
-        if (campaign.completedMilestones === campaign.totalMilestones) {
-            campaign.campaignStatus = 'Completed';
-        }
+        return { donation, matches };
+    }
 
-        // Save updated campaign
-        await ctx.stub.putState(`CAMPAIGN_${campaignId}`, Buffer.from(JSON.stringify(campaign)));
+    /**
+     * Write a gift's public Donation record, match it from the given pools
+     * and add both to the campaign's totals and escrow. Leaves writing the
+     * campaign to the caller, so a batch can add many gifts and write it once.
+     * @param {Context} ctx - Transaction context
+     * @param {Object} campaign - Campaign object (modified in place)
+     * @param {Array} pools - The campaign's matching pools (modified in place; written when they match)
+     * @param {Object} gift - Gift ({ donationId, amount, donorHash, anonymous, originalAmount, originalCurrency,
+     *   exchangeRate, pledgeId, batchId, paymentReference })
+     * @returns {Object} The donation and its matches ({ donation, matches })
+     */
+    async _addGift(ctx, campaign, pools, gift) {
+        const campaignId = campaign.campaignId;
+        const currency = campaign.currency;
+        const timestamp = getTxTimestamp(ctx);
+        const donationId = gift.donationId;
 
-        // Create fund release record
-        const releaseId = `RELEASE_${campaignId}_${milestoneId}_${ctx.stub.getTxID()}`;
-        const fundRelease = {
-            docType: 'FundRelease',
-            releaseId: releaseId,
+        // Public donation record (amount and donor hash only)
+        const donation = {
+            docType: 'Donation',
+            donationId: donationId,
             campaignId: campaignId,
-            milestoneId: milestoneId,
-            amount: milestone.budgetAmount,
-            recipientWallet: campaign.ngoWallet,
-            releasedAt: milestone.fundsReleasedAt,
-            releasedBy: milestone.releasedBy,
+            amount: gift.amount,
+            currency: currency,
+            originalAmount: gift.originalAmount || gift.amount,
+            originalCurrency: gift.originalCurrency || currency,
+            exchangeRate: gift.exchangeRate || null,
+            donorHash: gift.donorHash,
+            anonymous: gift.anonymous,
+            source: gift.pledgeId ? 'pledge' : gift.batchId ? 'batch' : 'direct',
+            pledgeId: gift.pledgeId || null,
+            batchId: gift.batchId || null,
+            paymentReference: gift.paymentReference || null,
+            timestamp: timestamp,
             txId: ctx.stub.getTxID()
         };
+        await ctx.stub.putState(donationId, schema.toBuffer(donation));
+
+        // Each pool that matches the gift adds a linked donation under the sponsor's hash
+        const matches = [];
+        const now = getTxDate(ctx);
+        for (const pool of pools) {
+            const matchAmount = matching.computeMatch(pool, donation, now);
+            if (matchAmount === 0) {
+                continue;
+            }
 
-        await ctx.stub.putState(releaseId, Buffer.from(JSON.stringify(fundRelease)));
-
-        // Emit events
-        ctx.stub.setEvent('FundsReleased', Buffer.from(JSON.stringify({
-            campaignId: campaignId,
-            milestoneId: milestoneId,
-            amount: milestone.budgetAmount,
-            recipientWallet: campaign.ngoWallet,
-            releasedAt: milestone.fundsReleasedAt
-        })));
+            pool.remaining -= matchAmount;
+            pool.matchedAmount += matchAmount;
+            pool.matchCount += 1;
+            if (pool.remaining === 0) {
+                pool.status = matching.POOL_STATUS.EXHAUSTED;
+                pool.closedAt = timestamp;
+            }
+            await ctx.stub.putState(pool.poolId, schema.toBuffer(pool));
 
-        if (campaign.campaignStatus === 'Completed') {
-            ctx.stub.setEvent('CampaignCompleted', Buffer.from(JSON.stringify({
+            const match = {
+                docType: 'Donation',
+                donationId: `${donationId}_MATCH_${matches.length + 1}`,
                 campaignId: campaignId,
-                totalAmount: campaign.currentAmount,
-                completedMilestones: campaign.completedMilestones,
-                completedAt: new Date().toISOString()
-            })));
+                amount: matchAmount,
+                currency: currency,
+                originalAmount: matchAmount,
+                originalCurrency: currency,
+                exchangeRate: null,
+                donorHash: pool.sponsorHash,
+                anonymous: !pool.sponsorName,
+                source: 'match',
+                matchPoolId: pool.poolId,
+                matchedDonationId: donationId,
+                timestamp: timestamp,
+                txId: ctx.stub.getTxID()
+            };
+            await ctx.stub.putState(match.donationId, schema.toBuffer(match));
+            matches.push(match);
         }
+        const matchedAmount = matches.reduce((sum, match) => sum + match.amount, 0);
 
-        console.log(`Funds released for milestone ${milestoneId} in campaign ${campaignId}`);
-        console.log('============= END : Release Milestone Funds ===========');
-        return campaign;
+        // Update campaign, holding the gift and its matches in escrow until milestones are released
+        campaign.currentAmount += gift.amount + matchedAmount;
+        escrow.depositToEscrow(campaign, gift.amount + matchedAmount);
+        campaign.lastDonationAt = timestamp;
+
+        return { donation, matches };
     }
 
     /**
-     * Read a campaign from the ledger
+     * Move an active campaign that has reached its goal to GoalReached
      * @param {Context} ctx - Transaction context
-     * @param {string} campaignId - Campaign identifier
-     * @returns {Object} Campaign object
+     * @param {Object} campaign - Campaign object (modified in place)
+     * @param {string} by - Who to record as making the change
+     * @returns {boolean} True if the campaign moved to GoalReached
      */
-    async readCampaign(ctx, campaignId) {
-        const campaignBytes = await ctx.stub.getState(`CAMPAIGN_${campaignId}`);
-        if (!campaignBytes || campaignBytes.length === 0) {
-            throw new Error(`Campaign with ID ${campaignId} does not exist`);
+    _checkGoalReached(ctx, campaign, by) {
+        if (campaign.campaignStatus !== STATUS.ACTIVE || campaign.currentAmount < campaign.goalAmount) {
+            return false;
         }
-        return JSON.parse(campaignBytes.toString());
+        transitionCampaign(campaign, STATUS.GOAL_REACHED, {
+            actors: [SYSTEM],
+            by: by,
+            reason: 'Goal amount reached',
+            timestamp: getTxTimestamp(ctx),
+            txId: ctx.stub.getTxID()
+        });
+        return true;
     }
 
     /**
-     * Get all campaigns (with pagination support)
+     * Settle gifts just added to a campaign read by _readCampaignRecord. Gifts
+     * that leave the campaign short of its goal are written as a delta and the
+     * campaign record is not touched, so concurrent donations do not conflict.
+     * Gifts that reach the goal fold every delta into the campaign, move it
+     * to GoalReached and write it back.
      * @param {Context} ctx - Transaction context
-     * @param {string} startKey - Start key for pagination (optional)
-     * @param {string} endKey - End key for pagination (optional)
-     * @param {number} pageSize - Page size (optional, default 10)
-     * @returns {Array} Array of campaign objects
+     * @param {Object} campaign - Campaign object with the gifts added (modified in place)
+     * @param {number} amount - Amount the gifts and their matches added
+     * @param {number} donations - Donation records the gifts and their matches added
+     * @param {string} by - Who to record as making the change
      */
-    async getAllCampaigns(ctx, startKey, endKey, pageSize) {
-        const iterator = await ctx.stub.getStateByRange(
-            startKey || 'CAMPAIGN_',
-            endKey || 'CAMPAIGN_\uffff'
-        );
-
-        const campaigns = [];
-        let count = 0;
-        const limit = parseInt(pageSize) || 10;
-
-        for await (const result of iterator) {
-            if (count >= limit) break;
-            
-            const campaign = JSON.parse(result.value.toString());
-            campaigns.push(campaign);
-            count++;
+    async _settleGifts(ctx, campaign, amount, donations, by) {
+        const pending = await deltas.getPendingAmount(ctx, campaign.campaignId);
+        if (campaign.currentAmount + pending < campaign.goalAmount) {
+            await deltas.putDelta(ctx, campaign.campaignId, { amount: amount, donations: donations, timestamp: getTxTimestamp(ctx) });
+
+            // Return the campaign as readCampaign will see it once this transaction commits
+            campaign.currentAmount += pending;
+            campaign.escrowBalance += pending;
+            return;
         }
 
-        return campaigns;
+        await this._foldDeltas(ctx, campaign);
+        this._checkGoalReached(ctx, campaign, by);
+        await this._putCampaign(ctx, campaign, by);
     }
 
     /**
-     * Get campaigns by NGO wallet
+     * Check a donor's proof of a donation: the identity and salt must hash to
+     * the donor hash recorded on the public donation. Lets a donor prove a
+     * gift to a third party (e.g. for a tax receipt) without it being public.
      * @param {Context} ctx - Transaction context
-     * @param {string} ngoWallet - NGO wallet address
-     * @returns {Array} Array of campaign objects
+     * @param {string} donationId - Donation identifier
+     * @param {string} donorIdentity - Donor's client identity (hash preimage)
+     * @param {string} salt - Donor's salt (hash preimage)
+     * @returns {Object} Verification result with the public donation record
      */
-    async getCampaignsByNGO(ctx, ngoWallet) {
-        const queryString = JSON.stringify({
-            selector: {
-                docType: 'Campaign',
-                ngoWallet: ngoWallet
-            }
-        });
+    async verifyDonationReceipt(ctx, donationId, donorIdentity, salt) {
+        const donation = await this._getDonation(ctx, donationId);
+        return {
+            valid: privacy.computeDonorHash(donorIdentity || '', salt || '') === donation.donorHash,
+            donationId: donation.donationId,
+            campaignId: donation.campaignId,
+            amount: donation.amount,
+            timestamp: donation.timestamp,
+            txId: donation.txId
+        };
+    }
 
-        const iterator = await ctx.stub.getQueryResult(queryString);
-        const campaigns = [];
+    /**
+     * Get the private details of the caller's own donation. The donor's salt
+     * must be passed in the transient map, and the endorsing peer must belong
+     * to the collection holding the details.
+     * @param {Context} ctx - Transaction context
+     * @param {string} donationId - Donation identifier
+     * @returns {Object} Public donation record merged with its private details
+     */
+    async getDonationDetails(ctx, donationId) {
+        const donation = await this._getDonation(ctx, donationId);
+        if (privacy.getCallerDonorHash(ctx) !== donation.donorHash) {
+            throw new UnauthorizedError(`Donation ${donationId} was not made by the calling identity and salt`);
+        }
 
-        for await (const result of iterator) {
-            const campaign = JSON.parse(result.value.toString());
-            campaigns.push(campaign);
+        const detailsBytes = await ctx.stub.getPrivateData(privacy.getDonorCollection(donation.anonymous), donationId);
+        if (!detailsBytes || detailsBytes.length === 0) {
+            throw new Error(`Private details of donation ${donationId} are not available on this peer`);
         }
+        return { ...donation, ...schema.parse(detailsBytes) };
+    }
 
-        return campaigns;
+    /**
+     * Read a public donation record
+     * @param {Context} ctx - Transaction context
+     * @param {string} donationId - Donation identifier
+     * @returns {Object} Donation object
+     */
+    async _getDonation(ctx, donationId) {
+        const donationBytes = donationId && donationId.startsWith('DONATION_') ? await ctx.stub.getState(donationId) : null;
+        if (!donationBytes || donationBytes.length === 0) {
+            throw new Error(`Donation with ID ${donationId} does not exist`);
+        }
+        return schema.parse(donationBytes);
     }
 
     /**
-     * Get donation history for a campaign
+     * Record the rate used to convert donations from one currency into
+     * another (Oracle function). Rates expire after MAX_RATE_AGE_HOURS, so
+     * the oracle organisation must keep them current.
      * @param {Context} ctx - Transaction context
-     * @param {string} campaignId - Campaign identifier
-     * @returns {Array} Array of donation objects
+     * @param {string} fromCurrency - Donation currency
+     * @param {string} toCurrency - Campaign currency
+     * @param {string} rate - Units of toCurrency per unit of fromCurrency (decimal string)
+     * @returns {Object} Exchange rate object
      */
-    async getDonationHistory(ctx, campaignId) {
-        const queryString = JSON.stringify({
-            selector: {
-                docType: 'Donation',
-                campaignId: campaignId
-            }
-        });
+    async setExchangeRate(ctx, fromCurrency, toCurrency, rate) {
+        if (!fromCurrency || !toCurrency) {
+            throw new Error('Both currencies are required to set an exchange rate');
+        }
+        const from = money.parseCurrency(fromCurrency);
+        const to = money.parseCurrency(toCurrency);
+        if (from === to) {
+            throw new Error('An exchange rate needs two different currencies');
+        }
 
-        const iterator = await ctx.stub.getQueryResult(queryString);
-        const donations = [];
+        const exchangeRate = {
+            docType: 'ExchangeRate',
+            from: from,
+            to: to,
+            rate: money.parseRate(rate),
+            updatedBy: ctx.caller.id,
+            updatedAt: getTxTimestamp(ctx),
+            txId: ctx.stub.getTxID()
+        };
+        await ctx.stub.putState(money.rateKey(from, to), schema.toBuffer(exchangeRate));
 
-        for await (const result of iterator) {
-            const donation = JSON.parse(result.value.toString());
-            donations.push(donation);
-        }
+        ctx.stub.setEvent('ExchangeRateUpdated', Buffer.from(JSON.stringify(exchangeRate)));
 
-        return donations;
+        console.log(`Exchange rate ${from}/${to} set to ${exchangeRate.rate}`);
+        return exchangeRate;
     }
 
     /**
-     * Update campaign status (admin function)
+     * Get the current exchange rate between two currencies
      * @param {Context} ctx - Transaction context
-     * @param {string} campaignId - Campaign identifier
-     * @param {string} newStatus - New status (Active, Paused, Cancelled, Completed)
-     * @param {string} reason - Reason for status change
-     * @returns {Object} Updated campaign object
+     * @param {string} fromCurrency - Donation currency
+     * @param {string} toCurrency - Campaign currency
+     * @returns {Object} Exchange rate object
      */
-    async updateCampaignStatus(ctx, campaignId, newStatus, reason) {
-        console.log('============= START : Update Campaign Status ===========');
-
-        const validStatuses = ['Active', 'Paused', 'Cancelled', 'Completed', 'GoalReached'];
-        if (!validStatuses.includes(newStatus)) {
-            throw new Error(`Invalid status: ${newStatus}. Valid statuses: ${validStatuses.join(', ')}`);
+    async getExchangeRate(ctx, fromCurrency, toCurrency) {
+        const from = money.parseCurrency(fromCurrency);
+        const to = money.parseCurrency(toCurrency);
+        const rate = await money.getRate(ctx, from, to);
+        if (!rate) {
+            throw new Error(`Exchange rate from ${from} to ${to} does not exist`);
         }
+        return rate;
+    }
 
-        // Get campaign
+    /**
+     * Pledge a recurring donation to a campaign. Donor details are read from
+     * the transient map as for donate. Installments are recorded by the
+     * pledge scheduler with executePledge, the first one at startDate.
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} amount - Amount of each installment (minor units of the campaign currency)
+     * @param {string} period - weekly, monthly or quarterly
+     * @param {string} installments - Number of installments (optional, open-ended when empty)
+     * @param {string} startDate - Due date of the first installment (optional, defaults to now)
+     * @returns {Object} Pledge object
+     */
+    async createPledge(ctx, campaignId, amount, period, installments, startDate) {
+        console.log('============= START : Create Pledge ===========');
+
+        const donor = privacy.readDonorInput(ctx);
+        const donorHash = privacy.computeDonorHash(ctx.caller.id, donor.salt);
+        const pledgeAmount = money.parseMinorUnits(amount, 'Pledge amount');
+        const pledgePeriod = pledges.parsePeriod(period);
+        const installmentCount = pledges.parseInstallments(installments);
+
+        const campaign = await this.readCampaign(ctx, campaignId);
+        this._assertDonationsOpen(ctx, campaign);
+
+        const timestamp = getTxTimestamp(ctx);
+        let firstDueAt = timestamp;
+        if (startDate) {
+            if (Number.isNaN(Date.parse(startDate))) {
+                throw new Error(`Invalid pledge start date: ${startDate}`);
+            }
+            firstDueAt = new Date(Math.max(Date.parse(startDate), getTxDate(ctx).getTime())).toISOString();
+        }
+        if (new Date(firstDueAt) > new Date(campaign.deadline)) {
+            throw new Error(`The first installment of a pledge must fall before the campaign deadline ${campaign.deadline}`);
+        }
+
+        const pledgeId = pledges.pledgeKey(campaignId, ctx.stub.getTxID());
+        const pledge = {
+            docType: 'Pledge',
+            pledgeId: pledgeId,
+            campaignId: campaignId,
+            donorHash: donorHash,
+            anonymous: donor.anonymous,
+            amount: pledgeAmount,
+            currency: campaign.currency,
+            period: pledgePeriod,
+            installments: installmentCount,
+            installmentsPaid: 0,
+            totalPaid: 0,
+            status: pledges.PLEDGE_STATUS.ACTIVE,
+            nextDueAt: firstDueAt,
+            lastDonationId: null,
+            lastPaidAt: null,
+            createdAt: timestamp,
+            endedAt: null,
+            endReason: null,
+            txId: ctx.stub.getTxID()
+        };
+
+        await ctx.stub.putState(pledgeId, schema.toBuffer(pledge));
+        await ctx.stub.putPrivateData(privacy.getDonorCollection(donor.anonymous), pledgeId, schema.toBuffer({
+            docType: 'PledgeDetails',
+            pledgeId: pledgeId,
+            campaignId: campaignId,
+            donorId: donor.donorId,
+            message: donor.message,
+            donorIdentity: ctx.caller.id,
+            salt: donor.salt
+        }));
+
+        ctx.stub.setEvent('PledgeCreated', Buffer.from(JSON.stringify({
+            pledgeId: pledgeId,
+            campaignId: campaignId,
+            donorHash: donorHash,
+            amount: pledgeAmount,
+            currency: pledge.currency,
+            period: pledgePeriod,
+            installments: installmentCount,
+            nextDueAt: firstDueAt,
+            createdAt: timestamp
+        })));
+
+        console.log(`Pledge ${pledgeId} created for campaign ${campaignId}`);
+        console.log('============= END : Create Pledge ===========');
+        return pledge;
+    }
+
+    /**
+     * Record a due pledge installment as a donation (admin function, run by
+     * the pledge scheduler once it has collected the payment). A pledge whose
+     * campaign can no longer take donations ends instead; one whose campaign
+     * is paused or still a draft stays due until the campaign is active.
+     * Missed installments stay due, so each call records one of them.
+     * @param {Context} ctx - Transaction context
+     * @param {string} pledgeId - Pledge identifier
+     * @returns {Object} Updated pledge object
+     */
+    async executePledge(ctx, pledgeId) {
+        console.log('============= START : Execute Pledge ===========');
+
+        const pledge = await this.getPledge(ctx, pledgeId);
+        if (pledge.status !== pledges.PLEDGE_STATUS.ACTIVE) {
+            throw new Error(`Pledge ${pledgeId} cannot be executed with status: ${pledge.status}`);
+        }
+        const now = getTxDate(ctx);
+        if (now < new Date(pledge.nextDueAt)) {
+            throw new Error(`Pledge ${pledgeId} is not due until ${pledge.nextDueAt}`);
+        }
+
+        const campaign = await this._readCampaignRecord(ctx, pledge.campaignId);
+        const timestamp = getTxTimestamp(ctx);
+        const endReason = pledges.getEndReason(campaign, now);
+        if (endReason) {
+            this._endPledge(pledge, pledges.PLEDGE_STATUS.ENDED, endReason, timestamp);
+            await ctx.stub.putState(pledgeId, schema.toBuffer(pledge));
+            ctx.stub.setEvent('PledgeEnded', Buffer.from(JSON.stringify({
+                pledgeId: pledgeId,
+                campaignId: pledge.campaignId,
+                status: pledge.status,
+                reason: endReason,
+                installmentsPaid: pledge.installmentsPaid,
+                totalPaid: pledge.totalPaid,
+                endedAt: timestamp
+            })));
+            console.log(`Pledge ${pledgeId} ended: ${endReason}`);
+            return pledge;
+        }
+        assertOperationAllowed(campaign, 'donate');
+
+        const { donation } = await this._recordDonation(ctx, campaign, {
+            amount: pledge.amount,
+            donorHash: pledge.donorHash,
+            anonymous: pledge.anonymous,
+            pledgeId: pledgeId
+        });
+
+        pledge.installmentsPaid += 1;
+        pledge.totalPaid += pledge.amount;
+        pledge.lastDonationId = donation.donationId;
+        pledge.lastPaidAt = timestamp;
+        pledge.nextDueAt = pledges.nextDueDate(pledge.nextDueAt, pledge.period);
+        if (pledge.installments !== null && pledge.installmentsPaid >= pledge.installments) {
+            this._endPledge(pledge, pledges.PLEDGE_STATUS.COMPLETED, 'All installments paid', timestamp);
+        } else {
+            // Stop now rather than at the next run if the next installment could never be accepted
+            const nextEndReason = pledges.getEndReason(campaign, new Date(pledge.nextDueAt));
+            if (nextEndReason) {
+                this._endPledge(pledge, pledges.PLEDGE_STATUS.ENDED, nextEndReason, timestamp);
+            }
+        }
+        await ctx.stub.putState(pledgeId, schema.toBuffer(pledge));
+
+        console.log(`Installment ${pledge.installmentsPaid} of pledge ${pledgeId} recorded as ${donation.donationId}`);
+        console.log('============= END : Execute Pledge ===========');
+        return pledge;
+    }
+
+    /**
+     * Cancel a pledge. The donor proves the pledge is theirs with the salt
+     * in the transient map; an admin may cancel any pledge.
+     * @param {Context} ctx - Transaction context
+     * @param {string} pledgeId - Pledge identifier
+     * @param {string} reason - Reason for cancelling (optional)
+     * @returns {Object} Updated pledge object
+     */
+    async cancelPledge(ctx, pledgeId, reason) {
+        const pledge = await this.getPledge(ctx, pledgeId);
+        let cancelledBy = ctx.caller.id;
+        if (ctx.caller.role !== ROLES.ADMIN) {
+            const donorHash = privacy.getCallerDonorHash(ctx);
+            if (donorHash !== pledge.donorHash) {
+                throw new UnauthorizedError(`Pledge ${pledgeId} was not made by the calling identity and salt`);
+            }
+            cancelledBy = privacy.donorReference(donorHash);
+        }
+        if (pledge.status !== pledges.PLEDGE_STATUS.ACTIVE) {
+            throw new Error(`Pledge ${pledgeId} is already ${pledge.status}`);
+        }
+
+        const timestamp = getTxTimestamp(ctx);
+        this._endPledge(pledge, pledges.PLEDGE_STATUS.CANCELLED, reason || 'Cancelled by donor', timestamp);
+        pledge.cancelledBy = cancelledBy;
+        await ctx.stub.putState(pledgeId, schema.toBuffer(pledge));
+
+        ctx.stub.setEvent('PledgeEnded', Buffer.from(JSON.stringify({
+            pledgeId: pledgeId,
+            campaignId: pledge.campaignId,
+            status: pledge.status,
+            reason: pledge.endReason,
+            installmentsPaid: pledge.installmentsPaid,
+            totalPaid: pledge.totalPaid,
+            endedAt: timestamp
+        })));
+
+        console.log(`Pledge ${pledgeId} cancelled`);
+        return pledge;
+    }
+
+    /**
+     * Mark a pledge as no longer collecting installments
+     * @param {Object} pledge - Pledge object (modified in place)
+     * @param {string} status - Completed, Cancelled or Ended
+     * @param {string} reason - Why the pledge stopped
+     * @param {string} timestamp - Transaction timestamp (ISO string)
+     */
+    _endPledge(pledge, status, reason, timestamp) {
+        pledge.status = status;
+        pledge.endReason = reason;
+        pledge.endedAt = timestamp;
+        pledge.nextDueAt = null;
+    }
+
+    /**
+     * Read a pledge from the ledger
+     * @param {Context} ctx - Transaction context
+     * @param {string} pledgeId - Pledge identifier
+     * @returns {Object} Pledge object
+     */
+    async getPledge(ctx, pledgeId) {
+        const pledgeBytes = pledgeId && pledgeId.startsWith('PLEDGE_') ? await ctx.stub.getState(pledgeId) : null;
+        if (!pledgeBytes || pledgeBytes.length === 0) {
+            throw new Error(`Pledge with ID ${pledgeId} does not exist`);
+        }
+        return schema.parse(pledgeBytes);
+    }
+
+    /**
+     * Get every pledge made to a campaign, oldest first
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Array} Array of pledge objects
+     */
+    async getCampaignPledges(ctx, campaignId) {
+        await this.readCampaign(ctx, campaignId);
+        return pledges.getPledges(ctx, campaignId);
+    }
+
+    /**
+     * Get the active pledges, across all campaigns, with an installment due
+     * at the transaction time. Polled by the pledge scheduler.
+     * @param {Context} ctx - Transaction context
+     * @returns {Array} Array of pledge objects, oldest first
+     */
+    async getDuePledges(ctx) {
+        return pledges.getDuePledges(ctx, getTxDate(ctx));
+    }
+
+    /**
+     * Open a matching-gift pool for a campaign. The sponsor's details are read
+     * from the transient map as for donate; until the cap is used up, every
+     * later eligible donation is matched at the given ratio.
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} cap - Most the pool will match in total (minor units of the campaign currency)
+     * @param {string} ratio - Amount matched per unit donated (decimal string, e.g. "1" or "0.5")
+     * @param {string} optionsJSON - JSON options (see lib/matching.js parseOptions, optional)
+     * @returns {Object} Matching pool object
+     */
+    async createMatchingPool(ctx, campaignId, cap, ratio, optionsJSON) {
+        console.log('============= START : Create Matching Pool ===========');
+
+        const sponsor = privacy.readDonorInput(ctx);
+        const sponsorHash = privacy.computeDonorHash(ctx.caller.id, sponsor.salt);
+        const poolCap = money.parseMinorUnits(cap, 'Matching cap');
+        const matchRatio = matching.parseRatio(ratio);
+        const options = matching.parseOptions(optionsJSON, money.parseMinorUnits);
+
+        const campaign = await this.readCampaign(ctx, campaignId);
+        this._assertDonationsOpen(ctx, campaign);
+
+        const poolId = matching.poolKey(campaignId, ctx.stub.getTxID());
+        const pool = {
+            docType: 'MatchingPool',
+            poolId: poolId,
+            campaignId: campaignId,
+            sponsorHash: sponsorHash,
+            sponsorName: options.sponsorName,
+            currency: campaign.currency,
+            cap: poolCap,
+            ratio: matchRatio,
+            minDonation: options.minDonation,
+            maxMatchPerDonation: options.maxMatchPerDonation,
+            expiresAt: options.expiresAt,
+            matchedAmount: 0,
+            matchCount: 0,
+            remaining: poolCap,
+            returnedAmount: null,
+            status: matching.POOL_STATUS.ACTIVE,
+            createdAt: getTxTimestamp(ctx),
+            closedAt: null,
+            closedBy: null,
+            txId: ctx.stub.getTxID()
+        };
+
+        await ctx.stub.putState(poolId, schema.toBuffer(pool));
+        await ctx.stub.putPrivateData(privacy.getDonorCollection(sponsor.anonymous), poolId, schema.toBuffer({
+            docType: 'MatchingPoolDetails',
+            poolId: poolId,
+            campaignId: campaignId,
+            sponsorId: sponsor.donorId,
+            message: sponsor.message,
+            sponsorIdentity: ctx.caller.id,
+            salt: sponsor.salt
+        }));
+
+        ctx.stub.setEvent('MatchingPoolCreated', Buffer.from(JSON.stringify({
+            poolId: poolId,
+            campaignId: campaignId,
+            sponsorHash: sponsorHash,
+            sponsorName: pool.sponsorName,
+            cap: poolCap,
+            currency: pool.currency,
+            ratio: matchRatio,
+            expiresAt: pool.expiresAt,
+            createdAt: pool.createdAt
+        })));
+
+        console.log(`Matching pool ${poolId} of ${poolCap} opened for campaign ${campaignId}`);
+        console.log('============= END : Create Matching Pool ===========');
+        return pool;
+    }
+
+    /**
+     * Close a matching pool so it matches no further donations. The sponsor
+     * proves the pool is theirs with the salt in the transient map; an admin
+     * may close any pool. The unmatched remainder is recorded as returned.
+     * @param {Context} ctx - Transaction context
+     * @param {string} poolId - Matching pool identifier
+     * @returns {Object} Updated matching pool object
+     */
+    async closeMatchingPool(ctx, poolId) {
+        const pool = await this.getMatchingPool(ctx, poolId);
+        let closedBy = ctx.caller.id;
+        if (ctx.caller.role !== ROLES.ADMIN) {
+            const sponsorHash = privacy.getCallerDonorHash(ctx);
+            if (sponsorHash !== pool.sponsorHash) {
+                throw new UnauthorizedError(`Matching pool ${poolId} was not opened by the calling identity and salt`);
+            }
+            closedBy = privacy.donorReference(sponsorHash);
+        }
+        if (pool.status !== matching.POOL_STATUS.ACTIVE) {
+            throw new Error(`Matching pool ${poolId} is already ${pool.status}`);
+        }
+
+        pool.status = matching.POOL_STATUS.CLOSED;
+        pool.returnedAmount = pool.remaining;
+        pool.remaining = 0;
+        pool.closedAt = getTxTimestamp(ctx);
+        pool.closedBy = closedBy;
+        await ctx.stub.putState(poolId, schema.toBuffer(pool));
+
+        ctx.stub.setEvent('MatchingPoolClosed', Buffer.from(JSON.stringify({
+            poolId: poolId,
+            campaignId: pool.campaignId,
+            matchedAmount: pool.matchedAmount,
+            returnedAmount: pool.returnedAmount,
+            closedBy: closedBy,
+            closedAt: pool.closedAt
+        })));
+
+        console.log(`Matching pool ${poolId} closed, ${pool.returnedAmount} returned to the sponsor`);
+        return pool;
+    }
+
+    /**
+     * Read a matching pool from the ledger
+     * @param {Context} ctx - Transaction context
+     * @param {string} poolId - Matching pool identifier
+     * @returns {Object} Matching pool object
+     */
+    async getMatchingPool(ctx, poolId) {
+        const poolBytes = poolId && poolId.startsWith('MATCHPOOL_') ? await ctx.stub.getState(poolId) : null;
+        if (!poolBytes || poolBytes.length === 0) {
+            throw new Error(`Matching pool with ID ${poolId} does not exist`);
+        }
+        return schema.parse(poolBytes);
+    }
+
+    /**
+     * Get every matching pool of a campaign, oldest first
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Array} Array of matching pool objects
+     */
+    async getMatchingPools(ctx, campaignId) {
+        await this.readCampaign(ctx, campaignId);
+        return matching.getPools(ctx, campaignId);
+    }
+
+    /**
+     * Verify a milestone with a single oracle call (Oracle function). Only
+     * available for campaigns without an oracle panel; campaigns with a panel
+     * are verified through submitMilestoneAttestation.
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier
+     * @param {string} verificationNotes - Optional verification notes
+     * @returns {Object} Updated campaign object
+     */
+    async setMilestoneVerified(ctx, campaignId, milestoneId, verificationNotes) {
+        console.log('============= START : Verify Milestone ===========');
+
+        // Oracle role is enforced in beforeTransaction
+        const clientId = ctx.caller.id;
+
+        // Get campaign, with the donations not yet compacted into it
+        const campaign = await this.readCampaign(ctx, campaignId);
+
+        // Check if milestone exists
+        if (!campaign.milestones || !campaign.milestones[milestoneId]) {
+            throw new Error(`Milestone ${milestoneId} not found in campaign ${campaignId}`);
+        }
+
+        // Check if already verified
+        if (campaign.milestones[milestoneId].isVerified) {
+            throw new Error(`Milestone ${milestoneId} is already verified`);
+        }
+
+        assertOperationAllowed(campaign, 'verifyMilestone');
+
+        if (campaign.oraclePanel) {
+            throw new Error(`Campaign ${campaignId} uses quorum verification; submit an attestation with submitMilestoneAttestation`);
+        }
+
+        // Verify milestone
+        campaign.milestones[milestoneId].isVerified = true;
+        campaign.milestones[milestoneId].verificationStatus = attestations.VERIFICATION_STATUS.VERIFIED;
+        campaign.milestones[milestoneId].verifiedAt = getTxTimestamp(ctx);
+        campaign.milestones[milestoneId].verifiedBy = clientId;
+        campaign.milestones[milestoneId].verificationNotes = verificationNotes || '';
+        campaign.milestones[milestoneId].isOverdue = false;
+        disputes.openChallengeWindow(campaign, campaign.milestones[milestoneId], campaign.milestones[milestoneId].verifiedAt);
+
+        // Save updated campaign
+        await this._putCampaign(ctx, campaign);
+
+        // Emit event
+        ctx.stub.setEvent('MilestoneVerified', Buffer.from(JSON.stringify({
+            campaignId: campaignId,
+            milestoneId: milestoneId,
+            verifiedBy: clientId,
+            verifiedAt: campaign.milestones[milestoneId].verifiedAt,
+            challengeEndsAt: campaign.milestones[milestoneId].challengeEndsAt,
+            budgetAmount: campaign.milestones[milestoneId].budgetAmount
+        })));
+
+        console.log(`Milestone ${milestoneId} verified for campaign ${campaignId}`);
+        console.log('============= END : Verify Milestone ===========');
+        return campaign;
+    }
+
+    /**
+     * Configure the oracle panel and quorum threshold that verify a campaign's
+     * milestones (owning NGO or admin). Cannot be changed once any milestone
+     * has attestations.
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} oracleIdsJSON - JSON array of approved oracle client identities
+     * @param {number} threshold - Number of approvals required to verify a milestone
+     * @returns {Object} Updated campaign object
+     */
+    async setOraclePanel(ctx, campaignId, oracleIdsJSON, threshold) {
+        console.log('============= START : Set Oracle Panel ===========');
+
+        const campaign = await this.readCampaign(ctx, campaignId);
+        if (ctx.caller.role !== ROLES.ADMIN) {
+            assertCampaignOwner(ctx.caller, campaign);
+        }
+
+        const attested = Object.values(campaign.milestones).some(milestone =>
+            milestone.isVerified || milestone.approvalCount > 0 || milestone.rejectionCount > 0);
+        if (attested) {
+            throw new Error(`Oracle panel of campaign ${campaignId} cannot change after milestones have been attested`);
+        }
+
+        campaign.oraclePanel = attestations.parseOraclePanel(oracleIdsJSON, threshold);
+        campaign.oraclePanel.configuredBy = ctx.caller.id;
+        campaign.oraclePanel.configuredAt = getTxTimestamp(ctx);
+
+        await this._putCampaign(ctx, campaign);
+
+        ctx.stub.setEvent('OraclePanelConfigured', Buffer.from(JSON.stringify({
+            campaignId: campaignId,
+            oracles: campaign.oraclePanel.oracles,
+            threshold: campaign.oraclePanel.threshold,
+            configuredBy: ctx.caller.id,
+            configuredAt: campaign.oraclePanel.configuredAt
+        })));
+
+        console.log(`Oracle panel of ${campaign.oraclePanel.oracles.length} set for campaign ${campaignId}`);
+        console.log('============= END : Set Oracle Panel ===========');
+        return campaign;
+    }
+
+    /**
+     * Submit an oracle's attestation for a milestone (Oracle function). The
+     * milestone is verified once approvals reach the campaign's quorum.
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier
+     * @param {string} evidenceHash - Hex SHA-256 of the off-chain evidence (photos, receipts)
+     * @param {string} verdict - approve or reject
+     * @param {string} notes - Optional attestation notes
+     * @returns {Object} Updated campaign object
+     */
+    async submitMilestoneAttestation(ctx, campaignId, milestoneId, evidenceHash, verdict, notes) {
+        console.log('============= START : Submit Milestone Attestation ===========');
+
+        const attestation = attestations.validateAttestation(evidenceHash, verdict);
+        const campaign = await this.readCampaign(ctx, campaignId);
+
+        if (!campaign.milestones || !campaign.milestones[milestoneId]) {
+            throw new Error(`Milestone ${milestoneId} not found in campaign ${campaignId}`);
+        }
+
+        const milestone = campaign.milestones[milestoneId];
+        if (milestone.isVerified) {
+            throw new Error(`Milestone ${milestoneId} is already verified`);
+        }
+
+        assertOperationAllowed(campaign, 'verifyMilestone');
+        attestations.assertPanelMember(ctx.caller, campaign);
+
+        const attestationId = attestations.attestationKey(campaignId, milestoneId, ctx.caller.id);
+        const existing = await attestations.getAttestations(ctx, campaignId, milestoneId);
+        if (existing.some(entry => entry.attestationId === attestationId && !entry.withdrawn)) {
+            throw new Error(`Oracle has already attested milestone ${milestoneId}; withdraw the attestation before submitting a new one`);
+        }
+
+        const timestamp = getTxTimestamp(ctx);
+        const record = {
+            docType: 'MilestoneAttestation',
+            attestationId: attestationId,
+            campaignId: campaignId,
+            milestoneId: milestoneId,
+            oracleId: ctx.caller.id,
+            oracleMspId: ctx.caller.mspId,
+            evidenceHash: attestation.evidenceHash,
+            verdict: attestation.verdict,
+            notes: notes || '',
+            attestedAt: timestamp,
+            txId: ctx.stub.getTxID(),
+            withdrawn: false,
+            withdrawnAt: null
+        };
+
+        await ctx.stub.putState(attestationId, schema.toBuffer(record));
+
+        // Reads do not see this transaction's writes, so tally with the new record swapped in
+        const current = existing.filter(entry => entry.attestationId !== attestationId).concat(record);
+        const quorumReached = attestations.tallyAttestations(campaign, milestone, current);
+        if (quorumReached) {
+            milestone.isVerified = true;
+            milestone.verifiedAt = timestamp;
+            milestone.verifiedBy = ctx.caller.id;
+            milestone.isOverdue = false;
+            disputes.openChallengeWindow(campaign, milestone, timestamp);
+        }
+
+        await this._putCampaign(ctx, campaign);
+
+        if (quorumReached) {
+            ctx.stub.setEvent('MilestoneVerified', Buffer.from(JSON.stringify({
+                campaignId: campaignId,
+                milestoneId: milestoneId,
+                verifiedBy: milestone.verifiedBy,
+                verifiedByOracles: milestone.verifiedByOracles,
+                evidenceHashes: milestone.evidenceHashes,
+                verifiedAt: milestone.verifiedAt,
+                challengeEndsAt: milestone.challengeEndsAt,
+                budgetAmount: milestone.budgetAmount
+            })));
+        } else {
+            ctx.stub.setEvent('MilestoneAttested', Buffer.from(JSON.stringify({
+                campaignId: campaignId,
+                milestoneId: milestoneId,
+                oracleId: ctx.caller.id,
+                verdict: record.verdict,
+                evidenceHash: record.evidenceHash,
+                approvalCount: milestone.approvalCount,
+                rejectionCount: milestone.rejectionCount,
+                verificationStatus: milestone.verificationStatus,
+                attestedAt: timestamp
+            })));
+        }
+
+        console.log(`Attestation (${record.verdict}) recorded for milestone ${milestoneId} in campaign ${campaignId}`);
+        console.log('============= END : Submit Milestone Attestation ===========');
+        return campaign;
+    }
+
+    /**
+     * Withdraw the calling oracle's attestation before the milestone reaches quorum
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier
+     * @returns {Object} Updated campaign object
+     */
+    async withdrawMilestoneAttestation(ctx, campaignId, milestoneId) {
+        console.log('============= START : Withdraw Milestone Attestation ===========');
+
+        const campaign = await this.readCampaign(ctx, campaignId);
+        if (!campaign.milestones || !campaign.milestones[milestoneId]) {
+            throw new Error(`Milestone ${milestoneId} not found in campaign ${campaignId}`);
+        }
+
+        const milestone = campaign.milestones[milestoneId];
+        if (milestone.isVerified) {
+            throw new Error(`Milestone ${milestoneId} has already reached quorum; attestations can no longer be withdrawn`);
+        }
+
+        const attestationId = attestations.attestationKey(campaignId, milestoneId, ctx.caller.id);
+        const existing = await attestations.getAttestations(ctx, campaignId, milestoneId);
+        const record = existing.find(entry => entry.attestationId === attestationId && !entry.withdrawn);
+        if (!record) {
+            throw new Error(`No active attestation by the calling oracle for milestone ${milestoneId}`);
+        }
+
+        record.withdrawn = true;
+        record.withdrawnAt = getTxTimestamp(ctx);
+        await ctx.stub.putState(attestationId, schema.toBuffer(record));
+
+        attestations.tallyAttestations(campaign, milestone, existing);
+        await this._putCampaign(ctx, campaign);
+
+        ctx.stub.setEvent('AttestationWithdrawn', Buffer.from(JSON.stringify({
+            campaignId: campaignId,
+            milestoneId: milestoneId,
+            oracleId: ctx.caller.id,
+            approvalCount: milestone.approvalCount,
+            rejectionCount: milestone.rejectionCount,
+            verificationStatus: milestone.verificationStatus,
+            withdrawnAt: record.withdrawnAt
+        })));
+
+        console.log(`Attestation withdrawn for milestone ${milestoneId} in campaign ${campaignId}`);
+        console.log('============= END : Withdraw Milestone Attestation ===========');
+        return campaign;
+    }
+
+    /**
+     * Get all attestations (including withdrawn ones) submitted for a milestone
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier
+     * @returns {Array} Array of attestation objects
+     */
+    async getMilestoneAttestations(ctx, campaignId, milestoneId) {
+        return attestations.getAttestations(ctx, campaignId, milestoneId);
+    }
+
+    /**
+     * Set how long donors can dispute a milestone after it is verified
+     * (owning NGO or admin). Applies to milestones verified afterwards. Donors
+     * give on the strength of the window in force, so the owning NGO can only
+     * change it before the campaign's first donation; after that only an
+     * admin can.
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {number} hours - Challenge period in hours (at least MIN_CHALLENGE_PERIOD_HOURS)
+     * @returns {Object} Updated campaign object
+     */
+    async setChallengePeriod(ctx, campaignId, hours) {
+        const campaign = await this.readCampaign(ctx, campaignId);
+        if (ctx.caller.role !== ROLES.ADMIN) {
+            assertCampaignOwner(ctx.caller, campaign);
+            if (campaign.currentAmount > 0) {
+                throw new UnauthorizedError(`The challenge period of campaign ${campaignId} is locked once it has donations; only an admin can change it`);
+            }
+        }
+
+        const oldHours = disputes.getChallengePeriodHours(campaign);
+        campaign.challengePeriodHours = disputes.parseChallengePeriod(hours);
+        await this._putCampaign(ctx, campaign);
+
+        ctx.stub.setEvent('ChallengePeriodSet', Buffer.from(JSON.stringify({
+            campaignId: campaignId,
+            oldHours: oldHours,
+            newHours: campaign.challengePeriodHours,
+            setBy: ctx.caller.id,
+            setAt: campaign.lastModifiedAt
+        })));
+
+        console.log(`Challenge period of campaign ${campaignId} set to ${campaign.challengePeriodHours} hours`);
+        return campaign;
+    }
+
+    /**
+     * Dispute a verified milestone during its challenge period (donors to the
+     * campaign only, proven by the salt passed in the transient map)
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier
+     * @param {string} reason - Reason for the dispute
+     * @param {string} evidenceHash - Hex SHA-256 of the off-chain evidence
+     * @returns {Object} Dispute object
+     */
+    async raiseDispute(ctx, campaignId, milestoneId, reason, evidenceHash) {
+        console.log('============= START : Raise Dispute ===========');
+
+        if (!reason) {
+            throw new Error('A reason is required to raise a dispute');
+        }
+        const normalisedHash = attestations.validateEvidenceHash(evidenceHash);
+
+        const campaign = await this.readCampaign(ctx, campaignId);
+        if (!campaign.milestones || !campaign.milestones[milestoneId]) {
+            throw new Error(`Milestone ${milestoneId} not found in campaign ${campaignId}`);
+        }
+
+        const milestone = campaign.milestones[milestoneId];
+        if (!milestone.isVerified || milestone.fundsReleased) {
+            throw new Error(`Milestone ${milestoneId} can only be disputed after verification and before its funds are released`);
+        }
+        assertOperationAllowed(campaign, 'disputeMilestone');
+
+        const now = getTxDate(ctx);
+        if (milestone.challengeEndsAt && now > new Date(milestone.challengeEndsAt)) {
+            throw new Error(`Challenge period for milestone ${milestoneId} ended at ${milestone.challengeEndsAt}`);
+        }
+
+        const donorHash = privacy.getCallerDonorHash(ctx);
+        const raisedBy = privacy.donorReference(donorHash);
+        const donors = await refunds.getDonorTotals(ctx, campaignId);
+        if (!donors.has(donorHash)) {
+            throw new UnauthorizedError(`Only donors to campaign ${campaignId} can dispute its milestones`);
+        }
+
+        const existing = await disputes.getDisputes(ctx, campaignId, milestoneId);
+        if (existing.some(dispute => dispute.raisedBy === raisedBy && dispute.status === disputes.DISPUTE_STATUS.OPEN)) {
+            throw new Error(`Caller already has an open dispute on milestone ${milestoneId}`);
+        }
+
+        const disputeId = `DISPUTE_${campaignId}_${milestoneId}_${ctx.stub.getTxID()}`;
+        const dispute = {
+            docType: 'Dispute',
+            disputeId: disputeId,
+            campaignId: campaignId,
+            milestoneId: milestoneId,
+            raisedBy: raisedBy,
+            reason: reason,
+            evidenceHash: normalisedHash,
+            status: disputes.DISPUTE_STATUS.OPEN,
+            raisedAt: getTxTimestamp(ctx),
+            resolvedBy: null,
+            resolvedAt: null,
+            resolutionNotes: null,
+            txId: ctx.stub.getTxID()
+        };
+
+        milestone.openDisputes = (milestone.openDisputes || 0) + 1;
+
+        await ctx.stub.putState(disputeId, schema.toBuffer(dispute));
+        await this._putCampaign(ctx, campaign, raisedBy);
+
+        ctx.stub.setEvent('DisputeRaised', Buffer.from(JSON.stringify({
+            disputeId: disputeId,
+            campaignId: campaignId,
+            milestoneId: milestoneId,
+            raisedBy: dispute.raisedBy,
+            reason: reason,
+            evidenceHash: normalisedHash,
+            openDisputes: milestone.openDisputes,
+            raisedAt: dispute.raisedAt
+        })));
+
+        console.log(`Dispute ${disputeId} raised on milestone ${milestoneId}`);
+        console.log('============= END : Raise Dispute ===========');
+        return dispute;
+    }
+
+    /**
+     * Resolve an open dispute (admin, or an oracle on the campaign's panel).
+     * Upholding it reverts the milestone to unverified and closes its other
+     * open disputes; dismissing it lifts this dispute's freeze on release.
+     * @param {Context} ctx - Transaction context
+     * @param {string} disputeId - Dispute identifier
+     * @param {string} outcome - upheld or dismissed
+     * @param {string} resolutionNotes - Optional resolution notes
+     * @returns {Object} Resolved dispute object
+     */
+    async resolveDispute(ctx, disputeId, outcome, resolutionNotes) {
+        console.log('============= START : Resolve Dispute ===========');
+
+        const status = disputes.parseOutcome(outcome);
+        const dispute = await this.getDispute(ctx, disputeId);
+        if (dispute.status !== disputes.DISPUTE_STATUS.OPEN) {
+            throw new Error(`Dispute ${disputeId} is already ${dispute.status}`);
+        }
+
+        const campaign = await this.readCampaign(ctx, dispute.campaignId);
+        if (ctx.caller.role === ROLES.ORACLE) {
+            attestations.assertPanelMember(ctx.caller, campaign);
+        }
+
+        const milestone = campaign.milestones[dispute.milestoneId];
+        const timestamp = getTxTimestamp(ctx);
+        const resolve = async (record, notes) => {
+            record.status = status;
+            record.resolvedBy = ctx.caller.id;
+            record.resolvedAt = timestamp;
+            record.resolutionNotes = notes;
+            await ctx.stub.putState(record.disputeId, schema.toBuffer(record));
+        };
+
+        await resolve(dispute, resolutionNotes || '');
+
+        if (status === disputes.DISPUTE_STATUS.UPHELD) {
+            const others = (await disputes.getDisputes(ctx, dispute.campaignId, dispute.milestoneId))
+                .filter(record => record.disputeId !== disputeId && record.status === disputes.DISPUTE_STATUS.OPEN);
+            for (const record of others) {
+                await resolve(record, `Resolved with dispute ${disputeId}`);
+            }
+
+            // Attestations that led to the verification no longer count
+            const recorded = await attestations.getAttestations(ctx, dispute.campaignId, dispute.milestoneId);
+            for (const attestation of recorded.filter(entry => !entry.withdrawn)) {
+                attestation.withdrawn = true;
+                attestation.withdrawnAt = timestamp;
+                attestation.withdrawnReason = `Dispute ${disputeId} upheld`;
+                await ctx.stub.putState(attestation.attestationId, schema.toBuffer(attestation));
+            }
+
+            milestone.isVerified = false;
+            milestone.verificationStatus = attestations.VERIFICATION_STATUS.PENDING;
+            milestone.verifiedAt = null;
+            milestone.verifiedBy = null;
+            milestone.approvalCount = 0;
+            milestone.rejectionCount = 0;
+            milestone.openDisputes = 0;
+            milestone.challengeEndsAt = null;
+            delete milestone.verifiedByOracles;
+            delete milestone.evidenceHashes;
+
+            await this._updateNGO(ctx, campaign.ngoWallet, ngo => ngos.recordDisputeLost(ngo, timestamp));
+        } else {
+            milestone.openDisputes = Math.max(0, (milestone.openDisputes || 0) - 1);
+        }
+
+        await this._putCampaign(ctx, campaign);
+
+        ctx.stub.setEvent('DisputeResolved', Buffer.from(JSON.stringify({
+            disputeId: disputeId,
+            campaignId: dispute.campaignId,
+            milestoneId: dispute.milestoneId,
+            outcome: status,
+            resolvedBy: ctx.caller.id,
+            milestoneVerified: milestone.isVerified,
+            openDisputes: milestone.openDisputes,
+            resolvedAt: timestamp
+        })));
+
+        console.log(`Dispute ${disputeId} ${status.toLowerCase()}`);
+        console.log('============= END : Resolve Dispute ===========');
+        return dispute;
+    }
+
+    /**
+     * Read a dispute from the ledger
+     * @param {Context} ctx - Transaction context
+     * @param {string} disputeId - Dispute identifier
+     * @returns {Object} Dispute object
+     */
+    async getDispute(ctx, disputeId) {
+        const disputeBytes = await ctx.stub.getState(disputeId);
+        if (!disputeId || !disputeId.startsWith('DISPUTE_') || !disputeBytes || disputeBytes.length === 0) {
+            throw new Error(`Dispute with ID ${disputeId} does not exist`);
+        }
+        return schema.parse(disputeBytes);
+    }
+
+    /**
+     * Get disputes raised on a campaign's milestones
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier (optional)
+     * @returns {Array} Array of dispute objects
+     */
+    async getCampaignDisputes(ctx, campaignId, milestoneId) {
+        return disputes.getDisputes(ctx, campaignId, milestoneId);
+    }
+
+    /**
+     * Release funds for a verified milestone
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier
+     * @returns {Object} Updated campaign object
+     */
+    async releaseMilestoneFunds(ctx, campaignId, milestoneId) {
+        console.log('============= START : Release Milestone Funds ===========');
+
+        // Get campaign, with every donation in its escrow
+        const campaign = await this.readCampaign(ctx, campaignId);
+
+        // Access Control - only the owning NGO (or an admin) can release funds
+        if (ctx.caller.role !== ROLES.ADMIN) {
+            assertCampaignOwner(ctx.caller, campaign);
+        }
+
+        // Check if milestone exists
+        if (!campaign.milestones || !campaign.milestones[milestoneId]) {
+            throw new Error(`Milestone ${milestoneId} not found in campaign ${campaignId}`);
+        }
+
+        const milestone = campaign.milestones[milestoneId];
+
+        // Validation checks
+        if (!milestone.isVerified) {
+            throw new Error(`Milestone ${milestoneId} is not verified yet`);
+        }
+
+        if (milestone.fundsReleased) {
+            throw new Error(`Funds for milestone ${milestoneId} have already been released`);
+        }
+
+        assertOperationAllowed(campaign, 'releaseFunds');
+        disputes.assertReleasable(milestone, getTxDate(ctx));
+
+        // Move funds out of escrow (fails if escrow cannot cover the milestone budget)
+        escrow.releaseFromEscrow(campaign, milestone.budgetAmount);
+
+        // Release funds
+        milestone.fundsReleased = true;
+        milestone.fundsReleasedAt = getTxTimestamp(ctx);
+        milestone.releasedBy = ctx.caller.id;
+
+        // Update campaign counters
+        campaign.completedMilestones += 1;
+
+        // Check if all milestones are completed
+        if (campaign.completedMilestones === campaign.totalMilestones) {
+            transitionCampaign(campaign, STATUS.COMPLETED, {
+                actors: [SYSTEM],
+                by: ctx.caller.id,
+                reason: 'All milestones released',
+                timestamp: milestone.fundsReleasedAt,
+                txId: ctx.stub.getTxID()
+            });
+        }
+
+        // Save updated campaign
+        await this._putCampaign(ctx, campaign);
+
+        // Create fund release record
+        const releaseId = `RELEASE_${campaignId}_${milestoneId}_${ctx.stub.getTxID()}`;
+        const fundRelease = {
+            docType: 'FundRelease',
+            releaseId: releaseId,
+            campaignId: campaignId,
+            milestoneId: milestoneId,
+            amount: milestone.budgetAmount,
+            recipientWallet: campaign.ngoWallet,
+            releasedAt: milestone.fundsReleasedAt,
+            releasedBy: milestone.releasedBy,
+            txId: ctx.stub.getTxID()
+        };
+
+        await ctx.stub.putState(releaseId, schema.toBuffer(fundRelease));
+
+        // Credit the NGO's wallet record
+        const wallet = await escrow.creditWallet(ctx, campaign.ngoWallet, milestone.budgetAmount, milestone.fundsReleasedAt);
+        await this._updateNGO(ctx, campaign.ngoWallet, ngo => ngos.recordMilestoneDelivered(ngo, milestone));
+
+        // One event, flagging completion if this was the last milestone (Fabric only delivers the last event set by a transaction)
+        ctx.stub.setEvent('FundsReleased', Buffer.from(JSON.stringify({
+            campaignId: campaignId,
+            milestoneId: milestoneId,
+            amount: milestone.budgetAmount,
+            recipientWallet: campaign.ngoWallet,
+            escrowBalance: campaign.escrowBalance,
+            walletBalance: wallet.balance,
+            completedMilestones: campaign.completedMilestones,
+            totalAmount: campaign.currentAmount,
+            campaignCompleted: campaign.campaignStatus === STATUS.COMPLETED,
+            releasedAt: milestone.fundsReleasedAt
+        })));
+
+        console.log(`Funds released for milestone ${milestoneId} in campaign ${campaignId}`);
+        console.log('============= END : Release Milestone Funds ===========');
+        return campaign;
+    }
+
+    /**
+     * Read a campaign from the ledger, including donations not yet compacted
+     * into it (see lib/deltas.js)
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Object} Campaign object
+     */
+    async readCampaign(ctx, campaignId) {
+        return this._foldDeltas(ctx, await this._readCampaignRecord(ctx, campaignId));
+    }
+
+    /**
+     * Add the outstanding deltas to each campaign a query returned, so lists
+     * report the same totals as readCampaign
+     * @param {Context} ctx - Transaction context
+     * @param {Array} campaigns - Campaign objects (modified in place)
+     * @returns {Array} The same campaign objects
+     */
+    async _foldEach(ctx, campaigns) {
+        for (const campaign of campaigns) {
+            await this._foldDeltas(ctx, campaign);
+        }
+        return campaigns;
+    }
+
+    /**
+     * Read a campaign record as last compacted, without its outstanding
+     * deltas. Donations read campaigns this way so they do not conflict with
+     * each other.
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Object} Campaign object
+     */
+    async _readCampaignRecord(ctx, campaignId) {
         const campaignBytes = await ctx.stub.getState(`CAMPAIGN_${campaignId}`);
         if (!campaignBytes || campaignBytes.length === 0) {
             throw new Error(`Campaign with ID ${campaignId} does not exist`);
         }
+        return schema.parse(campaignBytes);
+    }
+
+    /**
+     * Add a campaign's outstanding deltas to its totals. Writing the campaign
+     * back with _putCampaign in the same transaction deletes the deltas folded
+     * in, so a transaction that folds a campaign must write back the folded
+     * object (or a copy of it), never a record read separately.
+     * @param {Context} ctx - Transaction context
+     * @param {Object} campaign - Campaign object (modified in place)
+     * @param {Object} pending - The campaign's deltas from deltas.getDeltas (optional, read if omitted)
+     * @returns {Object} The same campaign object
+     */
+    async _foldDeltas(ctx, campaign, pending) {
+        pending = pending || (await deltas.getDeltas(ctx, campaign.campaignId)).get(campaign.campaignId);
+        if (pending) {
+            campaign.currentAmount += pending.amount;
+            escrow.depositToEscrow(campaign, pending.amount);
+            if (!campaign.lastDonationAt || pending.lastDonationAt > campaign.lastDonationAt) {
+                campaign.lastDonationAt = pending.lastDonationAt;
+            }
+            deltas.markFolded(ctx, campaign.campaignId, pending.keys);
+        }
+        return campaign;
+    }
+
+    /**
+     * Claim the caller's pro-rata refund from a cancelled or failed campaign.
+     * The donor's salt must be passed in the transient map (see lib/privacy.js).
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Object} Refund object
+     */
+    async claimRefund(ctx, campaignId) {
+        console.log('============= START : Claim Refund ===========');
+
+        const donorHash = privacy.getCallerDonorHash(ctx);
+        const { campaign, reason } = await this._getRefundableCampaign(ctx, campaignId);
+        const donors = await refunds.getDonorTotals(ctx, campaignId);
+        const donor = donors.get(donorHash);
+        if (!donor) {
+            throw new Error(`No donations to campaign ${campaignId} found for the calling identity and salt`);
+        }
+
+        const timestamp = getTxTimestamp(ctx);
+        const issuedBy = privacy.donorReference(donorHash);
+        refunds.openRefundPool(campaign, reason, timestamp);
+        const refund = await refunds.issueRefund(ctx, campaign, donorHash, donor, issuedBy, timestamp);
+
+        await this._putCampaign(ctx, campaign, issuedBy);
+        await this._updateNGO(ctx, campaign.ngoWallet, ngo => { ngo.reputation.refundsIssued += 1; });
+        this._emitRefundIssued(ctx, campaign, [refund], issuedBy, timestamp);
+
+        console.log(`Refund of ${refund.amount} issued for campaign ${campaignId}`);
+        console.log('============= END : Claim Refund ===========');
+        return refund;
+    }
+
+    /**
+     * Issue pro-rata refunds to every donor of a cancelled or failed campaign
+     * who has not claimed one yet (admin function)
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Array} Array of refund objects issued by this transaction
+     */
+    async issueRefunds(ctx, campaignId) {
+        console.log('============= START : Issue Refunds ===========');
+
+        const { campaign, reason } = await this._getRefundableCampaign(ctx, campaignId);
+        const donors = await refunds.getDonorTotals(ctx, campaignId);
+
+        const timestamp = getTxTimestamp(ctx);
+        refunds.openRefundPool(campaign, reason, timestamp);
+
+        const issued = [];
+        for (const [donorHash, donor] of donors) {
+            const existingRefundBytes = await ctx.stub.getState(refunds.refundKey(campaignId, donorHash));
+            if (existingRefundBytes && existingRefundBytes.length > 0) {
+                continue;
+            }
+            issued.push(await refunds.issueRefund(ctx, campaign, donorHash, donor, ctx.caller.id, timestamp));
+        }
+
+        await this._putCampaign(ctx, campaign);
+        if (issued.length > 0) {
+            await this._updateNGO(ctx, campaign.ngoWallet, ngo => { ngo.reputation.refundsIssued += issued.length; });
+            this._emitRefundIssued(ctx, campaign, issued, ctx.caller.id, timestamp);
+        }
+
+        console.log(`${issued.length} refunds issued for campaign ${campaignId}`);
+        console.log('============= END : Issue Refunds ===========');
+        return issued;
+    }
+
+    /**
+     * Get all refunds issued for a campaign
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Array} Array of refund objects
+     */
+    async getRefunds(ctx, campaignId) {
+        const prefix = `REFUND_${campaignId}_`;
+        const iterator = await ctx.stub.getStateByRange(prefix, `${prefix}\uffff`);
+        const issued = [];
+
+        for await (const result of iterator) {
+            const refund = schema.parse(result.value);
+            if (refund.campaignId === campaignId) {
+                issued.push(refund);
+            }
+        }
+
+        return issued;
+    }
+
+    /**
+     * Load a campaign and check that its donors are eligible for refunds
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Object} Campaign object and the reason refunds are open ({ campaign, reason })
+     */
+    async _getRefundableCampaign(ctx, campaignId) {
+        const campaign = await this.readCampaign(ctx, campaignId);
+
+        const reason = refunds.getRefundReason(campaign, getTxDate(ctx));
+        if (!reason) {
+            throw new Error(`Campaign ${campaignId} is not eligible for refunds: it must be cancelled or past its deadline without reaching its goal`);
+        }
+
+        // A campaign that missed its deadline is formally expired once refunds start
+        if (campaign.campaignStatus === STATUS.ACTIVE || campaign.campaignStatus === STATUS.PAUSED) {
+            transitionCampaign(campaign, STATUS.EXPIRED, {
+                actors: [SYSTEM],
+                by: ctx.caller.role === ROLES.ADMIN ? ctx.caller.id : SYSTEM,
+                reason: reason,
+                timestamp: getTxTimestamp(ctx),
+                txId: ctx.stub.getTxID()
+            });
+        }
+
+        return { campaign, reason };
+    }
+
+    /**
+     * Write a campaign to the ledger, stamping who changed it in which
+     * transaction so every version in its key history names its invoker, and
+     * delete the donation deltas folded into it
+     * @param {Context} ctx - Transaction context
+     * @param {Object} campaign - Campaign object (modified in place)
+     * @param {string} modifiedBy - Who to record as the invoker (optional, defaults to the caller's identity)
+     */
+    async _putCampaign(ctx, campaign, modifiedBy) {
+        await deltas.deleteFolded(ctx, campaign.campaignId);
+        campaign.lastModifiedBy = modifiedBy || ctx.caller.id;
+        campaign.lastModifiedAt = getTxTimestamp(ctx);
+        campaign.lastModifiedTxId = ctx.stub.getTxID();
+        await ctx.stub.putState(`CAMPAIGN_${campaign.campaignId}`, schema.toBuffer(campaign));
+    }
+
+    /**
+     * Apply a change to the NGO record of a wallet and write it back
+     * @param {Context} ctx - Transaction context
+     * @param {string} ngoWallet - Wallet the NGO's campaigns pay into
+     * @param {Function} update - Called with the NGO object to modify in place
+     */
+    async _updateNGO(ctx, ngoWallet, update) {
+        const ngo = await ngos.getNGO(ctx, ngoWallet);
+        update(ngo);
+        await ngos.putNGO(ctx, ngo);
+    }
+
+    /**
+     * Emit a single RefundIssued event covering every refund in the transaction
+     * (Fabric only delivers the last event set by a transaction)
+     * @param {Context} ctx - Transaction context
+     * @param {Object} campaign - Campaign object
+     * @param {Array} issued - Refund objects
+     * @param {string} issuedBy - Identity (or donor reference) issuing the refunds
+     * @param {string} timestamp - Transaction timestamp (ISO string)
+     */
+    _emitRefundIssued(ctx, campaign, issued, issuedBy, timestamp) {
+        ctx.stub.setEvent('RefundIssued', Buffer.from(JSON.stringify({
+            campaignId: campaign.campaignId,
+            refunds: issued.map(refund => ({
+                refundId: refund.refundId,
+                donorHash: refund.donorHash,
+                amount: refund.amount
+            })),
+            totalRefunded: campaign.refundedAmount,
+            escrowBalance: campaign.escrowBalance,
+            issuedBy: issuedBy,
+            issuedAt: timestamp
+        })));
+    }
+
+    /**
+     * Get the balance of a wallet that receives released milestone funds
+     * @param {Context} ctx - Transaction context
+     * @param {string} walletId - Wallet identifier (campaign ngoWallet)
+     * @returns {Object} Wallet object
+     */
+    async getWalletBalance(ctx, walletId) {
+        if (!walletId) {
+            throw new Error('Wallet ID is required');
+        }
+        return escrow.getWallet(ctx, walletId);
+    }
+
+    /**
+     * Check that donated funds are fully accounted for across the ledger
+     * (donations = escrow + released + refunded for every campaign)
+     * @param {Context} ctx - Transaction context
+     * @returns {Object} Ledger totals, validity flag and violations
+     */
+    async checkFundInvariants(ctx) {
+        return escrow.checkFundInvariants(ctx);
+    }
+
+    /**
+     * Get all campaigns (with pagination support)
+     * @param {Context} ctx - Transaction context
+     * @param {string} startKey - Start key for pagination (optional)
+     * @param {string} endKey - End key for pagination (optional)
+     * @param {number} pageSize - Page size (optional, default 10)
+     * @returns {Array} Array of campaign objects
+     */
+    async getAllCampaigns(ctx, startKey, endKey, pageSize) {
+        const iterator = await ctx.stub.getStateByRange(
+            startKey || 'CAMPAIGN_',
+            endKey || 'CAMPAIGN_\uffff'
+        );
+
+        const campaigns = [];
+        let count = 0;
+        const limit = parseInt(pageSize) || 10;
+
+        for await (const result of iterator) {
+            if (count >= limit) break;
+            
+            const campaign = schema.parse(result.value);
+            campaigns.push(campaign);
+            count++;
+        }
+
+        return this._foldEach(ctx, campaigns);
+    }
+
+    /**
+     * Get campaigns by NGO wallet
+     * @param {Context} ctx - Transaction context
+     * @param {string} ngoWallet - NGO wallet address
+     * @returns {Array} Array of campaign objects
+     */
+    async getCampaignsByNGO(ctx, ngoWallet) {
+        return this._foldEach(ctx, await this._getCampaignRecordsByNGO(ctx, ngoWallet));
+    }
+
+    /**
+     * Get the campaign records of an NGO wallet as last compacted, for
+     * checks that do not depend on their totals and should not read their
+     * deltas (which would conflict with donations)
+     * @param {Context} ctx - Transaction context
+     * @param {string} ngoWallet - NGO wallet address
+     * @returns {Array} Array of campaign objects
+     */
+    async _getCampaignRecordsByNGO(ctx, ngoWallet) {
+        const queryString = JSON.stringify({
+            selector: {
+                docType: 'Campaign',
+                ngoWallet: ngoWallet
+            }
+        });
+
+        const iterator = await ctx.stub.getQueryResult(queryString);
+        const campaigns = [];
+
+        for await (const result of iterator) {
+            const campaign = schema.parse(result.value);
+            campaigns.push(campaign);
+        }
+
+        return campaigns;
+    }
+
+    /**
+     * Get donation history for a campaign
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Array} Array of donation objects
+     */
+    async getDonationHistory(ctx, campaignId) {
+        const queryString = JSON.stringify({
+            selector: {
+                docType: 'Donation',
+                campaignId: campaignId
+            }
+        });
+
+        const iterator = await ctx.stub.getQueryResult(queryString);
+        const donations = [];
+
+        for await (const result of iterator) {
+            const donation = schema.parse(result.value);
+            donations.push(donation);
+        }
+
+        return donations;
+    }
+
+    /**
+     * Get the audit trail of a campaign: every committed version with the
+     * transaction, time, invoking identity and the fields it changed
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Array} Versions, oldest first ({ txId, timestamp, invokedBy, isDelete, changes, record })
+     */
+    async getCampaignHistory(ctx, campaignId) {
+        const versions = await history.getKeyHistory(ctx, `CAMPAIGN_${campaignId}`);
+        if (versions.length === 0) {
+            throw new Error(`Campaign with ID ${campaignId} does not exist`);
+        }
+
+        return versions.map((version, index) => ({
+            txId: version.txId,
+            timestamp: version.timestamp,
+            invokedBy: version.record ? version.record.lastModifiedBy || version.record.createdBy || null : null,
+            isDelete: version.isDelete,
+            changes: history.diffCampaign(index > 0 ? versions[index - 1].record : null, version.record),
+            record: version.record
+        }));
+    }
+
+    /**
+     * Get the audit trail of one milestone: the campaign versions in which
+     * the milestone changed, with only the milestone's own changes
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier
+     * @returns {Array} Versions, oldest first ({ txId, timestamp, invokedBy, changes, milestone })
+     */
+    async getMilestoneHistory(ctx, campaignId, milestoneId) {
+        const campaignHistory = await this.getCampaignHistory(ctx, campaignId);
+        if (!campaignHistory.some(version => version.record && version.record.milestones && version.record.milestones[milestoneId])) {
+            throw new Error(`Milestone ${milestoneId} not found in campaign ${campaignId}`);
+        }
+
+        const entries = [];
+        campaignHistory.forEach((version, index) => {
+            const previous = index > 0 ? campaignHistory[index - 1].record : null;
+            const changes = history.diffMilestone(previous, version.record, milestoneId);
+            if (changes.length > 0) {
+                entries.push({
+                    txId: version.txId,
+                    timestamp: version.timestamp,
+                    invokedBy: version.invokedBy,
+                    changes: changes,
+                    milestone: version.record && version.record.milestones ? version.record.milestones[milestoneId] || null : null
+                });
+            }
+        });
+
+        return entries;
+    }
+
+    /**
+     * Get one page of all campaigns in key order
+     * @param {Context} ctx - Transaction context
+     * @param {number} pageSize - Page size (optional, default 10, max 100)
+     * @param {string} bookmark - Bookmark returned by the previous page (optional)
+     * @returns {Object} Page of campaigns ({ records, bookmark, fetchedCount })
+     */
+    async getAllCampaignsWithPagination(ctx, pageSize, bookmark) {
+        const response = await ctx.stub.getStateByRangeWithPagination(
+            'CAMPAIGN_',
+            'CAMPAIGN_\uffff',
+            queries.parsePageSize(pageSize),
+            bookmark || ''
+        );
+        const page = await queries.toPage(response);
+        await this._foldEach(ctx, page.records);
+        return page;
+    }
+
+    /**
+     * Get one page of campaigns matching filters. The minRaised and maxRaised
+     * filters and the currentAmount sort see the totals last compacted into
+     * each campaign, while the campaigns returned include every donation
+     * (see lib/queries.js).
+     * @param {Context} ctx - Transaction context
+     * @param {string} filtersJSON - JSON object with any of: status, category, ngoWallet, tags,
+     *   deadlineFrom, deadlineTo, minGoal, maxGoal, minRaised, maxRaised, sortBy, sortOrder
+     * @param {number} pageSize - Page size (optional, default 10, max 100)
+     * @param {string} bookmark - Bookmark returned by the previous page (optional)
+     * @returns {Object} Page of campaigns ({ records, bookmark, fetchedCount })
+     */
+    async queryCampaignsWithPagination(ctx, filtersJSON, pageSize, bookmark) {
+        const filters = queries.parseFilters(filtersJSON, queries.CAMPAIGN_FILTERS);
+        const response = await ctx.stub.getQueryResultWithPagination(
+            JSON.stringify(queries.buildCampaignQuery(filters)),
+            queries.parsePageSize(pageSize),
+            bookmark || ''
+        );
+        const page = await queries.toPage(response);
+        await this._foldEach(ctx, page.records);
+        return page;
+    }
+
+    /**
+     * Get one page of an NGO's campaigns
+     * @param {Context} ctx - Transaction context
+     * @param {string} ngoWallet - NGO wallet address
+     * @param {number} pageSize - Page size (optional, default 10, max 100)
+     * @param {string} bookmark - Bookmark returned by the previous page (optional)
+     * @returns {Object} Page of campaigns ({ records, bookmark, fetchedCount })
+     */
+    async getCampaignsByNGOWithPagination(ctx, ngoWallet, pageSize, bookmark) {
+        if (!ngoWallet) {
+            throw new Error('NGO wallet is required');
+        }
+        return this.queryCampaignsWithPagination(ctx, JSON.stringify({ ngoWallet: ngoWallet }), pageSize, bookmark);
+    }
+
+    /**
+     * Get one page of a campaign's donations matching filters
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} filtersJSON - JSON object with any of: donorHash, minAmount, maxAmount,
+     *   from, to, sortBy, sortOrder
+     * @param {number} pageSize - Page size (optional, default 10, max 100)
+     * @param {string} bookmark - Bookmark returned by the previous page (optional)
+     * @returns {Object} Page of donations ({ records, bookmark, fetchedCount })
+     */
+    async getDonationHistoryWithPagination(ctx, campaignId, filtersJSON, pageSize, bookmark) {
+        if (!campaignId) {
+            throw new Error('Campaign ID is required');
+        }
+
+        const filters = queries.parseFilters(filtersJSON, queries.DONATION_FILTERS);
+        const response = await ctx.stub.getQueryResultWithPagination(
+            JSON.stringify(queries.buildDonationQuery(campaignId, filters)),
+            queries.parsePageSize(pageSize),
+            bookmark || ''
+        );
+        return queries.toPage(response);
+    }
+
+    /**
+     * Update campaign status (owning NGO or admin, depending on the transition)
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} newStatus - New status (see lib/campaign-status.js for allowed transitions)
+     * @param {string} reason - Reason for status change
+     * @returns {Object} Updated campaign object
+     */
+    async updateCampaignStatus(ctx, campaignId, newStatus, reason) {
+        console.log('============= START : Update Campaign Status ===========');
 
-        const campaign = JSON.parse(campaignBytes.toString());
+        // Get campaign, with the donations not yet compacted into it
+        const campaign = await this.readCampaign(ctx, campaignId);
         const oldStatus = campaign.campaignStatus;
 
-        // Update status
-        campaign.campaignStatus = newStatus;
-        campaign.lastStatusUpdate = new Date().toISOString();
+        // Update status, validated against the campaign state machine
+        const actors = isCampaignOwner(ctx.caller, campaign) ? [ctx.caller.role, OWNER] : [ctx.caller.role];
+        transitionCampaign(campaign, newStatus, {
+            actors: actors,
+            by: ctx.caller.id,
+            reason: reason,
+            timestamp: getTxTimestamp(ctx),
+            txId: ctx.stub.getTxID()
+        });
+        campaign.lastStatusUpdate = getTxTimestamp(ctx);
         campaign.statusUpdateReason = reason || '';
-        campaign.statusUpdatedBy = ctx.clientIdentity.getID();
+        campaign.statusUpdatedBy = ctx.caller.id;
 
         // Save updated campaign
-        await ctx.stub.putState(`CAMPAIGN_${campaignId}`, Buffer.from(JSON.stringify(campaign)));
+        await this._putCampaign(ctx, campaign);
 
         // Emit event
         ctx.stub.setEvent('CampaignStatusUpdated', Buffer.from(JSON.stringify({
@@ -571,6 +2340,214 @@ class DonationContract extends Contract {
         return campaign;
     }
 
+    /**
+     * Propose changes to a campaign's title, description, deadline, goal or
+     * milestones (owning NGO). The changes are validated now and take effect
+     * once the campaign's oracles approve them with reviewCampaignAmendment.
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} changesJSON - JSON changes (see lib/amendments.js parseChanges)
+     * @param {string} reason - Reason for the amendment
+     * @returns {Object} Amendment object
+     */
+    async amendCampaign(ctx, campaignId, changesJSON, reason) {
+        console.log('============= START : Amend Campaign ===========');
+
+        const campaign = await this.readCampaign(ctx, campaignId);
+        assertCampaignOwner(ctx.caller, campaign);
+        assertOperationAllowed(campaign, 'amendCampaign');
+
+        if (campaign.pendingAmendmentId) {
+            throw new Error(`Campaign ${campaignId} already has a pending amendment: ${campaign.pendingAmendmentId}`);
+        }
+        if (!reason) {
+            throw new Error('A reason is required to amend a campaign');
+        }
+
+        const changes = amendments.parseChanges(changesJSON);
+        const preview = amendments.applyChanges(campaign, changes, getTxDate(ctx));
+
+        const sequence = (campaign.amendmentCount || 0) + 1;
+        const amendmentId = amendments.amendmentKey(campaignId, sequence);
+        const amendment = {
+            docType: 'CampaignAmendment',
+            amendmentId: amendmentId,
+            campaignId: campaignId,
+            sequence: sequence,
+            baseVersion: amendments.getCampaignVersion(campaign),
+            version: null,
+            changes: changes,
+            diff: history.diffCampaign(campaign, preview),
+            reason: reason,
+            status: amendments.AMENDMENT_STATUS.PROPOSED,
+            proposedBy: ctx.caller.id,
+            proposedAt: getTxTimestamp(ctx),
+            reviews: [],
+            approvalCount: 0,
+            rejectionCount: 0,
+            decidedAt: null,
+            txId: ctx.stub.getTxID()
+        };
+
+        campaign.pendingAmendmentId = amendmentId;
+        campaign.amendmentCount = sequence;
+
+        await ctx.stub.putState(amendmentId, schema.toBuffer(amendment));
+        await this._putCampaign(ctx, campaign);
+
+        ctx.stub.setEvent('CampaignAmendmentProposed', Buffer.from(JSON.stringify({
+            amendmentId: amendmentId,
+            campaignId: campaignId,
+            baseVersion: amendment.baseVersion,
+            diff: amendment.diff,
+            reason: reason,
+            proposedBy: amendment.proposedBy,
+            proposedAt: amendment.proposedAt
+        })));
+
+        console.log(`Amendment ${amendmentId} proposed for campaign ${campaignId}`);
+        console.log('============= END : Amend Campaign ===========');
+        return amendment;
+    }
+
+    /**
+     * Approve or reject a proposed amendment (Oracle function, restricted to
+     * the campaign's oracle panel when it has one). The amendment is applied,
+     * and the campaign version bumped, once approvals reach the panel quorum.
+     * @param {Context} ctx - Transaction context
+     * @param {string} amendmentId - Amendment identifier
+     * @param {string} verdict - approve or reject
+     * @param {string} notes - Optional review notes
+     * @returns {Object} Amendment object
+     */
+    async reviewCampaignAmendment(ctx, amendmentId, verdict, notes) {
+        console.log('============= START : Review Campaign Amendment ===========');
+
+        const normalisedVerdict = amendments.parseVerdict(verdict);
+        const amendment = await this.getCampaignAmendment(ctx, amendmentId);
+        if (amendment.status !== amendments.AMENDMENT_STATUS.PROPOSED) {
+            throw new Error(`Amendment ${amendmentId} is already ${amendment.status}`);
+        }
+
+        let campaign = await this.readCampaign(ctx, amendment.campaignId);
+        amendments.assertReviewer(ctx.caller, campaign, amendment);
+
+        const timestamp = getTxTimestamp(ctx);
+        amendment.reviews.push({
+            oracleId: ctx.caller.id,
+            verdict: normalisedVerdict,
+            notes: notes || '',
+            reviewedAt: timestamp,
+            txId: ctx.stub.getTxID()
+        });
+        amendment.status = amendments.tallyReviews(campaign, amendment);
+
+        if (amendment.status === amendments.AMENDMENT_STATUS.APPROVED) {
+            // Donations and releases may have landed since the proposal, so validate again
+            assertOperationAllowed(campaign, 'amendCampaign');
+            const amended = amendments.applyChanges(campaign, amendment.changes, getTxDate(ctx));
+            if (amended.campaignStatus === STATUS.GOAL_REACHED && amended.currentAmount < amended.goalAmount) {
+                throw new Error(`Campaign ${campaign.campaignId} has reached its goal; the goal cannot be raised above the ${amended.currentAmount} raised`);
+            }
+            if (amended.campaignStatus === STATUS.ACTIVE && amended.currentAmount >= amended.goalAmount) {
+                transitionCampaign(amended, STATUS.GOAL_REACHED, {
+                    actors: [SYSTEM],
+                    by: ctx.caller.id,
+                    reason: `Goal amount amended to ${amended.goalAmount}`,
+                    timestamp: timestamp,
+                    txId: ctx.stub.getTxID()
+                });
+            }
+
+            amendment.diff = history.diffCampaign(campaign, amended);
+            amendment.version = amendments.getCampaignVersion(campaign) + 1;
+            amended.version = amendment.version;
+            amended.amendedAt = timestamp;
+            campaign = amended;
+        }
+
+        if (amendment.status !== amendments.AMENDMENT_STATUS.PROPOSED) {
+            amendment.decidedAt = timestamp;
+            campaign.pendingAmendmentId = null;
+            await this._putCampaign(ctx, campaign);
+        }
+        await ctx.stub.putState(amendmentId, schema.toBuffer(amendment));
+
+        ctx.stub.setEvent(amendment.status === amendments.AMENDMENT_STATUS.APPROVED ? 'CampaignAmended' : 'CampaignAmendmentReviewed', Buffer.from(JSON.stringify({
+            amendmentId: amendmentId,
+            campaignId: amendment.campaignId,
+            oracleId: ctx.caller.id,
+            verdict: normalisedVerdict,
+            status: amendment.status,
+            approvalCount: amendment.approvalCount,
+            rejectionCount: amendment.rejectionCount,
+            version: amendments.getCampaignVersion(campaign),
+            diff: amendment.status === amendments.AMENDMENT_STATUS.APPROVED ? amendment.diff : null,
+            reviewedAt: timestamp
+        })));
+
+        console.log(`Amendment ${amendmentId} reviewed (${normalisedVerdict}), now ${amendment.status}`);
+        console.log('============= END : Review Campaign Amendment ===========');
+        return amendment;
+    }
+
+    /**
+     * Withdraw a pending amendment (owning NGO)
+     * @param {Context} ctx - Transaction context
+     * @param {string} amendmentId - Amendment identifier
+     * @returns {Object} Amendment object
+     */
+    async withdrawCampaignAmendment(ctx, amendmentId) {
+        const amendment = await this.getCampaignAmendment(ctx, amendmentId);
+        const campaign = await this.readCampaign(ctx, amendment.campaignId);
+        assertCampaignOwner(ctx.caller, campaign);
+        if (amendment.status !== amendments.AMENDMENT_STATUS.PROPOSED) {
+            throw new Error(`Amendment ${amendmentId} is already ${amendment.status}`);
+        }
+
+        amendment.status = amendments.AMENDMENT_STATUS.WITHDRAWN;
+        amendment.decidedAt = getTxTimestamp(ctx);
+        campaign.pendingAmendmentId = null;
+
+        await ctx.stub.putState(amendmentId, schema.toBuffer(amendment));
+        await this._putCampaign(ctx, campaign);
+
+        ctx.stub.setEvent('CampaignAmendmentWithdrawn', Buffer.from(JSON.stringify({
+            amendmentId: amendmentId,
+            campaignId: amendment.campaignId,
+            withdrawnBy: ctx.caller.id,
+            withdrawnAt: amendment.decidedAt
+        })));
+
+        console.log(`Amendment ${amendmentId} withdrawn`);
+        return amendment;
+    }
+
+    /**
+     * Read a campaign amendment from the ledger
+     * @param {Context} ctx - Transaction context
+     * @param {string} amendmentId - Amendment identifier
+     * @returns {Object} Amendment object
+     */
+    async getCampaignAmendment(ctx, amendmentId) {
+        const amendmentBytes = await ctx.stub.getState(amendmentId);
+        if (!amendmentId || !amendmentId.startsWith('AMENDMENT_') || !amendmentBytes || amendmentBytes.length === 0) {
+            throw new Error(`Amendment with ID ${amendmentId} does not exist`);
+        }
+        return schema.parse(amendmentBytes);
+    }
+
+    /**
+     * Get every amendment proposed for a campaign, oldest first
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Array} Array of amendment objects
+     */
+    async getCampaignAmendments(ctx, campaignId) {
+        await this.readCampaign(ctx, campaignId);
+        return amendments.getAmendments(ctx, campaignId);
+    }
+
     /**
      * Get campaign analytics/summary
      * @param {Context} ctx - Transaction context
@@ -581,11 +2558,36 @@ class DonationContract extends Contract {
         const campaign = await this.readCampaign(ctx, campaignId);
         const donations = await this.getDonationHistory(ctx, campaignId);
 
-        // Calculate analytics
+        // Calculate analytics, in minor units of the campaign currency
+        const currency = campaign.currency;
         const totalDonations = donations.length;
-        const averageDonation = totalDonations > 0 ? campaign.currentAmount / totalDonations : 0;
+        const averageDonation = totalDonations > 0 ? Math.round(campaign.currentAmount / totalDonations) : 0;
         const progressPercentage = (campaign.currentAmount / campaign.goalAmount) * 100;
         
+        // Where the money came from: one-off gifts, pledge installments, imported batches and matches
+        const bySource = {
+            direct: { count: 0, amount: 0 },
+            pledge: { count: 0, amount: 0 },
+            batch: { count: 0, amount: 0 },
+            match: { count: 0, amount: 0 }
+        };
+        donations.forEach(donation => {
+            const source = bySource[donation.source] || bySource.direct;
+            source.count += 1;
+            source.amount += donation.amount;
+        });
+
+        // Recurring pledges still collecting, and what they add per period
+        const campaignPledges = await pledges.getPledges(ctx, campaignId);
+        const activePledges = campaignPledges.filter(pledge => pledge.status === pledges.PLEDGE_STATUS.ACTIVE);
+        const committedPerPeriod = {};
+        activePledges.forEach(pledge => {
+            committedPerPeriod[pledge.period] = (committedPerPeriod[pledge.period] || 0) + pledge.amount;
+        });
+
+        const pools = await matching.getPools(ctx, campaignId);
+        const activePools = pools.filter(pool => pool.status === matching.POOL_STATUS.ACTIVE);
+
         // Milestone progress
         const verifiedMilestones = Object.values(campaign.milestones).filter(m => m.isVerified).length;
         const releasedMilestones = Object.values(campaign.milestones).filter(m => m.fundsReleased).length;
@@ -593,21 +2595,532 @@ class DonationContract extends Contract {
         return {
             campaignId: campaignId,
             title: campaign.title,
+            currency: currency,
             goalAmount: campaign.goalAmount,
             currentAmount: campaign.currentAmount,
+            escrowBalance: campaign.escrowBalance,
+            releasedAmount: campaign.releasedAmount,
+            refundedAmount: campaign.refundedAmount,
             progressPercentage: Math.round(progressPercentage * 100) / 100,
             totalDonations: totalDonations,
-            averageDonation: Math.round(averageDonation * 100) / 100,
+            averageDonation: averageDonation,
+            formatted: {
+                goalAmount: money.formatAmount(campaign.goalAmount, currency),
+                currentAmount: money.formatAmount(campaign.currentAmount, currency),
+                escrowBalance: money.formatAmount(campaign.escrowBalance, currency),
+                releasedAmount: money.formatAmount(campaign.releasedAmount, currency),
+                refundedAmount: money.formatAmount(campaign.refundedAmount, currency),
+                averageDonation: money.formatAmount(averageDonation, currency)
+            },
+            donationsBySource: bySource,
+            pledges: {
+                total: campaignPledges.length,
+                active: activePledges.length,
+                committedPerPeriod: committedPerPeriod,
+                collectedAmount: bySource.pledge.amount
+            },
+            matching: {
+                pools: pools.length,
+                activePools: activePools.length,
+                totalCap: pools.reduce((sum, pool) => sum + pool.cap, 0),
+                matchedAmount: bySource.match.amount,
+                remainingAmount: activePools.reduce((sum, pool) => sum + pool.remaining, 0)
+            },
             status: campaign.campaignStatus,
             totalMilestones: campaign.totalMilestones,
             verifiedMilestones: verifiedMilestones,
             releasedMilestones: releasedMilestones,
             completedMilestones: campaign.completedMilestones,
-            daysRemaining: Math.max(0, Math.ceil((new Date(campaign.deadline) - new Date()) / (1000 * 60 * 60 * 24))),
+            daysRemaining: Math.max(0, Math.ceil((new Date(campaign.deadline) - getTxDate(ctx)) / (1000 * 60 * 60 * 24))),
             createdAt: campaign.createdAt,
             lastDonationAt: campaign.lastDonationAt
         };
     }
+
+    /**
+     * Record an advisory risk assessment of a campaign, computed off chain.
+     * Replaces the previous assessment; earlier ones remain in the key history.
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} assessmentJSON - JSON assessment ({ score, level, signals, modelVersion })
+     * @returns {Object} Risk assessment object
+     */
+    async recordRiskAssessment(ctx, campaignId, assessmentJSON) {
+        await this.readCampaign(ctx, campaignId);
+        const assessment = {
+            docType: 'RiskAssessment',
+            campaignId: campaignId,
+            ...risk.parseAssessment(assessmentJSON),
+            advisory: true,
+            assessedBy: ctx.caller.id,
+            assessedAt: getTxTimestamp(ctx),
+            txId: ctx.stub.getTxID()
+        };
+
+        await ctx.stub.putState(risk.riskKey(campaignId), schema.toBuffer(assessment));
+
+        ctx.stub.setEvent('RiskAssessed', Buffer.from(JSON.stringify({
+            campaignId: campaignId,
+            score: assessment.score,
+            level: assessment.level,
+            modelVersion: assessment.modelVersion,
+            assessedBy: assessment.assessedBy,
+            assessedAt: assessment.assessedAt
+        })));
+
+        console.log(`Risk assessment of campaign ${campaignId} recorded: ${assessment.level} (${assessment.score})`);
+        return assessment;
+    }
+
+    /**
+     * Get the latest advisory risk assessment of a campaign
+     * @param {Context} ctx - Transaction context
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Object} Risk assessment object
+     */
+    async getRiskAssessment(ctx, campaignId) {
+        const assessmentBytes = await ctx.stub.getState(risk.riskKey(campaignId));
+        if (!assessmentBytes || assessmentBytes.length === 0) {
+            throw new Error(`Risk assessment for campaign ${campaignId} does not exist`);
+        }
+        return schema.parse(assessmentBytes);
+    }
+
+    /**
+     * Sweep the ledger by deadline (run by the client's housekeeping
+     * scheduler): expire Active and Paused campaigns past their deadline,
+     * fixing their refund pool so donors can claim refunds, and flag
+     * unverified milestones past their target date as overdue, deducting
+     * reputation from the NGO the first time each one falls overdue. A single
+     * ExpirationsProcessed event covers the sweep, as Fabric only delivers the
+     * last event set by a transaction.
+     * @param {Context} ctx - Transaction context
+     * @param {string} limit - Most campaigns to change in this sweep (optional, default 50, max 200)
+     * @returns {Object} Sweep result ({ expiredCampaigns, overdueMilestones, penalties, more, processedAt })
+     */
+    async processExpirations(ctx, limit) {
+        console.log('============= START : Process Expirations ===========');
+
+        const maxChanges = expiry.parseSweepLimit(limit);
+        const now = getTxDate(ctx);
+        const timestamp = getTxTimestamp(ctx);
+        const expiredCampaigns = [];
+        const overdueMilestones = [];
+        const ngoRecords = new Map();
+        let changed = 0;
+        let more = false;
+
+        // Candidates come from a rich query, which Fabric leaves out of the read set, and only
+        // the campaigns to change are read by key: a range scan of every campaign would fail
+        // the sweep whenever any campaign was created or written in the same block
+        const iterator = await ctx.stub.getQueryResult(JSON.stringify({
+            selector: { docType: 'Campaign', campaignStatus: { $in: expiry.DELIVERING_STATUSES } }
+        }));
+        for await (const result of iterator) {
+            const candidate = schema.parse(result.value);
+            if (!expiry.isExpired(candidate, now) && expiry.getNewlyOverdue(candidate, now).length === 0) {
+                continue;
+            }
+            const campaign = await this._readCampaignRecord(ctx, candidate.campaignId);
+            let expiring = expiry.isExpired(campaign, now);
+            let reachedGoal = false;
+            if (expiring) {
+                // Donations not yet compacted count towards the goal and the refund pool
+                await this._foldDeltas(ctx, campaign);
+                reachedGoal = campaign.campaignStatus === STATUS.ACTIVE && campaign.currentAmount >= campaign.goalAmount;
+                expiring = !reachedGoal;
+            }
+            const overdue = expiring ? [] : expiry.getNewlyOverdue(campaign, now);
+            if (!expiring && !reachedGoal && overdue.length === 0) {
+                continue;
+            }
+            if (changed >= maxChanges) {
+                more = true;
+                break;
+            }
+            changed++;
+
+            // Reads do not see this transaction's writes, so NGO records are updated in memory and written once
+            if (!ngoRecords.has(campaign.ngoWallet)) {
+                ngoRecords.set(campaign.ngoWallet, { ngo: await ngos.getNGO(ctx, campaign.ngoWallet), penalty: 0 });
+            }
+            const entry = ngoRecords.get(campaign.ngoWallet);
+
+            if (reachedGoal) {
+                this._checkGoalReached(ctx, campaign, ctx.caller.id);
+            }
+            if (expiring) {
+                transitionCampaign(campaign, STATUS.EXPIRED, {
+                    actors: [SYSTEM],
+                    by: ctx.caller.id,
+                    reason: 'Deadline passed',
+                    timestamp: timestamp,
+                    txId: ctx.stub.getTxID()
+                });
+                refunds.openRefundPool(campaign, refunds.getRefundReason(campaign, now), timestamp);
+                entry.ngo.reputation.expiredCampaigns += 1;
+                expiredCampaigns.push({
+                    campaignId: campaign.campaignId,
+                    ngoWallet: campaign.ngoWallet,
+                    deadline: campaign.deadline,
+                    currentAmount: campaign.currentAmount,
+                    goalAmount: campaign.goalAmount,
+                    refundableAmount: campaign.refundPool.poolAmount
+                });
+            }
+
+            for (const milestone of overdue) {
+                entry.penalty += expiry.markOverdue(milestone, entry.ngo, timestamp);
+                overdueMilestones.push({
+                    campaignId: campaign.campaignId,
+                    ngoWallet: campaign.ngoWallet,
+                    milestoneId: milestone.milestoneId,
+                    targetDate: milestone.targetDate,
+                    overdueAt: milestone.overdueAt
+                });
+            }
+
+            await this._putCampaign(ctx, campaign);
+        }
+
+        const penalties = [];
+        for (const { ngo, penalty } of ngoRecords.values()) {
+            await ngos.putNGO(ctx, ngo);
+            if (penalty > 0) {
+                penalties.push({ ngoWallet: ngo.ngoWallet, penalty: penalty, score: ngo.reputation.score });
+            }
+        }
+
+        const sweep = { expiredCampaigns, overdueMilestones, penalties, more, processedAt: timestamp };
+        if (changed > 0) {
+            ctx.stub.setEvent('ExpirationsProcessed', Buffer.from(JSON.stringify(sweep)));
+        }
+
+        console.log(`Expired ${expiredCampaigns.length} campaign(s), flagged ${overdueMilestones.length} overdue milestone(s)`);
+        console.log('============= END : Process Expirations ===========');
+        return sweep;
+    }
+
+    /**
+     * Fold outstanding donation deltas into their campaigns and delete them
+     * (run by the client's housekeeping scheduler), moving campaigns whose
+     * deltas reached the goal to GoalReached. Keeps the deltas a campaign read
+     * has to add up few, and the campaign record's own totals current for
+     * rich queries. A single DonationsCompacted event covers the sweep.
+     * @param {Context} ctx - Transaction context
+     * @param {string} limit - Most campaigns to compact in this sweep (optional, default 50, max 200)
+     * @returns {Object} Sweep result ({ compactedCampaigns, more, processedAt })
+     */
+    async compactDonations(ctx, limit) {
+        console.log('============= START : Compact Donations ===========');
+
+        const maxCampaigns = expiry.parseSweepLimit(limit);
+        const { totals, more } = await deltas.getCompactableDeltas(ctx, maxCampaigns);
+        const compactedCampaigns = [];
+
+        for (const [campaignId, total] of totals) {
+            const campaign = await this._foldDeltas(ctx, await this._readCampaignRecord(ctx, campaignId), total);
+            const goalReached = this._checkGoalReached(ctx, campaign, ctx.caller.id);
+            await this._putCampaign(ctx, campaign);
+
+            compactedCampaigns.push({
+                campaignId: campaignId,
+                deltas: total.keys.length,
+                amount: total.amount,
+                donations: total.donations,
+                currentAmount: campaign.currentAmount,
+                goalReached: goalReached
+            });
+        }
+
+        const sweep = { compactedCampaigns, more, processedAt: getTxTimestamp(ctx) };
+        if (compactedCampaigns.length > 0) {
+            ctx.stub.setEvent('DonationsCompacted', Buffer.from(JSON.stringify(sweep)));
+        }
+
+        console.log(`Compacted donations of ${compactedCampaigns.length} campaign(s)`);
+        console.log('============= END : Compact Donations ===========');
+        return sweep;
+    }
+
+    /**
+     * Rewrite one page of world state in the current document schemas (see
+     * lib/schema.js). Records are upgraded as they are read whether or not
+     * they have been migrated; migrating brings the stored records, and so
+     * rich queries and off-chain mirrors, up to date. Call page by page with
+     * the returned bookmark until it comes back empty. Private data and
+     * composite-key records are only upgraded as they are read. Pages are cut
+     * from a plain range query, as Fabric allows no writes after a paginated one.
+     * @param {Context} ctx - Transaction context
+     * @param {string} pageSize - Records to scan (optional, default 10, max 100)
+     * @param {string} bookmark - Key to resume from, returned by the previous page (optional)
+     * @returns {Object} Page result ({ scanned, migrated, bookmark, processedAt }), migrated listing
+     *   each rewritten record ({ key, docType, fromVersion, toVersion })
+     */
+    async migrateState(ctx, pageSize, bookmark) {
+        console.log('============= START : Migrate State ===========');
+
+        const limit = queries.parsePageSize(pageSize);
+        const iterator = await ctx.stub.getStateByRange(bookmark || '', '');
+        const migrated = [];
+        let scanned = 0;
+        let nextKey = '';
+
+        for await (const result of iterator) {
+            if (scanned >= limit) {
+                nextKey = result.key;
+                break;
+            }
+            scanned++;
+            // Parsed as stored, to see the version it was written with
+            const record = JSON.parse(result.value.toString());
+            if (!schema.isOutdated(record)) {
+                continue;
+            }
+            const fromVersion = record.schemaVersion || 1;
+            schema.upgrade(record);
+            if (record.docType === 'Campaign') {
+                await this._putCampaign(ctx, record);
+            } else {
+                await ctx.stub.putState(result.key, schema.toBuffer(record));
+            }
+            migrated.push({ key: result.key, docType: record.docType, fromVersion: fromVersion, toVersion: record.schemaVersion });
+        }
+
+        const page = { scanned, migrated, bookmark: nextKey, processedAt: getTxTimestamp(ctx) };
+        if (migrated.length > 0) {
+            ctx.stub.setEvent('StateMigrated', Buffer.from(JSON.stringify(page)));
+        }
+
+        console.log(`Migrated ${migrated.length} of ${scanned} record(s)`);
+        console.log('============= END : Migrate State ===========');
+        return page;
+    }
+
+    /**
+     * Report an NGO's overdue milestones along with its reputation
+     * @param {Context} ctx - Transaction context
+     * @param {string} ngoWallet - Wallet the NGO's campaigns pay into
+     * @returns {Object} Report ({ ngoWallet, reputation, overdueMilestones, generatedAt })
+     */
+    async getNGOOverdueReport(ctx, ngoWallet) {
+        if (!ngoWallet) {
+            throw new Error('NGO wallet is required');
+        }
+        const ngo = await ngos.getNGO(ctx, ngoWallet);
+        const campaigns = await this.getCampaignsByNGO(ctx, ngoWallet);
+        return {
+            ngoWallet: ngoWallet,
+            reputation: ngo.reputation,
+            overdueMilestones: expiry.listOverdue(campaigns, getTxDate(ctx)),
+            generatedAt: getTxTimestamp(ctx)
+        };
+    }
+
+    /**
+     * Register the calling NGO identity as the owner of a wallet and submit
+     * its KYC documents for review (NGO function). Campaigns paying into the
+     * wallet can be created once an oracle or admin approves the registration.
+     * @param {Context} ctx - Transaction context
+     * @param {string} ngoWallet - Wallet the NGO's campaigns will pay into
+     * @param {string} profileJSON - JSON object with name, registrationNumber, country (ISO 3166-1 alpha-2),
+     *   kycDocumentHash (hex SHA-256 of the off-chain KYC documents) and optionally website
+     * @returns {Object} NGO object
+     */
+    async registerNGO(ctx, ngoWallet, profileJSON) {
+        console.log('============= START : Register NGO ===========');
+
+        if (!ngoWallet) {
+            throw new Error('NGO wallet is required');
+        }
+        const profile = ngos.parseProfile(profileJSON);
+
+        const ngo = await ngos.getNGO(ctx, ngoWallet);
+        if (ngo.status !== ngos.NGO_STATUS.UNREGISTERED && ngo.status !== ngos.NGO_STATUS.REJECTED) {
+            throw new Error(`NGO wallet ${ngoWallet} is already registered`);
+        }
+        if (ngo.status === ngos.NGO_STATUS.REJECTED && !ngos.isNGOOwner(ngo, ctx.caller)) {
+            throw new UnauthorizedError(`NGO wallet ${ngoWallet} is registered to another identity`);
+        }
+
+        // A wallet already in use can only be claimed by the identity whose campaigns pay into it
+        const campaigns = await this._getCampaignRecordsByNGO(ctx, ngoWallet);
+        if (campaigns.some(campaign => !isCampaignOwner(ctx.caller, campaign))) {
+            throw new UnauthorizedError(`NGO wallet ${ngoWallet} receives funds from campaigns created by another identity`);
+        }
+
+        const timestamp = getTxTimestamp(ctx);
+        ngos.transitionNGO(ngo, ngos.NGO_STATUS.PENDING, {
+            by: ctx.caller.id,
+            reason: 'Registration submitted',
+            timestamp: timestamp,
+            txId: ctx.stub.getTxID()
+        });
+        ngo.profile = profile;
+        ngo.kycStatus = ngos.KYC_STATUS.PENDING;
+        ngo.ownerId = ctx.caller.id;
+        ngo.ownerMspId = ctx.caller.mspId;
+        ngo.registeredAt = timestamp;
+        ngo.reviewedAt = null;
+        ngo.reviewedBy = null;
+        ngo.reviewNotes = '';
+
+        await ngos.putNGO(ctx, ngo);
+
+        ctx.stub.setEvent('NGORegistered', Buffer.from(JSON.stringify({
+            ngoWallet: ngoWallet,
+            name: profile.name,
+            country: profile.country,
+            kycDocumentHash: profile.kycDocumentHash,
+            ownerId: ngo.ownerId,
+            ownerMspId: ngo.ownerMspId,
+            registeredAt: timestamp
+        })));
+
+        console.log(`NGO wallet ${ngoWallet} registered for review`);
+        console.log('============= END : Register NGO ===========');
+        return ngo;
+    }
+
+    /**
+     * Approve or reject a pending NGO registration after checking its KYC
+     * documents (oracle or admin function)
+     * @param {Context} ctx - Transaction context
+     * @param {string} ngoWallet - Wallet of the registered NGO
+     * @param {string} verdict - approve or reject
+     * @param {string} notes - Optional review notes
+     * @returns {Object} NGO object
+     */
+    async reviewNGO(ctx, ngoWallet, verdict, notes) {
+        console.log('============= START : Review NGO ===========');
+
+        const decision = amendments.parseVerdict(verdict);
+        const ngo = await this.getNGO(ctx, ngoWallet);
+        const approved = decision === attestations.VERDICT.APPROVE;
+
+        const timestamp = getTxTimestamp(ctx);
+        ngos.transitionNGO(ngo, approved ? ngos.NGO_STATUS.APPROVED : ngos.NGO_STATUS.REJECTED, {
+            by: ctx.caller.id,
+            reason: notes || (approved ? 'KYC verified' : 'KYC failed'),
+            timestamp: timestamp,
+            txId: ctx.stub.getTxID()
+        });
+        ngo.kycStatus = approved ? ngos.KYC_STATUS.VERIFIED : ngos.KYC_STATUS.FAILED;
+        ngo.reviewedAt = timestamp;
+        ngo.reviewedBy = ctx.caller.id;
+        ngo.reviewNotes = notes || '';
+
+        await ngos.putNGO(ctx, ngo);
+
+        ctx.stub.setEvent('NGOReviewed', Buffer.from(JSON.stringify({
+            ngoWallet: ngoWallet,
+            verdict: decision,
+            status: ngo.status,
+            kycStatus: ngo.kycStatus,
+            reviewedBy: ngo.reviewedBy,
+            reviewedAt: timestamp
+        })));
+
+        console.log(`NGO wallet ${ngoWallet} ${ngo.status.toLowerCase()}`);
+        console.log('============= END : Review NGO ===========');
+        return ngo;
+    }
+
+    /**
+     * Suspend an approved NGO, or reinstate a suspended one (oracle or admin
+     * function). A suspended NGO cannot create campaigns; its existing
+     * campaigns are managed through their own status.
+     * @param {Context} ctx - Transaction context
+     * @param {string} ngoWallet - Wallet of the registered NGO
+     * @param {string} newStatus - Suspended or Approved
+     * @param {string} reason - Reason for the change
+     * @returns {Object} NGO object
+     */
+    async updateNGOStatus(ctx, ngoWallet, newStatus, reason) {
+        console.log('============= START : Update NGO Status ===========');
+
+        const ngo = await this.getNGO(ctx, ngoWallet);
+        const oldStatus = ngo.status;
+
+        // Pending registrations are decided by reviewNGO, which also records the KYC outcome
+        if (oldStatus !== ngos.NGO_STATUS.APPROVED && oldStatus !== ngos.NGO_STATUS.SUSPENDED) {
+            throw new Error(`NGO ${ngoWallet} cannot be suspended or reinstated with status: ${oldStatus}`);
+        }
+
+        const timestamp = getTxTimestamp(ctx);
+        ngos.transitionNGO(ngo, newStatus, {
+            by: ctx.caller.id,
+            reason: reason,
+            timestamp: timestamp,
+            txId: ctx.stub.getTxID()
+        });
+
+        await ngos.putNGO(ctx, ngo);
+
+        ctx.stub.setEvent('NGOStatusUpdated', Buffer.from(JSON.stringify({
+            ngoWallet: ngoWallet,
+            oldStatus: oldStatus,
+            newStatus: newStatus,
+            reason: reason || '',
+            updatedBy: ctx.caller.id,
+            updatedAt: timestamp
+        })));
+
+        console.log(`NGO wallet ${ngoWallet} status updated from ${oldStatus} to ${newStatus}`);
+        console.log('============= END : Update NGO Status ===========');
+        return ngo;
+    }
+
+    /**
+     * Get a registered NGO
+     * @param {Context} ctx - Transaction context
+     * @param {string} ngoWallet - Wallet of the registered NGO
+     * @returns {Object} NGO object
+     */
+    async getNGO(ctx, ngoWallet) {
+        if (!ngoWallet) {
+            throw new Error('NGO wallet is required');
+        }
+        const ngo = await ngos.getNGO(ctx, ngoWallet);
+        if (ngo.status === ngos.NGO_STATUS.UNREGISTERED) {
+            throw new Error(`NGO with wallet ${ngoWallet} does not exist`);
+        }
+        return ngo;
+    }
+
+    /**
+     * Get a registered NGO with a summary of each of its campaigns
+     * @param {Context} ctx - Transaction context
+     * @param {string} ngoWallet - Wallet of the registered NGO
+     * @returns {Object} NGO object with campaigns (summaries by campaign ID) and campaignCounts (by status)
+     */
+    async getNGOProfile(ctx, ngoWallet) {
+        const ngo = await this.getNGO(ctx, ngoWallet);
+        const campaigns = (await this.getCampaignsByNGO(ctx, ngoWallet))
+            .map(ngos.summarizeCampaign)
+            .sort((a, b) => a.campaignId.localeCompare(b.campaignId));
+
+        const campaignCounts = {};
+        for (const campaign of campaigns) {
+            campaignCounts[campaign.campaignStatus] = (campaignCounts[campaign.campaignStatus] || 0) + 1;
+        }
+
+        return { ...ngo, campaigns, campaignCounts };
+    }
+
+    /**
+     * Get the registered NGOs
+     * @param {Context} ctx - Transaction context
+     * @param {string} status - Only NGOs with this status (optional)
+     * @returns {Array} Array of NGO objects
+     */
+    async getNGOs(ctx, status) {
+        const statuses = Object.values(ngos.NGO_STATUS).filter(value => value !== ngos.NGO_STATUS.UNREGISTERED);
+        if (status && !statuses.includes(status)) {
+            throw new Error(`Invalid NGO status: ${status}. Valid statuses: ${statuses.join(', ')}`);
+        }
+        return ngos.getNGOs(ctx, status);
+    }
 }
 
 module.exports = DonationContract;
\ No newline at end of file
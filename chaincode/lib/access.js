@@ -0,0 +1,190 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { UnauthorizedError } = require('./errors');
+
+/**
+ * Organisation MSP IDs as declared in network/configtx.yaml
+ */
+const MSP = {
+    NGO: 'NGOMSP',
+    ORACLE: 'ORACLEMSP'
+};
+
+/**
+ * Roles carried in the `role` attribute of the caller's X.509 certificate
+ */
+const ROLES = {
+    NGO: 'ngo',
+    ORACLE: 'oracle',
+    ADMIN: 'admin',
+    DONOR: 'donor'
+};
+
+const ANY_ROLE = Object.values(ROLES);
+
+/**
+ * Roles a member of each MSP is allowed to assert. Identities from any
+ * other MSP can only ever act as donors. Admins can force status changes
+ * and act on any NGO's campaigns, so only the Oracle organisation, which
+ * owns no campaigns, may issue them.
+ */
+const MSP_ROLES = {
+    [MSP.NGO]: [ROLES.NGO, ROLES.DONOR],
+    [MSP.ORACLE]: [ROLES.ORACLE, ROLES.ADMIN, ROLES.DONOR]
+};
+
+/**
+ * Role assumed when the certificate carries no `role` attribute
+ * (e.g. identities issued by cryptogen rather than a Fabric CA)
+ */
+const DEFAULT_MSP_ROLE = {
+    [MSP.NGO]: ROLES.NGO,
+    [MSP.ORACLE]: ROLES.ORACLE
+};
+
+/**
+ * Roles permitted to invoke each transaction. A transaction that is not
+ * listed here is rejected, so every new transaction must declare its policy.
+ */
+const TRANSACTION_ROLES = {
+    initLedger: [ROLES.ADMIN],
+    createCampaign: [ROLES.NGO],
+    donate: ANY_ROLE,
+    donateBatch: [ROLES.NGO, ROLES.ADMIN],
+    verifyDonationReceipt: ANY_ROLE,
+    getDonationDetails: ANY_ROLE,
+    setExchangeRate: [ROLES.ORACLE],
+    getExchangeRate: ANY_ROLE,
+    createPledge: ANY_ROLE,
+    executePledge: [ROLES.ADMIN],
+    cancelPledge: ANY_ROLE,
+    getPledge: ANY_ROLE,
+    getCampaignPledges: ANY_ROLE,
+    getDuePledges: ANY_ROLE,
+    createMatchingPool: ANY_ROLE,
+    closeMatchingPool: ANY_ROLE,
+    getMatchingPool: ANY_ROLE,
+    getMatchingPools: ANY_ROLE,
+    setMilestoneVerified: [ROLES.ORACLE],
+    setOraclePanel: [ROLES.NGO, ROLES.ADMIN],
+    submitMilestoneAttestation: [ROLES.ORACLE],
+    withdrawMilestoneAttestation: [ROLES.ORACLE],
+    getMilestoneAttestations: ANY_ROLE,
+    setChallengePeriod: [ROLES.NGO, ROLES.ADMIN],
+    raiseDispute: ANY_ROLE,
+    resolveDispute: [ROLES.ORACLE, ROLES.ADMIN],
+    getDispute: ANY_ROLE,
+    getCampaignDisputes: ANY_ROLE,
+    releaseMilestoneFunds: [ROLES.NGO, ROLES.ADMIN],
+    claimRefund: ANY_ROLE,
+    issueRefunds: [ROLES.ADMIN],
+    getRefunds: ANY_ROLE,
+    readCampaign: ANY_ROLE,
+    getCampaignHistory: ANY_ROLE,
+    getMilestoneHistory: ANY_ROLE,
+    getWalletBalance: ANY_ROLE,
+    checkFundInvariants: ANY_ROLE,
+    getAllCampaigns: ANY_ROLE,
+    getCampaignsByNGO: ANY_ROLE,
+    getDonationHistory: ANY_ROLE,
+    getAllCampaignsWithPagination: ANY_ROLE,
+    queryCampaignsWithPagination: ANY_ROLE,
+    getCampaignsByNGOWithPagination: ANY_ROLE,
+    getDonationHistoryWithPagination: ANY_ROLE,
+    updateCampaignStatus: [ROLES.NGO, ROLES.ADMIN],
+    amendCampaign: [ROLES.NGO],
+    reviewCampaignAmendment: [ROLES.ORACLE],
+    withdrawCampaignAmendment: [ROLES.NGO],
+    getCampaignAmendment: ANY_ROLE,
+    getCampaignAmendments: ANY_ROLE,
+    getCampaignAnalytics: ANY_ROLE,
+    recordRiskAssessment: [ROLES.ORACLE, ROLES.ADMIN],
+    getRiskAssessment: ANY_ROLE,
+    processExpirations: [ROLES.ADMIN],
+    compactDonations: [ROLES.ADMIN],
+    migrateState: [ROLES.ADMIN],
+    getNGOOverdueReport: ANY_ROLE,
+    registerNGO: [ROLES.NGO],
+    reviewNGO: [ROLES.ORACLE, ROLES.ADMIN],
+    updateNGOStatus: [ROLES.ORACLE, ROLES.ADMIN],
+    getNGO: ANY_ROLE,
+    getNGOProfile: ANY_ROLE,
+    getNGOs: ANY_ROLE
+};
+
+/**
+ * Resolve the invoking identity into an MSP ID and a single role
+ * @param {Context} ctx - Transaction context
+ * @returns {Object} Caller descriptor ({ id, mspId, role })
+ */
+function getCaller(ctx) {
+    const id = ctx.clientIdentity.getID();
+    const mspId = ctx.clientIdentity.getMSPID();
+    const roleAttribute = ctx.clientIdentity.getAttributeValue('role');
+
+    let role;
+    if (roleAttribute) {
+        role = roleAttribute.trim().toLowerCase();
+        const allowedRoles = MSP_ROLES[mspId] || [ROLES.DONOR];
+        if (!allowedRoles.includes(role)) {
+            throw new UnauthorizedError(`Role '${role}' cannot be asserted by members of ${mspId}`);
+        }
+    } else {
+        role = DEFAULT_MSP_ROLE[mspId] || ROLES.DONOR;
+    }
+
+    return { id, mspId, role };
+}
+
+/**
+ * Check the caller against the policy for the transaction being invoked
+ * @param {Object} caller - Caller descriptor from getCaller
+ * @param {string} transaction - Transaction function name
+ */
+function authorize(caller, transaction) {
+    const allowedRoles = TRANSACTION_ROLES[transaction];
+    if (!allowedRoles) {
+        throw new UnauthorizedError(`No access policy defined for transaction ${transaction}`);
+    }
+
+    if (!allowedRoles.includes(caller.role)) {
+        throw new UnauthorizedError(`${transaction} requires role ${allowedRoles.join(' or ')}, caller ${caller.id} (${caller.mspId}) has role ${caller.role}`);
+    }
+}
+
+/**
+ * Whether the caller is the NGO identity that created the campaign
+ * @param {Object} caller - Caller descriptor from getCaller
+ * @param {Object} campaign - Campaign object
+ * @returns {boolean} True if the caller owns the campaign
+ */
+function isCampaignOwner(caller, campaign) {
+    return caller.role === ROLES.NGO &&
+        caller.id === campaign.createdBy &&
+        caller.mspId === campaign.ngoMspId;
+}
+
+/**
+ * Check that the caller is the NGO identity that created the campaign
+ * @param {Object} caller - Caller descriptor from getCaller
+ * @param {Object} campaign - Campaign object
+ */
+function assertCampaignOwner(caller, campaign) {
+    if (!isCampaignOwner(caller, campaign)) {
+        throw new UnauthorizedError(`Only the owning NGO can manage campaign ${campaign.campaignId}`);
+    }
+}
+
+module.exports = {
+    MSP,
+    ROLES,
+    TRANSACTION_ROLES,
+    getCaller,
+    authorize,
+    isCampaignOwner,
+    assertCampaignOwner
+};
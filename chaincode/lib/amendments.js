@@ -0,0 +1,320 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { VERDICT, VERIFICATION_STATUS, getOraclePanel, assertPanelMember } = require('./attestations');
+const { parseMinorUnits } = require('./money');
+const schema = require('./schema');
+
+/**
+ * Campaign amendments. The owning NGO proposes changes to a campaign's
+ * title, description, deadline, goal or milestones; the change takes effect
+ * only once the campaign's oracle panel approves it (any single oracle when
+ * the campaign has no panel). Milestones that have been verified or released
+ * cannot be changed, and each approved amendment bumps the campaign version.
+ */
+
+const AMENDMENT_STATUS = {
+    PROPOSED: 'Proposed',
+    APPROVED: 'Approved',
+    REJECTED: 'Rejected',
+    WITHDRAWN: 'Withdrawn'
+};
+
+const CAMPAIGN_FIELDS = ['title', 'description', 'deadline', 'goalAmount'];
+const MILESTONE_FIELDS = ['title', 'description', 'budgetAmount', 'targetDate'];
+
+/**
+ * Build the ledger key of a campaign's nth amendment (zero-padded so keys sort in order)
+ * @param {string} campaignId - Campaign identifier
+ * @param {number} sequence - Amendment number, starting at 1
+ * @returns {string} Amendment key
+ */
+function amendmentKey(campaignId, sequence) {
+    return `AMENDMENT_${campaignId}_${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Get the version of a campaign (1 until its first amendment is approved)
+ * @param {Object} campaign - Campaign object
+ * @returns {number} Campaign version
+ */
+function getCampaignVersion(campaign) {
+    return campaign.version || 1;
+}
+
+/**
+ * Validate a title given in an amendment
+ * @param {*} title - Title
+ * @param {string} name - Name used in error messages
+ * @returns {string} Title
+ */
+function parseTitle(title, name) {
+    if (typeof title !== 'string' || !title.trim()) {
+        throw new Error(`${name} cannot be empty`);
+    }
+    return title;
+}
+
+/**
+ * Validate a date given in an amendment
+ * @param {*} date - Date (ISO string)
+ * @param {string} name - Name used in error messages
+ * @returns {string} Date
+ */
+function parseDate(date, name) {
+    if (Number.isNaN(Date.parse(date))) {
+        throw new Error(`Invalid ${name}: ${date}`);
+    }
+    return date;
+}
+
+/**
+ * Parse and validate the changes of a proposed amendment
+ * @param {string} changesJSON - JSON changes ({ title, description, deadline, goalAmount, milestones: { add, update, remove } })
+ * @returns {Object} Changes
+ */
+function parseChanges(changesJSON) {
+    let changes;
+    try {
+        changes = JSON.parse(changesJSON);
+    } catch (error) {
+        throw new Error(`Error parsing amendment JSON: ${error.message}`);
+    }
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw new Error('Amendment must be a JSON object');
+    }
+
+    const unknown = Object.keys(changes).filter(field => !CAMPAIGN_FIELDS.includes(field) && field !== 'milestones');
+    if (unknown.length > 0) {
+        throw new Error(`Cannot amend ${unknown.join(', ')}. Amendable fields: ${CAMPAIGN_FIELDS.join(', ')}, milestones`);
+    }
+
+    const parsed = {};
+    if (changes.title !== undefined) {
+        parsed.title = parseTitle(changes.title, 'Title');
+    }
+    if (changes.description !== undefined) {
+        parsed.description = String(changes.description);
+    }
+    if (changes.deadline !== undefined) {
+        parsed.deadline = parseDate(changes.deadline, 'deadline');
+    }
+    if (changes.goalAmount !== undefined) {
+        parsed.goalAmount = parseMinorUnits(changes.goalAmount, 'Goal amount');
+    }
+
+    if (changes.milestones !== undefined) {
+        const { add = [], update = [], remove = [] } = changes.milestones || {};
+        if (!Array.isArray(add) || !Array.isArray(update) || !Array.isArray(remove)) {
+            throw new Error('Milestone changes must list add, update and remove as arrays');
+        }
+
+        parsed.milestones = {
+            add: add.map((milestone, index) => {
+                if (!milestone || !milestone.milestoneId || !milestone.title || milestone.budgetAmount === undefined) {
+                    throw new Error(`Invalid milestone to add at index ${index}: missing required fields`);
+                }
+                return {
+                    milestoneId: milestone.milestoneId,
+                    title: parseTitle(milestone.title, `Title of milestone ${milestone.milestoneId}`),
+                    description: String(milestone.description || ''),
+                    budgetAmount: parseMinorUnits(milestone.budgetAmount, `Budget of milestone ${milestone.milestoneId}`),
+                    targetDate: milestone.targetDate === undefined ? undefined :
+                        parseDate(milestone.targetDate, `target date of milestone ${milestone.milestoneId}`)
+                };
+            }),
+            update: update.map((milestone, index) => {
+                if (!milestone || !milestone.milestoneId) {
+                    throw new Error(`Invalid milestone update at index ${index}: milestoneId is required`);
+                }
+                const fields = Object.keys(milestone).filter(field => field !== 'milestoneId');
+                const invalid = fields.filter(field => !MILESTONE_FIELDS.includes(field));
+                if (fields.length === 0 || invalid.length > 0) {
+                    throw new Error(`Invalid milestone update for ${milestone.milestoneId}. Amendable milestone fields: ${MILESTONE_FIELDS.join(', ')}`);
+                }
+                const updated = { ...milestone };
+                if (updated.title !== undefined) {
+                    updated.title = parseTitle(updated.title, `Title of milestone ${milestone.milestoneId}`);
+                }
+                if (updated.description !== undefined) {
+                    updated.description = String(updated.description);
+                }
+                if (updated.targetDate !== undefined) {
+                    updated.targetDate = parseDate(updated.targetDate, `target date of milestone ${milestone.milestoneId}`);
+                }
+                if (updated.budgetAmount !== undefined) {
+                    updated.budgetAmount = parseMinorUnits(updated.budgetAmount, `Budget of milestone ${milestone.milestoneId}`);
+                }
+                return updated;
+            }),
+            remove: remove.map(String)
+        };
+    }
+
+    if (Object.keys(parsed).length === 0) {
+        throw new Error('Amendment does not change anything');
+    }
+    return parsed;
+}
+
+/**
+ * Apply amendment changes to a copy of a campaign, enforcing the same rules
+ * as campaign creation. Run when the amendment is proposed and again when it
+ * is approved, since donations and releases may land in between.
+ * @param {Object} campaign - Current campaign object
+ * @param {Object} changes - Changes from parseChanges
+ * @param {Date} now - Transaction time
+ * @returns {Object} Amended campaign object
+ */
+function applyChanges(campaign, changes, now) {
+    const amended = JSON.parse(JSON.stringify(campaign));
+
+    if (changes.deadline !== undefined) {
+        if (now > new Date(campaign.deadline)) {
+            throw new Error(`Campaign ${campaign.campaignId} deadline has passed; its deadline cannot change after it expires`);
+        }
+        if (new Date(changes.deadline) <= now) {
+            throw new Error('The amended deadline must be in the future');
+        }
+    }
+    CAMPAIGN_FIELDS.filter(field => changes[field] !== undefined)
+        .forEach(field => { amended[field] = changes[field]; });
+
+    if (amended.goalAmount < (campaign.releasedAmount || 0)) {
+        throw new Error(`Goal amount cannot be less than the ${campaign.releasedAmount} already released`);
+    }
+
+    const milestones = changes.milestones || { add: [], update: [], remove: [] };
+    const assertAmendable = milestoneId => {
+        const milestone = amended.milestones[milestoneId];
+        if (!milestone) {
+            throw new Error(`Milestone ${milestoneId} not found in campaign ${campaign.campaignId}`);
+        }
+        if (milestone.fundsReleased || milestone.isVerified) {
+            throw new Error(`Milestone ${milestoneId} cannot be amended: it has already been ${milestone.fundsReleased ? 'released' : 'verified'}`);
+        }
+    };
+
+    for (const milestoneId of milestones.remove) {
+        assertAmendable(milestoneId);
+        delete amended.milestones[milestoneId];
+    }
+    for (const update of milestones.update) {
+        assertAmendable(update.milestoneId);
+        Object.assign(amended.milestones[update.milestoneId], update);
+        // A rescheduled milestone is overdue again only if the next sweep finds it past its new target date
+        if (update.targetDate !== undefined) {
+            amended.milestones[update.milestoneId].isOverdue = false;
+        }
+    }
+    for (const milestone of milestones.add) {
+        if (amended.milestones[milestone.milestoneId]) {
+            throw new Error(`Milestone ${milestone.milestoneId} already exists in campaign ${campaign.campaignId}`);
+        }
+        amended.milestones[milestone.milestoneId] = {
+            ...milestone,
+            targetDate: milestone.targetDate || amended.deadline,
+            isVerified: false,
+            verificationStatus: VERIFICATION_STATUS.PENDING,
+            fundsReleased: false,
+            verifiedAt: null,
+            verifiedBy: null,
+            verificationNotes: null,
+            isOverdue: false,
+            overdueAt: null
+        };
+    }
+
+    const remaining = Object.values(amended.milestones);
+    const totalBudget = remaining.reduce((sum, milestone) => sum + milestone.budgetAmount, 0);
+    if (totalBudget > amended.goalAmount) {
+        throw new Error('Total milestone budget exceeds campaign goal amount');
+    }
+    if (Object.keys(campaign.milestones).length > 0 && remaining.every(milestone => milestone.fundsReleased)) {
+        throw new Error('An amendment must leave at least one milestone to be released');
+    }
+    amended.totalMilestones = remaining.length;
+
+    return amended;
+}
+
+/**
+ * Normalise a review verdict given as a transaction argument
+ * @param {string} verdict - approve or reject
+ * @returns {string} Verdict
+ */
+function parseVerdict(verdict) {
+    const normalisedVerdict = (verdict || '').toLowerCase();
+    if (!Object.values(VERDICT).includes(normalisedVerdict)) {
+        throw new Error(`Invalid verdict: ${verdict}. Valid verdicts: ${Object.values(VERDICT).join(', ')}`);
+    }
+    return normalisedVerdict;
+}
+
+/**
+ * Check that the caller may review an amendment of the campaign
+ * @param {Object} caller - Caller descriptor
+ * @param {Object} campaign - Campaign object
+ * @param {Object} amendment - Amendment object
+ */
+function assertReviewer(caller, campaign, amendment) {
+    assertPanelMember(caller, campaign);
+    if (amendment.reviews.some(review => review.oracleId === caller.id)) {
+        throw new Error(`Oracle has already reviewed amendment ${amendment.amendmentId}`);
+    }
+}
+
+/**
+ * Count an amendment's reviews against the campaign's quorum
+ * @param {Object} campaign - Campaign object
+ * @param {Object} amendment - Amendment object (counts updated in place)
+ * @returns {string} Status the amendment should move to
+ */
+function tallyReviews(campaign, amendment) {
+    const { oracles, threshold } = getOraclePanel(campaign);
+    amendment.approvalCount = amendment.reviews.filter(review => review.verdict === VERDICT.APPROVE).length;
+    amendment.rejectionCount = amendment.reviews.filter(review => review.verdict === VERDICT.REJECT).length;
+
+    if (amendment.approvalCount >= threshold) {
+        return AMENDMENT_STATUS.APPROVED;
+    }
+    // Without a panel a single rejection decides, as a single approval would
+    const panelSize = oracles ? oracles.length : threshold;
+    return panelSize - amendment.rejectionCount < threshold ? AMENDMENT_STATUS.REJECTED : AMENDMENT_STATUS.PROPOSED;
+}
+
+/**
+ * Get every amendment proposed for a campaign, oldest first
+ * @param {Context} ctx - Transaction context
+ * @param {string} campaignId - Campaign identifier
+ * @returns {Array} Array of amendment objects
+ */
+async function getAmendments(ctx, campaignId) {
+    const prefix = `AMENDMENT_${campaignId}_`;
+    const iterator = await ctx.stub.getStateByRange(prefix, `${prefix}\uffff`);
+    const amendments = [];
+
+    for await (const result of iterator) {
+        const amendment = schema.parse(result.value);
+        if (amendment.campaignId === campaignId) {
+            amendments.push(amendment);
+        }
+    }
+
+    return amendments;
+}
+
+module.exports = {
+    AMENDMENT_STATUS,
+    amendmentKey,
+    getCampaignVersion,
+    parseChanges,
+    applyChanges,
+    parseVerdict,
+    assertReviewer,
+    tallyReviews,
+    getAmendments
+};
@@ -0,0 +1,185 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { UnauthorizedError } = require('./errors');
+const schema = require('./schema');
+
+/**
+ * M-of-N milestone verification. A campaign may name a panel of oracle
+ * identities and a quorum threshold; each oracle attests to a milestone with
+ * the SHA-256 hash of its off-chain evidence and a verdict, and the milestone
+ * is verified once the approvals reach the threshold. Campaigns without a
+ * panel accept a single approval from any oracle.
+ */
+
+const VERDICT = {
+    APPROVE: 'approve',
+    REJECT: 'reject'
+};
+
+const VERIFICATION_STATUS = {
+    PENDING: 'Pending',
+    VERIFIED: 'Verified',
+    REJECTED: 'Rejected'
+};
+
+const EVIDENCE_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Build the ledger key of an oracle's attestation for a milestone
+ * @param {string} campaignId - Campaign identifier
+ * @param {string} milestoneId - Milestone identifier
+ * @param {string} oracleId - Oracle's client identity
+ * @returns {string} Attestation key
+ */
+function attestationKey(campaignId, milestoneId, oracleId) {
+    const oracleHash = crypto.createHash('sha256').update(oracleId).digest('hex');
+    return `ATTESTATION_${campaignId}_${milestoneId}_${oracleHash}`;
+}
+
+/**
+ * Parse and validate an oracle panel definition
+ * @param {string} oracleIdsJSON - JSON array of oracle client identities
+ * @param {string} threshold - Number of approvals required
+ * @returns {Object} Oracle panel ({ oracles, threshold })
+ */
+function parseOraclePanel(oracleIdsJSON, threshold) {
+    let oracles;
+    try {
+        oracles = JSON.parse(oracleIdsJSON);
+    } catch (error) {
+        throw new Error(`Error parsing oracle IDs JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(oracles) || oracles.length === 0 || !oracles.every(id => typeof id === 'string' && id)) {
+        throw new Error('Oracle IDs must be a non-empty array of identity strings');
+    }
+    if (new Set(oracles).size !== oracles.length) {
+        throw new Error('Oracle IDs must be unique');
+    }
+
+    const quorum = Number(threshold);
+    if (!Number.isInteger(quorum) || quorum < 1 || quorum > oracles.length) {
+        throw new Error(`Quorum threshold must be an integer between 1 and ${oracles.length}`);
+    }
+
+    return { oracles, threshold: quorum };
+}
+
+/**
+ * Get the oracle panel of a campaign, defaulting to any single oracle
+ * @param {Object} campaign - Campaign object
+ * @returns {Object} Oracle panel ({ oracles, threshold }); oracles is null when any oracle may attest
+ */
+function getOraclePanel(campaign) {
+    return campaign.oraclePanel || { oracles: null, threshold: 1 };
+}
+
+/**
+ * Check that the caller sits on the campaign's oracle panel
+ * @param {Object} caller - Caller descriptor
+ * @param {Object} campaign - Campaign object
+ */
+function assertPanelMember(caller, campaign) {
+    const { oracles } = getOraclePanel(campaign);
+    if (oracles && !oracles.includes(caller.id)) {
+        throw new UnauthorizedError(`Oracle ${caller.id} is not on the verification panel of campaign ${campaign.campaignId}`);
+    }
+}
+
+/**
+ * Validate the hash of off-chain evidence (photos, receipts)
+ * @param {string} evidenceHash - Hex SHA-256 of the evidence
+ * @returns {string} Lower-case evidence hash
+ */
+function validateEvidenceHash(evidenceHash) {
+    const normalisedHash = (evidenceHash || '').toLowerCase();
+    if (!EVIDENCE_HASH_PATTERN.test(normalisedHash)) {
+        throw new Error('Evidence hash must be a hex-encoded SHA-256 digest (64 characters)');
+    }
+    return normalisedHash;
+}
+
+/**
+ * Validate an attestation's evidence hash and verdict
+ * @param {string} evidenceHash - Hex SHA-256 of the off-chain evidence
+ * @param {string} verdict - approve or reject
+ * @returns {Object} Normalised values ({ evidenceHash, verdict })
+ */
+function validateAttestation(evidenceHash, verdict) {
+    const normalisedVerdict = (verdict || '').toLowerCase();
+    if (!Object.values(VERDICT).includes(normalisedVerdict)) {
+        throw new Error(`Invalid verdict: ${verdict}. Valid verdicts: ${Object.values(VERDICT).join(', ')}`);
+    }
+
+    return { evidenceHash: validateEvidenceHash(evidenceHash), verdict: normalisedVerdict };
+}
+
+/**
+ * Get every attestation recorded for a milestone, including withdrawn ones
+ * @param {Context} ctx - Transaction context
+ * @param {string} campaignId - Campaign identifier
+ * @param {string} milestoneId - Milestone identifier
+ * @returns {Array} Array of attestation objects
+ */
+async function getAttestations(ctx, campaignId, milestoneId) {
+    const prefix = `ATTESTATION_${campaignId}_${milestoneId}_`;
+    const iterator = await ctx.stub.getStateByRange(prefix, `${prefix}\uffff`);
+    const attestations = [];
+
+    for await (const result of iterator) {
+        const attestation = schema.parse(result.value);
+        if (attestation.campaignId === campaignId && attestation.milestoneId === milestoneId) {
+            attestations.push(attestation);
+        }
+    }
+
+    return attestations;
+}
+
+/**
+ * Recount the live attestations of a milestone and update its verification status
+ * @param {Object} campaign - Campaign object
+ * @param {Object} milestone - Milestone object (modified in place)
+ * @param {Array} attestations - Attestations of the milestone
+ * @returns {boolean} True if the milestone has just reached quorum
+ */
+function tallyAttestations(campaign, milestone, attestations) {
+    const { oracles, threshold } = getOraclePanel(campaign);
+    const live = attestations.filter(attestation => !attestation.withdrawn);
+    const approvals = live.filter(attestation => attestation.verdict === VERDICT.APPROVE);
+    const rejections = live.filter(attestation => attestation.verdict === VERDICT.REJECT);
+
+    milestone.approvalCount = approvals.length;
+    milestone.rejectionCount = rejections.length;
+
+    if (approvals.length >= threshold) {
+        milestone.verificationStatus = VERIFICATION_STATUS.VERIFIED;
+        milestone.verifiedByOracles = approvals.map(attestation => attestation.oracleId);
+        milestone.evidenceHashes = approvals.map(attestation => attestation.evidenceHash);
+        return true;
+    }
+
+    // Quorum is out of reach once too many panel members have rejected
+    const panelSize = oracles ? oracles.length : Infinity;
+    milestone.verificationStatus = panelSize - rejections.length < threshold ?
+        VERIFICATION_STATUS.REJECTED : VERIFICATION_STATUS.PENDING;
+    return false;
+}
+
+module.exports = {
+    VERDICT,
+    VERIFICATION_STATUS,
+    attestationKey,
+    parseOraclePanel,
+    getOraclePanel,
+    assertPanelMember,
+    validateEvidenceHash,
+    validateAttestation,
+    getAttestations,
+    tallyAttestations
+};
@@ -0,0 +1,100 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const money = require('./money');
+
+/**
+ * Batch donation import. Offline fundraising events and payment-processor
+ * settlements produce many gifts at once; donateBatch records them in one
+ * transaction instead of one transaction per gift. Each item names the
+ * external payment it was settled under, and that reference is written to
+ * the ledger so the same payment can never be imported twice.
+ */
+
+// Items accepted in one batch; larger files are split by the importer
+const MAX_BATCH_SIZE = 200;
+
+const PAYMENT_REFERENCE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:/-]{0,127}$/;
+
+/**
+ * Ledger key recording that a payment has been imported
+ * @param {string} paymentReference - External payment reference
+ * @returns {string} Payment key
+ */
+function paymentKey(paymentReference) {
+    return `PAYMENT_${paymentReference}`;
+}
+
+/**
+ * Parse and validate a batch of donations
+ * @param {string} batchJSON - JSON array of { paymentReference, amount, currency } items,
+ *   amounts in minor units of the item currency (default the campaign currency)
+ * @returns {Array} Items ({ index, paymentReference, amount, currency })
+ */
+function parseBatch(batchJSON) {
+    let batch;
+    try {
+        batch = JSON.parse(batchJSON || '');
+    } catch (error) {
+        throw new Error(`Invalid batch JSON: ${error.message}`);
+    }
+    if (!Array.isArray(batch) || batch.length === 0 || batch.length > MAX_BATCH_SIZE) {
+        throw new Error(`A batch must be an array of between 1 and ${MAX_BATCH_SIZE} donations`);
+    }
+
+    const seen = new Set();
+    return batch.map((item, index) => {
+        try {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                throw new Error('item must be an object');
+            }
+            const paymentReference = typeof item.paymentReference === 'string' ? item.paymentReference.trim() : '';
+            if (!PAYMENT_REFERENCE_PATTERN.test(paymentReference)) {
+                throw new Error('payment reference must be 1 to 128 letters, digits or ._:/- characters');
+            }
+            if (seen.has(paymentReference)) {
+                throw new Error(`payment reference ${paymentReference} appears more than once in the batch`);
+            }
+            seen.add(paymentReference);
+
+            return {
+                index: index,
+                paymentReference: paymentReference,
+                amount: money.parseMinorUnits(item.amount, 'Donation amount'),
+                currency: item.currency ? money.parseCurrency(item.currency) : null
+            };
+        } catch (error) {
+            throw new Error(`Invalid batch item at index ${index}: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Check that none of a batch's payments has been imported before. Every
+ * already imported reference is named, so an importer can drop them all
+ * and resubmit the rest.
+ * @param {Context} ctx - Transaction context
+ * @param {Array} items - Batch items from parseBatch
+ */
+async function assertNotImported(ctx, items) {
+    const imported = [];
+    for (const item of items) {
+        const paymentBytes = await ctx.stub.getState(paymentKey(item.paymentReference));
+        if (paymentBytes && paymentBytes.length > 0) {
+            imported.push(item.paymentReference);
+        }
+    }
+    if (imported.length > 0) {
+        throw new Error(`Batch rejected, payment references already imported: ${imported.join(', ')}`);
+    }
+}
+
+module.exports = {
+    MAX_BATCH_SIZE,
+    paymentKey,
+    parseBatch,
+    assertNotImported
+};
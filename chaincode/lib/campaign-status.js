@@ -0,0 +1,162 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { ROLES } = require('./access');
+const { UnauthorizedError } = require('./errors');
+
+/**
+ * Campaign lifecycle:
+ *
+ *   Draft -> Active <-> Paused
+ *            Active -> GoalReached -> Completed
+ *   Cancelled and Expired are terminal, as is Completed.
+ *
+ * Every status change, whether requested through updateCampaignStatus or
+ * triggered by another transaction (a donation reaching the goal, the last
+ * milestone release), goes through transitionCampaign.
+ */
+const STATUS = {
+    DRAFT: 'Draft',
+    ACTIVE: 'Active',
+    PAUSED: 'Paused',
+    GOAL_REACHED: 'GoalReached',
+    COMPLETED: 'Completed',
+    CANCELLED: 'Cancelled',
+    EXPIRED: 'Expired'
+};
+
+/**
+ * Actors that can drive a transition besides the caller's own role:
+ * the NGO that owns the campaign, and the contract itself
+ */
+const OWNER = 'owner';
+const SYSTEM = 'system';
+
+/**
+ * Allowed transitions and the actors permitted to perform each one
+ */
+const TRANSITIONS = {
+    [STATUS.DRAFT]: {
+        [STATUS.ACTIVE]: [OWNER, ROLES.ADMIN],
+        [STATUS.CANCELLED]: [OWNER, ROLES.ADMIN]
+    },
+    [STATUS.ACTIVE]: {
+        [STATUS.PAUSED]: [OWNER, ROLES.ADMIN],
+        [STATUS.GOAL_REACHED]: [SYSTEM],
+        [STATUS.COMPLETED]: [SYSTEM],
+        [STATUS.CANCELLED]: [ROLES.ADMIN],
+        [STATUS.EXPIRED]: [SYSTEM, ROLES.ADMIN]
+    },
+    [STATUS.PAUSED]: {
+        [STATUS.ACTIVE]: [OWNER, ROLES.ADMIN],
+        [STATUS.CANCELLED]: [ROLES.ADMIN],
+        [STATUS.EXPIRED]: [SYSTEM, ROLES.ADMIN]
+    },
+    [STATUS.GOAL_REACHED]: {
+        [STATUS.COMPLETED]: [SYSTEM, ROLES.ADMIN],
+        [STATUS.CANCELLED]: [ROLES.ADMIN]
+    },
+    [STATUS.COMPLETED]: {},
+    [STATUS.CANCELLED]: {},
+    [STATUS.EXPIRED]: {}
+};
+
+/**
+ * Campaign statuses in which each operation may run
+ */
+const OPERATION_STATUSES = {
+    donate: {
+        description: 'accept donations',
+        statuses: [STATUS.ACTIVE]
+    },
+    verifyMilestone: {
+        description: 'verify milestones',
+        statuses: [STATUS.ACTIVE, STATUS.PAUSED, STATUS.GOAL_REACHED]
+    },
+    disputeMilestone: {
+        description: 'accept milestone disputes',
+        statuses: [STATUS.ACTIVE, STATUS.PAUSED, STATUS.GOAL_REACHED]
+    },
+    releaseFunds: {
+        description: 'release funds',
+        statuses: [STATUS.ACTIVE, STATUS.GOAL_REACHED]
+    },
+    amendCampaign: {
+        description: 'be amended',
+        statuses: [STATUS.DRAFT, STATUS.ACTIVE, STATUS.PAUSED, STATUS.GOAL_REACHED]
+    }
+};
+
+/**
+ * Get the statuses a campaign may move to next
+ * @param {string} status - Current status
+ * @returns {Array} Allowed next statuses
+ */
+function getNextStatuses(status) {
+    return Object.keys(TRANSITIONS[status] || {});
+}
+
+/**
+ * Move a campaign to a new status and append the change to its history
+ * @param {Object} campaign - Campaign object (modified in place)
+ * @param {string} newStatus - Target status
+ * @param {Object} change - Who is making the change and why
+ * @param {Array} change.actors - Actors the change is made as (caller role, OWNER and/or SYSTEM)
+ * @param {string} change.by - Identity recorded in the history
+ * @param {string} change.reason - Reason recorded in the history
+ * @param {string} change.timestamp - Transaction timestamp (ISO string)
+ * @param {string} change.txId - Transaction ID
+ */
+function transitionCampaign(campaign, newStatus, { actors, by, reason, timestamp, txId }) {
+    const oldStatus = campaign.campaignStatus;
+    if (!Object.values(STATUS).includes(newStatus)) {
+        throw new Error(`Invalid status: ${newStatus}. Valid statuses: ${Object.values(STATUS).join(', ')}`);
+    }
+
+    const allowedActors = (TRANSITIONS[oldStatus] || {})[newStatus];
+    if (!allowedActors) {
+        const nextStatuses = getNextStatuses(oldStatus);
+        throw new Error(`Invalid status transition for campaign ${campaign.campaignId}: ${oldStatus} -> ${newStatus}. ` +
+            `Allowed next states: ${nextStatuses.length > 0 ? nextStatuses.join(', ') : 'none (terminal state)'}`);
+    }
+
+    if (!actors.some(actor => allowedActors.includes(actor))) {
+        throw new UnauthorizedError(`Transition ${oldStatus} -> ${newStatus} for campaign ${campaign.campaignId} requires ${allowedActors.join(' or ')}`);
+    }
+
+    campaign.campaignStatus = newStatus;
+    campaign.statusHistory.push({
+        from: oldStatus,
+        to: newStatus,
+        by: by,
+        reason: reason || '',
+        at: timestamp,
+        txId: txId
+    });
+}
+
+/**
+ * Check that the campaign's status allows an operation
+ * @param {Object} campaign - Campaign object
+ * @param {string} operation - Operation name (key of OPERATION_STATUSES)
+ */
+function assertOperationAllowed(campaign, operation) {
+    const { description, statuses } = OPERATION_STATUSES[operation];
+    if (!statuses.includes(campaign.campaignStatus)) {
+        throw new Error(`Campaign ${campaign.campaignId} cannot ${description} with status: ${campaign.campaignStatus}. ` +
+            `Allowed statuses: ${statuses.join(', ')}`);
+    }
+}
+
+module.exports = {
+    STATUS,
+    OWNER,
+    SYSTEM,
+    TRANSITIONS,
+    getNextStatuses,
+    transitionCampaign,
+    assertOperationAllowed
+};
@@ -0,0 +1,49 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+/**
+ * Supported currencies, kept apart from money.js so the schema upgraders can
+ * scale amounts without a circular require.
+ */
+
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Supported ISO 4217 currencies and the number of decimal places of their minor unit
+ */
+const CURRENCIES = {
+    USD: 2,
+    EUR: 2,
+    GBP: 2,
+    CHF: 2,
+    CAD: 2,
+    AUD: 2,
+    INR: 2,
+    BDT: 2,
+    PKR: 2,
+    KES: 2,
+    NGN: 2,
+    ZAR: 2,
+    JPY: 0,
+    KWD: 3,
+    BHD: 3
+};
+
+/**
+ * Convert a whole number of major units into minor units
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - Currency code
+ * @returns {number} Amount in minor units
+ */
+function majorToMinorUnits(amount, currency) {
+    return amount * 10 ** CURRENCIES[currency];
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    CURRENCIES,
+    majorToMinorUnits
+};
@@ -0,0 +1,183 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const schema = require('./schema');
+
+/**
+ * Conflict-free donation accounting. A donation does not rewrite its
+ * campaign: it writes its own delta under a composite key
+ * CampaignDelta~<campaignId>~<txId>, so concurrent donations to the same
+ * campaign have no key in common and do not fail with MVCC_READ_CONFLICT
+ * (unless a matching pool matches them both, as the pool is rewritten).
+ * The campaign record holds the compacted totals; the contract adds the
+ * outstanding deltas when it reads a campaign (see _foldDeltas in index.js)
+ * and deletes them when it writes the folded campaign back, which the
+ * compactDonations sweep does periodically.
+ *
+ * Before writing a delta, a donation checks whether it takes the campaign
+ * to its goal using getPendingAmount, a rich query (so peers need CouchDB as
+ * their state database; indexCampaignDelta under META-INF serves it). Fabric does not add rich
+ * query results to the read set, so the check does not reintroduce the
+ * conflict, but it only sees deltas already committed; concurrent donations
+ * may pass the goal unnoticed, which the next donation or sweep picks up.
+ * The donation that reaches the goal folds every delta and writes the
+ * campaign itself.
+ *
+ * The compactDonations sweep finds deltas the same way and reads back by
+ * key only those it folds (see getCompactableDeltas), so donations
+ * committed while it runs do not fail it with PHANTOM_READ_CONFLICT.
+ */
+
+const DELTA_OBJECT_TYPE = 'CampaignDelta';
+
+// Delta keys folded into campaigns by each transaction ({ campaignId: keys } by context)
+const folded = new WeakMap();
+
+/**
+ * Record gifts to a campaign as a delta of the current transaction
+ * @param {Context} ctx - Transaction context
+ * @param {string} campaignId - Campaign identifier
+ * @param {Object} delta - Delta ({ amount, donations, timestamp }), amount added to the
+ *   campaign's total and escrow
+ */
+async function putDelta(ctx, campaignId, { amount, donations, timestamp }) {
+    const txId = ctx.stub.getTxID();
+    await ctx.stub.putState(ctx.stub.createCompositeKey(DELTA_OBJECT_TYPE, [campaignId, txId]), schema.toBuffer({
+        docType: DELTA_OBJECT_TYPE,
+        campaignId: campaignId,
+        amount: amount,
+        donations: donations,
+        timestamp: timestamp,
+        txId: txId
+    }));
+}
+
+/**
+ * Read the outstanding deltas of a campaign, or of every campaign
+ * @param {Context} ctx - Transaction context
+ * @param {string} campaignId - Campaign identifier (optional, default all campaigns)
+ * @returns {Map} Totals by campaign ID ({ amount, donations, lastDonationAt, keys })
+ */
+async function getDeltas(ctx, campaignId) {
+    const iterator = await ctx.stub.getStateByPartialCompositeKey(DELTA_OBJECT_TYPE, campaignId ? [campaignId] : []);
+    const totals = new Map();
+
+    for await (const result of iterator) {
+        addToTotals(totals, result.key, schema.parse(result.value));
+    }
+
+    return totals;
+}
+
+/**
+ * Find the outstanding deltas of up to maxCampaigns campaigns for a
+ * compaction sweep, one campaign at a time in key order. The deltas are
+ * found with a rich query, which stops at the first delta of the campaign
+ * past the limit, and each is read back by key, so the sweep's read set
+ * holds only the deltas it folds: a donation committed meanwhile adds a
+ * delta the sweep neither folds nor conflicts with.
+ * @param {Context} ctx - Transaction context
+ * @param {number} maxCampaigns - Most campaigns to return
+ * @returns {Object} Deltas ({ totals, more }), totals by campaign ID as from getDeltas
+ */
+async function getCompactableDeltas(ctx, maxCampaigns) {
+    const iterator = await ctx.stub.getQueryResult(JSON.stringify({
+        selector: { docType: DELTA_OBJECT_TYPE }
+    }));
+    const totals = new Map();
+    let more = false;
+
+    for await (const result of iterator) {
+        const { campaignId } = schema.parse(result.value);
+        if (!totals.has(campaignId) && totals.size >= maxCampaigns) {
+            more = true;
+            break;
+        }
+        const deltaBytes = await ctx.stub.getState(result.key);
+        if (deltaBytes && deltaBytes.length > 0) {
+            addToTotals(totals, result.key, schema.parse(deltaBytes));
+        }
+    }
+
+    return { totals, more };
+}
+
+/**
+ * Add a delta to its campaign's totals
+ * @param {Map} totals - Totals by campaign ID (modified in place)
+ * @param {string} key - Delta key
+ * @param {Object} delta - Delta record
+ */
+function addToTotals(totals, key, delta) {
+    if (!totals.has(delta.campaignId)) {
+        totals.set(delta.campaignId, { amount: 0, donations: 0, lastDonationAt: null, keys: [] });
+    }
+    const total = totals.get(delta.campaignId);
+    total.amount += delta.amount;
+    total.donations += delta.donations;
+    total.lastDonationAt = total.lastDonationAt > delta.timestamp ? total.lastDonationAt : delta.timestamp;
+    total.keys.push(key);
+}
+
+/**
+ * Sum a campaign's committed deltas without adding them to the read set
+ * @param {Context} ctx - Transaction context
+ * @param {string} campaignId - Campaign identifier
+ * @returns {number} Amount not yet compacted into the campaign
+ */
+async function getPendingAmount(ctx, campaignId) {
+    const iterator = await ctx.stub.getQueryResult(JSON.stringify({
+        selector: { docType: DELTA_OBJECT_TYPE, campaignId: campaignId }
+    }));
+    let amount = 0;
+    for await (const result of iterator) {
+        amount += schema.parse(result.value).amount;
+    }
+    return amount;
+}
+
+/**
+ * Remember the delta keys a transaction has folded into a campaign
+ * @param {Context} ctx - Transaction context
+ * @param {string} campaignId - Campaign identifier
+ * @param {Array} keys - Delta keys
+ */
+function markFolded(ctx, campaignId, keys) {
+    if (!folded.has(ctx)) {
+        folded.set(ctx, new Map());
+    }
+    const campaigns = folded.get(ctx);
+    campaigns.set(campaignId, [...new Set([...(campaigns.get(campaignId) || []), ...keys])]);
+}
+
+/**
+ * Delete the deltas a transaction has folded into a campaign, once it
+ * writes the campaign back
+ * @param {Context} ctx - Transaction context
+ * @param {string} campaignId - Campaign identifier
+ * @returns {number} Deltas deleted
+ */
+async function deleteFolded(ctx, campaignId) {
+    const campaigns = folded.get(ctx);
+    const keys = (campaigns && campaigns.get(campaignId)) || [];
+    for (const key of keys) {
+        await ctx.stub.deleteState(key);
+    }
+    if (campaigns) {
+        campaigns.delete(campaignId);
+    }
+    return keys.length;
+}
+
+module.exports = {
+    DELTA_OBJECT_TYPE,
+    putDelta,
+    getDeltas,
+    getCompactableDeltas,
+    getPendingAmount,
+    markFolded,
+    deleteFolded
+};
@@ -0,0 +1,126 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const schema = require('./schema');
+
+/**
+ * Challenge window for verified milestones. After verification, donors to
+ * the campaign have a configurable period to dispute the milestone; funds
+ * cannot be released until the window has passed and every dispute has
+ * been resolved. An upheld dispute sends the milestone back for verification.
+ */
+
+const DEFAULT_CHALLENGE_PERIOD_HOURS = 72;
+
+// Shortest window a campaign may set, so donors always have a chance to object
+const MIN_CHALLENGE_PERIOD_HOURS = 24;
+
+const DISPUTE_STATUS = {
+    OPEN: 'Open',
+    UPHELD: 'Upheld',
+    DISMISSED: 'Dismissed'
+};
+
+const OUTCOME_STATUS = {
+    upheld: DISPUTE_STATUS.UPHELD,
+    dismissed: DISPUTE_STATUS.DISMISSED
+};
+
+/**
+ * Get the challenge period of a campaign in hours
+ * @param {Object} campaign - Campaign object
+ * @returns {number} Challenge period (hours)
+ */
+function getChallengePeriodHours(campaign) {
+    return typeof campaign.challengePeriodHours === 'number' ?
+        campaign.challengePeriodHours : DEFAULT_CHALLENGE_PERIOD_HOURS;
+}
+
+/**
+ * Validate a challenge period given as a transaction argument
+ * @param {string} hours - Challenge period (hours)
+ * @returns {number} Challenge period (hours)
+ */
+function parseChallengePeriod(hours) {
+    const period = Number(hours);
+    if (hours === '' || !Number.isInteger(period) || period < MIN_CHALLENGE_PERIOD_HOURS) {
+        throw new Error(`Challenge period must be a whole number of hours, at least ${MIN_CHALLENGE_PERIOD_HOURS}`);
+    }
+    return period;
+}
+
+/**
+ * Start the challenge window of a milestone that has just been verified
+ * @param {Object} campaign - Campaign object
+ * @param {Object} milestone - Milestone object (modified in place)
+ * @param {string} verifiedAt - Verification timestamp (ISO string)
+ */
+function openChallengeWindow(campaign, milestone, verifiedAt) {
+    const endsAt = new Date(verifiedAt).getTime() + getChallengePeriodHours(campaign) * 60 * 60 * 1000;
+    milestone.challengeEndsAt = new Date(endsAt).toISOString();
+    milestone.openDisputes = 0;
+}
+
+/**
+ * Check that a verified milestone is past its challenge window with no open disputes
+ * @param {Object} milestone - Milestone object
+ * @param {Date} now - Transaction time
+ */
+function assertReleasable(milestone, now) {
+    if (milestone.openDisputes > 0) {
+        throw new Error(`Milestone ${milestone.milestoneId} has ${milestone.openDisputes} open dispute(s); funds are frozen until they are resolved`);
+    }
+    if (milestone.challengeEndsAt && now < new Date(milestone.challengeEndsAt)) {
+        throw new Error(`Milestone ${milestone.milestoneId} is in its challenge period until ${milestone.challengeEndsAt}`);
+    }
+}
+
+/**
+ * Normalise a dispute outcome given as a transaction argument
+ * @param {string} outcome - upheld or dismissed
+ * @returns {string} Dispute status for the outcome
+ */
+function parseOutcome(outcome) {
+    const status = OUTCOME_STATUS[(outcome || '').toLowerCase()];
+    if (!status) {
+        throw new Error(`Invalid dispute outcome: ${outcome}. Valid outcomes: ${Object.keys(OUTCOME_STATUS).join(', ')}`);
+    }
+    return status;
+}
+
+/**
+ * Get disputes under a campaign, optionally limited to one milestone
+ * @param {Context} ctx - Transaction context
+ * @param {string} campaignId - Campaign identifier
+ * @param {string} milestoneId - Milestone identifier (optional)
+ * @returns {Array} Array of dispute objects
+ */
+async function getDisputes(ctx, campaignId, milestoneId) {
+    const prefix = milestoneId ? `DISPUTE_${campaignId}_${milestoneId}_` : `DISPUTE_${campaignId}_`;
+    const iterator = await ctx.stub.getStateByRange(prefix, `${prefix}\uffff`);
+    const disputes = [];
+
+    for await (const result of iterator) {
+        const dispute = schema.parse(result.value);
+        if (dispute.campaignId === campaignId && (!milestoneId || dispute.milestoneId === milestoneId)) {
+            disputes.push(dispute);
+        }
+    }
+
+    return disputes;
+}
+
+module.exports = {
+    DEFAULT_CHALLENGE_PERIOD_HOURS,
+    MIN_CHALLENGE_PERIOD_HOURS,
+    DISPUTE_STATUS,
+    getChallengePeriodHours,
+    parseChallengePeriod,
+    openChallengeWindow,
+    assertReleasable,
+    parseOutcome,
+    getDisputes
+};
@@ -0,0 +1,24 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+/**
+ * Raised when the invoking identity is not allowed to run a transaction.
+ * Only the message survives the trip back to the client, so it always
+ * starts with "Unauthorized:" to keep it distinguishable from validation errors.
+ */
+class UnauthorizedError extends Error {
+    /**
+     * @param {string} message - Human readable reason for the rejection
+     */
+    constructor(message) {
+        super(`Unauthorized: ${message}`);
+        this.name = 'UnauthorizedError';
+    }
+}
+
+module.exports = {
+    UnauthorizedError
+};
@@ -0,0 +1,163 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { getDeltas } = require('./deltas');
+const schema = require('./schema');
+
+/**
+ * Fund custody model. Donations are held in a per-campaign escrow balance
+ * and only move to the NGO's wallet record when a milestone is released, so
+ * for every campaign: donated = escrowBalance + releasedAmount + refundedAmount,
+ * counting donations not yet compacted into the campaign (see deltas.js).
+ */
+
+const WALLET_PREFIX = 'WALLET_';
+
+/**
+ * Hold a donation in the campaign's escrow
+ * @param {Object} campaign - Campaign object (modified in place)
+ * @param {number} amount - Donated amount
+ */
+function depositToEscrow(campaign, amount) {
+    campaign.escrowBalance += amount;
+}
+
+/**
+ * Move funds out of the campaign's escrow towards the NGO
+ * @param {Object} campaign - Campaign object (modified in place)
+ * @param {number} amount - Amount to release
+ */
+function releaseFromEscrow(campaign, amount) {
+    if (campaign.escrowBalance < amount) {
+        throw new Error(`Insufficient escrow balance in campaign ${campaign.campaignId}. Required: ${amount}, Available: ${campaign.escrowBalance}`);
+    }
+    campaign.escrowBalance -= amount;
+    campaign.releasedAmount += amount;
+}
+
+/**
+ * Read a wallet record, returning an empty wallet if none has been credited yet
+ * @param {Context} ctx - Transaction context
+ * @param {string} walletId - Wallet identifier
+ * @returns {Object} Wallet object
+ */
+async function getWallet(ctx, walletId) {
+    const walletBytes = await ctx.stub.getState(`${WALLET_PREFIX}${walletId}`);
+    if (!walletBytes || walletBytes.length === 0) {
+        return {
+            docType: 'Wallet',
+            walletId: walletId,
+            balance: 0,
+            totalReceived: 0,
+            lastCreditedAt: null
+        };
+    }
+    return schema.parse(walletBytes);
+}
+
+/**
+ * Credit released funds to a wallet record
+ * @param {Context} ctx - Transaction context
+ * @param {string} walletId - Wallet identifier
+ * @param {number} amount - Amount to credit
+ * @param {string} timestamp - Transaction timestamp (ISO string)
+ * @returns {Object} Updated wallet object
+ */
+async function creditWallet(ctx, walletId, amount, timestamp) {
+    const wallet = await getWallet(ctx, walletId);
+    wallet.balance += amount;
+    wallet.totalReceived += amount;
+    wallet.lastCreditedAt = timestamp;
+
+    await ctx.stub.putState(`${WALLET_PREFIX}${walletId}`, schema.toBuffer(wallet));
+    return wallet;
+}
+
+/**
+ * Sum a numeric field of every record under a key prefix, grouped by another field
+ * @param {Context} ctx - Transaction context
+ * @param {string} prefix - Key prefix
+ * @param {string} groupBy - Field to group by
+ * @returns {Object} Totals keyed by the group field
+ */
+async function sumByPrefix(ctx, prefix, groupBy) {
+    const totals = {};
+    const iterator = await ctx.stub.getStateByRange(prefix, `${prefix}\uffff`);
+    for await (const result of iterator) {
+        const record = schema.parse(result.value);
+        totals[record[groupBy]] = (totals[record[groupBy]] || 0) + record.amount;
+    }
+    return totals;
+}
+
+/**
+ * Check fund conservation across the whole ledger
+ * @param {Context} ctx - Transaction context
+ * @returns {Object} Ledger totals and any violations found
+ */
+async function checkFundInvariants(ctx) {
+    const donated = await sumByPrefix(ctx, 'DONATION_', 'campaignId');
+    const released = await sumByPrefix(ctx, 'RELEASE_', 'campaignId');
+    const releasedToWallet = await sumByPrefix(ctx, 'RELEASE_', 'recipientWallet');
+    const refunded = await sumByPrefix(ctx, 'REFUND_', 'campaignId');
+    const pending = await getDeltas(ctx);
+
+    const totals = { donated: 0, escrow: 0, released: 0, refunded: 0 };
+    const violations = [];
+
+    const campaigns = await ctx.stub.getStateByRange('CAMPAIGN_', 'CAMPAIGN_\uffff');
+    for await (const result of campaigns) {
+        const campaign = schema.parse(result.value);
+        if (pending.has(campaign.campaignId)) {
+            campaign.escrowBalance += pending.get(campaign.campaignId).amount;
+        }
+        const campaignDonated = donated[campaign.campaignId] || 0;
+        const campaignReleased = released[campaign.campaignId] || 0;
+        const campaignRefunded = refunded[campaign.campaignId] || 0;
+
+        totals.donated += campaignDonated;
+        totals.escrow += campaign.escrowBalance;
+        totals.released += campaign.releasedAmount;
+        totals.refunded += campaign.refundedAmount;
+
+        const accounted = campaign.escrowBalance + campaign.releasedAmount + campaign.refundedAmount;
+        if (campaignDonated !== accounted) {
+            violations.push(`Campaign ${campaign.campaignId}: donations ${campaignDonated} != escrow ${campaign.escrowBalance} + released ${campaign.releasedAmount} + refunded ${campaign.refundedAmount}`);
+        }
+        if (campaignReleased !== campaign.releasedAmount) {
+            violations.push(`Campaign ${campaign.campaignId}: release records total ${campaignReleased} but campaign reports ${campaign.releasedAmount} released`);
+        }
+        if (campaignRefunded !== campaign.refundedAmount) {
+            violations.push(`Campaign ${campaign.campaignId}: refund records total ${campaignRefunded} but campaign reports ${campaign.refundedAmount} refunded`);
+        }
+        if (campaign.escrowBalance < 0) {
+            violations.push(`Campaign ${campaign.campaignId}: negative escrow balance ${campaign.escrowBalance}`);
+        }
+    }
+
+    const wallets = await ctx.stub.getStateByRange(WALLET_PREFIX, `${WALLET_PREFIX}\uffff`);
+    for await (const result of wallets) {
+        const wallet = schema.parse(result.value);
+        const expected = releasedToWallet[wallet.walletId] || 0;
+        if (wallet.totalReceived !== expected) {
+            violations.push(`Wallet ${wallet.walletId}: received ${wallet.totalReceived} but release records total ${expected}`);
+        }
+    }
+
+    return {
+        valid: violations.length === 0,
+        totals: totals,
+        violations: violations
+    };
+}
+
+module.exports = {
+    depositToEscrow,
+    releaseFromEscrow,
+    getWallet,
+    creditWallet,
+    checkFundInvariants
+};
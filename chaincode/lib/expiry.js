@@ -0,0 +1,121 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { STATUS } = require('./campaign-status');
+const { REPUTATION, penalize } = require('./ngos');
+
+/**
+ * Housekeeping by deadline. processExpirations sweeps the campaigns on the
+ * ledger: an Active or Paused campaign past its deadline moves to Expired,
+ * which opens refunds of its unreleased escrow, and an unverified milestone
+ * past its target date is flagged overdue. The first time a milestone falls
+ * overdue its NGO loses reputation (see ngos.js).
+ */
+
+// Campaign statuses that expire once the deadline passes
+const EXPIRABLE_STATUSES = [STATUS.ACTIVE, STATUS.PAUSED];
+
+// Campaign statuses in which milestones are still expected to be delivered
+const DELIVERING_STATUSES = [STATUS.ACTIVE, STATUS.PAUSED, STATUS.GOAL_REACHED];
+
+// Campaigns changed by one sweep; the rest are left to the next run
+const DEFAULT_SWEEP_LIMIT = 50;
+const MAX_SWEEP_LIMIT = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate the number of campaigns one sweep may change
+ * @param {string} limit - Limit argument (optional)
+ * @returns {number} Sweep limit
+ */
+function parseSweepLimit(limit) {
+    if (limit === undefined || limit === '') {
+        return DEFAULT_SWEEP_LIMIT;
+    }
+
+    const value = Number(limit);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_SWEEP_LIMIT) {
+        throw new Error(`Sweep limit must be an integer between 1 and ${MAX_SWEEP_LIMIT}`);
+    }
+    return value;
+}
+
+/**
+ * Whether a campaign should expire
+ * @param {Object} campaign - Campaign object
+ * @param {Date} now - Transaction time
+ * @returns {boolean} True if the campaign is open and past its deadline
+ */
+function isExpired(campaign, now) {
+    return EXPIRABLE_STATUSES.includes(campaign.campaignStatus) && now > new Date(campaign.deadline);
+}
+
+/**
+ * Find the milestones of a campaign that have fallen overdue since the last sweep
+ * @param {Object} campaign - Campaign object
+ * @param {Date} now - Transaction time
+ * @returns {Array} Milestone objects past their target date and not yet flagged
+ */
+function getNewlyOverdue(campaign, now) {
+    if (!DELIVERING_STATUSES.includes(campaign.campaignStatus)) {
+        return [];
+    }
+    return Object.values(campaign.milestones || {}).filter(milestone =>
+        !milestone.isVerified && !milestone.fundsReleased && !milestone.isOverdue && now > new Date(milestone.targetDate));
+}
+
+/**
+ * Flag a milestone overdue, penalising its NGO the first time it happens
+ * @param {Object} milestone - Milestone object (modified in place)
+ * @param {Object} ngo - NGO object (modified in place)
+ * @param {string} timestamp - Transaction timestamp (ISO string)
+ * @returns {number} Reputation points deducted
+ */
+function markOverdue(milestone, ngo, timestamp) {
+    milestone.isOverdue = true;
+    if (milestone.overdueAt) {
+        return 0;
+    }
+    milestone.overdueAt = timestamp;
+
+    ngo.reputation.overdueMilestones += 1;
+    return penalize(ngo, REPUTATION.OVERDUE_MILESTONE_PENALTY, timestamp);
+}
+
+/**
+ * List the overdue milestones of an NGO's campaigns, oldest target date first
+ * @param {Array} campaigns - Campaign objects paying into the NGO's wallet
+ * @param {Date} now - Transaction time
+ * @returns {Array} Overdue milestones ({ campaignId, campaignTitle, milestoneId, title, budgetAmount, currency, targetDate, overdueAt, daysOverdue })
+ */
+function listOverdue(campaigns, now) {
+    return campaigns
+        .filter(campaign => DELIVERING_STATUSES.includes(campaign.campaignStatus))
+        .flatMap(campaign => Object.values(campaign.milestones || {})
+            .filter(milestone => milestone.isOverdue)
+            .map(milestone => ({
+                campaignId: campaign.campaignId,
+                campaignTitle: campaign.title,
+                milestoneId: milestone.milestoneId,
+                title: milestone.title,
+                budgetAmount: milestone.budgetAmount,
+                currency: campaign.currency,
+                targetDate: milestone.targetDate,
+                overdueAt: milestone.overdueAt,
+                daysOverdue: Math.floor((now - new Date(milestone.targetDate)) / DAY_MS)
+            })))
+        .sort((a, b) => a.targetDate.localeCompare(b.targetDate) || a.campaignId.localeCompare(b.campaignId));
+}
+
+module.exports = {
+    DELIVERING_STATUSES,
+    parseSweepLimit,
+    isExpired,
+    getNewlyOverdue,
+    markOverdue,
+    listOverdue
+};
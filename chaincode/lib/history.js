@@ -0,0 +1,113 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { timestampToDate } = require('./time');
+
+/**
+ * Audit trail built from the key history of campaign documents. Each
+ * version is paired with the fields that changed from the version before.
+ */
+
+// Bookkeeping fields that change on every write and say nothing on their own
+const IGNORED_FIELDS = ['lastModifiedBy', 'lastModifiedAt', 'lastModifiedTxId', 'statusHistory', 'milestones'];
+
+/**
+ * Compare two values by content
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both serialise identically
+ */
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * List the fields that differ between two flat objects
+ * @param {Object} previous - Earlier version (or null)
+ * @param {Object} current - Later version (or null)
+ * @param {string} prefix - Prefix for reported field names
+ * @param {Array} ignored - Fields to skip
+ * @returns {Array} Changes ({ field, from, to })
+ */
+function diffFields(previous, current, prefix, ignored = []) {
+    const before = previous || {};
+    const after = current || {};
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    return [...fields]
+        .filter(field => !ignored.includes(field) && !sameValue(before[field], after[field]))
+        .map(field => ({
+            field: `${prefix}${field}`,
+            from: before[field] === undefined ? null : before[field],
+            to: after[field] === undefined ? null : after[field]
+        }));
+}
+
+/**
+ * List the changes to one milestone between two campaign versions
+ * @param {Object} previous - Earlier campaign version (or null)
+ * @param {Object} current - Later campaign version (or null)
+ * @param {string} milestoneId - Milestone identifier
+ * @returns {Array} Changes ({ field, from, to })
+ */
+function diffMilestone(previous, current, milestoneId) {
+    const before = previous && previous.milestones ? previous.milestones[milestoneId] : null;
+    const after = current && current.milestones ? current.milestones[milestoneId] : null;
+    return diffFields(before, after, `milestones.${milestoneId}.`);
+}
+
+/**
+ * List every change between two campaign versions, including milestone flags
+ * @param {Object} previous - Earlier campaign version (or null)
+ * @param {Object} current - Later campaign version (or null)
+ * @returns {Array} Changes ({ field, from, to })
+ */
+function diffCampaign(previous, current) {
+    const changes = diffFields(previous, current, '', IGNORED_FIELDS);
+    const milestoneIds = new Set([
+        ...Object.keys((previous && previous.milestones) || {}),
+        ...Object.keys((current && current.milestones) || {})
+    ]);
+
+    for (const milestoneId of milestoneIds) {
+        changes.push(...diffMilestone(previous, current, milestoneId));
+    }
+    return changes;
+}
+
+/**
+ * Read every version of a key in chronological order
+ * @param {Context} ctx - Transaction context
+ * @param {string} key - Ledger key
+ * @returns {Array} Versions ({ txId, timestamp, isDelete, record })
+ */
+async function getKeyHistory(ctx, key) {
+    const iterator = await ctx.stub.getHistoryForKey(key);
+    const versions = [];
+
+    for await (const result of iterator) {
+        const date = timestampToDate(result.timestamp);
+        versions.push({
+            txId: result.txId,
+            timestamp: date.toISOString(),
+            sortKey: date.getTime(),
+            isDelete: Boolean(result.isDelete),
+            record: !result.isDelete && result.value && result.value.length > 0 ?
+                JSON.parse(result.value.toString()) : null
+        });
+    }
+
+    // Peers return newest first; the audit trail reads oldest first. The
+    // stable sort keeps that order for versions sharing a timestamp.
+    versions.reverse().sort((a, b) => a.sortKey - b.sortKey);
+    return versions.map(({ sortKey, ...version }) => version);
+}
+
+module.exports = {
+    diffCampaign,
+    diffMilestone,
+    getKeyHistory
+};
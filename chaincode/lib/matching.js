@@ -0,0 +1,142 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { convert } = require('./money');
+const schema = require('./schema');
+
+/**
+ * Matching-gift pools. A sponsor deposits a cap in the campaign's currency
+ * and every eligible donation is matched at the pool's ratio until the cap
+ * is used up. Each match is recorded as its own Donation linked to the gift
+ * it matches, under the sponsor's donor hash, so matched funds sit in escrow
+ * and are refunded like any other donation. Whatever remains unmatched when
+ * the pool is closed goes back to the sponsor off chain.
+ */
+
+const POOL_STATUS = {
+    ACTIVE: 'Active',
+    EXHAUSTED: 'Exhausted',
+    CLOSED: 'Closed'
+};
+
+const RATIO_PATTERN = /^(0|[1-9][0-9]*)(\.[0-9]{1,4})?$/;
+const OPTION_FIELDS = ['sponsorName', 'minDonation', 'maxMatchPerDonation', 'expiresAt'];
+
+/**
+ * Ledger key of a matching pool
+ * @param {string} campaignId - Campaign identifier
+ * @param {string} txId - ID of the transaction creating the pool
+ * @returns {string} Pool key
+ */
+function poolKey(campaignId, txId) {
+    return `MATCHPOOL_${campaignId}_${txId}`;
+}
+
+/**
+ * Validate a match ratio given as a transaction argument
+ * @param {string} ratio - Amount matched per unit donated (decimal string, e.g. "1" or "0.5")
+ * @returns {string} Ratio
+ */
+function parseRatio(ratio) {
+    if (typeof ratio !== 'string' || !RATIO_PATTERN.test(ratio) || !/[1-9]/.test(ratio)) {
+        throw new Error(`Match ratio must be a positive decimal with at most 4 decimal places, got: ${ratio}`);
+    }
+    return ratio;
+}
+
+/**
+ * Parse the optional settings of a matching pool
+ * @param {string} optionsJSON - JSON options ({ sponsorName, minDonation, maxMatchPerDonation, expiresAt }, optional)
+ * @param {Function} parseAmount - Parser for amounts in minor units
+ * @returns {Object} Options with absent settings as null
+ */
+function parseOptions(optionsJSON, parseAmount) {
+    let options = {};
+    if (optionsJSON) {
+        try {
+            options = JSON.parse(optionsJSON);
+        } catch (error) {
+            throw new Error(`Error parsing matching pool options: ${error.message}`);
+        }
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            throw new Error('Matching pool options must be a JSON object');
+        }
+    }
+
+    const unknown = Object.keys(options).filter(field => !OPTION_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown matching pool option(s): ${unknown.join(', ')}. Valid options: ${OPTION_FIELDS.join(', ')}`);
+    }
+    if (options.expiresAt !== undefined && Number.isNaN(Date.parse(options.expiresAt))) {
+        throw new Error(`Invalid matching pool expiry: ${options.expiresAt}`);
+    }
+
+    return {
+        sponsorName: options.sponsorName ? String(options.sponsorName) : null,
+        minDonation: options.minDonation !== undefined ? parseAmount(options.minDonation, 'Minimum matched donation') : null,
+        maxMatchPerDonation: options.maxMatchPerDonation !== undefined ? parseAmount(options.maxMatchPerDonation, 'Maximum match per donation') : null,
+        expiresAt: options.expiresAt !== undefined ? new Date(options.expiresAt).toISOString() : null
+    };
+}
+
+/**
+ * Work out how much a pool matches a donation
+ * @param {Object} pool - Matching pool object
+ * @param {Object} donation - Donation being matched ({ amount, donorHash })
+ * @param {Date} now - Transaction time
+ * @returns {number} Matched amount in minor units (0 if the donation is not eligible)
+ */
+function computeMatch(pool, donation, now) {
+    if (pool.status !== POOL_STATUS.ACTIVE || pool.remaining <= 0) {
+        return 0;
+    }
+    if (pool.expiresAt && now > new Date(pool.expiresAt)) {
+        return 0;
+    }
+    // Sponsors do not match their own gifts
+    if (donation.donorHash === pool.sponsorHash) {
+        return 0;
+    }
+    if (pool.minDonation && donation.amount < pool.minDonation) {
+        return 0;
+    }
+
+    let match = convert(donation.amount, pool.currency, pool.currency, pool.ratio);
+    if (pool.maxMatchPerDonation) {
+        match = Math.min(match, pool.maxMatchPerDonation);
+    }
+    return Math.min(match, pool.remaining);
+}
+
+/**
+ * Get every matching pool of a campaign, oldest first (the order pools match in)
+ * @param {Context} ctx - Transaction context
+ * @param {string} campaignId - Campaign identifier
+ * @returns {Array} Array of matching pool objects
+ */
+async function getPools(ctx, campaignId) {
+    const prefix = `MATCHPOOL_${campaignId}_`;
+    const iterator = await ctx.stub.getStateByRange(prefix, `${prefix}\uffff`);
+    const pools = [];
+
+    for await (const result of iterator) {
+        const pool = schema.parse(result.value);
+        if (pool.campaignId === campaignId) {
+            pools.push(pool);
+        }
+    }
+
+    return pools.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.poolId.localeCompare(b.poolId));
+}
+
+module.exports = {
+    POOL_STATUS,
+    poolKey,
+    parseRatio,
+    parseOptions,
+    computeMatch,
+    getPools
+};
@@ -0,0 +1,167 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { getTxDate } = require('./time');
+const { DEFAULT_CURRENCY, CURRENCIES } = require('./currencies');
+const schema = require('./schema');
+
+/**
+ * Amounts and currencies. Every amount on the ledger is a whole number of
+ * minor units (cents for USD, paise for INR, yen for JPY) of the campaign's
+ * currency, and transaction arguments are given in minor units too, so no
+ * amount ever passes through floating point. Donations in another currency
+ * are converted with an exchange rate maintained on the ledger by the
+ * oracle organisation. Records written before amounts were kept in minor
+ * units held whole major units; their schema upgraders scale them on read.
+ */
+
+// Rates older than this cannot be used to convert a donation
+const MAX_RATE_AGE_HOURS = 24;
+
+const MINOR_UNITS_PATTERN = /^[1-9][0-9]*$/;
+const RATE_PATTERN = /^(0|[1-9][0-9]*)(\.[0-9]{1,12})?$/;
+
+/**
+ * Parse an amount of minor units given as a transaction argument
+ * @param {*} value - Amount (whole number of minor units)
+ * @param {string} name - Name used in error messages
+ * @returns {number} Amount in minor units
+ */
+function parseMinorUnits(value, name = 'Amount') {
+    const text = typeof value === 'number' ? String(value) : value;
+    if (typeof text !== 'string' || !MINOR_UNITS_PATTERN.test(text) || !Number.isSafeInteger(Number(text))) {
+        throw new Error(`${name} must be a positive whole number of minor units, got: ${value}`);
+    }
+    return Number(text);
+}
+
+/**
+ * Validate a currency code
+ * @param {string} currency - ISO 4217 code (optional, defaults to USD)
+ * @returns {string} Upper-case currency code
+ */
+function parseCurrency(currency) {
+    const code = (currency || DEFAULT_CURRENCY).toUpperCase();
+    if (CURRENCIES[code] === undefined) {
+        throw new Error(`Unsupported currency: ${currency}. Supported currencies: ${Object.keys(CURRENCIES).join(', ')}`);
+    }
+    return code;
+}
+
+/**
+ * Ledger key of the rate converting one currency into another
+ * @param {string} from - Currency converted from
+ * @param {string} to - Currency converted to
+ * @returns {string} State key
+ */
+function rateKey(from, to) {
+    return `RATE_${from}_${to}`;
+}
+
+/**
+ * Validate an exchange rate given as a transaction argument
+ * @param {string} rate - Units of the target currency per unit of the source currency (decimal string)
+ * @returns {string} Rate
+ */
+function parseRate(rate) {
+    if (typeof rate !== 'string' || !RATE_PATTERN.test(rate) || !/[1-9]/.test(rate)) {
+        throw new Error(`Exchange rate must be a positive decimal with at most 12 decimal places, got: ${rate}`);
+    }
+    return rate;
+}
+
+/**
+ * Split a decimal rate into an exact fraction
+ * @param {string} rate - Decimal rate
+ * @returns {Object} Numerator and denominator ({ numerator, denominator }) as BigInts
+ */
+function rateFraction(rate) {
+    const [whole, fraction = ''] = rate.split('.');
+    return { numerator: BigInt(whole + fraction), denominator: 10n ** BigInt(fraction.length) };
+}
+
+/**
+ * Convert minor units of one currency into another, rounding down to a whole minor unit
+ * @param {number} amount - Amount in minor units of the source currency
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {string} rate - Units of the target currency per unit of the source currency
+ * @returns {number} Amount in minor units of the target currency
+ */
+function convert(amount, from, to, rate) {
+    const { numerator, denominator } = rateFraction(rate);
+    const converted = BigInt(amount) * numerator * 10n ** BigInt(CURRENCIES[to]) /
+        (denominator * 10n ** BigInt(CURRENCIES[from]));
+    return Number(converted);
+}
+
+/**
+ * Read the current exchange rate between two currencies
+ * @param {Context} ctx - Transaction context
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @returns {Object|null} Exchange rate object, or null if none is recorded
+ */
+async function getRate(ctx, from, to) {
+    const rateBytes = await ctx.stub.getState(rateKey(from, to));
+    return rateBytes && rateBytes.length > 0 ? schema.parse(rateBytes) : null;
+}
+
+/**
+ * Convert a donation into the campaign's currency with the recorded rate
+ * @param {Context} ctx - Transaction context
+ * @param {number} amount - Amount in minor units of the donation currency
+ * @param {string} from - Donation currency
+ * @param {string} to - Campaign currency
+ * @returns {Object} Converted amount and the rate used ({ amount, rate })
+ */
+async function convertDonation(ctx, amount, from, to) {
+    if (from === to) {
+        return { amount, rate: null };
+    }
+
+    const rate = await getRate(ctx, from, to);
+    if (!rate) {
+        throw new Error(`No exchange rate from ${from} to ${to} has been recorded`);
+    }
+    const ageHours = (getTxDate(ctx) - new Date(rate.updatedAt)) / (60 * 60 * 1000);
+    if (ageHours > MAX_RATE_AGE_HOURS) {
+        throw new Error(`Exchange rate from ${from} to ${to} is stale: last updated ${rate.updatedAt}`);
+    }
+
+    const converted = convert(amount, from, to, rate.rate);
+    if (converted <= 0) {
+        throw new Error(`Donation of ${amount} ${from} minor units is worth less than one ${to} minor unit`);
+    }
+    return { amount: converted, rate };
+}
+
+/**
+ * Format minor units as a decimal string in major units
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {string} Decimal amount (e.g. "10.50")
+ */
+function formatAmount(amount, currency) {
+    const exponent = CURRENCIES[currency];
+    const sign = amount < 0 ? '-' : '';
+    const digits = String(Math.abs(amount)).padStart(exponent + 1, '0');
+    return exponent === 0 ? `${sign}${digits}` : `${sign}${digits.slice(0, -exponent)}.${digits.slice(-exponent)}`;
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    CURRENCIES,
+    MAX_RATE_AGE_HOURS,
+    parseMinorUnits,
+    parseCurrency,
+    rateKey,
+    parseRate,
+    convert,
+    getRate,
+    convertDonation,
+    formatAmount
+};
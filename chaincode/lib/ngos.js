@@ -0,0 +1,319 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { UnauthorizedError } = require('./errors');
+const schema = require('./schema');
+
+/**
+ * NGO registry. An NGO registers the wallet its campaigns pay into, which
+ * binds the wallet to the registering identity; an oracle or admin then
+ * checks the KYC documents (referenced by hash, kept off chain) and approves
+ * or rejects the registration, and may later suspend and reinstate the NGO.
+ * Only an approved NGO can create campaigns, and only for its own wallet.
+ *
+ *   Unregistered -> Pending -> Approved <-> Suspended
+ *                   Pending -> Rejected -> Pending (registering again)
+ *
+ * The record also carries the NGO's reputation, updated as its milestones
+ * are delivered or fall overdue, disputes against it are upheld and its
+ * campaigns refund donors.
+ */
+
+const NGO_STATUS = {
+    UNREGISTERED: 'Unregistered',
+    PENDING: 'Pending',
+    APPROVED: 'Approved',
+    REJECTED: 'Rejected',
+    SUSPENDED: 'Suspended'
+};
+
+const KYC_STATUS = {
+    PENDING: 'Pending',
+    VERIFIED: 'Verified',
+    FAILED: 'Failed'
+};
+
+const TRANSITIONS = {
+    [NGO_STATUS.UNREGISTERED]: [NGO_STATUS.PENDING],
+    [NGO_STATUS.PENDING]: [NGO_STATUS.APPROVED, NGO_STATUS.REJECTED],
+    [NGO_STATUS.APPROVED]: [NGO_STATUS.SUSPENDED],
+    [NGO_STATUS.SUSPENDED]: [NGO_STATUS.APPROVED],
+    [NGO_STATUS.REJECTED]: [NGO_STATUS.PENDING]
+};
+
+const REPUTATION = {
+    INITIAL_SCORE: 100,
+    MAX_SCORE: 100,
+    ON_TIME_MILESTONE_BONUS: 1,
+    OVERDUE_MILESTONE_PENALTY: 5,
+    DISPUTE_LOST_PENALTY: 10
+};
+
+/**
+ * Ledger key of an NGO record
+ * @param {string} ngoWallet - Wallet the NGO's campaigns pay into
+ * @returns {string} NGO key
+ */
+function ngoKey(ngoWallet) {
+    return `NGO_${ngoWallet}`;
+}
+
+/**
+ * Reputation of an NGO with no track record
+ * @returns {Object} Reputation
+ */
+function initialReputation() {
+    return {
+        score: REPUTATION.INITIAL_SCORE,
+        onTimeMilestones: 0,
+        lateMilestones: 0,
+        overdueMilestones: 0,
+        disputesLost: 0,
+        refundsIssued: 0,
+        expiredCampaigns: 0,
+        lastPenaltyAt: null
+    };
+}
+
+/**
+ * Fill in the fields a stored NGO record may lack. Records written by the
+ * deadline sweep before the registry existed carry only a partial
+ * reputation and no status.
+ * @param {string} ngoWallet - Wallet the NGO's campaigns pay into
+ * @param {Object} record - Stored record ({} if none)
+ * @returns {Object} NGO object
+ */
+function normalizeNGO(ngoWallet, record) {
+    return {
+        docType: 'NGO',
+        ngoWallet: ngoWallet,
+        status: NGO_STATUS.UNREGISTERED,
+        ...record,
+        reputation: { ...initialReputation(), ...record.reputation }
+    };
+}
+
+/**
+ * Read an NGO record. A wallet nobody has registered yet reads as an
+ * Unregistered record, which may already hold reputation from campaigns
+ * created before the registry existed.
+ * @param {Context} ctx - Transaction context
+ * @param {string} ngoWallet - Wallet the NGO's campaigns pay into
+ * @returns {Object} NGO object
+ */
+async function getNGO(ctx, ngoWallet) {
+    const ngoBytes = await ctx.stub.getState(ngoKey(ngoWallet));
+    return normalizeNGO(ngoWallet, ngoBytes && ngoBytes.length > 0 ? schema.parse(ngoBytes) : {});
+}
+
+/**
+ * Write an NGO record
+ * @param {Context} ctx - Transaction context
+ * @param {Object} ngo - NGO object
+ */
+async function putNGO(ctx, ngo) {
+    await ctx.stub.putState(ngoKey(ngo.ngoWallet), schema.toBuffer(ngo));
+}
+
+/**
+ * Parse and validate the profile submitted with a registration
+ * @param {string} profileJSON - JSON object with name, registrationNumber,
+ *   country and kycDocumentHash, and optionally website
+ * @returns {Object} Profile
+ */
+function parseProfile(profileJSON) {
+    let profile;
+    try {
+        profile = JSON.parse(profileJSON || '');
+    } catch (error) {
+        throw new Error(`Invalid NGO profile JSON: ${error.message}`);
+    }
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        throw new Error('NGO profile must be a JSON object');
+    }
+
+    for (const field of ['name', 'registrationNumber', 'country']) {
+        if (typeof profile[field] !== 'string' || profile[field].trim() === '') {
+            throw new Error(`NGO profile requires ${field}`);
+        }
+    }
+    if (!/^[A-Z]{2}$/.test(profile.country)) {
+        throw new Error(`Country must be an ISO 3166-1 alpha-2 code, got: ${profile.country}`);
+    }
+    if (typeof profile.kycDocumentHash !== 'string' || !/^[0-9a-fA-F]{64}$/.test(profile.kycDocumentHash)) {
+        throw new Error('KYC document hash must be a hex-encoded SHA-256 digest (64 characters)');
+    }
+
+    return {
+        name: profile.name.trim(),
+        registrationNumber: profile.registrationNumber.trim(),
+        country: profile.country,
+        website: typeof profile.website === 'string' ? profile.website.trim() : '',
+        kycDocumentHash: profile.kycDocumentHash.toLowerCase()
+    };
+}
+
+/**
+ * Move an NGO to a new status and append the change to its history
+ * @param {Object} ngo - NGO object (modified in place)
+ * @param {string} newStatus - Target status
+ * @param {Object} change - Who is making the change and why
+ * @param {string} change.by - Identity recorded in the history
+ * @param {string} change.reason - Reason recorded in the history
+ * @param {string} change.timestamp - Transaction timestamp (ISO string)
+ * @param {string} change.txId - Transaction ID
+ */
+function transitionNGO(ngo, newStatus, { by, reason, timestamp, txId }) {
+    const oldStatus = ngo.status;
+    if (!Object.values(NGO_STATUS).includes(newStatus)) {
+        throw new Error(`Invalid NGO status: ${newStatus}. Valid statuses: ${Object.values(NGO_STATUS).join(', ')}`);
+    }
+    const nextStatuses = TRANSITIONS[oldStatus] || [];
+    if (!nextStatuses.includes(newStatus)) {
+        throw new Error(`Invalid status transition for NGO ${ngo.ngoWallet}: ${oldStatus} -> ${newStatus}. ` +
+            `Allowed next states: ${nextStatuses.join(', ')}`);
+    }
+
+    ngo.status = newStatus;
+    ngo.statusHistory = ngo.statusHistory || [];
+    ngo.statusHistory.push({
+        from: oldStatus,
+        to: newStatus,
+        by: by,
+        reason: reason || '',
+        at: timestamp,
+        txId: txId
+    });
+}
+
+/**
+ * Whether the caller is the identity the NGO's wallet is bound to
+ * @param {Object} ngo - NGO object
+ * @param {Object} caller - Caller descriptor from getCaller
+ * @returns {boolean} True if the caller registered the NGO
+ */
+function isNGOOwner(ngo, caller) {
+    return ngo.ownerId === caller.id && ngo.ownerMspId === caller.mspId;
+}
+
+/**
+ * Check that the caller may create a campaign paying into an NGO's wallet
+ * @param {Object} ngo - NGO object
+ * @param {Object} caller - Caller descriptor from getCaller
+ */
+function assertCanCreateCampaigns(ngo, caller) {
+    if (ngo.status === NGO_STATUS.UNREGISTERED) {
+        throw new UnauthorizedError(`NGO wallet ${ngo.ngoWallet} is not registered`);
+    }
+    if (!isNGOOwner(ngo, caller)) {
+        throw new UnauthorizedError(`NGO wallet ${ngo.ngoWallet} is registered to another identity`);
+    }
+    if (ngo.status !== NGO_STATUS.APPROVED) {
+        throw new Error(`NGO ${ngo.ngoWallet} cannot create campaigns with status: ${ngo.status}`);
+    }
+}
+
+/**
+ * Deduct reputation points, never below zero
+ * @param {Object} ngo - NGO object (modified in place)
+ * @param {number} points - Points to deduct
+ * @param {string} timestamp - Transaction timestamp (ISO string)
+ * @returns {number} Points actually deducted
+ */
+function penalize(ngo, points, timestamp) {
+    const penalty = Math.min(points, ngo.reputation.score);
+    ngo.reputation.score -= penalty;
+    ngo.reputation.lastPenaltyAt = timestamp;
+    return penalty;
+}
+
+/**
+ * Count a delivered milestone towards the NGO's record, rewarding one
+ * verified by its target date. Counted when its funds are released, which
+ * unlike verification cannot be undone by a dispute.
+ * @param {Object} ngo - NGO object (modified in place)
+ * @param {Object} milestone - Milestone whose funds have just been released
+ */
+function recordMilestoneDelivered(ngo, milestone) {
+    const reputation = ngo.reputation;
+    if (new Date(milestone.verifiedAt) <= new Date(milestone.targetDate)) {
+        reputation.onTimeMilestones += 1;
+        reputation.score = Math.min(REPUTATION.MAX_SCORE, reputation.score + REPUTATION.ON_TIME_MILESTONE_BONUS);
+    } else {
+        reputation.lateMilestones += 1;
+    }
+}
+
+/**
+ * Count an upheld dispute against the NGO
+ * @param {Object} ngo - NGO object (modified in place)
+ * @param {string} timestamp - Transaction timestamp (ISO string)
+ * @returns {number} Points deducted
+ */
+function recordDisputeLost(ngo, timestamp) {
+    ngo.reputation.disputesLost += 1;
+    return penalize(ngo, REPUTATION.DISPUTE_LOST_PENALTY, timestamp);
+}
+
+/**
+ * Summarise a campaign for an NGO profile
+ * @param {Object} campaign - Campaign object
+ * @returns {Object} Campaign summary
+ */
+function summarizeCampaign(campaign) {
+    return {
+        campaignId: campaign.campaignId,
+        title: campaign.title,
+        campaignStatus: campaign.campaignStatus,
+        currency: campaign.currency,
+        goalAmount: campaign.goalAmount,
+        currentAmount: campaign.currentAmount,
+        releasedAmount: campaign.releasedAmount || 0,
+        refundedAmount: campaign.refundedAmount || 0,
+        completedMilestones: campaign.completedMilestones,
+        totalMilestones: campaign.totalMilestones,
+        deadline: campaign.deadline
+    };
+}
+
+/**
+ * Get the NGOs in the registry
+ * @param {Context} ctx - Transaction context
+ * @param {string} status - Only NGOs with this status (optional)
+ * @returns {Array} NGO objects in wallet order
+ */
+async function getNGOs(ctx, status) {
+    const iterator = await ctx.stub.getStateByRange('NGO_', 'NGO_\uffff');
+    const registered = [];
+
+    for await (const result of iterator) {
+        const record = schema.parse(result.value);
+        const ngo = normalizeNGO(record.ngoWallet, record);
+        if (ngo.status !== NGO_STATUS.UNREGISTERED && (!status || ngo.status === status)) {
+            registered.push(ngo);
+        }
+    }
+
+    return registered;
+}
+
+module.exports = {
+    NGO_STATUS,
+    KYC_STATUS,
+    REPUTATION,
+    ngoKey,
+    getNGO,
+    putNGO,
+    parseProfile,
+    transitionNGO,
+    isNGOOwner,
+    assertCanCreateCampaigns,
+    penalize,
+    recordMilestoneDelivered,
+    recordDisputeLost,
+    summarizeCampaign,
+    getNGOs
+};
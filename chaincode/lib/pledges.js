@@ -0,0 +1,166 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { STATUS } = require('./campaign-status');
+const schema = require('./schema');
+
+/**
+ * Recurring pledges. A donor commits to giving a fixed amount of the
+ * campaign's currency every period; the client's pledge scheduler collects
+ * each installment off chain and records it with executePledge as an
+ * ordinary donation under the pledge's donor hash. A pledge ends by itself
+ * when its installments are paid or its campaign can no longer take
+ * donations, and the donor (or an admin) may cancel it at any time.
+ */
+
+const PLEDGE_STATUS = {
+    ACTIVE: 'Active',
+    COMPLETED: 'Completed',
+    CANCELLED: 'Cancelled',
+    ENDED: 'Ended'
+};
+
+// Months between installments; weekly pledges are handled in days
+const PERIOD_MONTHS = {
+    monthly: 1,
+    quarterly: 3
+};
+
+const PERIODS = ['weekly', ...Object.keys(PERIOD_MONTHS)];
+
+// Campaign statuses from which donations may resume, so a due pledge waits rather than ends
+const RESUMABLE_STATUSES = [STATUS.DRAFT, STATUS.PAUSED];
+
+/**
+ * Ledger key of a pledge
+ * @param {string} campaignId - Campaign identifier
+ * @param {string} txId - ID of the transaction creating the pledge
+ * @returns {string} Pledge key
+ */
+function pledgeKey(campaignId, txId) {
+    return `PLEDGE_${campaignId}_${txId}`;
+}
+
+/**
+ * Validate a pledge period given as a transaction argument
+ * @param {string} period - weekly, monthly or quarterly
+ * @returns {string} Period
+ */
+function parsePeriod(period) {
+    const normalisedPeriod = (period || '').toLowerCase();
+    if (!PERIODS.includes(normalisedPeriod)) {
+        throw new Error(`Invalid pledge period: ${period}. Valid periods: ${PERIODS.join(', ')}`);
+    }
+    return normalisedPeriod;
+}
+
+/**
+ * Validate the optional number of installments of a pledge
+ * @param {string} installments - Number of installments (empty for open-ended)
+ * @returns {number|null} Number of installments, or null for a pledge that runs until cancelled
+ */
+function parseInstallments(installments) {
+    if (installments === undefined || installments === null || installments === '') {
+        return null;
+    }
+    const count = Number(installments);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`Installments must be a positive whole number, got: ${installments}`);
+    }
+    return count;
+}
+
+/**
+ * Work out when the installment after a given one falls due. Monthly dates
+ * keep their day of the month, clamped to the end of shorter months.
+ * @param {string} dueAt - Due date of the previous installment (ISO string)
+ * @param {string} period - Pledge period
+ * @returns {string} Next due date (ISO string)
+ */
+function nextDueDate(dueAt, period) {
+    const date = new Date(dueAt);
+    if (period === 'weekly') {
+        date.setUTCDate(date.getUTCDate() + 7);
+        return date.toISOString();
+    }
+
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + PERIOD_MONTHS[period]);
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, daysInMonth));
+    return date.toISOString();
+}
+
+/**
+ * Work out whether a campaign will never accept a pledge's installments again
+ * @param {Object} campaign - Campaign object
+ * @param {Date} now - Transaction time
+ * @returns {string|null} Reason the pledge ends, or null if it may continue
+ */
+function getEndReason(campaign, now) {
+    if (now > new Date(campaign.deadline)) {
+        return 'Campaign deadline has passed';
+    }
+    if (campaign.campaignStatus !== STATUS.ACTIVE && !RESUMABLE_STATUSES.includes(campaign.campaignStatus)) {
+        return `Campaign is ${campaign.campaignStatus}`;
+    }
+    return null;
+}
+
+/**
+ * Read every pledge stored under a key prefix
+ * @param {Context} ctx - Transaction context
+ * @param {string} prefix - Key prefix
+ * @returns {Array} Array of pledge objects, oldest first
+ */
+async function getPledgesByPrefix(ctx, prefix) {
+    const iterator = await ctx.stub.getStateByRange(prefix, `${prefix}\uffff`);
+    const pledges = [];
+
+    for await (const result of iterator) {
+        const pledge = schema.parse(result.value);
+        if (pledge.docType === 'Pledge') {
+            pledges.push(pledge);
+        }
+    }
+
+    return pledges.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.pledgeId.localeCompare(b.pledgeId));
+}
+
+/**
+ * Get every pledge made to a campaign, oldest first
+ * @param {Context} ctx - Transaction context
+ * @param {string} campaignId - Campaign identifier
+ * @returns {Array} Array of pledge objects
+ */
+async function getPledges(ctx, campaignId) {
+    const pledges = await getPledgesByPrefix(ctx, `PLEDGE_${campaignId}_`);
+    return pledges.filter(pledge => pledge.campaignId === campaignId);
+}
+
+/**
+ * Get the active pledges across all campaigns with an installment due
+ * @param {Context} ctx - Transaction context
+ * @param {Date} now - Transaction time
+ * @returns {Array} Array of pledge objects, oldest first
+ */
+async function getDuePledges(ctx, now) {
+    const pledges = await getPledgesByPrefix(ctx, 'PLEDGE_');
+    return pledges.filter(pledge => pledge.status === PLEDGE_STATUS.ACTIVE && new Date(pledge.nextDueAt) <= now);
+}
+
+module.exports = {
+    PLEDGE_STATUS,
+    PERIODS,
+    pledgeKey,
+    parsePeriod,
+    parseInstallments,
+    nextDueDate,
+    getEndReason,
+    getPledges,
+    getDuePledges
+};
@@ -0,0 +1,158 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Donor privacy. Donor details travel in the transient map (never in the
+ * proposal arguments or the block) under the key 'donor' as JSON:
+ *
+ *   { "salt": "...", "donorId": "...", "message": "...", "anonymous": false }
+ *
+ * Public state only carries the amount and a donor hash,
+ * sha256(salt + ':' + donor identity). The salt stays with the donor, who can
+ * later prove a donation by revealing the preimage, and re-presents it to
+ * claim refunds or raise disputes. Names and messages go to a private data
+ * collection: donorDetailsCollection (NGO and Oracle orgs) for named
+ * donations, anonymousDonorCollection (Oracle org only) for anonymous ones.
+ *
+ * A batch import is submitted by the NGO or an admin on behalf of donors who
+ * gave off chain, so each gift is hashed for its own donor rather than the
+ * importer. The importer passes every gift's donor under 'batchDonors',
+ * keyed by payment reference, with the identity the donor will present
+ * (their client identity, if they are to claim refunds or raise disputes
+ * themselves) and a salt handed to that donor alone:
+ *
+ *   { "<paymentReference>": { "donorIdentity": "...", "salt": "...", "donorId": "...", "message": "...", "anonymous": false } }
+ */
+
+const DONOR_DETAILS_COLLECTION = 'donorDetailsCollection';
+const ANONYMOUS_DONOR_COLLECTION = 'anonymousDonorCollection';
+const TRANSIENT_DONOR_KEY = 'donor';
+const TRANSIENT_BATCH_DONORS_KEY = 'batchDonors';
+const MIN_SALT_LENGTH = 16;
+
+/**
+ * Compute the public donor hash for an identity and salt
+ * @param {string} donorIdentity - Donor's client identity
+ * @param {string} salt - Donor's secret salt
+ * @returns {string} Hex SHA-256 donor hash
+ */
+function computeDonorHash(donorIdentity, salt) {
+    return crypto.createHash('sha256').update(`${salt}:${donorIdentity}`).digest('hex');
+}
+
+/**
+ * Read the donor details passed in the transient map
+ * @param {Context} ctx - Transaction context
+ * @returns {Object} Donor input ({ salt, donorId, message, anonymous })
+ */
+function readDonorInput(ctx) {
+    const transient = ctx.stub.getTransient();
+    const donorBytes = transient && transient.get(TRANSIENT_DONOR_KEY);
+    if (!donorBytes || donorBytes.length === 0) {
+        throw new Error(`Donor details must be passed in the transient map under '${TRANSIENT_DONOR_KEY}'`);
+    }
+
+    let input;
+    try {
+        input = JSON.parse(donorBytes.toString());
+    } catch (error) {
+        throw new Error(`Error parsing transient donor details: ${error.message}`);
+    }
+
+    if (typeof input.salt !== 'string' || input.salt.length < MIN_SALT_LENGTH) {
+        throw new Error(`Donor salt must be a string of at least ${MIN_SALT_LENGTH} characters`);
+    }
+
+    const anonymous = input.anonymous === true || !input.donorId;
+    return {
+        salt: input.salt,
+        donorId: anonymous ? 'anonymous' : String(input.donorId),
+        message: input.message ? String(input.message) : '',
+        anonymous: anonymous
+    };
+}
+
+/**
+ * Read the per-gift donors of a batch import from the transient map
+ * @param {Context} ctx - Transaction context
+ * @returns {Object} Donors by payment reference ({ donorIdentity, salt, donorId, message, anonymous })
+ */
+function readBatchDonors(ctx) {
+    const transient = ctx.stub.getTransient();
+    const donorsBytes = transient && transient.get(TRANSIENT_BATCH_DONORS_KEY);
+    if (!donorsBytes || donorsBytes.length === 0) {
+        throw new Error(`Batch donors must be passed in the transient map under '${TRANSIENT_BATCH_DONORS_KEY}'`);
+    }
+
+    let input;
+    try {
+        input = JSON.parse(donorsBytes.toString());
+    } catch (error) {
+        throw new Error(`Error parsing transient batch donor details: ${error.message}`);
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error(`Batch donor details under '${TRANSIENT_BATCH_DONORS_KEY}' must be an object keyed by payment reference`);
+    }
+
+    const donors = {};
+    for (const [paymentReference, details] of Object.entries(input)) {
+        if (!details || typeof details.donorIdentity !== 'string' || details.donorIdentity.length === 0) {
+            throw new Error(`Batch donor of payment ${paymentReference} must name the donor's identity`);
+        }
+        if (typeof details.salt !== 'string' || details.salt.length < MIN_SALT_LENGTH) {
+            throw new Error(`Batch donor salt of payment ${paymentReference} must be a string of at least ${MIN_SALT_LENGTH} characters`);
+        }
+        const anonymous = details.anonymous === true || !details.donorId;
+        donors[paymentReference] = {
+            donorIdentity: details.donorIdentity,
+            salt: details.salt,
+            donorId: anonymous ? 'anonymous' : String(details.donorId),
+            message: details.message ? String(details.message) : '',
+            anonymous: anonymous
+        };
+    }
+    return donors;
+}
+
+/**
+ * Get the donor hash of the calling identity from its transient salt
+ * @param {Context} ctx - Transaction context
+ * @returns {string} Hex SHA-256 donor hash
+ */
+function getCallerDonorHash(ctx) {
+    return computeDonorHash(ctx.caller.id, readDonorInput(ctx).salt);
+}
+
+/**
+ * Reference to a donor used wherever public state records who acted
+ * @param {string} donorHash - Donor hash
+ * @returns {string} Donor reference
+ */
+function donorReference(donorHash) {
+    return `donor:${donorHash}`;
+}
+
+/**
+ * Get the private data collection holding a donation's details
+ * @param {boolean} anonymous - Whether the donation is anonymous
+ * @returns {string} Collection name
+ */
+function getDonorCollection(anonymous) {
+    return anonymous ? ANONYMOUS_DONOR_COLLECTION : DONOR_DETAILS_COLLECTION;
+}
+
+module.exports = {
+    DONOR_DETAILS_COLLECTION,
+    ANONYMOUS_DONOR_COLLECTION,
+    computeDonorHash,
+    readDonorInput,
+    readBatchDonors,
+    getCallerDonorHash,
+    donorReference,
+    getDonorCollection
+};
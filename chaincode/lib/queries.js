@@ -0,0 +1,227 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const schema = require('./schema');
+
+/**
+ * Paginated, filtered queries over campaigns and donations. Rich queries
+ * run against CouchDB and rely on the indexes shipped under
+ * META-INF/statedb/couchdb/indexes; every filter or sort field below has a
+ * matching index.
+ *
+ * Campaign records hold the totals last compacted into them (see deltas.js).
+ * The contract adds the outstanding deltas to every campaign a query
+ * returns, but CouchDB matches the minRaised and maxRaised filters and sorts
+ * by currentAmount on the stored totals, which lag behind by the donations
+ * not yet compacted until the next compactDonations sweep.
+ */
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+const CAMPAIGN_FILTERS = ['status', 'category', 'ngoWallet', 'tags', 'deadlineFrom', 'deadlineTo',
+    'minGoal', 'maxGoal', 'minRaised', 'maxRaised', 'sortBy', 'sortOrder'];
+const DONATION_FILTERS = ['donorHash', 'minAmount', 'maxAmount', 'from', 'to', 'sortBy', 'sortOrder'];
+
+const CAMPAIGN_SORT_FIELDS = ['createdAt', 'deadline', 'goalAmount', 'currentAmount'];
+const DONATION_SORT_FIELDS = ['timestamp', 'amount'];
+
+/**
+ * Validate a page size given as a transaction argument
+ * @param {string} pageSize - Requested page size (optional)
+ * @returns {number} Page size
+ */
+function parsePageSize(pageSize) {
+    if (pageSize === undefined || pageSize === '') {
+        return DEFAULT_PAGE_SIZE;
+    }
+
+    const size = Number(pageSize);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+        throw new Error(`Page size must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return size;
+}
+
+/**
+ * Parse a filters JSON argument, rejecting fields the query does not support
+ * @param {string} filtersJSON - JSON object of filters (optional)
+ * @param {Array} allowedFields - Supported filter names
+ * @returns {Object} Filters
+ */
+function parseFilters(filtersJSON, allowedFields) {
+    if (!filtersJSON) {
+        return {};
+    }
+
+    let filters;
+    try {
+        filters = JSON.parse(filtersJSON);
+    } catch (error) {
+        throw new Error(`Error parsing filters JSON: ${error.message}`);
+    }
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+        throw new Error('Filters must be a JSON object');
+    }
+
+    const unknown = Object.keys(filters).filter(field => !allowedFields.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Unsupported filter(s): ${unknown.join(', ')}. Supported filters: ${allowedFields.join(', ')}`);
+    }
+    return filters;
+}
+
+/**
+ * Add a range condition on a field to a selector
+ * @param {Object} selector - Mango selector (modified in place)
+ * @param {string} field - Document field
+ * @param {*} min - Inclusive lower bound (optional)
+ * @param {*} max - Inclusive upper bound (optional)
+ * @param {Function} convert - Converts and validates a bound
+ */
+function addRange(selector, field, min, max, convert) {
+    const condition = {};
+    if (min !== undefined && min !== null && min !== '') {
+        condition.$gte = convert(min, field);
+    }
+    if (max !== undefined && max !== null && max !== '') {
+        condition.$lte = convert(max, field);
+    }
+    if (Object.keys(condition).length > 0) {
+        selector[field] = condition;
+    }
+}
+
+/**
+ * Convert a numeric filter bound
+ * @param {*} value - Bound value
+ * @param {string} field - Document field (for error messages)
+ * @returns {number} Numeric bound
+ */
+function toNumber(value, field) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`Invalid numeric bound for ${field}: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Convert a date filter bound to the ISO form stored on the ledger
+ * @param {*} value - Bound value
+ * @param {string} field - Document field (for error messages)
+ * @returns {string} ISO date string
+ */
+function toISODate(value, field) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date bound for ${field}: ${value}`);
+    }
+    return date.toISOString();
+}
+
+/**
+ * Add a sort clause, constraining the sort field so CouchDB can use its index
+ * @param {Object} query - Mango query (modified in place)
+ * @param {Object} filters - Filters with optional sortBy and sortOrder
+ * @param {Array} allowedFields - Sortable fields
+ */
+function addSort(query, filters, allowedFields) {
+    if (!filters.sortBy) {
+        return;
+    }
+    if (!allowedFields.includes(filters.sortBy)) {
+        throw new Error(`Cannot sort by ${filters.sortBy}. Sortable fields: ${allowedFields.join(', ')}`);
+    }
+
+    const order = (filters.sortOrder || 'asc').toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+        throw new Error(`Invalid sort order: ${filters.sortOrder}. Use asc or desc`);
+    }
+
+    if (!query.selector[filters.sortBy]) {
+        query.selector[filters.sortBy] = { $gt: null };
+    }
+    query.sort = [{ [filters.sortBy]: order }];
+}
+
+/**
+ * Build the rich query for campaigns matching a set of filters
+ * @param {Object} filters - Campaign filters
+ * @returns {Object} Mango query
+ */
+function buildCampaignQuery(filters) {
+    const selector = { docType: 'Campaign' };
+
+    if (filters.status) {
+        selector.campaignStatus = filters.status;
+    }
+    if (filters.category) {
+        selector.category = filters.category;
+    }
+    if (filters.ngoWallet) {
+        selector.ngoWallet = filters.ngoWallet;
+    }
+    if (filters.tags) {
+        const tags = Array.isArray(filters.tags) ? filters.tags : String(filters.tags).split(',');
+        selector.tags = { $all: tags.map(tag => String(tag).trim()).filter(Boolean) };
+    }
+    addRange(selector, 'deadline', filters.deadlineFrom, filters.deadlineTo, toISODate);
+    addRange(selector, 'goalAmount', filters.minGoal, filters.maxGoal, toNumber);
+    addRange(selector, 'currentAmount', filters.minRaised, filters.maxRaised, toNumber);
+
+    const query = { selector };
+    addSort(query, filters, CAMPAIGN_SORT_FIELDS);
+    return query;
+}
+
+/**
+ * Build the rich query for a campaign's donations matching a set of filters
+ * @param {string} campaignId - Campaign identifier
+ * @param {Object} filters - Donation filters
+ * @returns {Object} Mango query
+ */
+function buildDonationQuery(campaignId, filters) {
+    const selector = { docType: 'Donation', campaignId: campaignId };
+
+    if (filters.donorHash) {
+        selector.donorHash = filters.donorHash;
+    }
+    addRange(selector, 'amount', filters.minAmount, filters.maxAmount, toNumber);
+    addRange(selector, 'timestamp', filters.from, filters.to, toISODate);
+
+    const query = { selector };
+    addSort(query, filters, DONATION_SORT_FIELDS);
+    return query;
+}
+
+/**
+ * Drain a paginated query response into a page of records
+ * @param {Object} response - Result of a *WithPagination stub call ({ iterator, metadata })
+ * @returns {Object} Page ({ records, bookmark, fetchedCount })
+ */
+async function toPage({ iterator, metadata }) {
+    const records = [];
+    for await (const result of iterator) {
+        records.push(schema.parse(result.value));
+    }
+
+    return {
+        records: records,
+        bookmark: metadata.bookmark,
+        fetchedCount: metadata.fetchedRecordsCount
+    };
+}
+
+module.exports = {
+    CAMPAIGN_FILTERS,
+    DONATION_FILTERS,
+    parsePageSize,
+    parseFilters,
+    buildCampaignQuery,
+    buildDonationQuery,
+    toPage
+};
@@ -0,0 +1,134 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { STATUS } = require('./campaign-status');
+const schema = require('./schema');
+
+/**
+ * Refunds return the unreleased escrow of a failed campaign to its donors,
+ * pro rata to what each donor (identified by donor hash, see privacy.js) gave. The refund pool is fixed when
+ * the first refund is issued so that the order of claims does not change
+ * anyone's share; rounding remainders stay in escrow.
+ */
+
+/**
+ * Build the ledger key of a donor's refund for a campaign
+ * @param {string} campaignId - Campaign identifier
+ * @param {string} donorHash - Donor hash
+ * @returns {string} Refund key
+ */
+function refundKey(campaignId, donorHash) {
+    return `REFUND_${campaignId}_${donorHash}`;
+}
+
+/**
+ * Work out whether donors of a campaign may be refunded
+ * @param {Object} campaign - Campaign object
+ * @param {Date} now - Transaction time
+ * @returns {string|null} Reason refunds are open, or null if they are not
+ */
+function getRefundReason(campaign, now) {
+    if (campaign.campaignStatus === STATUS.CANCELLED) {
+        return 'Campaign cancelled';
+    }
+    if (campaign.campaignStatus === STATUS.COMPLETED || campaign.campaignStatus === STATUS.DRAFT) {
+        return null;
+    }
+    if (campaign.campaignStatus === STATUS.EXPIRED ||
+        (now > new Date(campaign.deadline) && campaign.currentAmount < campaign.goalAmount)) {
+        return 'Campaign deadline passed without reaching goal';
+    }
+    return null;
+}
+
+/**
+ * Fix the refund pool on the campaign if this is the first refund
+ * @param {Object} campaign - Campaign object (modified in place)
+ * @param {string} reason - Reason refunds are open
+ * @param {string} timestamp - Transaction timestamp (ISO string)
+ */
+function openRefundPool(campaign, reason, timestamp) {
+    if (!campaign.refundPool) {
+        campaign.refundPool = {
+            poolAmount: campaign.escrowBalance,
+            totalDonated: campaign.currentAmount,
+            reason: reason,
+            openedAt: timestamp
+        };
+    }
+}
+
+/**
+ * Total the donations of a campaign per donor hash
+ * @param {Context} ctx - Transaction context
+ * @param {string} campaignId - Campaign identifier
+ * @returns {Map} Donor hash to { donatedAmount }
+ */
+async function getDonorTotals(ctx, campaignId) {
+    const donors = new Map();
+    const prefix = `DONATION_${campaignId}_`;
+    const iterator = await ctx.stub.getStateByRange(prefix, `${prefix}\uffff`);
+
+    for await (const result of iterator) {
+        const donation = schema.parse(result.value);
+        if (donation.campaignId !== campaignId || !donation.donorHash) {
+            continue;
+        }
+        const donor = donors.get(donation.donorHash) || { donatedAmount: 0 };
+        donor.donatedAmount += donation.amount;
+        donors.set(donation.donorHash, donor);
+    }
+
+    return donors;
+}
+
+/**
+ * Pay a donor's share of the refund pool out of escrow and record it
+ * @param {Context} ctx - Transaction context
+ * @param {Object} campaign - Campaign object with an open refund pool (modified in place)
+ * @param {string} donorHash - Donor hash
+ * @param {Object} donor - Donor totals ({ donatedAmount })
+ * @param {string} issuedBy - Identity (or donor reference) issuing the refund
+ * @param {string} timestamp - Transaction timestamp (ISO string)
+ * @returns {Object} Refund object
+ */
+async function issueRefund(ctx, campaign, donorHash, donor, issuedBy, timestamp) {
+    const refundId = refundKey(campaign.campaignId, donorHash);
+    const existingRefundBytes = await ctx.stub.getState(refundId);
+    if (existingRefundBytes && existingRefundBytes.length > 0) {
+        throw new Error(`Refund for this donor in campaign ${campaign.campaignId} has already been issued`);
+    }
+
+    const { poolAmount, totalDonated } = campaign.refundPool;
+    const amount = totalDonated > 0 ? Math.floor(donor.donatedAmount * poolAmount / totalDonated) : 0;
+
+    campaign.escrowBalance -= amount;
+    campaign.refundedAmount += amount;
+
+    const refund = {
+        docType: 'Refund',
+        refundId: refundId,
+        campaignId: campaign.campaignId,
+        donorHash: donorHash,
+        donatedAmount: donor.donatedAmount,
+        amount: amount,
+        reason: campaign.refundPool.reason,
+        issuedBy: issuedBy,
+        issuedAt: timestamp,
+        txId: ctx.stub.getTxID()
+    };
+
+    await ctx.stub.putState(refundId, schema.toBuffer(refund));
+    return refund;
+}
+
+module.exports = {
+    refundKey,
+    getRefundReason,
+    openRefundPool,
+    getDonorTotals,
+    issueRefund
+};
@@ -0,0 +1,67 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+/**
+ * Advisory risk assessments. Fraud and anomaly scores are computed off chain
+ * (see client/lib/risk.js) and an oracle or admin may record the latest one
+ * for a campaign on the ledger so every organisation sees the same flags.
+ * Assessments are informational only: no transaction reads them.
+ */
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Ledger key of a campaign's risk assessment
+ * @param {string} campaignId - Campaign identifier
+ * @returns {string} State key
+ */
+function riskKey(campaignId) {
+    return `RISK_${campaignId}`;
+}
+
+/**
+ * Validate an assessment given as a transaction argument
+ * @param {string} assessmentJSON - JSON assessment ({ score, level, signals, modelVersion })
+ * @returns {Object} Validated assessment fields
+ */
+function parseAssessment(assessmentJSON) {
+    let assessment;
+    try {
+        assessment = JSON.parse(assessmentJSON);
+    } catch (error) {
+        throw new Error('Risk assessment must be valid JSON');
+    }
+    if (!assessment || typeof assessment !== 'object') {
+        throw new Error('Risk assessment must be a JSON object');
+    }
+
+    const { score, level, signals = [], modelVersion } = assessment;
+    if (!Number.isInteger(score) || score < 0 || score > 100) {
+        throw new Error('Risk score must be a whole number between 0 and 100');
+    }
+    if (!RISK_LEVELS.includes(level)) {
+        throw new Error(`Invalid risk level: ${level}. Use one of: ${RISK_LEVELS.join(', ')}`);
+    }
+    if (!modelVersion || typeof modelVersion !== 'string') {
+        throw new Error('Risk assessment must name the model version that produced it');
+    }
+    if (!Array.isArray(signals) || signals.some(signal => !signal || typeof signal.type !== 'string' || typeof signal.explanation !== 'string')) {
+        throw new Error('Risk signals must each have a type and an explanation');
+    }
+
+    return {
+        score,
+        level,
+        modelVersion,
+        signals: signals.map(({ type, strength = null, explanation, evidence = null }) => ({ type, strength, explanation, evidence }))
+    };
+}
+
+module.exports = {
+    RISK_LEVELS,
+    riskKey,
+    parseAssessment
+};
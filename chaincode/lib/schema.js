@@ -0,0 +1,184 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { DEFAULT_CURRENCY, majorToMinorUnits } = require('./currencies');
+const { MSP } = require('./access');
+
+/**
+ * Schema versions of the documents kept in world state and private data.
+ * Every record is written stamped with the current schemaVersion of its
+ * docType, and read through the upgraders below, which bring a record
+ * written by an earlier chaincode version (with an older schemaVersion, or
+ * none at all: version 1) into the current shape one version at a time. A
+ * chaincode upgrade that changes a document's shape adds an upgrader rather
+ * than teaching every reader about the old shape; migrateState then rewrites
+ * stored records in the current shape at the operator's pace.
+ */
+
+/**
+ * Upgraders of each docType; upgrader n takes a record from version n + 1 to
+ * n + 2, so a docType's current version is one more than its upgrader count.
+ * A docType that is not listed here cannot be written, so every new document
+ * must declare its schema.
+ */
+const UPGRADERS = {
+    Campaign: [
+        // 2: amounts in minor units rather than whole major units, and fields
+        // added after the first release, missing on older campaigns
+        campaign => {
+            campaign.currency = campaign.currency || DEFAULT_CURRENCY;
+            const currency = campaign.currency;
+            for (const field of ['goalAmount', 'currentAmount', 'releasedAmount', 'refundedAmount', 'escrowBalance']) {
+                if (typeof campaign[field] === 'number') {
+                    campaign[field] = majorToMinorUnits(campaign[field], currency);
+                }
+            }
+            for (const milestone of Object.values(campaign.milestones || {})) {
+                milestone.budgetAmount = majorToMinorUnits(milestone.budgetAmount, currency);
+            }
+            if (typeof campaign.releasedAmount !== 'number') {
+                campaign.releasedAmount = 0;
+            }
+            if (typeof campaign.refundedAmount !== 'number') {
+                campaign.refundedAmount = 0;
+            }
+            if (typeof campaign.escrowBalance !== 'number') {
+                campaign.escrowBalance = campaign.currentAmount - campaign.releasedAmount - campaign.refundedAmount;
+            }
+            campaign.lastDonationAt = campaign.lastDonationAt || null;
+            campaign.statusUpdateReason = campaign.statusUpdateReason === undefined ? null : campaign.statusUpdateReason;
+            campaign.statusHistory = campaign.statusHistory || [];
+            // Only NGOMSP members can hold the NGO role that creates campaigns
+            campaign.ngoMspId = campaign.ngoMspId || MSP.NGO;
+            for (const milestone of Object.values(campaign.milestones || {})) {
+                milestone.verificationNotes = milestone.verificationNotes === undefined ? null : milestone.verificationNotes;
+                // attestations.VERIFICATION_STATUS, which cannot be required here without a cycle
+                milestone.verificationStatus = milestone.verificationStatus || (milestone.isVerified ? 'Verified' : 'Pending');
+                milestone.isOverdue = Boolean(milestone.isOverdue);
+                milestone.overdueAt = milestone.overdueAt || null;
+            }
+            return campaign;
+        }
+    ],
+    CampaignAmendment: [],
+    CampaignDelta: [],
+    Dispute: [],
+    Donation: [
+        // 2: amount in minor units rather than whole major units, of a currency
+        // that older donations did not record
+        donation => {
+            donation.currency = donation.currency || DEFAULT_CURRENCY;
+            donation.amount = majorToMinorUnits(donation.amount, donation.currency);
+            return donation;
+        }
+    ],
+    DonationDetails: [],
+    ExchangeRate: [],
+    FundRelease: [
+        // 2: amount in minor units rather than whole major units
+        release => {
+            release.amount = majorToMinorUnits(release.amount, DEFAULT_CURRENCY);
+            return release;
+        }
+    ],
+    MatchingPool: [],
+    MatchingPoolDetails: [],
+    MilestoneAttestation: [],
+    NGO: [],
+    PaymentReference: [],
+    Pledge: [],
+    PledgeDetails: [],
+    Refund: [],
+    RiskAssessment: [],
+    Wallet: [
+        // 2: balances in minor units rather than whole major units
+        wallet => {
+            wallet.balance = majorToMinorUnits(wallet.balance, DEFAULT_CURRENCY);
+            wallet.totalReceived = majorToMinorUnits(wallet.totalReceived, DEFAULT_CURRENCY);
+            return wallet;
+        }
+    ]
+};
+
+/**
+ * Current schema version of each docType
+ */
+const SCHEMA_VERSIONS = Object.freeze(Object.fromEntries(
+    Object.entries(UPGRADERS).map(([docType, upgraders]) => [docType, upgraders.length + 1])
+));
+
+/**
+ * Stamp a record with the current schema version of its docType
+ * @param {Object} record - Record about to be written (modified in place)
+ * @returns {Object} The same record
+ */
+function stamp(record) {
+    if (!SCHEMA_VERSIONS[record.docType]) {
+        throw new Error(`No schema version declared for docType ${record.docType}`);
+    }
+    record.schemaVersion = SCHEMA_VERSIONS[record.docType];
+    return record;
+}
+
+/**
+ * Serialize a record for putState or putPrivateData, stamped with its schema version
+ * @param {Object} record - Record to write (modified in place)
+ * @returns {Buffer} Record bytes
+ */
+function toBuffer(record) {
+    return Buffer.from(JSON.stringify(stamp(record)));
+}
+
+/**
+ * Bring a stored record into the current shape of its docType. Records of
+ * an unknown docType are returned as stored.
+ * @param {Object} record - Record as stored (modified in place)
+ * @returns {Object} The same record, at the current schema version
+ */
+function upgrade(record) {
+    const current = SCHEMA_VERSIONS[record.docType];
+    if (!current) {
+        return record;
+    }
+
+    const version = record.schemaVersion || 1;
+    if (version > current) {
+        throw new Error(`${record.docType} record has schema version ${version}, newer than the ${current} this chaincode supports; upgrade the chaincode`);
+    }
+    for (let from = version; from < current; from++) {
+        UPGRADERS[record.docType][from - 1](record);
+    }
+    record.schemaVersion = current;
+    return record;
+}
+
+/**
+ * Parse stored record bytes into the current shape (see upgrade)
+ * @param {Uint8Array} bytes - Record bytes
+ * @returns {Object} Record
+ */
+function parse(bytes) {
+    return upgrade(JSON.parse(bytes.toString()));
+}
+
+/**
+ * Whether a stored record is unversioned or older than the current schema of its docType
+ * @param {Object} record - Record as stored
+ * @returns {boolean} True if migrateState would rewrite it
+ */
+function isOutdated(record) {
+    const current = SCHEMA_VERSIONS[record.docType];
+    return Boolean(current) && (record.schemaVersion === undefined || record.schemaVersion < current);
+}
+
+module.exports = {
+    SCHEMA_VERSIONS,
+    stamp,
+    toBuffer,
+    upgrade,
+    parse,
+    isOutdated
+};
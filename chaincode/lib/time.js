@@ -0,0 +1,46 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+/**
+ * The transaction timestamp is set by the client in the proposal header, so
+ * every endorsing peer sees the same value. The peer's own clock differs
+ * between endorsers and must never be written to the ledger or used for
+ * deadline checks.
+ */
+
+/**
+ * Convert a protobuf timestamp ({ seconds, nanos }) to a Date
+ * @param {Object} timestamp - Protobuf timestamp; seconds may be a number or a Long
+ * @returns {Date} Equivalent Date
+ */
+function timestampToDate({ seconds, nanos }) {
+    const secondsValue = typeof seconds === 'number' ? seconds : seconds.toNumber();
+    return new Date(secondsValue * 1000 + Math.floor((nanos || 0) / 1000000));
+}
+
+/**
+ * Get the transaction timestamp as a Date
+ * @param {Context} ctx - Transaction context
+ * @returns {Date} Transaction time
+ */
+function getTxDate(ctx) {
+    return timestampToDate(ctx.stub.getTxTimestamp());
+}
+
+/**
+ * Get the transaction timestamp as an ISO string for storing in ledger state
+ * @param {Context} ctx - Transaction context
+ * @returns {string} Transaction time (ISO string)
+ */
+function getTxTimestamp(ctx) {
+    return getTxDate(ctx).toISOString();
+}
+
+module.exports = {
+    timestampToDate,
+    getTxDate,
+    getTxTimestamp
+};
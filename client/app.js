@@ -0,0 +1,165 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+/**
+ * REST gateway for the DonationContract chaincode. Every request is submitted
+ * with the Fabric identity configured through the environment (see
+ * lib/gateway.js loadConfig), so run one gateway per organisation or role.
+ * The gateway also relays chaincode events to registered webhooks and to a
+ * Server-Sent Events stream at /events/stream, and replays blocks into an
+ * SQLite mirror that serves the /reports, /search and /risk endpoints, and
+ * issues donation receipts and periodic Merkle transparency reports signed
+ * with the gateway's identity. With PLEDGE_INTERVAL_MS set (and an admin identity), it also executes
+ * recurring pledges as they fall due, and with HOUSEKEEPING_INTERVAL_MS it expires campaigns past their
+ * deadline and flags overdue milestones.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { checkpointers } = require('@hyperledger/fabric-gateway');
+const DonationClient = require('./lib/donation-client');
+const { DonationImporter, parseCsv } = require('./lib/donation-importer');
+const EventStream = require('./lib/event-stream');
+const MirrorStore = require('./lib/mirror-store');
+const PledgeScheduler = require('./lib/pledge-scheduler');
+const HousekeepingScheduler = require('./lib/housekeeping-scheduler');
+const { createApp } = require('./lib/api');
+const { loadConfig, connectGateway } = require('./lib/gateway');
+const { ValidationError, toHttpError } = require('./lib/errors');
+const { EventService, decodeEvent } = require('./lib/event-service');
+const { Indexer, checkDrift } = require('./lib/indexer');
+const { parseBlock } = require('./lib/block-parser');
+const { WebhookRegistry, signPayload, verifySignature } = require('./lib/webhooks');
+const { assessCampaign, assessAll } = require('./lib/risk');
+const { DocumentSigner, verifySignedDocument } = require('./lib/signer');
+const { leafHash, merkleRoot, verifyProof } = require('./lib/merkle');
+const {
+    TransparencyReporter,
+    buildReceipt,
+    checkReceipt,
+    renderReceiptPdf,
+    buildTransparencyReport,
+    verifyReport,
+    getInclusionProof,
+    verifyInclusion
+} = require('./lib/transparency');
+
+/**
+ * Connect to the Fabric network, start relaying chaincode events and
+ * mirroring blocks, and serve the REST API
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Promise<Object>} Running server, services and gateway connection ({ server, events, indexer, scheduler, housekeeping, reporter, connection })
+ */
+async function main(env = process.env) {
+    const config = loadConfig(env);
+    const connection = connectGateway(config);
+    const webhooks = new WebhookRegistry(config.webhooksFile);
+    const stream = new EventStream();
+    fs.mkdirSync(path.dirname(config.checkpointFile), { recursive: true });
+    const events = new EventService({
+        network: connection.network,
+        chaincodeName: config.chaincodeName,
+        checkpointer: await checkpointers.file(config.checkpointFile),
+        webhooks,
+        stream,
+        startBlock: config.startBlock
+    });
+
+    const mirror = new MirrorStore(config.mirrorFile);
+    const indexer = new Indexer({ network: connection.network, chaincodeName: config.chaincodeName, store: mirror });
+    const signer = DocumentSigner.fromConfig(config);
+    const reporter = config.reportIntervalMs > 0
+        ? new TransparencyReporter({ store: mirror, signer, intervalMs: config.reportIntervalMs })
+        : null;
+
+    const client = new DonationClient(connection.contract);
+    const scheduler = config.pledgeIntervalMs > 0 ? new PledgeScheduler({ client, intervalMs: config.pledgeIntervalMs }) : null;
+    const housekeeping = config.housekeepingIntervalMs > 0
+        ? new HousekeepingScheduler({ client, intervalMs: config.housekeepingIntervalMs })
+        : null;
+
+    const app = createApp(client, { webhooks, stream, mirror, signer });
+    const port = Number(env.PORT) || 3000;
+
+    const listening = Promise.all([
+        events.start(),
+        indexer.start(),
+        scheduler && scheduler.start(),
+        housekeeping && housekeeping.start(),
+        reporter && reporter.start()
+    ]);
+    const server = app.listen(port, () => {
+        console.log(`Donation REST gateway listening on port ${port}`);
+    });
+    const shutdown = () => {
+        events.stop();
+        indexer.stop();
+        if (scheduler) {
+            scheduler.stop();
+        }
+        if (housekeeping) {
+            housekeeping.stop();
+        }
+        if (reporter) {
+            reporter.stop();
+        }
+        stream.close();
+        server.close(() => listening.then(() => {
+            mirror.close();
+            connection.close();
+        }));
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+    return { server, events, indexer, scheduler, housekeeping, reporter, connection };
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    DocumentSigner,
+    DonationClient,
+    DonationImporter,
+    EventService,
+    EventStream,
+    HousekeepingScheduler,
+    Indexer,
+    MirrorStore,
+    PledgeScheduler,
+    TransparencyReporter,
+    WebhookRegistry,
+    assessAll,
+    assessCampaign,
+    buildReceipt,
+    buildTransparencyReport,
+    checkDrift,
+    checkReceipt,
+    createApp,
+    loadConfig,
+    connectGateway,
+    decodeEvent,
+    getInclusionProof,
+    leafHash,
+    merkleRoot,
+    parseBlock,
+    parseCsv,
+    renderReceiptPdf,
+    signPayload,
+    verifyInclusion,
+    verifyProof,
+    verifyReport,
+    verifySignature,
+    verifySignedDocument,
+    ValidationError,
+    toHttpError,
+    main
+};
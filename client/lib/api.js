@@ -0,0 +1,425 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const express = require('express');
+const { toHttpError } = require('./errors');
+const { checkDrift } = require('./indexer');
+const { DonationImporter } = require('./donation-importer');
+const risk = require('./risk');
+const transparency = require('./transparency');
+
+/**
+ * Wrap an async route handler so rejections reach the error middleware
+ * @param {Function} handler - Async handler (req, res)
+ * @returns {Function} Express handler
+ */
+function route(handler) {
+    return (req, res, next) => handler(req, res).catch(next);
+}
+
+/**
+ * Split a query string into page options and filters
+ * @param {Object} query - Parsed query string
+ * @returns {Object} Page options and filters ({ page, filters })
+ */
+function parseListQuery(query) {
+    const { pageSize, bookmark, ...filters } = query;
+    if (typeof filters.tags === 'string') {
+        filters.tags = filters.tags.split(',').map(tag => tag.trim());
+    }
+    return { page: { pageSize, bookmark }, filters };
+}
+
+/**
+ * Build the REST API over a DonationClient
+ * @param {DonationClient} client - Donation chaincode client
+ * @param {Object} services - Optional off-chain services
+ * @param {WebhookRegistry} services.webhooks - Webhook subscriptions
+ * @param {EventStream} services.stream - Live event stream
+ * @param {MirrorStore} services.mirror - Off-chain query mirror for reports, search and risk scores
+ * @param {DocumentSigner} services.signer - Signer for donation receipts and transparency reports (needs the mirror)
+ * @returns {Express} Express application
+ */
+function createApp(client, { webhooks, stream, mirror, signer } = {}) {
+    const app = express();
+    app.use(express.json());
+
+    // Campaigns
+    app.get('/campaigns', route(async (req, res) => {
+        const { page, filters } = parseListQuery(req.query);
+        res.json(await client.queryCampaigns(filters, page));
+    }));
+
+    app.post('/campaigns', route(async (req, res) => {
+        res.status(201).json(await client.createCampaign(req.body));
+    }));
+
+    app.get('/campaigns/:id', route(async (req, res) => {
+        res.json(await client.readCampaign(req.params.id));
+    }));
+
+    app.patch('/campaigns/:id/status', route(async (req, res) => {
+        res.json(await client.updateCampaignStatus(req.params.id, req.body.status, req.body.reason));
+    }));
+
+    app.get('/campaigns/:id/amendments', route(async (req, res) => {
+        res.json(await client.getCampaignAmendments(req.params.id));
+    }));
+
+    app.post('/campaigns/:id/amendments', route(async (req, res) => {
+        res.status(201).json(await client.amendCampaign(req.params.id, req.body.changes, req.body.reason));
+    }));
+
+    app.get('/amendments/:amendmentId', route(async (req, res) => {
+        res.json(await client.getCampaignAmendment(req.params.amendmentId));
+    }));
+
+    app.post('/amendments/:amendmentId/review', route(async (req, res) => {
+        res.json(await client.reviewCampaignAmendment(req.params.amendmentId, req.body.verdict, req.body.notes));
+    }));
+
+    app.post('/amendments/:amendmentId/withdraw', route(async (req, res) => {
+        res.json(await client.withdrawCampaignAmendment(req.params.amendmentId));
+    }));
+
+    app.get('/campaigns/:id/analytics', route(async (req, res) => {
+        res.json(await client.getCampaignAnalytics(req.params.id));
+    }));
+
+    app.get('/campaigns/:id/history', route(async (req, res) => {
+        res.json(await client.getCampaignHistory(req.params.id));
+    }));
+
+    app.put('/campaigns/:id/oracle-panel', route(async (req, res) => {
+        res.json(await client.setOraclePanel(req.params.id, req.body.oracleIds, req.body.threshold));
+    }));
+
+    app.put('/campaigns/:id/challenge-period', route(async (req, res) => {
+        res.json(await client.setChallengePeriod(req.params.id, req.body.hours));
+    }));
+
+    // NGO registry
+    app.get('/ngos', route(async (req, res) => {
+        res.json(await client.getNGOs(req.query.status));
+    }));
+
+    app.post('/ngos', route(async (req, res) => {
+        const { ngoWallet, ...profile } = req.body;
+        res.status(201).json(await client.registerNGO(ngoWallet, profile));
+    }));
+
+    app.get('/ngos/:wallet', route(async (req, res) => {
+        res.json(await client.getNGOProfile(req.params.wallet));
+    }));
+
+    app.post('/ngos/:wallet/review', route(async (req, res) => {
+        res.json(await client.reviewNGO(req.params.wallet, req.body.verdict, req.body.notes));
+    }));
+
+    app.patch('/ngos/:wallet/status', route(async (req, res) => {
+        res.json(await client.updateNGOStatus(req.params.wallet, req.body.status, req.body.reason));
+    }));
+
+    app.get('/ngos/:wallet/campaigns', route(async (req, res) => {
+        const { page } = parseListQuery(req.query);
+        res.json(await client.getCampaignsByNGO(req.params.wallet, page));
+    }));
+
+    app.get('/ngos/:wallet/overdue-milestones', route(async (req, res) => {
+        res.json(await client.getNGOOverdueReport(req.params.wallet));
+    }));
+
+    // Donations
+    app.post('/campaigns/:id/donations', route(async (req, res) => {
+        res.status(201).json(await client.donate({ ...req.body, campaignId: req.params.id }));
+    }));
+
+    // CSV body; the report carries each imported gift's salt, for its donor alone
+    app.post('/campaigns/:id/donations/import', express.text({ type: 'text/csv', limit: '5mb' }), route(async (req, res) => {
+        const importer = new DonationImporter({ client, chunkSize: req.query.chunkSize ? Number(req.query.chunkSize) : undefined });
+        res.json(await importer.importCsv(req.params.id, req.body));
+    }));
+
+    app.get('/campaigns/:id/donations', route(async (req, res) => {
+        const { page, filters } = parseListQuery(req.query);
+        res.json(await client.getDonationHistory(req.params.id, filters, page));
+    }));
+
+    app.post('/donations/:donationId/receipt', route(async (req, res) => {
+        res.json(await client.verifyDonationReceipt(req.params.donationId, req.body.donorIdentity, req.body.salt));
+    }));
+
+    app.post('/donations/:donationId/details', route(async (req, res) => {
+        res.json(await client.getDonationDetails(req.params.donationId, req.body.salt));
+    }));
+
+    // Pledges and matching pools
+    app.post('/campaigns/:id/pledges', route(async (req, res) => {
+        res.status(201).json(await client.createPledge({ ...req.body, campaignId: req.params.id }));
+    }));
+
+    app.get('/campaigns/:id/pledges', route(async (req, res) => {
+        res.json(await client.getCampaignPledges(req.params.id));
+    }));
+
+    app.get('/pledges/due', route(async (req, res) => {
+        res.json(await client.getDuePledges());
+    }));
+
+    app.get('/pledges/:pledgeId', route(async (req, res) => {
+        res.json(await client.getPledge(req.params.pledgeId));
+    }));
+
+    app.post('/pledges/:pledgeId/execute', route(async (req, res) => {
+        res.json(await client.executePledge(req.params.pledgeId));
+    }));
+
+    app.post('/pledges/:pledgeId/cancel', route(async (req, res) => {
+        res.json(await client.cancelPledge(req.params.pledgeId, req.body.salt, req.body.reason));
+    }));
+
+    app.post('/campaigns/:id/matching-pools', route(async (req, res) => {
+        res.status(201).json(await client.createMatchingPool({ ...req.body, campaignId: req.params.id }));
+    }));
+
+    app.get('/campaigns/:id/matching-pools', route(async (req, res) => {
+        res.json(await client.getMatchingPools(req.params.id));
+    }));
+
+    app.get('/matching-pools/:poolId', route(async (req, res) => {
+        res.json(await client.getMatchingPool(req.params.poolId));
+    }));
+
+    app.post('/matching-pools/:poolId/close', route(async (req, res) => {
+        res.json(await client.closeMatchingPool(req.params.poolId, req.body.salt));
+    }));
+
+    // Milestones
+    app.post('/campaigns/:id/milestones/:mid/verify', route(async (req, res) => {
+        res.json(await client.setMilestoneVerified(req.params.id, req.params.mid, req.body.notes));
+    }));
+
+    app.get('/campaigns/:id/milestones/:mid/attestations', route(async (req, res) => {
+        res.json(await client.getMilestoneAttestations(req.params.id, req.params.mid));
+    }));
+
+    app.post('/campaigns/:id/milestones/:mid/attestations', route(async (req, res) => {
+        res.status(201).json(await client.submitMilestoneAttestation(req.params.id, req.params.mid, req.body));
+    }));
+
+    app.delete('/campaigns/:id/milestones/:mid/attestations', route(async (req, res) => {
+        res.json(await client.withdrawMilestoneAttestation(req.params.id, req.params.mid));
+    }));
+
+    app.post('/campaigns/:id/milestones/:mid/release', route(async (req, res) => {
+        res.json(await client.releaseMilestoneFunds(req.params.id, req.params.mid));
+    }));
+
+    app.get('/campaigns/:id/milestones/:mid/history', route(async (req, res) => {
+        res.json(await client.getMilestoneHistory(req.params.id, req.params.mid));
+    }));
+
+    // Disputes
+    app.post('/campaigns/:id/milestones/:mid/disputes', route(async (req, res) => {
+        res.status(201).json(await client.raiseDispute(req.params.id, req.params.mid, req.body));
+    }));
+
+    app.get('/campaigns/:id/disputes', route(async (req, res) => {
+        res.json(await client.getCampaignDisputes(req.params.id, req.query.milestoneId));
+    }));
+
+    app.get('/disputes/:disputeId', route(async (req, res) => {
+        res.json(await client.getDispute(req.params.disputeId));
+    }));
+
+    app.post('/disputes/:disputeId/resolve', route(async (req, res) => {
+        res.json(await client.resolveDispute(req.params.disputeId, req.body.outcome, req.body.notes));
+    }));
+
+    // Exchange rates
+    app.get('/exchange-rates/:from/:to', route(async (req, res) => {
+        res.json(await client.getExchangeRate(req.params.from, req.params.to));
+    }));
+
+    app.put('/exchange-rates/:from/:to', route(async (req, res) => {
+        res.json(await client.setExchangeRate(req.params.from, req.params.to, req.body.rate));
+    }));
+
+    // Refunds and funds
+    app.get('/campaigns/:id/refunds', route(async (req, res) => {
+        res.json(await client.getRefunds(req.params.id));
+    }));
+
+    app.post('/campaigns/:id/refunds', route(async (req, res) => {
+        res.status(201).json(await client.claimRefund(req.params.id, req.body.salt));
+    }));
+
+    app.post('/campaigns/:id/refunds/issue', route(async (req, res) => {
+        res.status(201).json(await client.issueRefunds(req.params.id));
+    }));
+
+    app.get('/wallets/:walletId', route(async (req, res) => {
+        res.json(await client.getWalletBalance(req.params.walletId));
+    }));
+
+    app.get('/campaigns/:id/risk-assessment', route(async (req, res) => {
+        res.json(await client.getRiskAssessment(req.params.id));
+    }));
+
+    app.get('/invariants', route(async (req, res) => {
+        res.json(await client.checkFundInvariants());
+    }));
+
+    app.post('/housekeeping/expirations', route(async (req, res) => {
+        res.json(await client.processExpirations(req.body.limit));
+    }));
+
+    app.post('/housekeeping/compactions', route(async (req, res) => {
+        res.json(await client.compactDonations(req.body.limit));
+    }));
+
+    app.post('/housekeeping/migrations', route(async (req, res) => {
+        res.json(await client.migrateState(req.body.pageSize, req.body.bookmark));
+    }));
+
+    // Chaincode events
+    if (stream) {
+        app.get('/events/stream', (req, res) => stream.handler(req, res));
+    }
+
+    if (webhooks) {
+        app.get('/events/webhooks', route(async (req, res) => {
+            res.json(await webhooks.list());
+        }));
+
+        app.post('/events/webhooks', route(async (req, res) => {
+            res.status(201).json(await webhooks.register(req.body));
+        }));
+
+        app.delete('/events/webhooks/:webhookId', route(async (req, res) => {
+            if (!await webhooks.unregister(req.params.webhookId)) {
+                return res.status(404).json({ error: `Webhook ${req.params.webhookId} does not exist` });
+            }
+            res.status(204).end();
+        }));
+    }
+
+    // Reports and search over the off-chain mirror
+    if (mirror) {
+        app.get('/reports/leaderboard', route(async (req, res) => {
+            res.json(mirror.leaderboard(req.query));
+        }));
+
+        app.get('/reports/categories', route(async (req, res) => {
+            res.json(mirror.categoryTotals());
+        }));
+
+        app.get('/reports/donors', route(async (req, res) => {
+            res.json(mirror.donorCount(req.query.campaignId));
+        }));
+
+        app.get('/reports/timeseries', route(async (req, res) => {
+            res.json(mirror.timeSeries(req.query));
+        }));
+
+        app.get('/reports/drift', route(async (req, res) => {
+            const campaignIds = req.query.campaignIds ? String(req.query.campaignIds).split(',') : undefined;
+            res.json(await checkDrift(mirror, client, campaignIds));
+        }));
+
+        app.get('/search', route(async (req, res) => {
+            res.json(mirror.search(req.query.q, req.query));
+        }));
+
+        // Advisory fraud and anomaly scores
+        app.get('/risk/campaigns', route(async (req, res) => {
+            const assessments = risk.assessAll(mirror.getRiskInputs());
+            res.json(req.query.level ? assessments.filter(assessment => assessment.level === req.query.level) : assessments);
+        }));
+
+        app.get('/risk/campaigns/:id', route(async (req, res) => {
+            const assessment = risk.assessCampaign(req.params.id, mirror.getRiskInputs());
+            if (!assessment) {
+                return res.status(404).json({ error: `Campaign ${req.params.id} does not exist in the mirror` });
+            }
+            res.json(assessment);
+        }));
+
+        app.post('/risk/campaigns/:id/record', route(async (req, res) => {
+            const assessment = risk.assessCampaign(req.params.id, mirror.getRiskInputs());
+            if (!assessment) {
+                return res.status(404).json({ error: `Campaign ${req.params.id} does not exist in the mirror` });
+            }
+            res.status(201).json(await client.recordRiskAssessment(req.params.id, assessment));
+        }));
+    }
+
+    // Signed donation receipts and Merkle transparency reports
+    if (mirror && signer) {
+        app.get('/donations/:donationId/receipt', route(async (req, res) => {
+            const receipt = transparency.buildReceipt(mirror, req.params.donationId, signer);
+            if (!receipt) {
+                return res.status(404).json({ error: `Donation ${req.params.donationId} does not exist in the mirror` });
+            }
+            if (req.query.format === 'pdf') {
+                res.type('application/pdf').attachment(`${receipt.receiptId}.pdf`);
+                return res.send(transparency.renderReceiptPdf(receipt));
+            }
+            res.json(receipt);
+        }));
+
+        app.post('/receipts/verify', route(async (req, res) => {
+            res.json(transparency.checkReceipt(mirror, req.body));
+        }));
+
+        app.get('/campaigns/:id/transparency-reports', route(async (req, res) => {
+            res.json(mirror.listReports(req.params.id));
+        }));
+
+        app.post('/campaigns/:id/transparency-reports', route(async (req, res) => {
+            const report = transparency.buildTransparencyReport(mirror, req.params.id, signer);
+            if (!report) {
+                return res.status(404).json({ error: `Campaign ${req.params.id} does not exist in the mirror` });
+            }
+            mirror.saveReport(report);
+            res.status(201).json(report);
+        }));
+
+        app.get('/transparency-reports/:reportId', route(async (req, res) => {
+            const report = mirror.getReport(req.params.reportId);
+            if (!report) {
+                return res.status(404).json({ error: `Transparency report ${req.params.reportId} does not exist` });
+            }
+            res.json(report);
+        }));
+
+        app.get('/transparency-reports/:reportId/proofs/:recordId', route(async (req, res) => {
+            const report = mirror.getReport(req.params.reportId);
+            const proof = report && transparency.getInclusionProof(report, req.params.recordId);
+            if (!proof) {
+                return res.status(404).json({ error: `${req.params.recordId} is not in transparency report ${req.params.reportId}` });
+            }
+            res.json(proof);
+        }));
+    }
+
+    app.use((error, req, res, next) => {
+        if (error.type === 'entity.parse.failed') {
+            return res.status(400).json({ error: 'Request body must be valid JSON' });
+        }
+        const { status, message } = toHttpError(error);
+        if (status >= 500) {
+            console.error(error);
+        }
+        res.status(status).json({ error: message });
+    });
+
+    return app;
+}
+
+module.exports = {
+    createApp
+};
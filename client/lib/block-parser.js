@@ -0,0 +1,100 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { common, ledger, peer } = require('@hyperledger/fabric-protos');
+
+const utf8Decoder = new TextDecoder();
+
+/**
+ * Decode a world state value written by the chaincode
+ * @param {Uint8Array} bytes - Value bytes
+ * @returns {*} Parsed JSON value, or null when empty or not JSON
+ */
+function parseValue(bytes) {
+    if (!bytes || bytes.length === 0) {
+        return null;
+    }
+    try {
+        return JSON.parse(utf8Decoder.decode(bytes));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the world state writes a transaction made to one chaincode namespace
+ * @param {peer.Transaction} transaction - Endorser transaction
+ * @param {string} namespace - Chaincode name
+ * @returns {Array} Writes ({ key, value, isDelete })
+ */
+function getWrites(transaction, namespace) {
+    const writes = [];
+    for (const action of transaction.getActionsList()) {
+        const actionPayload = peer.ChaincodeActionPayload.deserializeBinary(action.getPayload_asU8());
+        const responsePayload = peer.ProposalResponsePayload.deserializeBinary(
+            actionPayload.getAction().getProposalResponsePayload_asU8());
+        const chaincodeAction = peer.ChaincodeAction.deserializeBinary(responsePayload.getExtension_asU8());
+        const readWriteSet = ledger.rwset.TxReadWriteSet.deserializeBinary(chaincodeAction.getResults_asU8());
+
+        for (const nsReadWriteSet of readWriteSet.getNsRwsetList()) {
+            if (nsReadWriteSet.getNamespace() !== namespace) {
+                continue;
+            }
+            const kvReadWriteSet = ledger.rwset.kvrwset.KVRWSet.deserializeBinary(nsReadWriteSet.getRwset_asU8());
+            for (const write of kvReadWriteSet.getWritesList()) {
+                writes.push({
+                    key: write.getKey(),
+                    value: write.getIsDelete() ? null : parseValue(write.getValue_asU8()),
+                    isDelete: write.getIsDelete()
+                });
+            }
+        }
+    }
+    return writes;
+}
+
+/**
+ * Extract the valid transactions of a block and the world state they wrote
+ * for one chaincode. Transactions the peers marked invalid (e.g. MVCC read
+ * conflicts) are skipped, as their writes never reached world state.
+ * @param {common.Block} block - Block from the Fabric Gateway block events
+ * @param {string} namespace - Chaincode name
+ * @returns {Object} Parsed block ({ blockNumber, transactions: [{ txId, timestamp, writes }] })
+ */
+function parseBlock(block, namespace) {
+    const blockNumber = BigInt(block.getHeader().getNumber());
+    const metadata = block.getMetadata().getMetadataList_asU8();
+    const validationCodes = metadata[common.BlockMetadataIndex.TRANSACTIONS_FILTER] || new Uint8Array();
+    const transactions = [];
+
+    block.getData().getDataList_asU8().forEach((envelopeBytes, index) => {
+        if (validationCodes.length > 0 && validationCodes[index] !== peer.TxValidationCode.VALID) {
+            return;
+        }
+
+        const envelope = common.Envelope.deserializeBinary(envelopeBytes);
+        const payload = common.Payload.deserializeBinary(envelope.getPayload_asU8());
+        const channelHeader = common.ChannelHeader.deserializeBinary(payload.getHeader().getChannelHeader_asU8());
+        if (channelHeader.getType() !== common.HeaderType.ENDORSER_TRANSACTION) {
+            return;
+        }
+
+        const writes = getWrites(peer.Transaction.deserializeBinary(payload.getData_asU8()), namespace);
+        if (writes.length === 0) {
+            return;
+        }
+
+        const timestamp = channelHeader.getTimestamp();
+        const millis = timestamp.getSeconds() * 1000 + Math.floor(timestamp.getNanos() / 1000000);
+        transactions.push({ txId: channelHeader.getTxId(), timestamp: new Date(millis).toISOString(), writes });
+    });
+
+    return { blockNumber, transactions };
+}
+
+module.exports = {
+    parseBlock
+};
@@ -0,0 +1,954 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { CommitError } = require('@hyperledger/fabric-gateway');
+const { ValidationError } = require('./errors');
+
+const utf8Decoder = new TextDecoder();
+
+/**
+ * @typedef {Object} MilestoneInput
+ * @property {string} milestoneId - Milestone identifier
+ * @property {string} title - Milestone title
+ * @property {string} [description] - Milestone description
+ * @property {number} budgetAmount - Budget released when the milestone is verified (minor units)
+ */
+
+/**
+ * @typedef {Object} CampaignInput
+ * @property {string} campaignId - Campaign identifier
+ * @property {string} ngoWallet - NGO wallet receiving released funds
+ * @property {string} title - Campaign title
+ * @property {string} [description] - Campaign description
+ * @property {number} goalAmount - Funding goal (minor units of the campaign currency, e.g. cents)
+ * @property {string} deadline - Deadline (ISO date string)
+ * @property {string} [category] - Campaign category
+ * @property {MilestoneInput[]} [milestones] - Milestones
+ * @property {string[]} [tags] - Tags
+ * @property {string} [initialStatus] - Draft or Active (default Active)
+ * @property {string} [currency] - ISO 4217 currency code (default USD)
+ */
+
+/**
+ * @typedef {Object} DonationInput
+ * @property {string} campaignId - Campaign identifier
+ * @property {number} amount - Amount donated (minor units of the donation currency)
+ * @property {string} [currency] - Donation currency (default the campaign currency)
+ * @property {string} [donorId] - Donor name or reference, kept in a private data collection
+ * @property {string} [message] - Donation message, kept in a private data collection
+ * @property {boolean} [anonymous] - Hide the donor from the NGO organisation
+ * @property {string} [salt] - Donor salt (generated when omitted)
+ */
+
+/**
+ * @typedef {Object} BatchDonationInput
+ * @property {string} paymentReference - External payment reference; a payment is only ever imported once
+ * @property {number} amount - Amount donated (minor units of the donation currency)
+ * @property {string} [currency] - Donation currency (default the campaign currency)
+ * @property {string} donorIdentity - Identity the donor will present to prove the gift (their client
+ *   identity, if they are to read it, claim refunds or raise disputes themselves)
+ * @property {string} [salt] - Donor's secret salt (generated when omitted); hand it to the donor alone
+ * @property {string} [donorId] - Donor name or reference, kept in a private data collection
+ * @property {string} [message] - Donation message, kept in a private data collection
+ * @property {boolean} [anonymous] - Hide the donor from the NGO organisation
+ */
+
+/**
+ * @typedef {Object} PledgeInput
+ * @property {string} campaignId - Campaign identifier
+ * @property {number} amount - Amount of each installment (minor units of the campaign currency)
+ * @property {string} period - weekly, monthly or quarterly
+ * @property {number} [installments] - Number of installments (default until cancelled)
+ * @property {string} [startDate] - Due date of the first installment (ISO date string, default now)
+ * @property {string} [donorId] - Donor name or reference, kept in a private data collection
+ * @property {string} [message] - Pledge message, kept in a private data collection
+ * @property {boolean} [anonymous] - Hide the donor from the NGO organisation
+ * @property {string} [salt] - Donor salt (generated when omitted)
+ */
+
+/**
+ * @typedef {Object} MatchingPoolInput
+ * @property {string} campaignId - Campaign identifier
+ * @property {number} cap - Most the pool will match in total (minor units of the campaign currency)
+ * @property {string} ratio - Amount matched per unit donated, as a decimal string (e.g. "1" or "0.5")
+ * @property {string} [sponsorName] - Sponsor name shown publicly on the pool (anonymous when omitted)
+ * @property {number} [minDonation] - Smallest donation matched (minor units)
+ * @property {number} [maxMatchPerDonation] - Most matched for a single donation (minor units)
+ * @property {string} [expiresAt] - Stop matching after this time (ISO date string)
+ * @property {string} [salt] - Sponsor salt (generated when omitted)
+ */
+
+/**
+ * @typedef {Object} PageOptions
+ * @property {number} [pageSize] - Page size (default 10, max 100)
+ * @property {string} [bookmark] - Bookmark returned by the previous page
+ */
+
+/**
+ * Check that required arguments are present
+ * @param {Object} values - Argument values by name
+ */
+function requireArgs(values) {
+    const missing = Object.keys(values).filter(name => values[name] === undefined || values[name] === null || values[name] === '');
+    if (missing.length > 0) {
+        throw new ValidationError(`Missing required argument(s): ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Check that an argument is a positive whole number of minor units
+ * @param {string} name - Argument name
+ * @param {*} value - Argument value
+ */
+function requireMinorUnits(name, value) {
+    if (!Number.isSafeInteger(value) || value <= 0) {
+        throw new ValidationError(`${name} must be a positive whole number of minor units`);
+    }
+}
+
+/**
+ * Convert an optional scalar argument to its chaincode string form
+ * @param {*} value - Argument value
+ * @returns {string} Argument string ('' when absent)
+ */
+function toArg(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Decode a transaction result
+ * @param {Uint8Array} resultBytes - Result returned by the chaincode
+ * @returns {*} Parsed JSON result, or undefined for an empty result
+ */
+function parseResult(resultBytes) {
+    const json = utf8Decoder.decode(resultBytes);
+    return json ? JSON.parse(json) : undefined;
+}
+
+/**
+ * Typed wrappers around the DonationContract transactions, on top of a
+ * Fabric Gateway Contract (or any object with the same submitAsync and
+ * evaluate methods). Transactions run as the gateway's identity.
+ *
+ * Anonymous gifts are endorsed like every other transaction, by the
+ * channel's majority endorsement policy. Their donor details travel only as
+ * transient data, which stays out of the block, and are stored only in
+ * anonymousDonorCollection: its members are the Oracle organisation's peers,
+ * so NGO peers keep just the salted hash, and memberOnlyRead stops NGO
+ * clients reading the details. The block does record the identity that
+ * signed the transaction, so a donor who must stay unlinked from their gifts
+ * should submit through an identity not tied to them, such as a relaying
+ * service's.
+ */
+class DonationClient {
+    /**
+     * @param {Contract} contract - Fabric Gateway contract for the donation chaincode
+     */
+    constructor(contract) {
+        this.contract = contract;
+    }
+
+    /**
+     * Submit a transaction and wait for it to commit
+     * @param {string} name - Transaction name
+     * @param {Array} args - Transaction arguments
+     * @param {Object} transientData - Transient data (optional)
+     * @returns {Promise<Object>} Parsed result and transaction ID ({ result, transactionId })
+     */
+    async _submit(name, args, transientData) {
+        const options = { arguments: args };
+        if (transientData) {
+            options.transientData = transientData;
+        }
+
+        const commit = await this.contract.submitAsync(name, options);
+        const status = await commit.getStatus();
+        if (!status.successful) {
+            throw new CommitError({
+                code: status.code,
+                transactionId: status.transactionId,
+                message: `Transaction ${status.transactionId} failed to commit with status code ${status.code}`
+            });
+        }
+
+        return { result: parseResult(commit.getResult()), transactionId: commit.getTransactionId() };
+    }
+
+    /**
+     * Submit a transaction and return its parsed result
+     * @param {string} name - Transaction name
+     * @param {...string} args - Transaction arguments
+     * @returns {Promise<*>} Parsed result
+     */
+    async _submitTransaction(name, ...args) {
+        const { result } = await this._submit(name, args);
+        return result;
+    }
+
+    /**
+     * Evaluate a query transaction on a single peer
+     * @param {string} name - Transaction name
+     * @param {Array} args - Transaction arguments
+     * @param {Object} transientData - Transient data (optional)
+     * @returns {Promise<*>} Parsed result
+     */
+    async _evaluate(name, args, transientData) {
+        const options = { arguments: args };
+        if (transientData) {
+            options.transientData = transientData;
+        }
+        return parseResult(await this.contract.evaluate(name, options));
+    }
+
+    /**
+     * Build the transient donor details that prove who the caller is as a donor
+     * @param {Object} details - Donor details (salt, donorId, message, anonymous)
+     * @returns {Object} Transient data
+     */
+    _donorTransient(details) {
+        requireArgs({ salt: details.salt });
+        return { donor: JSON.stringify(details) };
+    }
+
+    /**
+     * Initialize the ledger (admin); safe to repeat, it never overwrites existing records
+     * @param {boolean} [seedDemoData] - Also seed the demo campaign and its NGO (default false)
+     * @returns {Promise<Object>} Result ({ seeded: { campaigns, ngos }, schemaVersions })
+     */
+    async initLedger(seedDemoData = false) {
+        return this._submitTransaction('initLedger', String(Boolean(seedDemoData)));
+    }
+
+    /**
+     * Create a campaign
+     * @param {CampaignInput} campaign - Campaign definition
+     * @returns {Promise<Object>} Created campaign
+     */
+    async createCampaign(campaign) {
+        const { campaignId, ngoWallet, title, description, goalAmount, deadline, category, milestones, tags, initialStatus, currency } = campaign;
+        requireArgs({ campaignId, ngoWallet, title, goalAmount, deadline });
+        requireMinorUnits('goalAmount', goalAmount);
+        if (milestones !== undefined && !Array.isArray(milestones)) {
+            throw new ValidationError('milestones must be an array');
+        }
+        if (tags !== undefined && !Array.isArray(tags)) {
+            throw new ValidationError('tags must be an array');
+        }
+
+        return this._submitTransaction('createCampaign',
+            campaignId,
+            ngoWallet,
+            title,
+            toArg(description),
+            String(goalAmount),
+            deadline,
+            toArg(category),
+            milestones && milestones.length > 0 ? JSON.stringify(milestones) : '',
+            tags ? tags.join(',') : '',
+            toArg(initialStatus),
+            toArg(currency));
+    }
+
+    /**
+     * Donate to a campaign. Donor details travel as transient data; keep the
+     * returned salt to claim refunds, raise disputes or prove the donation.
+     * @param {DonationInput} donation - Donation
+     * @returns {Promise<Object>} Donation receipt ({ donationId, transactionId, salt, campaign })
+     */
+    async donate(donation) {
+        const { campaignId, amount, currency, donorId, message, anonymous } = donation;
+        requireArgs({ campaignId, amount });
+        requireMinorUnits('amount', amount);
+
+        const salt = donation.salt || crypto.randomBytes(16).toString('hex');
+        const transient = this._donorTransient({ salt, donorId: toArg(donorId), message: toArg(message), anonymous: anonymous === true });
+        const { result, transactionId } = await this._submit('donate', [campaignId, String(amount), toArg(currency)], transient);
+
+        return {
+            donationId: `DONATION_${campaignId}_${transactionId}`,
+            transactionId: transactionId,
+            salt: salt,
+            campaign: result
+        };
+    }
+
+    /**
+     * Import donations settled off chain, e.g. by a payment processor or at a
+     * fundraising event, in one transaction (owning NGO or admin). The batch is
+     * all or nothing. Each gift is recorded under its own donor's hash, so the
+     * donor, not the importer, can later prove it; the donors travel as
+     * transient data. Hand each donor the salt returned for their gift.
+     * @param {string} campaignId - Campaign identifier
+     * @param {BatchDonationInput[]} donations - Donations (at most 200)
+     * @returns {Promise<Object>} Batch receipt ({ batchId, campaignId, donations, totalAmount, matchedAmount, campaign, transactionId }),
+     *   each donation with the salt it was recorded under
+     */
+    async donateBatch(campaignId, donations) {
+        requireArgs({ campaignId, donations });
+        if (!Array.isArray(donations) || donations.length === 0) {
+            throw new ValidationError('donations must be a non-empty array');
+        }
+
+        const batchDonors = {};
+        const items = donations.map(({ paymentReference, amount, currency, donorIdentity, salt, donorId, message, anonymous }, index) => {
+            requireArgs({ [`donations[${index}].paymentReference`]: paymentReference, [`donations[${index}].donorIdentity`]: donorIdentity });
+            requireMinorUnits(`donations[${index}].amount`, amount);
+            batchDonors[paymentReference] = {
+                donorIdentity: donorIdentity,
+                salt: salt || crypto.randomBytes(16).toString('hex'),
+                donorId: toArg(donorId),
+                message: toArg(message),
+                anonymous: anonymous === true
+            };
+            return currency ? { paymentReference, amount, currency } : { paymentReference, amount };
+        });
+
+        const { result, transactionId } = await this._submit('donateBatch', [campaignId, JSON.stringify(items)], { batchDonors: JSON.stringify(batchDonors) });
+
+        return {
+            ...result,
+            donations: result.donations.map(donation => ({ ...donation, salt: batchDonors[donation.paymentReference].salt })),
+            transactionId: transactionId
+        };
+    }
+
+    /**
+     * Record the rate converting donations from one currency into another (oracle)
+     * @param {string} fromCurrency - Donation currency
+     * @param {string} toCurrency - Campaign currency
+     * @param {string} rate - Units of toCurrency per unit of fromCurrency, as a decimal string
+     * @returns {Promise<Object>} Exchange rate
+     */
+    async setExchangeRate(fromCurrency, toCurrency, rate) {
+        requireArgs({ fromCurrency, toCurrency, rate });
+        if (typeof rate !== 'string') {
+            throw new ValidationError('rate must be a decimal string, e.g. "83.125"');
+        }
+        return this._submitTransaction('setExchangeRate', fromCurrency, toCurrency, rate);
+    }
+
+    /**
+     * Get the current exchange rate between two currencies
+     * @param {string} fromCurrency - Donation currency
+     * @param {string} toCurrency - Campaign currency
+     * @returns {Promise<Object>} Exchange rate
+     */
+    async getExchangeRate(fromCurrency, toCurrency) {
+        requireArgs({ fromCurrency, toCurrency });
+        return this._evaluate('getExchangeRate', [fromCurrency, toCurrency]);
+    }
+
+    /**
+     * Pledge a recurring donation. Donor details travel as transient data;
+     * keep the returned salt to cancel the pledge or prove its donations.
+     * @param {PledgeInput} pledge - Pledge
+     * @returns {Promise<Object>} Pledge receipt ({ pledgeId, transactionId, salt, pledge })
+     */
+    async createPledge(pledge) {
+        const { campaignId, amount, period, installments, startDate, donorId, message, anonymous } = pledge;
+        requireArgs({ campaignId, amount, period });
+        requireMinorUnits('amount', amount);
+        if (installments !== undefined && (!Number.isInteger(installments) || installments < 1)) {
+            throw new ValidationError('installments must be a positive whole number');
+        }
+
+        const salt = pledge.salt || crypto.randomBytes(16).toString('hex');
+        const transient = this._donorTransient({ salt, donorId: toArg(donorId), message: toArg(message), anonymous: anonymous === true });
+        const { result, transactionId } = await this._submit('createPledge',
+            [campaignId, String(amount), period, toArg(installments), toArg(startDate)], transient);
+
+        return {
+            pledgeId: `PLEDGE_${campaignId}_${transactionId}`,
+            transactionId: transactionId,
+            salt: salt,
+            pledge: result
+        };
+    }
+
+    /**
+     * Record a due pledge installment as a donation (admin, see PledgeScheduler)
+     * @param {string} pledgeId - Pledge identifier
+     * @returns {Promise<Object>} Updated pledge
+     */
+    async executePledge(pledgeId) {
+        requireArgs({ pledgeId });
+        return this._submitTransaction('executePledge', pledgeId);
+    }
+
+    /**
+     * Cancel a pledge. Donors pass the salt used to create it; admins may omit it.
+     * @param {string} pledgeId - Pledge identifier
+     * @param {string} [salt] - Donor salt used for the pledge
+     * @param {string} [reason] - Reason for cancelling
+     * @returns {Promise<Object>} Updated pledge
+     */
+    async cancelPledge(pledgeId, salt, reason) {
+        requireArgs({ pledgeId });
+        const { result } = await this._submit('cancelPledge', [pledgeId, toArg(reason)], salt ? this._donorTransient({ salt }) : undefined);
+        return result;
+    }
+
+    /**
+     * Get a pledge
+     * @param {string} pledgeId - Pledge identifier
+     * @returns {Promise<Object>} Pledge
+     */
+    async getPledge(pledgeId) {
+        requireArgs({ pledgeId });
+        return this._evaluate('getPledge', [pledgeId]);
+    }
+
+    /**
+     * Get every pledge made to a campaign
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Promise<Array>} Pledges, oldest first
+     */
+    async getCampaignPledges(campaignId) {
+        requireArgs({ campaignId });
+        return this._evaluate('getCampaignPledges', [campaignId]);
+    }
+
+    /**
+     * Get the active pledges with an installment due now
+     * @returns {Promise<Array>} Pledges, oldest first
+     */
+    async getDuePledges() {
+        return this._evaluate('getDuePledges', []);
+    }
+
+    /**
+     * Open a matching-gift pool for a campaign. Sponsor details travel as
+     * transient data; keep the returned salt to close the pool.
+     * @param {MatchingPoolInput} pool - Matching pool
+     * @returns {Promise<Object>} Pool receipt ({ poolId, transactionId, salt, pool })
+     */
+    async createMatchingPool(pool) {
+        const { campaignId, cap, ratio, sponsorName, minDonation, maxMatchPerDonation, expiresAt } = pool;
+        requireArgs({ campaignId, cap, ratio });
+        requireMinorUnits('cap', cap);
+        if (typeof ratio !== 'string') {
+            throw new ValidationError('ratio must be a decimal string, e.g. "1" or "0.5"');
+        }
+
+        const options = { sponsorName, minDonation, maxMatchPerDonation, expiresAt };
+        Object.keys(options).filter(name => options[name] === undefined).forEach(name => delete options[name]);
+        const salt = pool.salt || crypto.randomBytes(16).toString('hex');
+        const transient = this._donorTransient({ salt, donorId: toArg(sponsorName), message: '', anonymous: !sponsorName });
+        const { result, transactionId } = await this._submit('createMatchingPool',
+            [campaignId, String(cap), ratio, JSON.stringify(options)], transient);
+
+        return {
+            poolId: `MATCHPOOL_${campaignId}_${transactionId}`,
+            transactionId: transactionId,
+            salt: salt,
+            pool: result
+        };
+    }
+
+    /**
+     * Close a matching pool. Sponsors pass the salt used to open it; admins may omit it.
+     * @param {string} poolId - Matching pool identifier
+     * @param {string} [salt] - Sponsor salt used for the pool
+     * @returns {Promise<Object>} Updated matching pool
+     */
+    async closeMatchingPool(poolId, salt) {
+        requireArgs({ poolId });
+        const { result } = await this._submit('closeMatchingPool', [poolId], salt ? this._donorTransient({ salt }) : undefined);
+        return result;
+    }
+
+    /**
+     * Get a matching pool
+     * @param {string} poolId - Matching pool identifier
+     * @returns {Promise<Object>} Matching pool
+     */
+    async getMatchingPool(poolId) {
+        requireArgs({ poolId });
+        return this._evaluate('getMatchingPool', [poolId]);
+    }
+
+    /**
+     * Get every matching pool of a campaign
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Promise<Array>} Matching pools, oldest first
+     */
+    async getMatchingPools(campaignId) {
+        requireArgs({ campaignId });
+        return this._evaluate('getMatchingPools', [campaignId]);
+    }
+
+    /**
+     * Check a donor's proof of a donation
+     * @param {string} donationId - Donation identifier
+     * @param {string} donorIdentity - Donor's client identity
+     * @param {string} salt - Donor salt
+     * @returns {Promise<Object>} Verification result
+     */
+    async verifyDonationReceipt(donationId, donorIdentity, salt) {
+        requireArgs({ donationId, donorIdentity, salt });
+        return this._evaluate('verifyDonationReceipt', [donationId, donorIdentity, salt]);
+    }
+
+    /**
+     * Get the private details of one of the gateway identity's donations
+     * @param {string} donationId - Donation identifier
+     * @param {string} salt - Donor salt used for the donation
+     * @returns {Promise<Object>} Donation with its private details
+     */
+    async getDonationDetails(donationId, salt) {
+        requireArgs({ donationId });
+        return this._evaluate('getDonationDetails', [donationId], this._donorTransient({ salt }));
+    }
+
+    /**
+     * Verify a milestone with a single oracle call
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier
+     * @param {string} [notes] - Verification notes
+     * @returns {Promise<Object>} Updated campaign
+     */
+    async setMilestoneVerified(campaignId, milestoneId, notes) {
+        requireArgs({ campaignId, milestoneId });
+        return this._submitTransaction('setMilestoneVerified', campaignId, milestoneId, toArg(notes));
+    }
+
+    /**
+     * Assign the oracle panel and quorum that verify a campaign's milestones
+     * @param {string} campaignId - Campaign identifier
+     * @param {string[]} oracleIds - Client identities of the panel's oracles
+     * @param {number} threshold - Approvals required to verify a milestone
+     * @returns {Promise<Object>} Updated campaign
+     */
+    async setOraclePanel(campaignId, oracleIds, threshold) {
+        requireArgs({ campaignId, oracleIds, threshold });
+        if (!Array.isArray(oracleIds)) {
+            throw new ValidationError('oracleIds must be an array');
+        }
+        return this._submitTransaction('setOraclePanel', campaignId, JSON.stringify(oracleIds), String(threshold));
+    }
+
+    /**
+     * Submit an oracle attestation for a milestone
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier
+     * @param {Object} attestation - Attestation ({ evidenceHash, verdict, notes })
+     * @returns {Promise<Object>} Updated campaign
+     */
+    async submitMilestoneAttestation(campaignId, milestoneId, attestation) {
+        const { evidenceHash, verdict, notes } = attestation;
+        requireArgs({ campaignId, milestoneId, evidenceHash, verdict });
+        return this._submitTransaction('submitMilestoneAttestation', campaignId, milestoneId, evidenceHash, verdict, toArg(notes));
+    }
+
+    /**
+     * Withdraw the gateway identity's attestation for a milestone
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier
+     * @returns {Promise<Object>} Updated campaign
+     */
+    async withdrawMilestoneAttestation(campaignId, milestoneId) {
+        requireArgs({ campaignId, milestoneId });
+        return this._submitTransaction('withdrawMilestoneAttestation', campaignId, milestoneId);
+    }
+
+    /**
+     * Get the attestations recorded for a milestone
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier
+     * @returns {Promise<Array>} Attestations
+     */
+    async getMilestoneAttestations(campaignId, milestoneId) {
+        requireArgs({ campaignId, milestoneId });
+        return this._evaluate('getMilestoneAttestations', [campaignId, milestoneId]);
+    }
+
+    /**
+     * Set how long donors can dispute a milestone after it is verified
+     * @param {string} campaignId - Campaign identifier
+     * @param {number} hours - Challenge period in hours
+     * @returns {Promise<Object>} Updated campaign
+     */
+    async setChallengePeriod(campaignId, hours) {
+        requireArgs({ campaignId, hours });
+        return this._submitTransaction('setChallengePeriod', campaignId, String(hours));
+    }
+
+    /**
+     * Dispute a verified milestone as a donor to the campaign
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier
+     * @param {Object} dispute - Dispute ({ reason, evidenceHash, salt })
+     * @returns {Promise<Object>} Dispute
+     */
+    async raiseDispute(campaignId, milestoneId, dispute) {
+        const { reason, evidenceHash, salt } = dispute;
+        requireArgs({ campaignId, milestoneId, reason });
+        const { result } = await this._submit('raiseDispute',
+            [campaignId, milestoneId, reason, toArg(evidenceHash)], this._donorTransient({ salt }));
+        return result;
+    }
+
+    /**
+     * Resolve an open dispute
+     * @param {string} disputeId - Dispute identifier
+     * @param {string} outcome - upheld or dismissed
+     * @param {string} [notes] - Resolution notes
+     * @returns {Promise<Object>} Resolved dispute
+     */
+    async resolveDispute(disputeId, outcome, notes) {
+        requireArgs({ disputeId, outcome });
+        return this._submitTransaction('resolveDispute', disputeId, outcome, toArg(notes));
+    }
+
+    /**
+     * Get a dispute
+     * @param {string} disputeId - Dispute identifier
+     * @returns {Promise<Object>} Dispute
+     */
+    async getDispute(disputeId) {
+        requireArgs({ disputeId });
+        return this._evaluate('getDispute', [disputeId]);
+    }
+
+    /**
+     * Get the disputes raised against a campaign's milestones
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} [milestoneId] - Limit to one milestone
+     * @returns {Promise<Array>} Disputes
+     */
+    async getCampaignDisputes(campaignId, milestoneId) {
+        requireArgs({ campaignId });
+        return this._evaluate('getCampaignDisputes', [campaignId, toArg(milestoneId)]);
+    }
+
+    /**
+     * Release the escrowed budget of a verified milestone to the NGO wallet
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier
+     * @returns {Promise<Object>} Updated campaign
+     */
+    async releaseMilestoneFunds(campaignId, milestoneId) {
+        requireArgs({ campaignId, milestoneId });
+        return this._submitTransaction('releaseMilestoneFunds', campaignId, milestoneId);
+    }
+
+    /**
+     * Read a campaign
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Promise<Object>} Campaign
+     */
+    async readCampaign(campaignId) {
+        requireArgs({ campaignId });
+        return this._evaluate('readCampaign', [campaignId]);
+    }
+
+    /**
+     * Claim the gateway identity's refund from a cancelled or failed campaign
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} salt - Donor salt used for the donations
+     * @returns {Promise<Object>} Refund
+     */
+    async claimRefund(campaignId, salt) {
+        requireArgs({ campaignId });
+        const { result } = await this._submit('claimRefund', [campaignId], this._donorTransient({ salt }));
+        return result;
+    }
+
+    /**
+     * Issue the outstanding refunds of a cancelled or failed campaign
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Promise<Array>} Refunds issued
+     */
+    async issueRefunds(campaignId) {
+        requireArgs({ campaignId });
+        return this._submitTransaction('issueRefunds', campaignId);
+    }
+
+    /**
+     * Get the refunds issued for a campaign
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Promise<Array>} Refunds
+     */
+    async getRefunds(campaignId) {
+        requireArgs({ campaignId });
+        return this._evaluate('getRefunds', [campaignId]);
+    }
+
+    /**
+     * Get an NGO wallet balance
+     * @param {string} walletId - Wallet identifier
+     * @returns {Promise<Object>} Wallet
+     */
+    async getWalletBalance(walletId) {
+        requireArgs({ walletId });
+        return this._evaluate('getWalletBalance', [walletId]);
+    }
+
+    /**
+     * Check that donated, escrowed, released and refunded funds balance
+     * @returns {Promise<Object>} Invariant report
+     */
+    async checkFundInvariants() {
+        return this._evaluate('checkFundInvariants', []);
+    }
+
+    /**
+     * Get every version of a campaign with its invoker and changed fields
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Promise<Array>} Audit trail
+     */
+    async getCampaignHistory(campaignId) {
+        requireArgs({ campaignId });
+        return this._evaluate('getCampaignHistory', [campaignId]);
+    }
+
+    /**
+     * Get the campaign versions that changed a milestone
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} milestoneId - Milestone identifier
+     * @returns {Promise<Array>} Audit trail
+     */
+    async getMilestoneHistory(campaignId, milestoneId) {
+        requireArgs({ campaignId, milestoneId });
+        return this._evaluate('getMilestoneHistory', [campaignId, milestoneId]);
+    }
+
+    /**
+     * Get one page of campaigns, optionally filtered
+     * @param {Object} [filters] - Campaign filters (status, category, ngoWallet, tags, ...)
+     * @param {PageOptions} [page] - Page options
+     * @returns {Promise<Object>} Page ({ records, bookmark, fetchedCount })
+     */
+    async queryCampaigns(filters, page = {}) {
+        if (filters && Object.keys(filters).length > 0) {
+            return this._evaluate('queryCampaignsWithPagination', [JSON.stringify(filters), toArg(page.pageSize), toArg(page.bookmark)]);
+        }
+        return this._evaluate('getAllCampaignsWithPagination', [toArg(page.pageSize), toArg(page.bookmark)]);
+    }
+
+    /**
+     * Get one page of an NGO's campaigns
+     * @param {string} ngoWallet - NGO wallet
+     * @param {PageOptions} [page] - Page options
+     * @returns {Promise<Object>} Page ({ records, bookmark, fetchedCount })
+     */
+    async getCampaignsByNGO(ngoWallet, page = {}) {
+        requireArgs({ ngoWallet });
+        return this._evaluate('getCampaignsByNGOWithPagination', [ngoWallet, toArg(page.pageSize), toArg(page.bookmark)]);
+    }
+
+    /**
+     * Get one page of a campaign's donations, optionally filtered
+     * @param {string} campaignId - Campaign identifier
+     * @param {Object} [filters] - Donation filters (donorHash, minAmount, maxAmount, ...)
+     * @param {PageOptions} [page] - Page options
+     * @returns {Promise<Object>} Page ({ records, bookmark, fetchedCount })
+     */
+    async getDonationHistory(campaignId, filters, page = {}) {
+        requireArgs({ campaignId });
+        return this._evaluate('getDonationHistoryWithPagination',
+            [campaignId, filters ? JSON.stringify(filters) : '', toArg(page.pageSize), toArg(page.bookmark)]);
+    }
+
+    /**
+     * Move a campaign to a new status
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} newStatus - New status
+     * @param {string} [reason] - Reason for the change
+     * @returns {Promise<Object>} Updated campaign
+     */
+    async updateCampaignStatus(campaignId, newStatus, reason) {
+        requireArgs({ campaignId, newStatus });
+        return this._submitTransaction('updateCampaignStatus', campaignId, newStatus, toArg(reason));
+    }
+
+    /**
+     * Propose changes to a campaign, applied once its oracles approve them
+     * @param {string} campaignId - Campaign identifier
+     * @param {Object} changes - Changes ({ title, description, deadline, goalAmount, milestones: { add, update, remove } })
+     * @param {string} reason - Reason for the amendment
+     * @returns {Promise<Object>} Proposed amendment
+     */
+    async amendCampaign(campaignId, changes, reason) {
+        requireArgs({ campaignId, changes, reason });
+        if (typeof changes !== 'object' || Array.isArray(changes)) {
+            throw new ValidationError('changes must be an object');
+        }
+        return this._submitTransaction('amendCampaign', campaignId, JSON.stringify(changes), reason);
+    }
+
+    /**
+     * Approve or reject a proposed campaign amendment as an oracle
+     * @param {string} amendmentId - Amendment identifier
+     * @param {string} verdict - approve or reject
+     * @param {string} [notes] - Review notes
+     * @returns {Promise<Object>} Amendment
+     */
+    async reviewCampaignAmendment(amendmentId, verdict, notes) {
+        requireArgs({ amendmentId, verdict });
+        return this._submitTransaction('reviewCampaignAmendment', amendmentId, verdict, toArg(notes));
+    }
+
+    /**
+     * Withdraw a pending campaign amendment
+     * @param {string} amendmentId - Amendment identifier
+     * @returns {Promise<Object>} Amendment
+     */
+    async withdrawCampaignAmendment(amendmentId) {
+        requireArgs({ amendmentId });
+        return this._submitTransaction('withdrawCampaignAmendment', amendmentId);
+    }
+
+    /**
+     * Get a campaign amendment
+     * @param {string} amendmentId - Amendment identifier
+     * @returns {Promise<Object>} Amendment
+     */
+    async getCampaignAmendment(amendmentId) {
+        requireArgs({ amendmentId });
+        return this._evaluate('getCampaignAmendment', [amendmentId]);
+    }
+
+    /**
+     * Get every amendment proposed for a campaign, oldest first
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Promise<Array>} Amendments
+     */
+    async getCampaignAmendments(campaignId) {
+        requireArgs({ campaignId });
+        return this._evaluate('getCampaignAmendments', [campaignId]);
+    }
+
+    /**
+     * Get a campaign's funding and milestone analytics
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Promise<Object>} Analytics
+     */
+    async getCampaignAnalytics(campaignId) {
+        requireArgs({ campaignId });
+        return this._evaluate('getCampaignAnalytics', [campaignId]);
+    }
+
+    /**
+     * Record an advisory risk assessment of a campaign (oracle or admin)
+     * @param {string} campaignId - Campaign identifier
+     * @param {Object} assessment - Assessment from risk.js ({ score, level, signals, modelVersion })
+     * @returns {Promise<Object>} Recorded assessment
+     */
+    async recordRiskAssessment(campaignId, assessment) {
+        requireArgs({ campaignId, assessment });
+        const { score, level, signals, modelVersion } = assessment;
+        return this._submitTransaction('recordRiskAssessment', campaignId, JSON.stringify({ score, level, signals, modelVersion }));
+    }
+
+    /**
+     * Get the latest advisory risk assessment recorded for a campaign
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Promise<Object>} Risk assessment
+     */
+    async getRiskAssessment(campaignId) {
+        requireArgs({ campaignId });
+        return this._evaluate('getRiskAssessment', [campaignId]);
+    }
+
+    /**
+     * Expire campaigns past their deadline and flag overdue milestones (admin, see HousekeepingScheduler)
+     * @param {number} [limit] - Most campaigns to change in one sweep
+     * @returns {Promise<Object>} Sweep result ({ expiredCampaigns, overdueMilestones, penalties, more, processedAt })
+     */
+    async processExpirations(limit) {
+        return this._submitTransaction('processExpirations', toArg(limit));
+    }
+
+    /**
+     * Fold outstanding donation deltas into their campaigns (admin, see HousekeepingScheduler)
+     * @param {number} [limit] - Most campaigns to compact in one sweep
+     * @returns {Promise<Object>} Sweep result ({ compactedCampaigns, more, processedAt })
+     */
+    async compactDonations(limit) {
+        return this._submitTransaction('compactDonations', toArg(limit));
+    }
+
+    /**
+     * Rewrite one page of world state in the current document schemas (admin, after a chaincode upgrade)
+     * @param {number} [pageSize] - Records to scan (default 10, max 100)
+     * @param {string} [bookmark] - Bookmark returned by the previous page
+     * @returns {Promise<Object>} Page result ({ scanned, migrated, bookmark, processedAt }), empty bookmark after the last page
+     */
+    async migrateState(pageSize, bookmark) {
+        return this._submitTransaction('migrateState', toArg(pageSize), toArg(bookmark));
+    }
+
+    /**
+     * Get an NGO's overdue milestones and reputation
+     * @param {string} ngoWallet - Wallet the NGO's campaigns pay into
+     * @returns {Promise<Object>} Report ({ ngoWallet, reputation, overdueMilestones, generatedAt })
+     */
+    async getNGOOverdueReport(ngoWallet) {
+        requireArgs({ ngoWallet });
+        return this._evaluate('getNGOOverdueReport', [ngoWallet]);
+    }
+
+    /**
+     * Register the calling NGO identity as the owner of a wallet, pending KYC review
+     * @param {string} ngoWallet - Wallet the NGO's campaigns will pay into
+     * @param {Object} profile - Profile ({ name, registrationNumber, country, kycDocumentHash, website })
+     * @returns {Promise<Object>} NGO
+     */
+    async registerNGO(ngoWallet, profile) {
+        requireArgs({ ngoWallet, profile });
+        if (typeof profile !== 'object' || Array.isArray(profile)) {
+            throw new ValidationError('profile must be an object');
+        }
+        return this._submitTransaction('registerNGO', ngoWallet, JSON.stringify(profile));
+    }
+
+    /**
+     * Approve or reject a pending NGO registration (oracle or admin)
+     * @param {string} ngoWallet - Wallet of the registered NGO
+     * @param {string} verdict - approve or reject
+     * @param {string} [notes] - Review notes
+     * @returns {Promise<Object>} NGO
+     */
+    async reviewNGO(ngoWallet, verdict, notes) {
+        requireArgs({ ngoWallet, verdict });
+        return this._submitTransaction('reviewNGO', ngoWallet, verdict, toArg(notes));
+    }
+
+    /**
+     * Suspend or reinstate an NGO (oracle or admin)
+     * @param {string} ngoWallet - Wallet of the registered NGO
+     * @param {string} newStatus - Suspended or Approved
+     * @param {string} [reason] - Reason for the change
+     * @returns {Promise<Object>} NGO
+     */
+    async updateNGOStatus(ngoWallet, newStatus, reason) {
+        requireArgs({ ngoWallet, newStatus });
+        return this._submitTransaction('updateNGOStatus', ngoWallet, newStatus, toArg(reason));
+    }
+
+    /**
+     * Get a registered NGO with a summary of each of its campaigns
+     * @param {string} ngoWallet - Wallet of the registered NGO
+     * @returns {Promise<Object>} NGO profile with campaigns and campaignCounts
+     */
+    async getNGOProfile(ngoWallet) {
+        requireArgs({ ngoWallet });
+        return this._evaluate('getNGOProfile', [ngoWallet]);
+    }
+
+    /**
+     * Get the registered NGOs
+     * @param {string} [status] - Only NGOs with this status
+     * @returns {Promise<Array>} NGOs
+     */
+    async getNGOs(status) {
+        return this._evaluate('getNGOs', [toArg(status)]);
+    }
+}
+
+module.exports = DonationClient;
@@ -0,0 +1,244 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { ValidationError, getChaincodeMessage } = require('./errors');
+
+// Rows submitted per donateBatch transaction (the chaincode accepts at most 200)
+const DEFAULT_CHUNK_SIZE = 100;
+const MAX_CHUNK_SIZE = 200;
+
+const REQUIRED_COLUMNS = ['paymentReference', 'amount', 'donorIdentity'];
+
+/**
+ * Parse CSV text (RFC 4180: comma separated, double-quoted fields, "" for a
+ * quote inside a quoted field) into rows keyed by the header line. Blank
+ * lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array} Rows ({ line, values }), line numbers counting the header as line 1
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        record.push(field);
+        if (record.length > 1 || record[0] !== '') {
+            records.push({ line: recordLine, fields: record });
+        }
+        record = [];
+        field = '';
+        recordLine = line;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            line++;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new ValidationError(`CSV has an unterminated quoted field starting on line ${recordLine}`);
+    }
+    endRecord();
+
+    const [header, ...rows] = records;
+    if (!header) {
+        throw new ValidationError('CSV is empty');
+    }
+    const columns = header.fields.map(column => column.trim());
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        throw new ValidationError(`CSV is missing required column(s): ${missing.join(', ')}`);
+    }
+
+    return rows.map(row => ({
+        line: row.line,
+        values: Object.fromEntries(columns.map((column, index) => [column, (row.fields[index] || '').trim()]))
+    }));
+}
+
+/**
+ * Turn a CSV row into a batch donation, or explain why it cannot be one
+ * @param {Object} values - Row values by column
+ * @returns {Object} Batch donation ({ donation }) or problem ({ error })
+ */
+function toDonation(values) {
+    if (!values.paymentReference) {
+        return { error: 'paymentReference is required' };
+    }
+    if (!/^\d+$/.test(values.amount) || !Number.isSafeInteger(Number(values.amount)) || Number(values.amount) === 0) {
+        return { error: `amount must be a positive whole number of minor units, got: ${values.amount}` };
+    }
+    if (!values.donorIdentity) {
+        return { error: 'donorIdentity is required' };
+    }
+
+    return {
+        donation: {
+            paymentReference: values.paymentReference,
+            amount: Number(values.amount),
+            currency: values.currency || undefined,
+            donorIdentity: values.donorIdentity,
+            salt: values.salt || undefined,
+            donorId: values.donorId || undefined,
+            message: values.message || undefined,
+            anonymous: /^(true|yes|1)$/i.test(values.anonymous || '')
+        }
+    };
+}
+
+/**
+ * Imports CSV settlement files into a campaign through donateBatch. Each
+ * row is checked locally first, then the valid rows are submitted in chunks.
+ * A chunk is all or nothing on the ledger, so when it is rejected because of
+ * particular rows (already imported payments, or an item the chaincode finds
+ * invalid) those rows are reported and the rest of the chunk is resubmitted;
+ * any other failure rejects the whole chunk. Importing the same file again is
+ * safe: rows already on the ledger come back as duplicates.
+ *
+ * Each gift is recorded for its own donor: donorIdentity names the identity
+ * the donor will present to prove it, and the salt (generated unless the
+ * row has one) is reported with the imported row, to be handed to that
+ * donor alone.
+ *
+ * CSV columns: paymentReference, amount (minor units), donorIdentity, and
+ * optionally currency, salt, donorId, message and anonymous.
+ */
+class DonationImporter {
+    /**
+     * @param {Object} options - Importer options
+     * @param {DonationClient} options.client - Client submitting as the owning NGO or an admin
+     * @param {number} options.chunkSize - Rows per transaction (default 100, max 200)
+     */
+    constructor({ client, chunkSize = DEFAULT_CHUNK_SIZE }) {
+        if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+            throw new ValidationError(`chunkSize must be an integer between 1 and ${MAX_CHUNK_SIZE}`);
+        }
+        this.client = client;
+        this.chunkSize = chunkSize;
+    }
+
+    /**
+     * Import a CSV file into a campaign
+     * @param {string} campaignId - Campaign identifier
+     * @param {string} csv - CSV text
+     * @returns {Promise<Object>} Import report ({ campaignId, batches, summary, rows }), one
+     *   row ({ line, paymentReference, amount, status, donationId, batchId, salt, error }) per CSV row with
+     *   status imported, duplicate, invalid or rejected
+     */
+    async importCsv(campaignId, csv) {
+        if (!campaignId) {
+            throw new ValidationError('Missing required argument(s): campaignId');
+        }
+        if (typeof csv !== 'string') {
+            throw new ValidationError('csv must be a string');
+        }
+
+        const report = { campaignId: campaignId, batches: [], rows: [] };
+        const pending = [];
+        const seen = new Set();
+
+        for (const { line, values } of parseCsv(csv)) {
+            const row = { line: line, paymentReference: values.paymentReference, amount: values.amount, status: null };
+            report.rows.push(row);
+
+            const { donation, error } = toDonation(values);
+            if (error) {
+                Object.assign(row, { status: 'invalid', error: error });
+            } else if (seen.has(donation.paymentReference)) {
+                Object.assign(row, { status: 'duplicate', error: 'payment reference appears earlier in the file' });
+            } else {
+                seen.add(donation.paymentReference);
+                row.amount = donation.amount;
+                pending.push({ row, donation });
+            }
+        }
+
+        for (let start = 0; start < pending.length; start += this.chunkSize) {
+            await this._importChunk(campaignId, pending.slice(start, start + this.chunkSize), report);
+        }
+
+        report.summary = { rows: report.rows.length };
+        for (const status of ['imported', 'duplicate', 'invalid', 'rejected']) {
+            report.summary[status] = report.rows.filter(row => row.status === status).length;
+        }
+        return report;
+    }
+
+    /**
+     * Submit one chunk, dropping the rows the chaincode names and resubmitting the rest
+     * @param {string} campaignId - Campaign identifier
+     * @param {Array} entries - Pending rows ({ row, donation })
+     * @param {Object} report - Import report (modified in place)
+     */
+    async _importChunk(campaignId, entries, report) {
+        while (entries.length > 0) {
+            let batch;
+            try {
+                batch = await this.client.donateBatch(campaignId, entries.map(entry => entry.donation));
+            } catch (error) {
+                const message = getChaincodeMessage(error);
+                const imported = /payment references already imported: (.+)$/.exec(message);
+                const invalid = /^Invalid batch item at index (\d+): (.+)$/.exec(message);
+
+                if (imported) {
+                    const references = new Set(imported[1].split(', '));
+                    for (const { row } of entries.filter(entry => references.has(entry.donation.paymentReference))) {
+                        Object.assign(row, { status: 'duplicate', error: 'payment already imported' });
+                    }
+                    entries = entries.filter(entry => !references.has(entry.donation.paymentReference));
+                } else if (invalid && entries[Number(invalid[1])]) {
+                    Object.assign(entries[Number(invalid[1])].row, { status: 'invalid', error: invalid[2] });
+                    entries = entries.filter((entry, index) => index !== Number(invalid[1]));
+                } else {
+                    for (const { row } of entries) {
+                        Object.assign(row, { status: 'rejected', error: message });
+                    }
+                    return;
+                }
+                continue;
+            }
+
+            report.batches.push({ batchId: batch.batchId, transactionId: batch.transactionId, donations: batch.donations.length, totalAmount: batch.totalAmount });
+            batch.donations.forEach((donation, index) => {
+                Object.assign(entries[index].row, { status: 'imported', donationId: donation.donationId, batchId: batch.batchId, salt: donation.salt });
+            });
+            return;
+        }
+    }
+}
+
+module.exports = {
+    DonationImporter,
+    parseCsv
+};
@@ -0,0 +1,95 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+/**
+ * Error raised by the client before a transaction is sent, when its
+ * arguments are missing or malformed
+ */
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+    }
+}
+
+// gRPC status codes that mean the network, not the transaction, failed
+const GRPC_UNAVAILABLE = 14;
+const GRPC_DEADLINE_EXCEEDED = 4;
+
+// Chaincode error messages mapped to HTTP status codes, checked in order
+const CHAINCODE_ERROR_STATUS = [
+    { pattern: /^Unauthorized: /, status: 403 },
+    { pattern: /does not exist|not found/, status: 404 },
+    {
+        pattern: new RegExp([
+            'already',
+            'cannot .+ with status',
+            'Invalid status transition',
+            'not eligible for refunds',
+            'challenge period',
+            'open dispute',
+            'Insufficient escrow balance',
+            'is not verified yet',
+            'can only be disputed',
+            'cannot change after',
+            'deadline has passed',
+            'is not due until'
+        ].join('|')),
+        status: 409
+    }
+];
+
+/**
+ * Extract the chaincode's own error message from a Fabric Gateway error.
+ * Peers report it in the error details as "chaincode response 500, <message>".
+ * @param {Error} error - Error thrown by the Fabric Gateway client
+ * @returns {string} Chaincode error message
+ */
+function getChaincodeMessage(error) {
+    const detail = Array.isArray(error.details) && error.details.find(entry => entry && entry.message);
+    const message = detail ? detail.message : error.message;
+    return message.replace(/^chaincode response \d+, /, '');
+}
+
+/**
+ * Map an error from the client or the Fabric Gateway to an HTTP response
+ * @param {Error} error - Error to map
+ * @returns {Object} HTTP status and message ({ status, message })
+ */
+function toHttpError(error) {
+    if (error instanceof ValidationError) {
+        return { status: 400, message: error.message };
+    }
+
+    // Endorsed but invalidated by the peers, e.g. by a concurrent update (MVCC read conflict)
+    if (error.name === 'CommitError') {
+        return { status: 409, message: error.message };
+    }
+
+    const isGatewayError = Array.isArray(error.details);
+    if (!isGatewayError) {
+        return { status: 500, message: 'Internal server error' };
+    }
+
+    if (error.details.length === 0) {
+        if (error.code === GRPC_UNAVAILABLE) {
+            return { status: 503, message: 'Fabric network unavailable' };
+        }
+        if (error.code === GRPC_DEADLINE_EXCEEDED) {
+            return { status: 504, message: 'Fabric network timed out' };
+        }
+    }
+
+    const message = getChaincodeMessage(error);
+    const match = CHAINCODE_ERROR_STATUS.find(({ pattern }) => pattern.test(message));
+    return { status: match ? match.status : 400, message: message };
+}
+
+module.exports = {
+    ValidationError,
+    getChaincodeMessage,
+    toHttpError
+};
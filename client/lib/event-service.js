@@ -0,0 +1,137 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { deliver } = require('./webhooks');
+
+const utf8Decoder = new TextDecoder();
+
+/**
+ * Decode a chaincode event into the JSON envelope sent to webhooks and streams.
+ * Fabric delivers one chaincode event per transaction, so the transaction ID
+ * identifies the event.
+ * @param {ChaincodeEvent} event - Event from the Fabric Gateway
+ * @returns {Object} Decoded event
+ */
+function decodeEvent(event) {
+    const json = utf8Decoder.decode(event.payload);
+    return {
+        id: event.transactionId,
+        eventName: event.eventName,
+        blockNumber: event.blockNumber.toString(),
+        transactionId: event.transactionId,
+        chaincodeName: event.chaincodeName,
+        payload: json ? JSON.parse(json) : null
+    };
+}
+
+/**
+ * Listens to the donation chaincode's events and fans them out to webhooks
+ * and the live event stream. An event is checkpointed only after every
+ * delivery has finished, so after a restart the service resumes right after
+ * the last handled event: nothing is skipped, and receivers can drop the
+ * rare redelivery of an event interrupted mid-flight by its delivery ID.
+ */
+class EventService {
+    /**
+     * @param {Object} options - Service options
+     * @param {Network} options.network - Fabric Gateway network
+     * @param {string} options.chaincodeName - Chaincode name
+     * @param {Checkpointer} options.checkpointer - Checkpointer from the Fabric Gateway checkpointers
+     * @param {WebhookRegistry} options.webhooks - Webhook subscriptions
+     * @param {EventStream} options.stream - Live event stream (optional)
+     * @param {bigint} options.startBlock - Block to start from without a checkpoint (optional)
+     * @param {Object} options.delivery - Webhook retry options (optional, see webhooks.deliver)
+     * @param {number} options.reconnectDelayMs - Wait before reconnecting after an error (default 5000)
+     */
+    constructor({ network, chaincodeName, checkpointer, webhooks, stream, startBlock, delivery = {}, reconnectDelayMs = 5000 }) {
+        this.network = network;
+        this.chaincodeName = chaincodeName;
+        this.checkpointer = checkpointer;
+        this.webhooks = webhooks;
+        this.stream = stream;
+        this.startBlock = startBlock;
+        this.delivery = delivery;
+        this.reconnectDelayMs = reconnectDelayMs;
+        this.running = false;
+        this.events = null;
+    }
+
+    /**
+     * Publish one event and wait for its webhook deliveries
+     * @param {ChaincodeEvent} event - Event from the Fabric Gateway
+     * @returns {Promise<Array>} Delivery results
+     */
+    async handle(event) {
+        const decoded = decodeEvent(event);
+        if (this.stream) {
+            this.stream.publish(decoded);
+        }
+
+        const subscribers = await this.webhooks.subscribersOf(decoded.eventName);
+        const results = await Promise.all(subscribers.map(webhook => deliver(webhook, decoded, this.delivery)));
+        results.filter(result => !result.delivered).forEach(result => {
+            console.error(`Webhook ${result.webhookId} failed to receive event ${decoded.id} after ${result.attempts} attempts: ${result.error}`);
+        });
+
+        await this.checkpointer.checkpointChaincodeEvent(event);
+        return results;
+    }
+
+    /**
+     * Read events until the stream ends or stop() is called
+     */
+    async _listen() {
+        const options = { checkpoint: this.checkpointer };
+        if (this.startBlock !== undefined) {
+            options.startBlock = this.startBlock;
+        }
+
+        this.events = await this.network.getChaincodeEvents(this.chaincodeName, options);
+        try {
+            for await (const event of this.events) {
+                await this.handle(event);
+            }
+        } finally {
+            this.events.close();
+        }
+    }
+
+    /**
+     * Listen for events, reconnecting from the checkpoint after errors
+     * @returns {Promise<void>} Resolves once stop() is called
+     */
+    async start() {
+        this.running = true;
+        while (this.running) {
+            try {
+                await this._listen();
+            } catch (error) {
+                if (!this.running) {
+                    break;
+                }
+                console.error(`Chaincode event stream failed, reconnecting: ${error.message}`);
+            }
+            if (this.running) {
+                await new Promise(resolve => setTimeout(resolve, this.reconnectDelayMs));
+            }
+        }
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        this.running = false;
+        if (this.events) {
+            this.events.close();
+        }
+    }
+}
+
+module.exports = {
+    decodeEvent,
+    EventService
+};
@@ -0,0 +1,98 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+/**
+ * Server-Sent Events stream of chaincode events for live dashboards. Keeps
+ * the most recent events so a reconnecting browser (which sends the
+ * Last-Event-ID header) catches up on what it missed.
+ */
+class EventStream {
+    /**
+     * @param {Object} options - Stream options
+     * @param {number} options.bufferSize - Recent events kept for reconnects (default 100)
+     * @param {number} options.heartbeatMs - Interval of keep-alive comments (default 15000)
+     */
+    constructor({ bufferSize = 100, heartbeatMs = 15000 } = {}) {
+        this.bufferSize = bufferSize;
+        this.heartbeatMs = heartbeatMs;
+        this.recent = [];
+        this.clients = new Set();
+    }
+
+    /**
+     * Format an event as an SSE message
+     * @param {Object} event - Decoded chaincode event
+     * @returns {string} SSE message
+     */
+    _format(event) {
+        return `id: ${event.id}\nevent: ${event.eventName}\ndata: ${JSON.stringify(event)}\n\n`;
+    }
+
+    /**
+     * Send an event to every connected client
+     * @param {Object} event - Decoded chaincode event
+     */
+    publish(event) {
+        this.recent.push(event);
+        if (this.recent.length > this.bufferSize) {
+            this.recent.shift();
+        }
+
+        const message = this._format(event);
+        for (const client of this.clients) {
+            if (client.events.length === 0 || client.events.includes(event.eventName)) {
+                client.res.write(message);
+            }
+        }
+    }
+
+    /**
+     * Express handler that opens a stream. The optional `events` query
+     * parameter limits it to a comma-separated list of event names.
+     * @param {Request} req - Express request
+     * @param {Response} res - Express response
+     */
+    handler(req, res) {
+        const client = {
+            res,
+            events: req.query.events ? String(req.query.events).split(',').map(name => name.trim()) : []
+        };
+
+        res.writeHead(200, {
+            'content-type': 'text/event-stream',
+            'cache-control': 'no-cache',
+            connection: 'keep-alive'
+        });
+        res.write(': connected\n\n');
+
+        const lastEventId = req.get('last-event-id');
+        if (lastEventId) {
+            const index = this.recent.findIndex(event => event.id === lastEventId);
+            this.recent.slice(index + 1)
+                .filter(event => client.events.length === 0 || client.events.includes(event.eventName))
+                .forEach(event => res.write(this._format(event)));
+        }
+
+        this.clients.add(client);
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.heartbeatMs);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            this.clients.delete(client);
+        });
+    }
+
+    /**
+     * End every open stream
+     */
+    close() {
+        for (const client of this.clients) {
+            client.res.end();
+        }
+        this.clients.clear();
+    }
+}
+
+module.exports = EventStream;
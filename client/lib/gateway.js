@@ -0,0 +1,81 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const grpc = require('@grpc/grpc-js');
+const { connect, hash, signers } = require('@hyperledger/fabric-gateway');
+
+const NGO_ORG_PATH = path.resolve(__dirname, '../../network/crypto-config/peerOrganizations/ngo.donation.com');
+
+/**
+ * Read the gateway connection settings from environment variables, falling
+ * back to the NGO organisation's User1 on the local network
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {Object} Connection settings
+ */
+function loadConfig(env = process.env) {
+    const userPath = path.join(NGO_ORG_PATH, 'users/User1@ngo.donation.com/msp');
+    return {
+        mspId: env.MSP_ID || 'NGOMSP',
+        peerEndpoint: env.PEER_ENDPOINT || 'localhost:7051',
+        peerHostAlias: env.PEER_HOST_ALIAS || 'peer0.ngo.donation.com',
+        tlsCertPath: env.TLS_CERT_PATH || path.join(NGO_ORG_PATH, 'peers/peer0.ngo.donation.com/tls/ca.crt'),
+        certPath: env.CERT_PATH || path.join(userPath, 'signcerts/User1@ngo.donation.com-cert.pem'),
+        keyPath: env.KEY_PATH || path.join(userPath, 'keystore/priv_sk'),
+        channelName: env.CHANNEL_NAME || 'donationchannel',
+        chaincodeName: env.CHAINCODE_NAME || 'donationcontract',
+        checkpointFile: env.CHECKPOINT_FILE || path.resolve(__dirname, '../data/checkpoint.json'),
+        webhooksFile: env.WEBHOOKS_FILE || path.resolve(__dirname, '../data/webhooks.json'),
+        mirrorFile: env.MIRROR_FILE || path.resolve(__dirname, '../data/mirror.db'),
+        startBlock: env.START_BLOCK !== undefined ? BigInt(env.START_BLOCK) : undefined,
+        // Off unless set: executing pledges and housekeeping need an admin identity
+        pledgeIntervalMs: Number(env.PLEDGE_INTERVAL_MS) || 0,
+        housekeepingIntervalMs: Number(env.HOUSEKEEPING_INTERVAL_MS) || 0,
+        reportIntervalMs: env.REPORT_INTERVAL_MS !== undefined ? Number(env.REPORT_INTERVAL_MS) : 24 * 60 * 60 * 1000
+    };
+}
+
+/**
+ * Connect to a peer's Fabric Gateway service
+ * @param {Object} config - Connection settings from loadConfig()
+ * @returns {Object} Open connection ({ gateway, network, contract, close })
+ */
+function connectGateway(config) {
+    const tlsCredentials = grpc.credentials.createSsl(fs.readFileSync(config.tlsCertPath));
+    const client = new grpc.Client(config.peerEndpoint, tlsCredentials, {
+        'grpc.ssl_target_name_override': config.peerHostAlias
+    });
+
+    const gateway = connect({
+        client,
+        identity: { mspId: config.mspId, credentials: fs.readFileSync(config.certPath) },
+        signer: signers.newPrivateKeySigner(crypto.createPrivateKey(fs.readFileSync(config.keyPath))),
+        hash: hash.sha256,
+        evaluateOptions: () => ({ deadline: Date.now() + 5000 }),
+        endorseOptions: () => ({ deadline: Date.now() + 15000 }),
+        submitOptions: () => ({ deadline: Date.now() + 5000 }),
+        commitStatusOptions: () => ({ deadline: Date.now() + 60000 })
+    });
+    const network = gateway.getNetwork(config.channelName);
+    const contract = network.getContract(config.chaincodeName);
+
+    return {
+        gateway,
+        network,
+        contract,
+        close() {
+            gateway.close();
+            client.close();
+        }
+    };
+}
+
+module.exports = {
+    loadConfig,
+    connectGateway
+};
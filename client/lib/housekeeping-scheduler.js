@@ -0,0 +1,100 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { getChaincodeMessage } = require('./errors');
+
+// Sweeps of each kind per run; a backlog larger than this is left to the next run
+const MAX_SWEEPS_PER_RUN = 20;
+
+/**
+ * Runs the ledger's housekeeping on a schedule: each run first calls
+ * compactDonations, which folds outstanding donation deltas into their
+ * campaigns, then processExpirations, which expires campaigns past their
+ * deadline and flags overdue milestones, repeating each while the ledger
+ * reports more to do. Run it with an admin identity.
+ */
+class HousekeepingScheduler {
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {DonationClient} options.client - Client submitting as an admin identity
+     * @param {number} options.intervalMs - Wait between runs (default one hour)
+     * @param {number} options.limit - Most campaigns changed per sweep (default: the chaincode's)
+     */
+    constructor({ client, intervalMs = 60 * 60 * 1000, limit }) {
+        this.client = client;
+        this.intervalMs = intervalMs;
+        this.limit = limit;
+        this.running = false;
+        this.timer = null;
+        this.wake = null;
+    }
+
+    /**
+     * Sweep the ledger until nothing is left to compact, expire or flag
+     * @returns {Promise<Object>} Combined sweep results ({ compactedCampaigns, expiredCampaigns, overdueMilestones,
+     *   penalties, compactions, sweeps }), sweeps counting expiration sweeps
+     */
+    async runOnce() {
+        const outcome = { compactedCampaigns: [], expiredCampaigns: [], overdueMilestones: [], penalties: [], compactions: 0, sweeps: 0 };
+        let more = true;
+
+        while (more && outcome.compactions < MAX_SWEEPS_PER_RUN) {
+            const compaction = await this.client.compactDonations(this.limit);
+            outcome.compactedCampaigns.push(...compaction.compactedCampaigns);
+            outcome.compactions++;
+            more = compaction.more;
+        }
+
+        more = true;
+        while (more && outcome.sweeps < MAX_SWEEPS_PER_RUN) {
+            const sweep = await this.client.processExpirations(this.limit);
+            outcome.expiredCampaigns.push(...sweep.expiredCampaigns);
+            outcome.overdueMilestones.push(...sweep.overdueMilestones);
+            outcome.penalties.push(...sweep.penalties);
+            outcome.sweeps++;
+            more = sweep.more;
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Run the scheduler every intervalMs until stop() is called
+     * @returns {Promise<void>} Resolves once stop() is called
+     */
+    async start() {
+        this.running = true;
+        while (this.running) {
+            try {
+                const { expiredCampaigns, overdueMilestones } = await this.runOnce();
+                if (expiredCampaigns.length > 0 || overdueMilestones.length > 0) {
+                    console.log(`Housekeeping expired ${expiredCampaigns.length} campaign(s) and flagged ${overdueMilestones.length} overdue milestone(s)`);
+                }
+            } catch (error) {
+                console.error(`Housekeeping run failed: ${getChaincodeMessage(error)}`);
+            }
+            if (this.running) {
+                await new Promise(resolve => {
+                    this.wake = resolve;
+                    this.timer = setTimeout(resolve, this.intervalMs);
+                });
+            }
+        }
+    }
+
+    /**
+     * Stop running housekeeping
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        if (this.wake) {
+            this.wake();
+        }
+    }
+}
+
+module.exports = HousekeepingScheduler;
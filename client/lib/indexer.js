@@ -0,0 +1,150 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { parseBlock } = require('./block-parser');
+
+// Campaign fields compared against the ledger by checkDrift()
+const DRIFT_FIELDS = ['campaignStatus', 'goalAmount', 'currentAmount', 'escrowBalance', 'releasedAmount', 'refundedAmount'];
+const MILESTONE_DRIFT_FIELDS = ['verificationStatus', 'isVerified', 'fundsReleased'];
+
+/**
+ * Replays the channel's blocks into a MirrorStore. The mirror records the
+ * next block to read, so a restarted indexer resumes where it stopped and
+ * a fresh one replays the channel from startBlock (default the genesis block).
+ */
+class Indexer {
+    /**
+     * @param {Object} options - Indexer options
+     * @param {Network} options.network - Fabric Gateway network
+     * @param {string} options.chaincodeName - Chaincode name
+     * @param {MirrorStore} options.store - Mirror to update
+     * @param {bigint} options.startBlock - Block to start from on an empty mirror (default 0)
+     * @param {number} options.reconnectDelayMs - Wait before reconnecting after an error (default 5000)
+     */
+    constructor({ network, chaincodeName, store, startBlock = 0n, reconnectDelayMs = 5000 }) {
+        this.network = network;
+        this.chaincodeName = chaincodeName;
+        this.store = store;
+        this.startBlock = startBlock;
+        this.reconnectDelayMs = reconnectDelayMs;
+        this.running = false;
+        this.blocks = null;
+    }
+
+    /**
+     * Apply one block to the mirror
+     * @param {common.Block} block - Block from the Fabric Gateway
+     * @returns {Object} Parsed block
+     */
+    handle(block) {
+        const parsed = parseBlock(block, this.chaincodeName);
+        this.store.applyBlock(parsed);
+        return parsed;
+    }
+
+    async _listen() {
+        this.blocks = await this.network.getBlockEvents({ checkpoint: this.store.checkpoint(), startBlock: this.startBlock });
+        try {
+            for await (const block of this.blocks) {
+                this.handle(block);
+            }
+        } finally {
+            this.blocks.close();
+        }
+    }
+
+    /**
+     * Replay blocks, reconnecting from the mirror's position after errors
+     * @returns {Promise<void>} Resolves once stop() is called
+     */
+    async start() {
+        this.running = true;
+        while (this.running) {
+            try {
+                await this._listen();
+            } catch (error) {
+                if (!this.running) {
+                    break;
+                }
+                console.error(`Block event stream failed, reconnecting: ${error.message}`);
+            }
+            if (this.running) {
+                await new Promise(resolve => setTimeout(resolve, this.reconnectDelayMs));
+            }
+        }
+    }
+
+    /**
+     * Stop replaying blocks
+     */
+    stop() {
+        this.running = false;
+        if (this.blocks) {
+            this.blocks.close();
+        }
+    }
+}
+
+/**
+ * Compare mirrored campaigns with the ledger's readCampaign results. A
+ * mirror that is still catching up reports recently changed campaigns as
+ * drifted; run it when the indexer has reached the chain height.
+ * @param {MirrorStore} store - Mirror to check
+ * @param {DonationClient} client - Client used to read the ledger
+ * @param {Array} campaignIds - Campaigns to check (default every mirrored campaign)
+ * @returns {Promise<Object>} Drift report ({ checkedAt, nextBlock, checked, inSync, drifted })
+ */
+async function checkDrift(store, client, campaignIds = store.getCampaignIds()) {
+    const drifted = [];
+
+    for (const campaignId of campaignIds) {
+        const mirrored = store.getCampaign(campaignId);
+        let onChain;
+        try {
+            onChain = await client.readCampaign(campaignId);
+        } catch (error) {
+            drifted.push({ campaignId, differences: [{ field: 'campaign', mirror: mirrored ? 'present' : 'missing', ledger: error.message }] });
+            continue;
+        }
+        if (!mirrored) {
+            drifted.push({ campaignId, differences: [{ field: 'campaign', mirror: 'missing', ledger: 'present' }] });
+            continue;
+        }
+
+        const differences = DRIFT_FIELDS
+            .filter(field => mirrored[field] !== onChain[field])
+            .map(field => ({ field, mirror: mirrored[field], ledger: onChain[field] }));
+
+        for (const [milestoneId, milestone] of Object.entries(onChain.milestones || {})) {
+            const mirroredMilestone = (mirrored.milestones || {})[milestoneId] || {};
+            MILESTONE_DRIFT_FIELDS
+                .filter(field => mirroredMilestone[field] !== milestone[field])
+                .forEach(field => differences.push({
+                    field: `milestones.${milestoneId}.${field}`,
+                    mirror: mirroredMilestone[field],
+                    ledger: milestone[field]
+                }));
+        }
+
+        if (differences.length > 0) {
+            drifted.push({ campaignId, differences });
+        }
+    }
+
+    const nextBlock = store.getNextBlock();
+    return {
+        checkedAt: new Date().toISOString(),
+        nextBlock: nextBlock === undefined ? null : nextBlock.toString(),
+        checked: campaignIds.length,
+        inSync: drifted.length === 0,
+        drifted
+    };
+}
+
+module.exports = {
+    Indexer,
+    checkDrift
+};
@@ -0,0 +1,120 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { canonicalJson } = require('./signer');
+
+/**
+ * Merkle trees over ledger records, built as in RFC 6962 (Certificate
+ * Transparency): leaves and interior nodes are hashed with different
+ * prefixes so a leaf can never pass for a node, and a tree of n leaves
+ * splits at the largest power of two below n. Leaves are the canonical JSON
+ * of each record, so anyone with a record, its proof and the root can check
+ * inclusion offline with nothing but SHA-256.
+ */
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+/**
+ * SHA-256 of the concatenated buffers
+ * @param {...Buffer} parts - Input
+ * @returns {Buffer} Digest
+ */
+function sha256(...parts) {
+    return crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+}
+
+/**
+ * Hash a record as a leaf
+ * @param {Object} leaf - Record (hashed as canonical JSON)
+ * @returns {string} Hex leaf hash
+ */
+function leafHash(leaf) {
+    return sha256(LEAF_PREFIX, Buffer.from(canonicalJson(leaf))).toString('hex');
+}
+
+/**
+ * Hash two child nodes into their parent
+ * @param {string} left - Hex hash of the left child
+ * @param {string} right - Hex hash of the right child
+ * @returns {string} Hex node hash
+ */
+function nodeHash(left, right) {
+    return sha256(NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex')).toString('hex');
+}
+
+/**
+ * Largest power of two smaller than n
+ * @param {number} n - Number of leaves (more than one)
+ * @returns {number} Number of leaves in the left subtree
+ */
+function split(n) {
+    let k = 1;
+    while (k * 2 < n) {
+        k *= 2;
+    }
+    return k;
+}
+
+/**
+ * Compute the root of a tree
+ * @param {Array} hashes - Hex leaf hashes in tree order
+ * @returns {string} Hex root hash (the hash of no input for an empty tree)
+ */
+function merkleRoot(hashes) {
+    if (hashes.length === 0) {
+        return sha256().toString('hex');
+    }
+    if (hashes.length === 1) {
+        return hashes[0];
+    }
+    const k = split(hashes.length);
+    return nodeHash(merkleRoot(hashes.slice(0, k)), merkleRoot(hashes.slice(k)));
+}
+
+/**
+ * Build the inclusion proof of a leaf: the sibling hashes from the leaf up to the root
+ * @param {Array} hashes - Hex leaf hashes in tree order
+ * @param {number} index - Position of the leaf
+ * @returns {Array} Proof steps ({ position, hash }), position being the side the sibling is on
+ */
+function inclusionProof(hashes, index) {
+    if (index < 0 || index >= hashes.length) {
+        throw new RangeError(`Leaf ${index} is not in a tree of ${hashes.length} leaves`);
+    }
+    if (hashes.length === 1) {
+        return [];
+    }
+    const k = split(hashes.length);
+    if (index < k) {
+        return [...inclusionProof(hashes.slice(0, k), index), { position: 'right', hash: merkleRoot(hashes.slice(k)) }];
+    }
+    return [...inclusionProof(hashes.slice(k), index - k), { position: 'left', hash: merkleRoot(hashes.slice(0, k)) }];
+}
+
+/**
+ * Check that a leaf is included in a tree with the given root
+ * @param {string} hash - Hex leaf hash
+ * @param {Array} proof - Proof steps from inclusionProof
+ * @param {string} root - Hex root hash
+ * @returns {boolean} True if the proof leads from the leaf to the root
+ */
+function verifyProof(hash, proof, root) {
+    if (!Array.isArray(proof)) {
+        return false;
+    }
+    const computed = proof.reduce((node, step) => (step.position === 'left' ? nodeHash(step.hash, node) : nodeHash(node, step.hash)), hash);
+    return computed === root;
+}
+
+module.exports = {
+    leafHash,
+    nodeHash,
+    merkleRoot,
+    inclusionProof,
+    verifyProof
+};
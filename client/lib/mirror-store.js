@@ -0,0 +1,530 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { ValidationError } = require('./errors');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS campaigns (
+    campaign_id TEXT PRIMARY KEY,
+    title TEXT,
+    description TEXT,
+    category TEXT,
+    tags TEXT,
+    ngo_wallet TEXT,
+    status TEXT,
+    currency TEXT,
+    goal_amount INTEGER,
+    current_amount INTEGER,
+    escrow_balance INTEGER,
+    released_amount INTEGER,
+    refunded_amount INTEGER,
+    deadline TEXT,
+    created_at TEXT,
+    document TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_id TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS campaigns_category ON campaigns (category);
+
+CREATE TABLE IF NOT EXISTS milestones (
+    campaign_id TEXT NOT NULL,
+    milestone_id TEXT NOT NULL,
+    title TEXT,
+    budget_amount INTEGER,
+    verification_status TEXT,
+    is_verified INTEGER,
+    funds_released INTEGER,
+    PRIMARY KEY (campaign_id, milestone_id)
+);
+
+CREATE TABLE IF NOT EXISTS donations (
+    donation_id TEXT PRIMARY KEY,
+    campaign_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    donor_hash TEXT,
+    anonymous INTEGER,
+    timestamp TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_id TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS donations_campaign ON donations (campaign_id, timestamp);
+
+CREATE TABLE IF NOT EXISTS campaign_deltas (
+    delta_key TEXT PRIMARY KEY,
+    campaign_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    timestamp TEXT
+);
+CREATE INDEX IF NOT EXISTS campaign_deltas_campaign ON campaign_deltas (campaign_id);
+
+CREATE TABLE IF NOT EXISTS releases (
+    release_id TEXT PRIMARY KEY,
+    campaign_id TEXT NOT NULL,
+    milestone_id TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    recipient_wallet TEXT,
+    released_at TEXT,
+    block_number INTEGER NOT NULL,
+    tx_id TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS releases_campaign ON releases (campaign_id);
+
+CREATE TABLE IF NOT EXISTS transparency_reports (
+    report_id TEXT PRIMARY KEY,
+    campaign_id TEXT NOT NULL,
+    up_to_block INTEGER NOT NULL,
+    root TEXT NOT NULL,
+    generated_at TEXT NOT NULL,
+    document TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS transparency_reports_campaign ON transparency_reports (campaign_id, up_to_block);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS campaign_search USING fts5 (
+    campaign_id UNINDEXED,
+    title,
+    description,
+    category,
+    tags
+);
+`;
+
+// SQLite date formats of the time-series buckets
+const INTERVAL_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%Y-W%W',
+    month: '%Y-%m'
+};
+
+const LEADERBOARD_ORDER = {
+    raised: 'raised DESC',
+    donors: 'donors DESC, raised DESC',
+    progress: 'progress DESC, raised DESC'
+};
+
+const MAX_LIMIT = 100;
+
+// Currency of campaigns created before campaigns declared one
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Parse a result limit
+ * @param {*} value - Requested limit (optional)
+ * @returns {number} Limit (default 10, max 100)
+ */
+function parseLimit(value) {
+    if (value === undefined || value === '') {
+        return 10;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new ValidationError(`Limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+    return limit;
+}
+
+/**
+ * Turn free text into an FTS5 query matching every word as a prefix
+ * @param {string} text - Search text
+ * @returns {string} FTS5 match expression
+ */
+function toMatchExpression(text) {
+    const terms = String(text || '').split(/\s+/).filter(Boolean);
+    if (terms.length === 0) {
+        throw new ValidationError('Search text is required');
+    }
+    return terms.map(term => `"${term.replace(/"/g, '""')}"*`).join(' ');
+}
+
+/**
+ * SQLite mirror of the donation chaincode's campaigns, milestones, donations
+ * and fund releases, built by replaying committed blocks (see indexer.js).
+ * Each block is applied in one SQLite transaction together with the number
+ * of the next block to read, so the mirror never half-applies a block.
+ * Donation deltas not yet compacted on chain are kept too and added to their
+ * campaign's totals, as the chaincode's readCampaign does.
+ */
+class MirrorStore {
+    /**
+     * @param {string} filePath - SQLite database file (default in memory)
+     */
+    constructor(filePath = ':memory:') {
+        if (filePath !== ':memory:') {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        }
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+        // Mirrors built before campaigns declared a currency lack the column
+        const columns = this.db.prepare('PRAGMA table_info(campaigns)').all().map(column => column.name);
+        if (!columns.includes('currency')) {
+            this.db.exec('ALTER TABLE campaigns ADD COLUMN currency TEXT');
+            this.db.prepare('UPDATE campaigns SET currency = ?').run(DEFAULT_CURRENCY);
+        }
+        this.applyBlock = this.db.transaction(this._applyBlock.bind(this));
+    }
+
+    /**
+     * Number of the next block to replay
+     * @returns {bigint|undefined} Block number, undefined before the first block
+     */
+    getNextBlock() {
+        const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get('nextBlock');
+        return row ? BigInt(row.value) : undefined;
+    }
+
+    /**
+     * Checkpoint for the Fabric Gateway block event request, backed by the mirror
+     * @returns {Object} Checkpoint ({ getBlockNumber, getTransactionId })
+     */
+    checkpoint() {
+        return {
+            getBlockNumber: () => this.getNextBlock(),
+            getTransactionId: () => undefined
+        };
+    }
+
+    /**
+     * Apply the writes of a parsed block (run inside a transaction by applyBlock)
+     * @param {Object} block - Parsed block from block-parser.js
+     */
+    _applyBlock(block) {
+        const blockNumber = Number(block.blockNumber);
+        for (const transaction of block.transactions) {
+            for (const write of transaction.writes) {
+                this._applyWrite(write, blockNumber, transaction.txId);
+            }
+        }
+        this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+            .run('nextBlock', String(block.blockNumber + 1n));
+    }
+
+    _applyWrite({ key, value, isDelete }, blockNumber, txId) {
+        if (isDelete) {
+            if (key.startsWith('CAMPAIGN_')) {
+                this._deleteCampaign(key.slice('CAMPAIGN_'.length));
+            } else {
+                this._deleteDelta(key);
+            }
+            return;
+        }
+        if (!value) {
+            return;
+        }
+
+        switch (value.docType) {
+        case 'Campaign':
+            this._upsertCampaign(value, blockNumber, txId);
+            break;
+        case 'Donation':
+            this.db.prepare(`INSERT OR REPLACE INTO donations
+                (donation_id, campaign_id, amount, donor_hash, anonymous, timestamp, block_number, tx_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+                .run(value.donationId, value.campaignId, value.amount, value.donorHash || null,
+                    value.anonymous ? 1 : 0, value.timestamp, blockNumber, txId);
+            break;
+        case 'CampaignDelta':
+            this._deleteDelta(key);
+            this.db.prepare('INSERT INTO campaign_deltas (delta_key, campaign_id, amount, timestamp) VALUES (?, ?, ?, ?)')
+                .run(key, value.campaignId, value.amount, value.timestamp);
+            this._addToTotals(value.campaignId, value.amount);
+            break;
+        case 'FundRelease':
+            this.db.prepare(`INSERT OR REPLACE INTO releases
+                (release_id, campaign_id, milestone_id, amount, recipient_wallet, released_at, block_number, tx_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+                .run(value.releaseId, value.campaignId, value.milestoneId, value.amount,
+                    value.recipientWallet, value.releasedAt, blockNumber, txId);
+            break;
+        default:
+            break;
+        }
+    }
+
+    _deleteDelta(key) {
+        const delta = this.db.prepare('DELETE FROM campaign_deltas WHERE delta_key = ? RETURNING campaign_id, amount').get(key);
+        if (delta) {
+            this._addToTotals(delta.campaign_id, -delta.amount);
+        }
+    }
+
+    _addToTotals(campaignId, amount) {
+        this.db.prepare('UPDATE campaigns SET current_amount = current_amount + ?, escrow_balance = escrow_balance + ? WHERE campaign_id = ?')
+            .run(amount, amount, campaignId);
+    }
+
+    /**
+     * Add a campaign's outstanding donation deltas to its document
+     * @param {Object} campaign - Campaign document as written on chain
+     * @returns {Object} Campaign with the totals readCampaign reports
+     */
+    _foldDeltas(campaign) {
+        const pending = this.db.prepare('SELECT SUM(amount) AS amount, MAX(timestamp) AS lastDonationAt FROM campaign_deltas WHERE campaign_id = ?')
+            .get(campaign.campaignId);
+        if (pending.amount === null) {
+            return campaign;
+        }
+        return {
+            ...campaign,
+            currentAmount: campaign.currentAmount + pending.amount,
+            escrowBalance: (campaign.escrowBalance || 0) + pending.amount,
+            lastDonationAt: campaign.lastDonationAt > pending.lastDonationAt ? campaign.lastDonationAt : pending.lastDonationAt
+        };
+    }
+
+    _deleteCampaign(campaignId) {
+        for (const table of ['campaigns', 'milestones', 'campaign_search']) {
+            this.db.prepare(`DELETE FROM ${table} WHERE campaign_id = ?`).run(campaignId);
+        }
+    }
+
+    _upsertCampaign(campaign, blockNumber, txId) {
+        const tags = (campaign.tags || []).join(',');
+        const folded = this._foldDeltas(campaign);
+        this._deleteCampaign(campaign.campaignId);
+
+        this.db.prepare(`INSERT INTO campaigns
+            (campaign_id, title, description, category, tags, ngo_wallet, status, currency, goal_amount, current_amount,
+             escrow_balance, released_amount, refunded_amount, deadline, created_at, document, block_number, tx_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+            .run(campaign.campaignId, campaign.title, campaign.description, campaign.category, tags, campaign.ngoWallet,
+                campaign.campaignStatus, campaign.currency || DEFAULT_CURRENCY, campaign.goalAmount, folded.currentAmount, folded.escrowBalance || 0,
+                campaign.releasedAmount || 0, campaign.refundedAmount || 0, campaign.deadline, campaign.createdAt, JSON.stringify(campaign), blockNumber, txId);
+
+        const insertMilestone = this.db.prepare(`INSERT INTO milestones
+            (campaign_id, milestone_id, title, budget_amount, verification_status, is_verified, funds_released)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`);
+        for (const milestone of Object.values(campaign.milestones || {})) {
+            insertMilestone.run(campaign.campaignId, milestone.milestoneId, milestone.title, milestone.budgetAmount,
+                milestone.verificationStatus || null, milestone.isVerified ? 1 : 0, milestone.fundsReleased ? 1 : 0);
+        }
+
+        this.db.prepare('INSERT INTO campaign_search (campaign_id, title, description, category, tags) VALUES (?, ?, ?, ?, ?)')
+            .run(campaign.campaignId, campaign.title || '', campaign.description || '', campaign.category || '', tags);
+    }
+
+    /**
+     * Get a mirrored campaign document
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Object|undefined} Campaign as last written on chain, with outstanding donation deltas added
+     */
+    getCampaign(campaignId) {
+        const row = this.db.prepare('SELECT document FROM campaigns WHERE campaign_id = ?').get(campaignId);
+        return row ? this._foldDeltas(JSON.parse(row.document)) : undefined;
+    }
+
+    /**
+     * List the mirrored campaign IDs
+     * @returns {Array} Campaign identifiers
+     */
+    getCampaignIds() {
+        return this.db.prepare('SELECT campaign_id FROM campaigns ORDER BY campaign_id').pluck().all();
+    }
+
+    /**
+     * Mirrored records in the shape the risk model reads (see risk.js)
+     * @returns {Object} Campaign documents, donations and releases ({ campaigns, donations, releases })
+     */
+    getRiskInputs() {
+        return {
+            campaigns: this.db.prepare('SELECT document FROM campaigns ORDER BY campaign_id').pluck().all()
+                .map(document => this._foldDeltas(JSON.parse(document))),
+            donations: this.db.prepare(`
+                SELECT donation_id AS donationId, campaign_id AS campaignId, amount, donor_hash AS donorHash, timestamp
+                FROM donations ORDER BY timestamp, donation_id`).all(),
+            releases: this.db.prepare(`
+                SELECT release_id AS releaseId, campaign_id AS campaignId, milestone_id AS milestoneId, amount,
+                       recipient_wallet AS recipientWallet, released_at AS releasedAt
+                FROM releases ORDER BY released_at, release_id`).all()
+        };
+    }
+
+    /**
+     * Get a mirrored donation with the block that committed it and its campaign's title and currency
+     * @param {string} donationId - Donation identifier
+     * @returns {Object|undefined} Donation
+     */
+    getDonation(donationId) {
+        return this.db.prepare(`
+            SELECT d.donation_id AS donationId, d.campaign_id AS campaignId, c.title AS campaignTitle, c.ngo_wallet AS ngoWallet,
+                   d.amount, c.currency, d.donor_hash AS donorHash, d.anonymous, d.timestamp,
+                   d.tx_id AS txId, d.block_number AS blockNumber
+            FROM donations d JOIN campaigns c ON c.campaign_id = d.campaign_id
+            WHERE d.donation_id = ?`)
+            .get(donationId);
+    }
+
+    /**
+     * Every mirrored donation and fund release of a campaign, in commit order
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Object} Donations and releases ({ donations, releases })
+     */
+    getCommittedRecords(campaignId) {
+        return {
+            donations: this.db.prepare(`
+                SELECT d.donation_id AS donationId, d.campaign_id AS campaignId, d.amount, c.currency,
+                       d.donor_hash AS donorHash, d.timestamp, d.tx_id AS txId, d.block_number AS blockNumber
+                FROM donations d JOIN campaigns c ON c.campaign_id = d.campaign_id
+                WHERE d.campaign_id = ?
+                ORDER BY d.block_number, d.tx_id, d.donation_id`).all(campaignId),
+            releases: this.db.prepare(`
+                SELECT r.release_id AS releaseId, r.campaign_id AS campaignId, r.milestone_id AS milestoneId, r.amount, c.currency,
+                       r.recipient_wallet AS recipientWallet, r.released_at AS releasedAt, r.tx_id AS txId, r.block_number AS blockNumber
+                FROM releases r JOIN campaigns c ON c.campaign_id = r.campaign_id
+                WHERE r.campaign_id = ?
+                ORDER BY r.block_number, r.tx_id, r.release_id`).all(campaignId)
+        };
+    }
+
+    /**
+     * Keep a transparency report (see transparency.js). Reports are not
+     * derived from blocks, so they survive as issued; one issued again for the
+     * same campaign and block replaces the earlier copy.
+     * @param {Object} report - Signed transparency report
+     */
+    saveReport(report) {
+        this.db.prepare(`INSERT OR REPLACE INTO transparency_reports
+            (report_id, campaign_id, up_to_block, root, generated_at, document) VALUES (?, ?, ?, ?, ?, ?)`)
+            .run(report.reportId, report.campaignId, report.upToBlock, report.root, report.generatedAt, JSON.stringify(report));
+    }
+
+    /**
+     * Get a transparency report
+     * @param {string} reportId - Report identifier
+     * @returns {Object|undefined} Report
+     */
+    getReport(reportId) {
+        const row = this.db.prepare('SELECT document FROM transparency_reports WHERE report_id = ?').get(reportId);
+        return row ? JSON.parse(row.document) : undefined;
+    }
+
+    /**
+     * List a campaign's transparency reports, newest first, without their leaves
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Array} Report headers
+     */
+    listReports(campaignId) {
+        return this.db.prepare('SELECT document FROM transparency_reports WHERE campaign_id = ? ORDER BY up_to_block DESC')
+            .pluck().all(campaignId)
+            .map(document => {
+                const header = JSON.parse(document);
+                delete header.leaves;
+                return header;
+            });
+    }
+
+    /**
+     * Rank campaigns by amount raised, number of donors or progress towards the goal
+     * @param {Object} options - Ranking options ({ by, category, limit })
+     * @returns {Array} Ranked campaigns
+     */
+    leaderboard({ by = 'raised', category, limit } = {}) {
+        const order = LEADERBOARD_ORDER[by];
+        if (!order) {
+            throw new ValidationError(`Cannot rank by ${by}. Use one of: ${Object.keys(LEADERBOARD_ORDER).join(', ')}`);
+        }
+
+        return this.db.prepare(`
+            SELECT c.campaign_id AS campaignId, c.title, c.category, c.status, c.currency,
+                   c.goal_amount AS goalAmount, c.current_amount AS raised,
+                   ROUND(100.0 * c.current_amount / c.goal_amount, 2) AS progress,
+                   COUNT(DISTINCT d.donor_hash) AS donors
+            FROM campaigns c LEFT JOIN donations d ON d.campaign_id = c.campaign_id
+            WHERE (@category IS NULL OR c.category = @category)
+            GROUP BY c.campaign_id
+            ORDER BY ${order}, c.campaign_id
+            LIMIT @limit`)
+            .all({ category: category || null, limit: parseLimit(limit) });
+    }
+
+    /**
+     * Total goals, donations, releases and donors per campaign category and
+     * currency (amounts in different currencies are never added together)
+     * @returns {Array} Category totals
+     */
+    categoryTotals() {
+        return this.db.prepare(`
+            SELECT c.category, c.currency,
+                   COUNT(*) AS campaigns,
+                   SUM(c.goal_amount) AS goalAmount,
+                   SUM(c.current_amount) AS raised,
+                   SUM(c.released_amount) AS released,
+                   SUM(c.refunded_amount) AS refunded,
+                   (SELECT COUNT(DISTINCT d.donor_hash) FROM donations d
+                    JOIN campaigns dc ON dc.campaign_id = d.campaign_id
+                    WHERE dc.category = c.category AND dc.currency = c.currency) AS donors
+            FROM campaigns c
+            GROUP BY c.category, c.currency
+            ORDER BY raised DESC, c.category, c.currency`)
+            .all();
+    }
+
+    /**
+     * Count distinct donors (donor hashes), for one campaign or across all campaigns.
+     * A donor who uses a new salt for each donation counts once per salt.
+     * @param {string} campaignId - Campaign identifier (optional)
+     * @returns {Object} Donor and donation counts ({ campaignId, donors, donations })
+     */
+    donorCount(campaignId) {
+        const row = this.db.prepare(`
+            SELECT COUNT(DISTINCT donor_hash) AS donors, COUNT(*) AS donations
+            FROM donations WHERE (@campaignId IS NULL OR campaign_id = @campaignId)`)
+            .get({ campaignId: campaignId || null });
+        return { campaignId: campaignId || null, ...row };
+    }
+
+    /**
+     * Donation totals per day, week or month
+     * @param {Object} options - Series options ({ campaignId, interval, from, to })
+     * @returns {Array} Buckets ({ period, amount, donations })
+     */
+    timeSeries({ campaignId, interval = 'day', from, to } = {}) {
+        const format = INTERVAL_FORMATS[interval];
+        if (!format) {
+            throw new ValidationError(`Invalid interval: ${interval}. Use one of: ${Object.keys(INTERVAL_FORMATS).join(', ')}`);
+        }
+
+        return this.db.prepare(`
+            SELECT strftime('${format}', timestamp) AS period, SUM(amount) AS amount, COUNT(*) AS donations
+            FROM donations
+            WHERE (@campaignId IS NULL OR campaign_id = @campaignId)
+              AND (@from IS NULL OR timestamp >= @from)
+              AND (@to IS NULL OR timestamp <= @to)
+            GROUP BY period
+            ORDER BY period`)
+            .all({ campaignId: campaignId || null, from: from || null, to: to || null });
+    }
+
+    /**
+     * Full-text search over campaign titles, descriptions, categories and tags
+     * @param {string} text - Search text (every word must match, as a prefix)
+     * @param {Object} options - Search options ({ limit })
+     * @returns {Array} Matching campaigns, best match first
+     */
+    search(text, { limit } = {}) {
+        return this.db.prepare(`
+            SELECT s.campaign_id AS campaignId, c.title, c.category, c.status, c.current_amount AS raised,
+                   snippet(campaign_search, 2, '[', ']', '...', 12) AS snippet
+            FROM campaign_search s JOIN campaigns c ON c.campaign_id = s.campaign_id
+            WHERE campaign_search MATCH @query
+            ORDER BY rank
+            LIMIT @limit`)
+            .all({ query: toMatchExpression(text), limit: parseLimit(limit) });
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = MirrorStore;
@@ -0,0 +1,92 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { getChaincodeMessage } = require('./errors');
+
+/**
+ * Executes recurring pledges as they fall due. Each run asks the ledger for
+ * the due pledges and records one installment of each with executePledge,
+ * so run it with an admin identity once the payment has been collected.
+ * Missed installments stay due on the ledger and are caught up one per run.
+ */
+class PledgeScheduler {
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {DonationClient} options.client - Client submitting as an admin identity
+     * @param {number} options.intervalMs - Wait between runs (default one hour)
+     */
+    constructor({ client, intervalMs = 60 * 60 * 1000 }) {
+        this.client = client;
+        this.intervalMs = intervalMs;
+        this.running = false;
+        this.timer = null;
+        this.wake = null;
+    }
+
+    /**
+     * Execute every pledge that is due now. A failed pledge does not stop
+     * the others; it stays due and is retried on the next run.
+     * @returns {Promise<Array>} Outcome per pledge ({ pledgeId, status, donationId, error })
+     */
+    async runOnce() {
+        const due = await this.client.getDuePledges();
+        const outcomes = [];
+
+        for (const { pledgeId, installmentsPaid } of due) {
+            try {
+                const pledge = await this.client.executePledge(pledgeId);
+                // A pledge whose campaign closed ends without paying the installment
+                const paid = pledge.installmentsPaid > installmentsPaid;
+                outcomes.push({
+                    pledgeId,
+                    status: paid ? 'executed' : 'ended',
+                    donationId: paid ? pledge.lastDonationId : null,
+                    error: null
+                });
+            } catch (error) {
+                const message = getChaincodeMessage(error);
+                console.error(`Pledge ${pledgeId} could not be executed: ${message}`);
+                outcomes.push({ pledgeId, status: 'failed', donationId: null, error: message });
+            }
+        }
+
+        return outcomes;
+    }
+
+    /**
+     * Run the scheduler every intervalMs until stop() is called
+     * @returns {Promise<void>} Resolves once stop() is called
+     */
+    async start() {
+        this.running = true;
+        while (this.running) {
+            try {
+                await this.runOnce();
+            } catch (error) {
+                console.error(`Pledge scheduler run failed: ${error.message}`);
+            }
+            if (this.running) {
+                await new Promise(resolve => {
+                    this.wake = resolve;
+                    this.timer = setTimeout(resolve, this.intervalMs);
+                });
+            }
+        }
+    }
+
+    /**
+     * Stop running pledges
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        if (this.wake) {
+            this.wake();
+        }
+    }
+}
+
+module.exports = PledgeScheduler;
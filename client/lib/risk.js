@@ -0,0 +1,385 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+/**
+ * Fraud and anomaly scoring for campaigns, from the public ledger records
+ * mirrored off chain. Each detector returns signals with a strength between
+ * 0 and 1 and a plain-language explanation; assessCampaign() combines them
+ * with a fixed logistic model into a 0-100 score. Everything is local and
+ * deterministic, so an assessment can be reproduced from the same records.
+ *
+ * Scores are advisory: they point reviewers at campaigns worth a closer
+ * look and never block a transaction.
+ */
+
+const MODEL_VERSION = 'risk-v1';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+    // Smurfing: many small donations from one donor within a window, or the
+    // same amount repeated by many donors in a short burst (amounts in minor units)
+    smurfingWindowHours: 24,
+    smurfingMinDonations: 5,
+    smurfingThreshold: 1000,
+    burstWindowHours: 1,
+    burstMinDonors: 5,
+    // Round-tripping: released funds coming back as donations to the same NGO
+    roundTripWindowHours: 7 * 24,
+    roundTripMinShare: 0.5,
+    // Milestone budgets: share of the goal compared with peers in the category
+    budgetMinPeers: 5,
+    budgetMaxShare: 0.6,
+    budgetDeviations: 3,
+    // Verification speed
+    minVerificationHours: 24,
+    verificationMinPopulation: 10,
+    verificationPercentile: 0.05
+};
+
+// Logistic model: score = 100 * sigmoid(BIAS + sum(weight * strength))
+const MODEL = {
+    bias: -3,
+    weights: {
+        smurfing: 3.5,
+        roundTripping: 4.5,
+        milestoneBudget: 2.5,
+        fastVerification: 3
+    }
+};
+
+const LEVELS = [
+    { level: 'high', minScore: 70 },
+    { level: 'medium', minScore: 40 },
+    { level: 'low', minScore: 0 }
+];
+
+/**
+ * Median of a list of numbers
+ * @param {Array} values - Numbers
+ * @returns {number} Median (NaN for an empty list)
+ */
+function median(values) {
+    if (values.length === 0) {
+        return NaN;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Value at a percentile of a list of numbers (nearest rank)
+ * @param {Array} values - Numbers
+ * @param {number} percentile - Percentile between 0 and 1
+ * @returns {number} Value at the percentile
+ */
+function percentileOf(values, percentile) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(percentile * sorted.length) - 1))];
+}
+
+function clamp(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+function time(iso) {
+    return Date.parse(iso);
+}
+
+/**
+ * Flag structured giving: one donor splitting a large gift into many small
+ * donations, or many donors giving the identical amount within minutes
+ * @param {Object} campaign - Campaign record
+ * @param {Array} donations - The campaign's donation records
+ * @param {Object} options - Detector options
+ * @returns {Array} Signals
+ */
+function detectSmurfing(campaign, donations, options) {
+    const signals = [];
+    const window = options.smurfingWindowHours * HOUR_MS;
+
+    const byDonor = new Map();
+    for (const donation of donations) {
+        byDonor.set(donation.donorHash, (byDonor.get(donation.donorHash) || []).concat(donation));
+    }
+
+    for (const [donorHash, given] of byDonor) {
+        const small = given.filter(donation => donation.amount < options.smurfingThreshold)
+            .sort((a, b) => time(a.timestamp) - time(b.timestamp));
+        let start = 0;
+        let worst = null;
+        for (let end = 0; end < small.length; end++) {
+            while (time(small[end].timestamp) - time(small[start].timestamp) > window) {
+                start++;
+            }
+            const inWindow = small.slice(start, end + 1);
+            const total = inWindow.reduce((sum, donation) => sum + donation.amount, 0);
+            if (inWindow.length >= options.smurfingMinDonations && total >= options.smurfingThreshold &&
+                (!worst || inWindow.length > worst.length)) {
+                worst = inWindow;
+            }
+        }
+        if (worst) {
+            const total = worst.reduce((sum, donation) => sum + donation.amount, 0);
+            signals.push({
+                type: 'smurfing',
+                strength: clamp(worst.length / (options.smurfingMinDonations * 2) + 0.25),
+                explanation: `One donor made ${worst.length} donations below ${options.smurfingThreshold} within ` +
+                    `${options.smurfingWindowHours}h, totalling ${total}`,
+                evidence: { donorHash, donationIds: worst.map(donation => donation.donationId), total }
+            });
+        }
+    }
+
+    const byAmount = new Map();
+    for (const donation of donations) {
+        byAmount.set(donation.amount, (byAmount.get(donation.amount) || []).concat(donation));
+    }
+    const burstWindow = options.burstWindowHours * HOUR_MS;
+    for (const [amount, given] of byAmount) {
+        const sorted = [...given].sort((a, b) => time(a.timestamp) - time(b.timestamp));
+        for (let start = 0; start < sorted.length; start++) {
+            const burst = sorted.filter(donation => time(donation.timestamp) >= time(sorted[start].timestamp) &&
+                time(donation.timestamp) - time(sorted[start].timestamp) <= burstWindow);
+            const donors = new Set(burst.map(donation => donation.donorHash));
+            if (donors.size >= options.burstMinDonors) {
+                signals.push({
+                    type: 'smurfing',
+                    strength: clamp(donors.size / (options.burstMinDonors * 2) + 0.25),
+                    explanation: `${donors.size} donors each gave exactly ${amount} within ${options.burstWindowHours}h`,
+                    evidence: { amount, donationIds: burst.map(donation => donation.donationId) }
+                });
+                break;
+            }
+        }
+    }
+
+    return signals;
+}
+
+/**
+ * Flag funds released to an NGO flowing back as donations to its campaigns:
+ * a donor new to the NGO who, soon after a release, gives a large share of
+ * the released amount. Where the caller can read the private donor details,
+ * donations whose donor identity is the NGO's own identity are flagged too.
+ * @param {Object} campaign - Campaign record
+ * @param {Object} context - All records ({ campaigns, donations, releases })
+ * @param {Object} options - Detector options
+ * @returns {Array} Signals
+ */
+function detectRoundTripping(campaign, context, options) {
+    const signals = [];
+    const ngoCampaigns = new Set(context.campaigns
+        .filter(other => other.ngoWallet === campaign.ngoWallet)
+        .map(other => other.campaignId));
+    const ngoDonations = context.donations.filter(donation => ngoCampaigns.has(donation.campaignId));
+    const window = options.roundTripWindowHours * HOUR_MS;
+
+    for (const release of context.releases.filter(entry => entry.recipientWallet === campaign.ngoWallet)) {
+        const releasedAt = time(release.releasedAt);
+        const after = ngoDonations.filter(donation => donation.campaignId === campaign.campaignId &&
+            time(donation.timestamp) > releasedAt && time(donation.timestamp) - releasedAt <= window);
+
+        const totals = new Map();
+        after.forEach(donation => totals.set(donation.donorHash, (totals.get(donation.donorHash) || 0) + donation.amount));
+        for (const [donorHash, total] of totals) {
+            const knownBefore = ngoDonations.some(donation => donation.donorHash === donorHash && time(donation.timestamp) <= releasedAt);
+            const share = total / release.amount;
+            if (!knownBefore && share >= options.roundTripMinShare) {
+                signals.push({
+                    type: 'roundTripping',
+                    strength: clamp(share),
+                    explanation: `A new donor gave ${total} (${Math.round(share * 100)}% of a ${release.amount} release to ` +
+                        `${campaign.ngoWallet}) within ${options.roundTripWindowHours}h of the release`,
+                    evidence: { donorHash, releaseId: release.releaseId, total }
+                });
+            }
+        }
+    }
+
+    const selfDonations = context.donations.filter(donation => donation.campaignId === campaign.campaignId &&
+        donation.donorIdentity && donation.donorIdentity === campaign.createdBy);
+    if (selfDonations.length > 0) {
+        signals.push({
+            type: 'roundTripping',
+            strength: 1,
+            explanation: `${selfDonations.length} donation(s) came from the identity that created the campaign`,
+            evidence: { donationIds: selfDonations.map(donation => donation.donationId) }
+        });
+    }
+
+    return signals;
+}
+
+/**
+ * Share of the campaign goal held by each milestone, per category
+ * @param {Array} campaigns - Campaign records
+ * @returns {Map} Category to list of milestone budget shares
+ */
+function buildCategoryNorms(campaigns) {
+    const norms = new Map();
+    for (const campaign of campaigns) {
+        const shares = Object.values(campaign.milestones || {}).map(milestone => milestone.budgetAmount / campaign.goalAmount);
+        norms.set(campaign.category, (norms.get(campaign.category) || []).concat(shares));
+    }
+    return norms;
+}
+
+/**
+ * Flag milestone budgets out of line with other campaigns in the category.
+ * With few peers, fall back to a fixed ceiling on the share of the goal a
+ * single milestone may take.
+ * @param {Object} campaign - Campaign record
+ * @param {Map} norms - Category norms from buildCategoryNorms()
+ * @param {Object} options - Detector options
+ * @returns {Array} Signals
+ */
+function detectBudgetAnomalies(campaign, norms, options) {
+    const signals = [];
+    const peers = norms.get(campaign.category) || [];
+    const center = median(peers);
+    const spread = median(peers.map(share => Math.abs(share - center))) || 0.05;
+    const usePeers = peers.length >= options.budgetMinPeers;
+
+    for (const milestone of Object.values(campaign.milestones || {})) {
+        const share = milestone.budgetAmount / campaign.goalAmount;
+        if (usePeers) {
+            const deviations = (share - center) / spread;
+            if (deviations > options.budgetDeviations) {
+                signals.push({
+                    type: 'milestoneBudget',
+                    strength: clamp(deviations / (options.budgetDeviations * 3)),
+                    explanation: `Milestone ${milestone.milestoneId} takes ${Math.round(share * 100)}% of the goal; ` +
+                        `${campaign.category} milestones typically take ${Math.round(center * 100)}%`,
+                    evidence: { milestoneId: milestone.milestoneId, share, categoryMedian: center, peers: peers.length }
+                });
+            }
+        } else if (share > options.budgetMaxShare) {
+            signals.push({
+                type: 'milestoneBudget',
+                strength: clamp((share - options.budgetMaxShare) / (1 - options.budgetMaxShare)),
+                explanation: `Milestone ${milestone.milestoneId} takes ${Math.round(share * 100)}% of the goal, ` +
+                    `above the ${Math.round(options.budgetMaxShare * 100)}% ceiling used when a category has few campaigns`,
+                evidence: { milestoneId: milestone.milestoneId, share }
+            });
+        }
+    }
+    return signals;
+}
+
+/**
+ * Hours from the campaign's creation, or the previous verification, to each milestone verification
+ * @param {Object} campaign - Campaign record
+ * @returns {Array} Verifications ({ milestoneId, verifiedBy, hours })
+ */
+function verificationLatencies(campaign) {
+    const verified = Object.values(campaign.milestones || {})
+        .filter(milestone => milestone.verifiedAt)
+        .sort((a, b) => time(a.verifiedAt) - time(b.verifiedAt));
+
+    let previous = time(campaign.createdAt);
+    return verified.map(milestone => {
+        const hours = (time(milestone.verifiedAt) - previous) / HOUR_MS;
+        previous = time(milestone.verifiedAt);
+        return { milestoneId: milestone.milestoneId, verifiedBy: milestone.verifiedBy, hours };
+    });
+}
+
+/**
+ * Flag milestones verified faster than a minimum review time, or faster
+ * than nearly every other verification on the channel
+ * @param {Object} campaign - Campaign record
+ * @param {Array} population - Latency hours of every verification on the channel
+ * @param {Object} options - Detector options
+ * @returns {Array} Signals
+ */
+function detectFastVerification(campaign, population, options) {
+    const cutoff = population.length >= options.verificationMinPopulation
+        ? Math.max(options.minVerificationHours, percentileOf(population, options.verificationPercentile))
+        : options.minVerificationHours;
+
+    return verificationLatencies(campaign)
+        .filter(verification => verification.hours < cutoff)
+        .map(verification => ({
+            type: 'fastVerification',
+            strength: clamp(1 - verification.hours / cutoff),
+            explanation: `Milestone ${verification.milestoneId} was verified ${verification.hours.toFixed(1)}h after ` +
+                `the previous step; reviews normally take at least ${cutoff.toFixed(1)}h`,
+            evidence: { milestoneId: verification.milestoneId, verifiedBy: verification.verifiedBy, hours: verification.hours }
+        }));
+}
+
+/**
+ * Combine signal strengths into a score, taking the strongest signal of each type
+ * @param {Array} signals - Signals
+ * @returns {Object} Score and level ({ score, level })
+ */
+function combineSignals(signals) {
+    let z = MODEL.bias;
+    for (const [type, weight] of Object.entries(MODEL.weights)) {
+        const strongest = Math.max(0, ...signals.filter(signal => signal.type === type).map(signal => signal.strength));
+        z += weight * strongest;
+    }
+    const score = Math.round(100 / (1 + Math.exp(-z)));
+    return { score, level: LEVELS.find(entry => score >= entry.minScore).level };
+}
+
+/**
+ * Assess one campaign
+ * @param {string} campaignId - Campaign identifier
+ * @param {Object} context - All records ({ campaigns, donations, releases })
+ * @param {Object} overrides - Detector options to override (optional)
+ * @returns {Object} Assessment ({ campaignId, score, level, signals, modelVersion })
+ */
+function assessCampaign(campaignId, context, overrides = {}) {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    const campaign = context.campaigns.find(entry => entry.campaignId === campaignId);
+    if (!campaign) {
+        return null;
+    }
+
+    const donations = context.donations.filter(donation => donation.campaignId === campaignId);
+    const population = context.campaigns.flatMap(entry => verificationLatencies(entry).map(verification => verification.hours));
+    const signals = [
+        ...detectSmurfing(campaign, donations, options),
+        ...detectRoundTripping(campaign, context, options),
+        ...detectBudgetAnomalies(campaign, buildCategoryNorms(context.campaigns), options),
+        ...detectFastVerification(campaign, population, options)
+    ].map(signal => ({ ...signal, strength: Math.round(signal.strength * 100) / 100 }));
+
+    return {
+        campaignId,
+        ...combineSignals(signals),
+        signals,
+        modelVersion: MODEL_VERSION
+    };
+}
+
+/**
+ * Assess every campaign, riskiest first
+ * @param {Object} context - All records ({ campaigns, donations, releases })
+ * @param {Object} overrides - Detector options to override (optional)
+ * @returns {Array} Assessments
+ */
+function assessAll(context, overrides) {
+    return context.campaigns
+        .map(campaign => assessCampaign(campaign.campaignId, context, overrides))
+        .sort((a, b) => b.score - a.score || a.campaignId.localeCompare(b.campaignId));
+}
+
+module.exports = {
+    MODEL_VERSION,
+    DEFAULT_OPTIONS,
+    detectSmurfing,
+    detectRoundTripping,
+    detectBudgetAnomalies,
+    detectFastVerification,
+    buildCategoryNorms,
+    combineSignals,
+    assessCampaign,
+    assessAll
+};
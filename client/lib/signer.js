@@ -0,0 +1,126 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Serialise a JSON value with object keys sorted, so the same document
+ * always produces the same bytes to hash and sign
+ * @param {*} value - JSON value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Signature algorithm name and digest for a key
+ * @param {KeyObject} key - Private or public key
+ * @returns {Object} Algorithm name and digest for crypto.sign ({ algorithm, digest })
+ */
+function getAlgorithm(key) {
+    if (key.asymmetricKeyType === 'ed25519') {
+        return { algorithm: 'Ed25519', digest: null };
+    }
+    if (key.asymmetricKeyType === 'ec') {
+        return { algorithm: 'ECDSA-SHA256', digest: 'sha256' };
+    }
+    throw new Error(`Unsupported signing key type: ${key.asymmetricKeyType}`);
+}
+
+/**
+ * Signs receipts and reports issued by the gateway, by default with the
+ * gateway's own Fabric identity so anyone holding the organisation's CA
+ * certificate can check who issued them. The signature covers the canonical
+ * JSON of the document without its signature field.
+ */
+class DocumentSigner {
+    /**
+     * @param {Object} options - Signer options
+     * @param {KeyObject|string} options.privateKey - Signing key (KeyObject or PEM)
+     * @param {string} options.certificate - PEM certificate of the signing identity (optional)
+     * @param {string} options.mspId - MSP ID of the signing identity (optional)
+     */
+    constructor({ privateKey, certificate, mspId }) {
+        this.privateKey = typeof privateKey === 'string' ? crypto.createPrivateKey(privateKey) : privateKey;
+        this.certificate = certificate || null;
+        this.mspId = mspId || null;
+    }
+
+    /**
+     * Create a signer for the gateway identity configured by loadConfig()
+     * @param {Object} config - Connection settings from loadConfig()
+     * @returns {DocumentSigner} Signer
+     */
+    static fromConfig(config) {
+        return new DocumentSigner({
+            privateKey: fs.readFileSync(config.keyPath, 'utf8'),
+            certificate: fs.readFileSync(config.certPath, 'utf8'),
+            mspId: config.mspId
+        });
+    }
+
+    /**
+     * Sign a document
+     * @param {Object} document - Unsigned document
+     * @returns {Object} Copy of the document with a signature field
+     */
+    sign(document) {
+        const unsigned = { ...document };
+        delete unsigned.signature;
+        const { algorithm, digest } = getAlgorithm(this.privateKey);
+        const signer = {
+            algorithm,
+            mspId: this.mspId,
+            certificate: this.certificate,
+            publicKey: this.certificate ? null : crypto.createPublicKey(this.privateKey).export({ type: 'spki', format: 'pem' })
+        };
+        const value = crypto.sign(digest, Buffer.from(canonicalJson(unsigned)), this.privateKey).toString('base64');
+        return { ...unsigned, signature: { ...signer, value } };
+    }
+}
+
+/**
+ * Check the signature of a signed document against the certificate or
+ * public key it carries. Whether that signer is trusted (e.g. issued by the
+ * NGO organisation's CA) is for the caller to decide.
+ * @param {Object} document - Signed document
+ * @returns {boolean} True if the signature matches the document
+ */
+function verifySignedDocument(document) {
+    const { signature, ...unsigned } = document || {};
+    if (!signature || !signature.value || !(signature.certificate || signature.publicKey)) {
+        return false;
+    }
+    try {
+        const publicKey = signature.certificate
+            ? new crypto.X509Certificate(signature.certificate).publicKey
+            : crypto.createPublicKey(signature.publicKey);
+        const { algorithm, digest } = getAlgorithm(publicKey);
+        if (algorithm !== signature.algorithm) {
+            return false;
+        }
+        return crypto.verify(digest, Buffer.from(canonicalJson(unsigned)), publicKey, Buffer.from(signature.value, 'base64'));
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    DocumentSigner,
+    canonicalJson,
+    verifySignedDocument
+};
@@ -0,0 +1,359 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { leafHash, merkleRoot, inclusionProof, verifyProof } = require('./merkle');
+const { verifySignedDocument } = require('./signer');
+
+/**
+ * Donation receipts and transparency reports, built from the block-replay
+ * mirror so every figure carries the transaction and block that committed
+ * it. A receipt is a signed JSON record of one donation (also rendered as a
+ * PDF). A transparency report is a signed Merkle root over every donation
+ * and fund release of a campaign up to a block; with an inclusion proof from
+ * the report, a donor can check offline that their donation is counted.
+ */
+
+const RECEIPT_VERSION = 'receipt-v1';
+const REPORT_VERSION = 'transparency-v1';
+
+/**
+ * Merkle leaf of a mirrored donation
+ * @param {Object} donation - Donation from MirrorStore
+ * @returns {Object} Leaf
+ */
+function donationLeaf(donation) {
+    return {
+        type: 'donation',
+        id: donation.donationId,
+        campaignId: donation.campaignId,
+        amount: donation.amount,
+        currency: donation.currency,
+        donorHash: donation.donorHash || null,
+        timestamp: donation.timestamp,
+        txId: donation.txId,
+        blockNumber: donation.blockNumber
+    };
+}
+
+/**
+ * Merkle leaf of a mirrored fund release
+ * @param {Object} release - Release from MirrorStore
+ * @returns {Object} Leaf
+ */
+function releaseLeaf(release) {
+    return {
+        type: 'release',
+        id: release.releaseId,
+        campaignId: release.campaignId,
+        milestoneId: release.milestoneId,
+        amount: release.amount,
+        currency: release.currency,
+        recipientWallet: release.recipientWallet,
+        timestamp: release.releasedAt,
+        txId: release.txId,
+        blockNumber: release.blockNumber
+    };
+}
+
+/**
+ * Format minor units for people, using the currency's own number of decimals
+ * @param {number} amount - Amount in minor units
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Formatted amount (e.g. "$10.50")
+ */
+function formatAmount(amount, currency) {
+    const format = new Intl.NumberFormat('en-US', { style: 'currency', currency });
+    return format.format(amount / 10 ** format.resolvedOptions().maximumFractionDigits);
+}
+
+/**
+ * Issue a signed receipt for a mirrored donation
+ * @param {MirrorStore} store - Mirror holding the donation
+ * @param {string} donationId - Donation identifier
+ * @param {DocumentSigner} signer - Signer of the issuing gateway
+ * @param {string} issuedAt - Issue time (ISO string, default now)
+ * @returns {Object|null} Signed receipt, or null if the donation is not mirrored
+ */
+function buildReceipt(store, donationId, signer, issuedAt = new Date().toISOString()) {
+    const donation = store.getDonation(donationId);
+    if (!donation) {
+        return null;
+    }
+
+    return signer.sign({
+        version: RECEIPT_VERSION,
+        receiptId: `RECEIPT_${donationId}`,
+        donationId: donation.donationId,
+        campaignId: donation.campaignId,
+        campaignTitle: donation.campaignTitle,
+        ngoWallet: donation.ngoWallet,
+        amount: donation.amount,
+        currency: donation.currency,
+        formattedAmount: formatAmount(donation.amount, donation.currency),
+        donorHash: donation.donorHash,
+        anonymous: donation.anonymous === 1,
+        timestamp: donation.timestamp,
+        txId: donation.txId,
+        blockNumber: donation.blockNumber,
+        leafHash: leafHash(donationLeaf(donation)),
+        issuedAt
+    });
+}
+
+/**
+ * Check a receipt's signature and that it matches the mirrored donation
+ * @param {MirrorStore} store - Mirror holding the donation
+ * @param {Object} receipt - Signed receipt
+ * @returns {Object} Result ({ valid, signatureValid, matchesLedger })
+ */
+function checkReceipt(store, receipt) {
+    const signatureValid = verifySignedDocument(receipt);
+    const donation = receipt && store.getDonation(receipt.donationId);
+    const matchesLedger = Boolean(donation) &&
+        ['campaignId', 'amount', 'currency', 'donorHash', 'timestamp', 'txId', 'blockNumber'].every(field => receipt[field] === donation[field]) &&
+        receipt.leafHash === leafHash(donationLeaf(donation));
+    return { valid: signatureValid && matchesLedger, signatureValid, matchesLedger };
+}
+
+/**
+ * Escape text for a PDF string literal, replacing characters outside the standard font
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function pdfString(text) {
+    return String(text).replace(/[^\x20-\x7e]/g, '?').replace(/[\\()]/g, '\\$&');
+}
+
+/**
+ * Render a receipt as a single-page PDF. The PDF is for people; the signed
+ * JSON receipt is what verifies.
+ * @param {Object} receipt - Signed receipt
+ * @returns {Buffer} PDF document
+ */
+function renderReceiptPdf(receipt) {
+    const signature = receipt.signature || {};
+    const lines = [
+        'Donation receipt',
+        '',
+        `Receipt: ${receipt.receiptId}`,
+        `Campaign: ${receipt.campaignTitle} (${receipt.campaignId})`,
+        `Amount: ${receipt.formattedAmount}`,
+        `Donated: ${receipt.timestamp}`,
+        `Transaction: ${receipt.txId}`,
+        `Block: ${receipt.blockNumber}`,
+        `Donor hash: ${receipt.donorHash}`,
+        `Merkle leaf: ${receipt.leafHash}`,
+        `Issued: ${receipt.issuedAt}`,
+        '',
+        `Signed by ${signature.mspId || 'the issuing gateway'} (${signature.algorithm}):`,
+        ...(signature.value || '').match(/.{1,76}/g) || [],
+        '',
+        'Check this receipt with its JSON form, and its inclusion in the',
+        'campaign transparency report with the report\'s Merkle proof.'
+    ];
+    const content = `BT /F1 10 Tf 14 TL 50 800 Td\n${lines.map(line => `(${pdfString(line)}) '`).join('\n')}\nET`;
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+        `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf);
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = Buffer.byteLength(pdf);
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf);
+}
+
+/**
+ * Build a signed transparency report of a campaign: a Merkle root over
+ * every donation and release the mirror holds for it, in commit order. The
+ * signature covers the report without its leaves, so the signed header
+ * alone, handed out with a proof, is enough to check inclusion.
+ * @param {MirrorStore} store - Mirror to report from
+ * @param {string} campaignId - Campaign identifier
+ * @param {DocumentSigner} signer - Signer of the issuing gateway
+ * @param {string} generatedAt - Report time (ISO string, default now)
+ * @returns {Object|null} Signed report with its leaves, or null if the campaign is not mirrored
+ */
+function buildTransparencyReport(store, campaignId, signer, generatedAt = new Date().toISOString()) {
+    const campaign = store.getCampaign(campaignId);
+    if (!campaign) {
+        return null;
+    }
+
+    const { donations, releases } = store.getCommittedRecords(campaignId);
+    const leaves = [...donations.map(donationLeaf), ...releases.map(releaseLeaf)]
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.txId.localeCompare(b.txId) || a.id.localeCompare(b.id));
+    const upToBlock = Number(store.getNextBlock()) - 1;
+
+    const header = signer.sign({
+        version: REPORT_VERSION,
+        reportId: `REPORT_${campaignId}_${String(upToBlock).padStart(10, '0')}`,
+        campaignId,
+        campaignTitle: campaign.title,
+        currency: campaign.currency || 'USD',
+        upToBlock,
+        generatedAt,
+        algorithm: 'sha256-rfc6962',
+        leafCount: leaves.length,
+        donationCount: donations.length,
+        releaseCount: releases.length,
+        totalDonated: donations.reduce((sum, donation) => sum + donation.amount, 0),
+        totalReleased: releases.reduce((sum, release) => sum + release.amount, 0),
+        root: merkleRoot(leaves.map(leafHash))
+    });
+    return { ...header, leaves };
+}
+
+/**
+ * Strip the leaves from a report, leaving the signed header
+ * @param {Object} report - Transparency report
+ * @returns {Object} Report header
+ */
+function reportHeader(report) {
+    const header = { ...report };
+    delete header.leaves;
+    return header;
+}
+
+/**
+ * Check a full report: its header signature and that its leaves hash to its root
+ * @param {Object} report - Transparency report with leaves
+ * @returns {Object} Result ({ valid, signatureValid, rootValid })
+ */
+function verifyReport(report) {
+    const signatureValid = verifySignedDocument(reportHeader(report));
+    const rootValid = Array.isArray(report.leaves) && merkleRoot(report.leaves.map(leafHash)) === report.root;
+    return { valid: signatureValid && rootValid, signatureValid, rootValid };
+}
+
+/**
+ * Build the proof that a donation or release is included in a report
+ * @param {Object} report - Transparency report with leaves
+ * @param {string} recordId - Donation or release identifier
+ * @returns {Object|null} Proof bundle ({ leaf, leafHash, index, proof, report }), or null if the record is not in the report
+ */
+function getInclusionProof(report, recordId) {
+    const index = report.leaves.findIndex(leaf => leaf.id === recordId);
+    if (index === -1) {
+        return null;
+    }
+    const hashes = report.leaves.map(leafHash);
+    return {
+        leaf: report.leaves[index],
+        leafHash: hashes[index],
+        index,
+        proof: inclusionProof(hashes, index),
+        report: reportHeader(report)
+    };
+}
+
+/**
+ * Check a proof bundle offline: the report header is signed and the leaf
+ * hashes up to its root. Compare bundle.leafHash with the receipt's leafHash
+ * to tie the proof to a receipt.
+ * @param {Object} bundle - Proof bundle from getInclusionProof
+ * @returns {Object} Result ({ valid, signatureValid, proofValid })
+ */
+function verifyInclusion(bundle) {
+    const signatureValid = Boolean(bundle && bundle.report) && verifySignedDocument(bundle.report);
+    const proofValid = Boolean(bundle && bundle.leaf && bundle.report) &&
+        leafHash(bundle.leaf) === bundle.leafHash &&
+        verifyProof(bundle.leafHash, bundle.proof, bundle.report.root);
+    return { valid: signatureValid && proofValid, signatureValid, proofValid };
+}
+
+/**
+ * Issues transparency reports periodically: on each run, every mirrored
+ * campaign whose root has changed since its last report gets a new one.
+ */
+class TransparencyReporter {
+    /**
+     * @param {Object} options - Reporter options
+     * @param {MirrorStore} options.store - Mirror to report from and keep reports in
+     * @param {DocumentSigner} options.signer - Signer of the issuing gateway
+     * @param {number} options.intervalMs - Wait between runs (default one day)
+     */
+    constructor({ store, signer, intervalMs = 24 * 60 * 60 * 1000 }) {
+        this.store = store;
+        this.signer = signer;
+        this.intervalMs = intervalMs;
+        this.running = false;
+        this.timer = null;
+        this.wake = null;
+    }
+
+    /**
+     * Report on every campaign that changed since its last report
+     * @returns {Array} Headers of the reports issued
+     */
+    runOnce() {
+        const issued = [];
+        for (const campaignId of this.store.getCampaignIds()) {
+            const report = buildTransparencyReport(this.store, campaignId, this.signer);
+            const [latest] = this.store.listReports(campaignId);
+            if (latest && latest.root === report.root) {
+                continue;
+            }
+            this.store.saveReport(report);
+            issued.push(reportHeader(report));
+        }
+        return issued;
+    }
+
+    /**
+     * Issue reports every intervalMs until stop() is called
+     * @returns {Promise<void>} Resolves once stop() is called
+     */
+    async start() {
+        this.running = true;
+        while (this.running) {
+            try {
+                this.runOnce();
+            } catch (error) {
+                console.error(`Transparency report run failed: ${error.message}`);
+            }
+            if (this.running) {
+                await new Promise(resolve => {
+                    this.wake = resolve;
+                    this.timer = setTimeout(resolve, this.intervalMs);
+                });
+            }
+        }
+    }
+
+    /**
+     * Stop issuing reports
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        if (this.wake) {
+            this.wake();
+        }
+    }
+}
+
+module.exports = {
+    TransparencyReporter,
+    buildReceipt,
+    checkReceipt,
+    renderReceiptPdf,
+    buildTransparencyReport,
+    verifyReport,
+    getInclusionProof,
+    verifyInclusion
+};
@@ -0,0 +1,191 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+const SIGNATURE_HEADER = 'x-donation-signature';
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Sign a webhook body with the webhook's secret
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Request body
+ * @returns {string} Signature header value (sha256=<hex HMAC>)
+ */
+function signPayload(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Check a webhook signature in constant time; for use by webhook receivers
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw request body
+ * @param {string} signature - Signature header value
+ * @returns {boolean} True if the signature matches
+ */
+function verifySignature(secret, body, signature) {
+    const expected = Buffer.from(signPayload(secret, body));
+    const actual = Buffer.from(String(signature || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Webhook subscriptions, persisted to a JSON file so they survive restarts
+ */
+class WebhookRegistry {
+    /**
+     * @param {string} filePath - JSON file holding the subscriptions (optional, in memory when omitted)
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.webhooks = null;
+    }
+
+    async _load() {
+        if (this.webhooks) {
+            return this.webhooks;
+        }
+        this.webhooks = new Map();
+        if (this.filePath) {
+            try {
+                const saved = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+                saved.forEach(webhook => this.webhooks.set(webhook.webhookId, webhook));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+        return this.webhooks;
+    }
+
+    async _save() {
+        if (!this.filePath) {
+            return;
+        }
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(this.filePath, JSON.stringify([...this.webhooks.values()], null, 2));
+    }
+
+    /**
+     * Register a webhook
+     * @param {Object} webhook - Subscription ({ url, secret, events })
+     * @returns {Promise<Object>} Registered webhook, including its secret
+     */
+    async register({ url, secret, events }) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new ValidationError(`Invalid webhook URL: ${url}`);
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new ValidationError('Webhook URL must use http or https');
+        }
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+            throw new ValidationError(`Webhook secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+        }
+        if (events !== undefined && (!Array.isArray(events) || events.some(name => typeof name !== 'string'))) {
+            throw new ValidationError('Webhook events must be an array of event names');
+        }
+
+        const webhooks = await this._load();
+        const webhook = {
+            webhookId: crypto.randomUUID(),
+            url: parsed.toString(),
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            events: events || [],
+            createdAt: new Date().toISOString()
+        };
+        webhooks.set(webhook.webhookId, webhook);
+        await this._save();
+        return webhook;
+    }
+
+    /**
+     * Remove a webhook
+     * @param {string} webhookId - Webhook identifier
+     * @returns {Promise<boolean>} True if the webhook existed
+     */
+    async unregister(webhookId) {
+        const webhooks = await this._load();
+        const existed = webhooks.delete(webhookId);
+        if (existed) {
+            await this._save();
+        }
+        return existed;
+    }
+
+    /**
+     * List the registered webhooks, without their secrets
+     * @returns {Promise<Array>} Webhooks
+     */
+    async list() {
+        const webhooks = await this._load();
+        return [...webhooks.values()].map(({ secret, ...webhook }) => webhook);
+    }
+
+    /**
+     * Get the webhooks subscribed to an event (an empty events list means all events)
+     * @param {string} eventName - Chaincode event name
+     * @returns {Promise<Array>} Webhooks
+     */
+    async subscribersOf(eventName) {
+        const webhooks = await this._load();
+        return [...webhooks.values()].filter(webhook => webhook.events.length === 0 || webhook.events.includes(eventName));
+    }
+}
+
+/**
+ * Deliver one event to one webhook, retrying with exponential backoff
+ * @param {Object} webhook - Registered webhook
+ * @param {Object} event - Decoded chaincode event
+ * @param {Object} options - Retry options ({ maxAttempts, retryDelayMs, timeoutMs })
+ * @returns {Promise<Object>} Delivery result ({ webhookId, delivered, attempts, error })
+ */
+async function deliver(webhook, event, { maxAttempts = 5, retryDelayMs = 1000, timeoutMs = 10000 } = {}) {
+    const body = JSON.stringify(event);
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    'x-donation-event': event.eventName,
+                    'x-donation-delivery': event.id,
+                    [SIGNATURE_HEADER]: signPayload(webhook.secret, body)
+                },
+                body,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            if (response.ok) {
+                return { webhookId: webhook.webhookId, delivered: true, attempts: attempt };
+            }
+            lastError = `HTTP ${response.status}`;
+        } catch (error) {
+            lastError = error.message;
+        }
+
+        if (attempt < maxAttempts) {
+            await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** (attempt - 1)));
+        }
+    }
+
+    return { webhookId: webhook.webhookId, delivered: false, attempts: maxAttempts, error: lastError };
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    signPayload,
+    verifySignature,
+    WebhookRegistry,
+    deliver
+};
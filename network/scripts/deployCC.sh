@@ -11,6 +11,7 @@ CHAINCODE_VERSION="1.0"
 CHAINCODE_PATH="../../chaincode" # <-- Corrected path!
 CHANNEL_NAME="donationchannel"
 CHAINCODE_LANG="node"
+COLLECTIONS_CONFIG="${CHAINCODE_PATH}/collections_config.json"
 
 echo "========== START : Chaincode Deployment ==========" | tee -a $LOG_FILE
 echo "[INFO] Using FABRIC_CFG_PATH: $FABRIC_CFG_PATH" | tee -a $LOG_FILE
@@ -59,7 +60,8 @@ if ! peer lifecycle chaincode approveformyorg \
     --version $CHAINCODE_VERSION \
     --package-id $PACKAGE_ID \
     --sequence 1 \
-    --init-required 2>>$LOG_FILE; then
+    --init-required \
+    --collections-config $COLLECTIONS_CONFIG 2>>$LOG_FILE; then
   echo "[ERROR] Chaincode approveformyorg failed. See $LOG_FILE for details." | tee -a $LOG_FILE
   tail -n 20 $LOG_FILE
   exit 6
@@ -73,6 +75,7 @@ if ! peer lifecycle chaincode commit \
     --version $CHAINCODE_VERSION \
     --sequence 1 \
     --init-required \
+    --collections-config $COLLECTIONS_CONFIG \
     --peerAddresses peer0.ngo.donation.com:7051 2>>$LOG_FILE; then
   echo "[ERROR] Chaincode commit failed. See $LOG_FILE for details." | tee -a $LOG_FILE
   tail -n 20 $LOG_FILE
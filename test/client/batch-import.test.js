@@ -0,0 +1,109 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { DonationClient, DonationImporter, createApp } = require('../../client/app');
+const { getChaincodeMessage } = require('../../client/lib/errors');
+const { MockNetwork, approveNGO } = require('./support/mock-gateway');
+const { identities } = require('../support/mock-context');
+
+const CAMPAIGN = {
+    campaignId: 'CAMP1',
+    ngoWallet: 'NGO_WALLET_1',
+    title: 'Clean Water',
+    goalAmount: 100000,
+    deadline: '2025-12-31T23:59:59.000Z',
+    milestones: [{ milestoneId: 'M1', title: 'Wells', budgetAmount: 100000 }]
+};
+
+const DONOR = identities.donor().getID();
+
+const SETTLEMENT = [
+    'paymentReference,amount,currency,donorIdentity,donorId,message,anonymous',
+    `ch_001,2500,,${DONOR},Alice,"Good luck, team",`,
+    `ch_002,12.50,,${DONOR},Bob,,`,
+    `ch_003,1000,XYZ,${DONOR},Carol,,`,
+    `ch_001,2500,,${DONOR},Alice,,`,
+    '',
+    `ch_004,4000,,${DONOR},,,true`,
+    `ch_005,500,,${DONOR},Dan,"Said ""keep going""",`,
+    'ch_006,700,,,Erin,,'
+].join('\r\n');
+
+describe('Batch donation import', () => {
+    it('imports a CSV in chunks, reporting every row, and skips payments on a second run', async () => {
+        const network = new MockNetwork('2025-02-01T09:00:00.000Z');
+        await approveNGO(network);
+        const ngo = new DonationClient(network.getContract(identities.ngo()));
+        await ngo.createCampaign(CAMPAIGN);
+
+        const importer = new DonationImporter({ client: ngo, chunkSize: 2 });
+        const report = await importer.importCsv('CAMP1', SETTLEMENT);
+        assert.deepStrictEqual(report.rows.map(row => [row.line, row.paymentReference, row.status]), [
+            [2, 'ch_001', 'imported'],
+            [3, 'ch_002', 'invalid'],
+            [4, 'ch_003', 'invalid'],
+            [5, 'ch_001', 'duplicate'],
+            [7, 'ch_004', 'imported'],
+            [8, 'ch_005', 'imported'],
+            [9, 'ch_006', 'invalid']
+        ]);
+        assert.match(report.rows[2].error, /Unsupported currency: XYZ/);
+        assert.strictEqual(report.rows[6].error, 'donorIdentity is required');
+        assert.deepStrictEqual(report.summary, { rows: 7, imported: 3, duplicate: 1, invalid: 3, rejected: 0 });
+        assert.deepStrictEqual(report.batches.map(batch => [batch.donations, batch.totalAmount]), [[1, 2500], [2, 4500]]);
+        assert.strictEqual((await ngo.readCampaign('CAMP1')).currentAmount, 7000);
+
+        // Each gift is the donor's to prove, with the salt reported for its row; the importer cannot read it
+        const donorClient = new DonationClient(network.getContract(identities.donor()));
+        const details = await donorClient.getDonationDetails(report.rows[5].donationId, report.rows[5].salt);
+        assert.deepStrictEqual([details.donorId, details.message], ['Dan', 'Said "keep going"']);
+        assert.notStrictEqual(report.rows[0].salt, report.rows[5].salt);
+        await assert.rejects(ngo.getDonationDetails(report.rows[5].donationId, report.rows[5].salt),
+            error => /^Unauthorized: /.test(getChaincodeMessage(error)));
+
+        // Replaying the settlement imports only what is new
+        const replay = await importer.importCsv('CAMP1', `${SETTLEMENT}\nch_007,1500,,${DONOR},,,`);
+        assert.deepStrictEqual(replay.summary, { rows: 8, imported: 1, duplicate: 4, invalid: 3, rejected: 0 });
+        assert.strictEqual(replay.rows[7].status, 'imported');
+        assert.strictEqual((await ngo.readCampaign('CAMP1')).currentAmount, 8500);
+
+        const servers = [];
+        const urls = {};
+        for (const role of ['ngo', 'donor']) {
+            const app = createApp(new DonationClient(network.getContract(identities[role]())));
+            const server = await new Promise(resolve => {
+                const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+            });
+            servers.push(server);
+            urls[role] = `http://127.0.0.1:${server.address().port}`;
+        }
+        const upload = (role, csv) => fetch(`${urls[role]}/campaigns/CAMP1/donations/import`, {
+            method: 'POST',
+            headers: { 'content-type': 'text/csv' },
+            body: csv
+        }).then(async res => ({ status: res.status, body: await res.json() }));
+
+        try {
+            const imported = await upload('ngo', `paymentReference,amount,donorIdentity\nevt_1,300,${DONOR}\nevt_2,200,${DONOR}\n`);
+            assert.deepStrictEqual([imported.status, imported.body.summary.imported], [200, 2]);
+            assert.ok(imported.body.rows.every(row => row.salt.length === 32));
+
+            const refused = await upload('donor', `paymentReference,amount,donorIdentity\nevt_3,300,${DONOR}\n`);
+            assert.deepStrictEqual([refused.status, refused.body.rows[0].status], [200, 'rejected']);
+            assert.match(refused.body.rows[0].error, /^Unauthorized: /);
+
+            const malformed = await upload('ngo', 'reference,amount\nevt_3,300\n');
+            assert.deepStrictEqual(malformed, { status: 400, body: { error: 'CSV is missing required column(s): paymentReference, donorIdentity' } });
+        } finally {
+            for (const server of servers) {
+                await new Promise(resolve => server.close(resolve));
+            }
+        }
+    });
+});
@@ -0,0 +1,166 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { checkpointers } = require('../../client/node_modules/@hyperledger/fabric-gateway');
+const { DonationClient, EventService, EventStream, WebhookRegistry, createApp, verifySignature } = require('../../client/app');
+const { MockNetwork, approveNGO } = require('./support/mock-gateway');
+const { identities } = require('../support/mock-context');
+
+const SECRET = 'webhook-secret-0123456789';
+const DELIVERY = { retryDelayMs: 1, maxAttempts: 3 };
+
+/**
+ * Start an HTTP server recording webhook requests; respond(count) picks the status code
+ */
+async function startReceiver(respond = () => 200) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = respond(received.length);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        received,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Wait until a condition holds, failing after a second
+ */
+async function waitFor(condition) {
+    const deadline = Date.now() + 1000;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/**
+ * A mock network with one campaign and one donation committed
+ */
+async function fundedNetwork() {
+    const network = new MockNetwork();
+    await approveNGO(network);
+    await new DonationClient(network.getContract(identities.ngo())).createCampaign({
+        campaignId: 'CAMP1', ngoWallet: 'NGO_WALLET_1', title: 'Clean Water', goalAmount: 1000, deadline: '2025-12-31T23:59:59.000Z'
+    });
+    await new DonationClient(network.getContract(identities.donor())).donate({ campaignId: 'CAMP1', amount: 250 });
+    return network;
+}
+
+describe('Chaincode event service', () => {
+    it('delivers signed events to subscribed webhooks and resumes from the checkpoint', async () => {
+        const network = await fundedNetwork();
+        const receiver = await startReceiver();
+        const webhooks = new WebhookRegistry();
+        await webhooks.register({ url: receiver.url, secret: SECRET, events: ['DonationReceived'] });
+        const checkpointer = checkpointers.inMemory();
+
+        const first = new EventService({ network, chaincodeName: 'donationcontract', checkpointer, webhooks, startBlock: 0n, delivery: DELIVERY });
+        const listening = first.start();
+        await waitFor(() => checkpointer.getBlockNumber() === 4n);
+        first.stop();
+        await listening;
+
+        assert.strictEqual(receiver.received.length, 1);
+        const [delivery] = receiver.received;
+        const event = JSON.parse(delivery.body);
+        assert.deepStrictEqual([event.eventName, event.blockNumber, event.payload.donationAmount], ['DonationReceived', '4', 250]);
+        assert.strictEqual(delivery.headers['x-donation-delivery'], event.transactionId);
+        assert.ok(verifySignature(SECRET, delivery.body, delivery.headers['x-donation-signature']));
+        assert.ok(!verifySignature('another-secret-0123456789', delivery.body, delivery.headers['x-donation-signature']));
+
+        await new DonationClient(network.getContract(identities.donor())).donate({ campaignId: 'CAMP1', amount: 100 });
+        const second = new EventService({ network, chaincodeName: 'donationcontract', checkpointer, webhooks, startBlock: 0n, delivery: DELIVERY });
+        const resumed = second.start();
+        await waitFor(() => checkpointer.getBlockNumber() === 5n);
+        second.stop();
+        await resumed;
+        await receiver.close();
+
+        assert.deepStrictEqual(receiver.received.map(({ body }) => JSON.parse(body).payload.donationAmount), [250, 100]);
+    });
+
+    it('retries failed deliveries with backoff before checkpointing', async () => {
+        const network = await fundedNetwork();
+        const receiver = await startReceiver(count => (count < 3 ? 500 : 204));
+        const webhooks = new WebhookRegistry();
+        const webhook = await webhooks.register({ url: receiver.url, secret: SECRET });
+        const checkpointer = checkpointers.inMemory();
+        const service = new EventService({ network, chaincodeName: 'donationcontract', checkpointer, webhooks, delivery: DELIVERY });
+
+        const results = await service.handle(network.chaincodeEvents[0]);
+        await receiver.close();
+
+        assert.deepStrictEqual(results, [{ webhookId: webhook.webhookId, delivered: true, attempts: 3 }]);
+        assert.strictEqual(new Set(receiver.received.map(({ headers }) => headers['x-donation-delivery'])).size, 1);
+        assert.strictEqual(checkpointer.getTransactionId(), network.chaincodeEvents[0].transactionId);
+    });
+
+    it('streams events to dashboards and manages webhooks over REST', async () => {
+        const network = await fundedNetwork();
+        const webhooks = new WebhookRegistry();
+        const stream = new EventStream();
+        const app = createApp(new DonationClient(network.getContract(identities.donor())), { webhooks, stream });
+        const server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            const response = await fetch(`${baseUrl}/events/stream?events=CampaignCreated`);
+            assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+            const reader = response.body.getReader();
+            const service = new EventService({ network, chaincodeName: 'donationcontract', checkpointer: checkpointers.inMemory(), webhooks, stream });
+            for (const event of network.chaincodeEvents) {
+                await service.handle(event);
+            }
+
+            let text = '';
+            while (!/event: CampaignCreated\ndata: .*\n\n/.test(text)) {
+                text += new TextDecoder().decode((await reader.read()).value);
+            }
+            await reader.cancel();
+            assert.match(text, /event: CampaignCreated\ndata: \{"id":"tx-3"/);
+            assert.ok(!text.includes('DonationReceived'));
+
+            const invalid = await fetch(`${baseUrl}/events/webhooks`, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ url: 'ftp://example.com/hook' })
+            });
+            assert.strictEqual(invalid.status, 400);
+
+            const created = await fetch(`${baseUrl}/events/webhooks`, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ url: 'https://example.com/hook' })
+            }).then(res => res.json());
+            assert.strictEqual(created.secret.length, 64);
+            const listed = await fetch(`${baseUrl}/events/webhooks`).then(res => res.json());
+            assert.deepStrictEqual(listed.map(webhook => [webhook.webhookId, webhook.secret]), [[created.webhookId, undefined]]);
+
+            const removed = await fetch(`${baseUrl}/events/webhooks/${created.webhookId}`, { method: 'DELETE' });
+            assert.strictEqual(removed.status, 204);
+        } finally {
+            stream.close();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
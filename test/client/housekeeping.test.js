@@ -0,0 +1,91 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { DonationClient, HousekeepingScheduler, createApp } = require('../../client/app');
+const { MockNetwork, approveNGO } = require('./support/mock-gateway');
+const { identities } = require('../support/mock-context');
+
+const CAMPAIGN = {
+    ngoWallet: 'NGO_WALLET_1',
+    title: 'Clean Water',
+    goalAmount: 100000,
+    deadline: '2025-03-01T00:00:00.000Z',
+    milestones: [{ milestoneId: 'M1', title: 'Wells', budgetAmount: 100000, targetDate: '2025-02-15T00:00:00.000Z' }]
+};
+
+describe('Deadline housekeeping', () => {
+    it('sweeps expirations in batches on schedule and serves the overdue report over REST', async () => {
+        const network = new MockNetwork('2025-02-01T09:00:00.000Z');
+        await approveNGO(network);
+        const ngo = new DonationClient(network.getContract(identities.ngo()));
+        for (const campaignId of ['CAMP1', 'CAMP2', 'CAMP3']) {
+            await ngo.createCampaign({ ...CAMPAIGN, campaignId });
+        }
+        await new DonationClient(network.getContract(identities.donor())).donate({ campaignId: 'CAMP1', amount: 2500 });
+
+        const scheduler = new HousekeepingScheduler({ client: new DonationClient(network.getContract(identities.admin())), limit: 2 });
+        network.timestamp = '2025-02-20T09:00:00.000Z';
+        const overdue = await scheduler.runOnce();
+        assert.deepStrictEqual([overdue.compactedCampaigns.map(campaign => [campaign.campaignId, campaign.currentAmount]), overdue.compactions],
+            [[['CAMP1', 2500]], 1]);
+        assert.deepStrictEqual([overdue.overdueMilestones.map(milestone => milestone.campaignId), overdue.sweeps], [['CAMP1', 'CAMP2', 'CAMP3'], 2]);
+        assert.deepStrictEqual(overdue.penalties.map(penalty => penalty.score), [90, 85]);
+
+        network.timestamp = '2025-03-02T09:00:00.000Z';
+        const expired = await scheduler.runOnce();
+        assert.deepStrictEqual(expired.expiredCampaigns.map(campaign => [campaign.campaignId, campaign.refundableAmount]),
+            [['CAMP1', 2500], ['CAMP2', 0], ['CAMP3', 0]]);
+        assert.deepStrictEqual((await scheduler.runOnce()).sweeps, 1);
+
+        const servers = [];
+        const urls = {};
+        for (const role of ['donor', 'admin']) {
+            const app = createApp(new DonationClient(network.getContract(identities[role]())));
+            const server = await new Promise(resolve => {
+                const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+            });
+            servers.push(server);
+            urls[role] = `http://127.0.0.1:${server.address().port}`;
+        }
+        const as = role => (method, path, body) => fetch(`${urls[role]}${path}`, {
+            method,
+            headers: { 'content-type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        }).then(async res => ({ status: res.status, body: await res.json() }));
+
+        try {
+            const report = await as('donor')('GET', '/ngos/NGO_WALLET_1/overdue-milestones');
+            assert.deepStrictEqual([report.status, report.body.reputation.score, report.body.reputation.expiredCampaigns], [200, 85, 3]);
+            // Milestones of expired campaigns are no longer expected, so they drop out of the report
+            assert.deepStrictEqual(report.body.overdueMilestones, []);
+
+            assert.strictEqual((await as('donor')('POST', '/housekeeping/expirations', {})).status, 403);
+            const sweep = await as('admin')('POST', '/housekeeping/expirations', { limit: 10 });
+            assert.deepStrictEqual([sweep.status, sweep.body.expiredCampaigns, sweep.body.more], [200, [], false]);
+            assert.strictEqual((await as('admin')('POST', '/housekeeping/expirations', { limit: 0 })).status, 400);
+
+            assert.strictEqual((await as('donor')('POST', '/housekeeping/compactions', {})).status, 403);
+            const compaction = await as('admin')('POST', '/housekeeping/compactions', { limit: 10 });
+            assert.deepStrictEqual([compaction.status, compaction.body.compactedCampaigns, compaction.body.more], [200, [], false]);
+
+            const migration = await as('admin')('POST', '/housekeeping/migrations', { pageSize: 100 });
+            assert.deepStrictEqual([migration.status, migration.body.migrated, migration.body.bookmark], [200, [], '']);
+            assert.strictEqual((await as('donor')('POST', '/housekeeping/migrations', {})).status, 403);
+        } finally {
+            for (const server of servers) {
+                await new Promise(resolve => server.close(resolve));
+            }
+        }
+
+        const stopped = new HousekeepingScheduler({ client: scheduler.client, intervalMs: 60000 });
+        const running = stopped.start();
+        stopped.stop();
+        await running;
+    });
+});
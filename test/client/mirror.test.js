@@ -0,0 +1,166 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { DonationClient, Indexer, MirrorStore, checkDrift, createApp, parseBlock } = require('../../client/app');
+const { MockNetwork, approveNGO, buildBlock } = require('./support/mock-gateway');
+const { MockClientIdentity, identities } = require('../support/mock-context');
+
+const MVCC_READ_CONFLICT = 11;
+
+const donor = n => new MockClientIdentity(`x509::/CN=donor${n}::/CN=ca.ngo.donation.com`, 'NGOMSP', { role: 'donor' });
+
+/**
+ * Three campaigns in two categories, with donations over two days and one released milestone
+ */
+async function activeNetwork() {
+    const network = new MockNetwork('2025-02-01T09:00:00.000Z');
+    await approveNGO(network);
+    const ngo = new DonationClient(network.getContract(identities.ngo()));
+    const campaigns = [
+        ['WATER1', 'Clean water wells', 'Boreholes for rural schools', 'Water', 1000],
+        ['WATER2', 'River filtration', 'Sand filters for river villages', 'Water', 5000],
+        ['HEALTH1', 'Mobile clinic', 'A clinic van for remote villages', 'Health', 2000]
+    ];
+    for (const [campaignId, title, description, category, goalAmount] of campaigns) {
+        await ngo.createCampaign({
+            campaignId, ngoWallet: 'NGO_WALLET_1', title, description, category, goalAmount,
+            deadline: '2025-12-31T23:59:59.000Z',
+            milestones: [{ milestoneId: 'M1', title: 'Phase 1', budgetAmount: goalAmount / 2 }],
+            tags: [category.toLowerCase()]
+        });
+    }
+    await ngo.setChallengePeriod('WATER1', 24);
+
+    const give = (n, campaignId, amount) => new DonationClient(network.getContract(donor(n))).donate({ campaignId, amount, salt: `salt-of-donor-${n}-0123` });
+    await give(1, 'WATER1', 300);
+    await give(2, 'WATER1', 200);
+    await give(1, 'HEALTH1', 150);
+    network.timestamp = '2025-02-02T09:00:00.000Z';
+    await give(3, 'WATER1', 100);
+    await give(3, 'WATER2', 50);
+
+    await new DonationClient(network.getContract(identities.oracle())).setMilestoneVerified('WATER1', 'M1', 'wells dug');
+    network.timestamp = '2025-02-03T09:00:00.000Z';
+    await ngo.releaseMilestoneFunds('WATER1', 'M1');
+    return network;
+}
+
+/**
+ * Run an indexer until the mirror has caught up with the mock network
+ */
+async function sync(network, store) {
+    const indexer = new Indexer({ network, chaincodeName: 'donationcontract', store });
+    const running = indexer.start();
+    const deadline = Date.now() + 1000;
+    while (store.getNextBlock() !== BigInt(network.blocks.length + 1)) {
+        if (Date.now() > deadline) {
+            throw new Error('Indexer did not catch up');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    indexer.stop();
+    await running;
+}
+
+describe('Off-chain query mirror', () => {
+    it('applies only the valid transactions of a block', () => {
+        const writes = [{ key: 'DONATION_C1_tx9', value: Buffer.from(JSON.stringify({ docType: 'Donation', amount: 5 })) }];
+        const valid = parseBlock(buildBlock({ blockNumber: 7n, transactionId: 'tx9', timestamp: '2025-02-01T00:00:00.123Z', writes }), 'donationcontract');
+        assert.deepStrictEqual(valid, {
+            blockNumber: 7n,
+            transactions: [{
+                txId: 'tx9',
+                timestamp: '2025-02-01T00:00:00.123Z',
+                writes: [{ key: 'DONATION_C1_tx9', value: { docType: 'Donation', amount: 5 }, isDelete: false }]
+            }]
+        });
+
+        const conflicted = buildBlock({ blockNumber: 8n, transactionId: 'tx10', timestamp: '2025-02-01T00:00:00.000Z', writes, validationCode: MVCC_READ_CONFLICT });
+        assert.deepStrictEqual(parseBlock(conflicted, 'donationcontract').transactions, []);
+        assert.deepStrictEqual(parseBlock(buildBlock({ blockNumber: 9n, transactionId: 'tx11', timestamp: '2025-02-01T00:00:00.000Z', writes }), 'othercc').transactions, []);
+    });
+
+    it('serves leaderboard, category, donor, time-series and search reports', async () => {
+        const network = await activeNetwork();
+        const store = new MirrorStore();
+        await sync(network, store);
+
+        const app = createApp(new DonationClient(network.getContract(identities.donor())), { mirror: store });
+        const server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        const get = path => fetch(`http://127.0.0.1:${server.address().port}${path}`).then(async res => ({ status: res.status, body: await res.json() }));
+
+        try {
+            const leaderboard = await get('/reports/leaderboard?by=donors&limit=2');
+            assert.deepStrictEqual(leaderboard.body.map(row => [row.campaignId, row.currency, row.raised, row.donors]), [['WATER1', 'USD', 600, 3], ['HEALTH1', 'USD', 150, 1]]);
+
+            const categories = await get('/reports/categories');
+            assert.deepStrictEqual(categories.body.map(row => [row.category, row.campaigns, row.raised, row.released, row.donors]), [
+                ['Water', 2, 650, 500, 3],
+                ['Health', 1, 150, 0, 1]
+            ]);
+
+            assert.deepStrictEqual((await get('/reports/donors')).body, { campaignId: null, donors: 3, donations: 5 });
+            const series = await get('/reports/timeseries?campaignId=WATER1&interval=day');
+            assert.deepStrictEqual(series.body, [
+                { period: '2025-02-01', amount: 500, donations: 2 },
+                { period: '2025-02-02', amount: 100, donations: 1 }
+            ]);
+
+            const search = await get('/search?q=villag');
+            assert.deepStrictEqual(search.body.map(row => row.campaignId).sort(), ['HEALTH1', 'WATER2']);
+            assert.strictEqual((await get('/search?q=river filter')).body[0].campaignId, 'WATER2');
+            assert.strictEqual((await get('/reports/timeseries?interval=hour')).status, 400);
+
+            const releases = store.db.prepare('SELECT campaign_id, milestone_id, amount FROM releases').all();
+            assert.deepStrictEqual(releases, [{ campaign_id: 'WATER1', milestone_id: 'M1', amount: 500 }]);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+            store.close();
+        }
+    });
+
+    it('resumes from its last block and reports drift from the ledger', async () => {
+        const network = await activeNetwork();
+        const store = new MirrorStore();
+        await sync(network, store);
+        const client = new DonationClient(network.getContract(identities.donor()));
+        assert.strictEqual((await checkDrift(store, client)).inSync, true);
+
+        await new DonationClient(network.getContract(donor(4))).donate({ campaignId: 'WATER2', amount: 75 });
+        const report = await checkDrift(store, client);
+        assert.deepStrictEqual(report.drifted, [{
+            campaignId: 'WATER2',
+            differences: [
+                { field: 'currentAmount', mirror: 50, ledger: 125 },
+                { field: 'escrowBalance', mirror: 50, ledger: 125 }
+            ]
+        }]);
+
+        const applied = [];
+        const applyBlock = store.applyBlock;
+        store.applyBlock = block => {
+            applied.push(block.blockNumber);
+            return applyBlock(block);
+        };
+        await sync(network, store);
+        assert.deepStrictEqual(applied, [BigInt(network.blocks.length)]);
+        assert.strictEqual((await checkDrift(store, client)).inSync, true);
+
+        // The WATER1 release folded its deltas; compaction folds and deletes the rest
+        assert.strictEqual(store.db.prepare('SELECT COUNT(*) FROM campaign_deltas').pluck().get(), 3);
+        await new DonationClient(network.getContract(identities.admin())).compactDonations();
+        await sync(network, store);
+        assert.strictEqual(store.db.prepare('SELECT COUNT(*) FROM campaign_deltas').pluck().get(), 0);
+        assert.strictEqual(store.getCampaign('WATER2').currentAmount, 125);
+        assert.strictEqual((await checkDrift(store, client)).inSync, true);
+        store.close();
+    });
+});
@@ -0,0 +1,114 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { DonationClient, PledgeScheduler, createApp } = require('../../client/app');
+const { MockNetwork, approveNGO } = require('./support/mock-gateway');
+const { identities } = require('../support/mock-context');
+
+const CAMPAIGN = {
+    campaignId: 'CAMP1',
+    ngoWallet: 'NGO_WALLET_1',
+    title: 'Clean Water',
+    goalAmount: 100000,
+    deadline: '2025-12-31T23:59:59.000Z',
+    milestones: [{ milestoneId: 'M1', title: 'Wells', budgetAmount: 100000 }]
+};
+
+describe('Recurring pledges and matching pools', () => {
+    it('executes due pledges on schedule and keeps going when one fails', async () => {
+        const network = new MockNetwork('2025-02-01T09:00:00.000Z');
+        await approveNGO(network);
+        const donor = new DonationClient(network.getContract(identities.donor()));
+        await new DonationClient(network.getContract(identities.ngo())).createCampaign(CAMPAIGN);
+        await new DonationClient(network.getContract(identities.ngo())).createCampaign({ ...CAMPAIGN, campaignId: 'CAMP2' });
+
+        const monthly = await donor.createPledge({ campaignId: 'CAMP1', amount: 2500, period: 'monthly', installments: 2 });
+        assert.match(monthly.pledgeId, /^PLEDGE_CAMP1_tx-\d+$/);
+        assert.strictEqual(monthly.salt.length, 32);
+        const paused = await donor.createPledge({ campaignId: 'CAMP2', amount: 1000, period: 'weekly', salt: monthly.salt });
+        await new DonationClient(network.getContract(identities.ngo())).updateCampaignStatus('CAMP2', 'Paused', 'audit');
+
+        const scheduler = new PledgeScheduler({ client: new DonationClient(network.getContract(identities.admin())) });
+        const [executed, failed] = await scheduler.runOnce();
+        assert.deepStrictEqual([executed.pledgeId, executed.status, executed.donationId], [monthly.pledgeId, 'executed', (await donor.getPledge(monthly.pledgeId)).lastDonationId]);
+        assert.deepStrictEqual([failed.pledgeId, failed.status], [paused.pledgeId, 'failed']);
+        assert.match(failed.error, /cannot accept donations with status: Paused/);
+
+        // Nothing more is due until the next period
+        assert.deepStrictEqual((await scheduler.runOnce()).map(outcome => outcome.pledgeId), [paused.pledgeId]);
+        network.timestamp = '2025-03-01T09:00:00.000Z';
+        await donor.cancelPledge(paused.pledgeId, paused.salt);
+        assert.deepStrictEqual((await scheduler.runOnce()).map(outcome => outcome.status), ['executed']);
+
+        const pledge = await donor.getPledge(monthly.pledgeId);
+        assert.deepStrictEqual([pledge.status, pledge.totalPaid], ['Completed', 5000]);
+        assert.strictEqual((await donor.readCampaign('CAMP1')).currentAmount, 5000);
+
+        const stopped = new PledgeScheduler({ client: scheduler.client, intervalMs: 60000 });
+        const running = stopped.start();
+        stopped.stop();
+        await running;
+    });
+
+    it('serves pledges and matching pools over REST and reports them in analytics', async () => {
+        const network = new MockNetwork('2025-02-01T09:00:00.000Z');
+        await approveNGO(network);
+        await new DonationClient(network.getContract(identities.ngo())).createCampaign(CAMPAIGN);
+
+        const servers = [];
+        const urls = {};
+        for (const role of ['donor', 'admin']) {
+            const app = createApp(new DonationClient(network.getContract(identities[role]())));
+            const server = await new Promise(resolve => {
+                const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+            });
+            servers.push(server);
+            urls[role] = `http://127.0.0.1:${server.address().port}`;
+        }
+        const as = role => (method, path, body) => fetch(`${urls[role]}${path}`, {
+            method,
+            headers: { 'content-type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        }).then(async res => ({ status: res.status, body: await res.json() }));
+
+        try {
+            const pool = await as('donor')('POST', '/campaigns/CAMP1/matching-pools', { cap: 3000, ratio: '2', sponsorName: 'Acme Corp', minDonation: 500 });
+            assert.deepStrictEqual([pool.status, pool.body.pool.sponsorName, pool.body.pool.remaining], [201, 'Acme Corp', 3000]);
+            assert.strictEqual((await as('donor')('POST', '/campaigns/CAMP1/matching-pools', { cap: 3000, ratio: 2 })).status, 400);
+
+            const pledge = await as('donor')('POST', '/campaigns/CAMP1/pledges', { amount: 1000, period: 'weekly', salt: 'pledger-salt-0123456789' });
+            assert.deepStrictEqual([pledge.status, pledge.body.pledge.nextDueAt], [201, '2025-02-01T09:00:00.000Z']);
+            assert.deepStrictEqual((await as('donor')('GET', '/pledges/due')).body.map(due => due.pledgeId), [pledge.body.pledgeId]);
+            assert.strictEqual((await as('donor')('POST', `/pledges/${pledge.body.pledgeId}/execute`)).status, 403);
+
+            const executed = await as('admin')('POST', `/pledges/${pledge.body.pledgeId}/execute`);
+            assert.deepStrictEqual([executed.status, executed.body.nextDueAt], [200, '2025-02-08T09:00:00.000Z']);
+            assert.strictEqual(network.chaincodeEvents.at(-1).eventName, 'DonationReceived');
+            const again = await as('admin')('POST', `/pledges/${pledge.body.pledgeId}/execute`);
+            assert.deepStrictEqual([again.status, again.body.error], [409, `Pledge ${pledge.body.pledgeId} is not due until 2025-02-08T09:00:00.000Z`]);
+
+            // Too small to be matched
+            await as('donor')('POST', '/campaigns/CAMP1/donations', { amount: 400 });
+            const cancelled = await as('donor')('POST', `/pledges/${pledge.body.pledgeId}/cancel`, { salt: 'pledger-salt-0123456789', reason: 'one is enough' });
+            assert.deepStrictEqual([cancelled.status, cancelled.body.status], [200, 'Cancelled']);
+            const closed = await as('donor')('POST', `/matching-pools/${pool.body.poolId}/close`, { salt: pool.body.salt });
+            assert.deepStrictEqual([closed.status, closed.body.returnedAmount], [200, 1000]);
+
+            const analytics = (await as('donor')('GET', '/campaigns/CAMP1/analytics')).body;
+            assert.strictEqual(analytics.currentAmount, 3400);
+            assert.deepStrictEqual(analytics.donationsBySource, {
+                direct: { count: 1, amount: 400 }, pledge: { count: 1, amount: 1000 }, batch: { count: 0, amount: 0 }, match: { count: 1, amount: 2000 }
+            });
+            assert.deepStrictEqual(analytics.pledges, { total: 1, active: 0, committedPerPeriod: {}, collectedAmount: 1000 });
+            assert.deepStrictEqual((await as('donor')('GET', '/campaigns/CAMP1/matching-pools')).body.map(entry => entry.status), ['Closed']);
+        } finally {
+            await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+        }
+    });
+});
@@ -0,0 +1,222 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { DonationClient, createApp } = require('../../client/app');
+const { MockNetwork, approveNGO } = require('./support/mock-gateway');
+const { identities } = require('../support/mock-context');
+
+const CAMPAIGN = {
+    campaignId: 'CAMP1',
+    ngoWallet: 'NGO_WALLET_1',
+    title: 'Clean Water',
+    description: 'Wells for five villages',
+    goalAmount: 1000,
+    deadline: '2025-12-31T23:59:59.000Z',
+    category: 'Water',
+    milestones: [
+        { milestoneId: 'M1', title: 'Pumps', budgetAmount: 600 },
+        { milestoneId: 'M2', title: 'Testing', budgetAmount: 400 }
+    ],
+    tags: ['water', 'rural']
+};
+
+/**
+ * Serve one REST gateway per role against a shared mock network
+ */
+async function startGateways(network) {
+    const servers = {};
+    const urls = {};
+    for (const role of Object.keys(identities)) {
+        const app = createApp(new DonationClient(network.getContract(identities[role]())));
+        servers[role] = await new Promise(resolve => {
+            const server = app.listen(0, '127.0.0.1', () => resolve(server));
+        });
+        urls[role] = `http://127.0.0.1:${servers[role].address().port}`;
+    }
+    return { urls, close: () => Promise.all(Object.values(servers).map(server => new Promise(resolve => server.close(resolve)))) };
+}
+
+/**
+ * Send a JSON request and return the status and parsed body
+ */
+async function request(baseUrl, method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'content-type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+describe('REST gateway', () => {
+    let network;
+    let gateways;
+    const as = role => (method, path, body) => request(gateways.urls[role], method, path, body);
+
+    before(async () => {
+        network = new MockNetwork();
+        await approveNGO(network);
+        gateways = await startGateways(network);
+    });
+
+    after(() => gateways.close());
+
+    it('creates a campaign with serialized milestones and tags', async () => {
+        const created = await as('ngo')('POST', '/campaigns', CAMPAIGN);
+        assert.strictEqual(created.status, 201);
+        assert.deepStrictEqual(Object.keys(created.body.milestones), ['M1', 'M2']);
+        assert.deepStrictEqual(created.body.tags, ['water', 'rural']);
+
+        const page = await as('donor')('GET', '/campaigns?category=Water&tags=water,rural');
+        assert.deepStrictEqual(page.body.records.map(campaign => campaign.campaignId), ['CAMP1']);
+    });
+
+    it('takes donations with transient donor details and returns the salt', async () => {
+        const donation = await as('donor')('POST', '/campaigns/CAMP1/donations', { amount: 700, donorId: 'alice', message: 'good luck' });
+        assert.strictEqual(donation.status, 201);
+        assert.strictEqual(donation.body.campaign.currentAmount, 700);
+        assert.match(donation.body.donationId, /^DONATION_CAMP1_tx-\d+$/);
+        assert.strictEqual(donation.body.salt.length, 32);
+
+        const history = await as('ngo')('GET', '/campaigns/CAMP1/donations?minAmount=100');
+        assert.deepStrictEqual(history.body.records.map(record => [record.amount, record.donorId]), [[700, undefined]]);
+
+        const details = await as('donor')('POST', `/donations/${donation.body.donationId}/details`, { salt: donation.body.salt });
+        assert.deepStrictEqual([details.status, details.body.donorId, details.body.message], [200, 'alice', 'good luck']);
+    });
+
+    it('verifies milestones and reports analytics', async () => {
+        const verified = await as('oracle')('POST', '/campaigns/CAMP1/milestones/M1/verify', { notes: 'pumps installed' });
+        assert.strictEqual(verified.status, 200);
+        assert.strictEqual(verified.body.milestones.M1.isVerified, true);
+
+        const analytics = await as('donor')('GET', '/campaigns/CAMP1/analytics');
+        assert.strictEqual(analytics.status, 200);
+        assert.strictEqual(analytics.body.escrowBalance, 700);
+    });
+
+    it('amends a campaign once an oracle approves it', async () => {
+        const changes = { deadline: '2026-06-30T23:59:59.000Z', milestones: { update: [{ milestoneId: 'M2', budgetAmount: 300 }] } };
+        const proposed = await as('ngo')('POST', '/campaigns/CAMP1/amendments', { changes, reason: 'Cheaper water tests' });
+        assert.deepStrictEqual([proposed.status, proposed.body.status], [201, 'Proposed']);
+        assert.strictEqual((await as('donor')('GET', '/campaigns/CAMP1')).body.deadline, CAMPAIGN.deadline);
+
+        const approved = await as('oracle')('POST', `/amendments/${proposed.body.amendmentId}/review`, { verdict: 'approve' });
+        assert.deepStrictEqual([approved.status, approved.body.status, approved.body.version], [200, 'Approved', 2]);
+
+        const campaign = (await as('donor')('GET', '/campaigns/CAMP1')).body;
+        assert.deepStrictEqual([campaign.deadline, campaign.milestones.M2.budgetAmount], ['2026-06-30T23:59:59.000Z', 300]);
+        assert.strictEqual((await as('donor')('GET', '/campaigns/CAMP1/amendments')).body.length, 1);
+
+        const verified = await as('ngo')('POST', '/campaigns/CAMP1/amendments', { changes: { milestones: { remove: ['M1'] } }, reason: 'Drop pumps' });
+        assert.deepStrictEqual([verified.status, verified.body.error], [409, 'Milestone M1 cannot be amended: it has already been verified']);
+    });
+
+    it('converts donations in another currency with the oracle exchange rate', async () => {
+        const rate = await as('oracle')('PUT', '/exchange-rates/EUR/USD', { rate: '1.08' });
+        assert.deepStrictEqual([rate.status, rate.body.rate], [200, '1.08']);
+        assert.strictEqual((await as('ngo')('PUT', '/exchange-rates/EUR/USD', { rate: '2' })).status, 403);
+
+        const donation = await as('donor')('POST', '/campaigns/CAMP1/donations', { amount: 1000, currency: 'EUR' });
+        assert.deepStrictEqual([donation.status, donation.body.campaign.currentAmount], [201, 1780]);
+
+        const analytics = await as('donor')('GET', '/campaigns/CAMP1/analytics');
+        assert.deepStrictEqual([analytics.body.currency, analytics.body.formatted.currentAmount], ['USD', '17.80']);
+    });
+
+    it('maps chaincode errors to HTTP status codes', async () => {
+        const missing = await as('donor')('GET', '/campaigns/NOPE');
+        assert.deepStrictEqual([missing.status, missing.body.error], [404, 'Campaign with ID NOPE does not exist']);
+
+        const forbidden = await as('donor')('POST', '/campaigns', { ...CAMPAIGN, campaignId: 'CAMP2' });
+        assert.strictEqual(forbidden.status, 403);
+        assert.match(forbidden.body.error, /^Unauthorized: createCampaign requires role ngo/);
+
+        const duplicate = await as('ngo')('POST', '/campaigns', CAMPAIGN);
+        assert.strictEqual(duplicate.status, 409);
+
+        const frozen = await as('ngo')('POST', '/campaigns/CAMP1/milestones/M1/release');
+        assert.deepStrictEqual([frozen.status, frozen.body.error], [409, 'Milestone M1 is in its challenge period until 2025-02-04T00:00:00.000Z']);
+
+        const invalid = await as('ngo')('PATCH', '/campaigns/CAMP1/status', { status: 'Finished' });
+        assert.strictEqual(invalid.status, 400);
+        assert.match(invalid.body.error, /^Invalid status: Finished/);
+    });
+
+    it('onboards, reviews and suspends NGOs through the registry', async () => {
+        const profile = { name: 'Schools First', registrationNumber: 'REG-2', country: 'IN', kycDocumentHash: 'b'.repeat(64) };
+        const registered = await as('ngo')('POST', '/ngos', { ngoWallet: 'NGO_WALLET_2', ...profile });
+        assert.deepStrictEqual([registered.status, registered.body.status, registered.body.profile.name], [201, 'Pending', 'Schools First']);
+        assert.strictEqual((await as('ngo')('POST', '/ngos', { ngoWallet: 'NGO_WALLET_2', ...profile })).status, 409);
+        assert.strictEqual((await as('ngo')('POST', '/ngos', { ngoWallet: 'NGO_WALLET_3', ...profile, country: 'India' })).status, 400);
+        assert.strictEqual((await as('ngo')('POST', '/campaigns', { ...CAMPAIGN, campaignId: 'SCHOOL1', ngoWallet: 'NGO_WALLET_2' })).status, 409);
+        assert.strictEqual((await as('ngo')('POST', '/campaigns', { ...CAMPAIGN, campaignId: 'SCHOOL1', ngoWallet: 'NGO_WALLET_9' })).status, 403);
+
+        assert.strictEqual((await as('donor')('POST', '/ngos/NGO_WALLET_2/review', { verdict: 'approve' })).status, 403);
+        const reviewed = await as('oracle')('POST', '/ngos/NGO_WALLET_2/review', { verdict: 'approve', notes: 'certificate checked' });
+        assert.deepStrictEqual([reviewed.status, reviewed.body.status, reviewed.body.kycStatus], [200, 'Approved', 'Verified']);
+        assert.deepStrictEqual((await as('donor')('GET', '/ngos?status=Approved')).body.map(ngo => ngo.ngoWallet), ['NGO_WALLET_1', 'NGO_WALLET_2']);
+
+        const suspended = await as('admin')('PATCH', '/ngos/NGO_WALLET_2/status', { status: 'Suspended', reason: 'audit' });
+        assert.deepStrictEqual([suspended.status, suspended.body.status], [200, 'Suspended']);
+        assert.strictEqual((await as('ngo')('POST', '/campaigns', { ...CAMPAIGN, campaignId: 'SCHOOL1', ngoWallet: 'NGO_WALLET_2' })).status, 409);
+
+        const ngo = await as('donor')('GET', '/ngos/NGO_WALLET_1');
+        assert.deepStrictEqual([ngo.status, ngo.body.campaigns.map(campaign => campaign.campaignId), ngo.body.campaignCounts], [200, ['CAMP1'], { GoalReached: 1 }]);
+        assert.strictEqual((await as('donor')('GET', '/ngos/NGO_WALLET_9')).status, 404);
+    });
+
+    it('rejects malformed requests before they reach the network', async () => {
+        const txCount = network.txCount;
+        const noAmount = await as('donor')('POST', '/campaigns/CAMP1/donations', { donorId: 'bob' });
+        assert.deepStrictEqual([noAmount.status, noAmount.body.error], [400, 'Missing required argument(s): amount']);
+
+        const badGoal = await as('ngo')('POST', '/campaigns', { ...CAMPAIGN, campaignId: 'CAMP3', goalAmount: '1000' });
+        assert.deepStrictEqual([badGoal.status, badGoal.body.error], [400, 'goalAmount must be a positive whole number of minor units']);
+
+        const fractional = await as('donor')('POST', '/campaigns/CAMP1/donations', { amount: 10.5 });
+        assert.deepStrictEqual([fractional.status, fractional.body.error], [400, 'amount must be a positive whole number of minor units']);
+
+        const response = await fetch(`${gateways.urls.ngo}/campaigns`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: '{"campaignId":'
+        });
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(network.txCount, txCount);
+    });
+
+    it('submits anonymous gifts for the channel majority endorsement, with donor details in transient data only', async () => {
+        await as('ngo')('POST', '/campaigns', { ...CAMPAIGN, campaignId: 'CAMP3' });
+        const donor = new DonationClient(network.getContract(identities.donor()));
+        await donor.donate({ campaignId: 'CAMP3', amount: 10, donorId: 'alice', message: 'for the wells', anonymous: true });
+        await donor.createPledge({ campaignId: 'CAMP3', amount: 10, period: 'weekly', donorId: 'alice', anonymous: true });
+        const proposals = network.proposals.slice(-2);
+        assert.deepStrictEqual(proposals.map(proposal => [proposal.name, proposal.endorsingOrganizations, proposal.transientKeys]), [
+            ['donate', null, ['donor']],
+            ['createPledge', null, ['donor']]
+        ]);
+        assert.ok(proposals.every(proposal => !proposal.args.some(arg => /alice|wells/.test(arg))));
+    });
+
+    it('reports an unreachable network as 503', async () => {
+        const unavailable = Object.assign(new Error('14 UNAVAILABLE: No connection established'), { code: 14, details: [] });
+        const contract = { evaluate: async () => { throw unavailable; } };
+        const app = createApp(new DonationClient(contract));
+        const server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        try {
+            const response = await request(`http://127.0.0.1:${server.address().port}`, 'GET', '/campaigns/CAMP1');
+            assert.deepStrictEqual(response, { status: 503, body: { error: 'Fabric network unavailable' } });
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
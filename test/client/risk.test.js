@@ -0,0 +1,151 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { DonationClient, Indexer, MirrorStore, assessAll, assessCampaign, createApp } = require('../../client/app');
+const { MockNetwork, approveNGO } = require('./support/mock-gateway');
+const { identities } = require('../support/mock-context');
+
+/**
+ * A campaign record as mirrored from the ledger
+ */
+function campaign(campaignId, overrides = {}) {
+    return {
+        campaignId,
+        ngoWallet: 'NGO_WALLET_1',
+        createdBy: 'x509::/CN=ngo1',
+        category: 'Water',
+        goalAmount: 1000,
+        createdAt: '2025-01-01T00:00:00.000Z',
+        milestones: {
+            M1: { milestoneId: 'M1', budgetAmount: 500, verifiedAt: null },
+            M2: { milestoneId: 'M2', budgetAmount: 500, verifiedAt: null }
+        },
+        ...overrides
+    };
+}
+
+function donation(n, campaignId, donorHash, amount, timestamp) {
+    return { donationId: `D${n}`, campaignId, donorHash, amount, timestamp };
+}
+
+describe('Fraud and anomaly scoring', () => {
+    it('scores a campaign with no signals as low risk', () => {
+        const context = {
+            campaigns: [campaign('CAMP1')],
+            donations: [donation(1, 'CAMP1', 'a', 300, '2025-01-02T00:00:00.000Z'), donation(2, 'CAMP1', 'b', 200, '2025-01-03T00:00:00.000Z')],
+            releases: []
+        };
+        assert.deepStrictEqual(assessCampaign('CAMP1', context), { campaignId: 'CAMP1', score: 5, level: 'low', signals: [], modelVersion: 'risk-v1' });
+        assert.strictEqual(assessCampaign('NOPE', context), null);
+    });
+
+    it('flags structured donations from one donor and identical amounts from many', () => {
+        const split = [0, 1, 2, 3, 4, 5].map(n => donation(n, 'CAMP1', 'a', 900, `2025-01-02T0${n}:00:00.000Z`));
+        const burst = [0, 1, 2, 3, 4].map(n => donation(10 + n, 'CAMP1', `donor-${n}`, 250, `2025-01-05T00:1${n}:00.000Z`));
+        const assessment = assessCampaign('CAMP1', { campaigns: [campaign('CAMP1')], donations: [...split, ...burst], releases: [] });
+
+        assert.deepStrictEqual(assessment.signals.map(signal => [signal.type, signal.strength]), [['smurfing', 0.85], ['smurfing', 0.75]]);
+        assert.deepStrictEqual(assessment.signals[0].evidence, { donorHash: 'a', donationIds: ['D0', 'D1', 'D2', 'D3', 'D4', 'D5'], total: 5400 });
+        assert.match(assessment.signals[1].explanation, /5 donors each gave exactly 250 within 1h/);
+        assert.strictEqual(assessment.level, 'medium');
+    });
+
+    it('flags released funds coming back from a new donor and donations by the campaign creator', () => {
+        const context = {
+            campaigns: [campaign('CAMP1'), campaign('CAMP2')],
+            donations: [
+                donation(1, 'CAMP1', 'a', 1000, '2025-01-02T00:00:00.000Z'),
+                donation(2, 'CAMP2', 'a', 100, '2025-01-11T00:00:00.000Z'),
+                donation(3, 'CAMP2', 'new', 400, '2025-01-11T00:00:00.000Z'),
+                { ...donation(4, 'CAMP2', 'c', 10, '2025-01-12T00:00:00.000Z'), donorIdentity: 'x509::/CN=ngo1' }
+            ],
+            releases: [{ releaseId: 'R1', campaignId: 'CAMP1', milestoneId: 'M1', amount: 500, recipientWallet: 'NGO_WALLET_1', releasedAt: '2025-01-10T00:00:00.000Z' }]
+        };
+
+        const assessment = assessCampaign('CAMP2', context);
+        assert.deepStrictEqual(assessment.signals.map(signal => [signal.type, signal.strength, signal.evidence]), [
+            ['roundTripping', 0.8, { donorHash: 'new', releaseId: 'R1', total: 400 }],
+            ['roundTripping', 1, { donationIds: ['D4'] }]
+        ]);
+        assert.strictEqual(assessment.level, 'high');
+        assert.deepStrictEqual(assessCampaign('CAMP1', context).signals, []);
+    });
+
+    it('compares milestone budgets with the category and flags fast verifications', () => {
+        const peers = [1, 2, 3, 4].map(n => campaign(`PEER${n}`, {
+            milestones: {
+                M1: { milestoneId: 'M1', budgetAmount: 250 }, M2: { milestoneId: 'M2', budgetAmount: 250 },
+                M3: { milestoneId: 'M3', budgetAmount: 250 }, M4: { milestoneId: 'M4', budgetAmount: 250 }
+            }
+        }));
+        const frontLoaded = campaign('CAMP1', {
+            milestones: {
+                M1: { milestoneId: 'M1', budgetAmount: 900, verifiedAt: '2025-01-01T02:00:00.000Z', verifiedBy: 'oracle1' },
+                M2: { milestoneId: 'M2', budgetAmount: 100, verifiedAt: null }
+            }
+        });
+
+        const [assessment] = assessAll({ campaigns: [...peers, frontLoaded], donations: [], releases: [] });
+        assert.strictEqual(assessment.campaignId, 'CAMP1');
+        assert.deepStrictEqual(assessment.signals.map(signal => [signal.type, signal.strength]), [['milestoneBudget', 1], ['fastVerification', 0.92]]);
+        assert.match(assessment.signals[0].explanation, /takes 90% of the goal; Water milestones typically take 25%/);
+        assert.deepStrictEqual(assessment.signals[1].evidence, { milestoneId: 'M1', verifiedBy: 'oracle1', hours: 2 });
+        assert.deepStrictEqual([assessment.score, assessment.level], [91, 'high']);
+
+        // Without enough peers only the fixed ceiling applies
+        const alone = assessCampaign('CAMP1', { campaigns: [frontLoaded], donations: [], releases: [] });
+        assert.deepStrictEqual(alone.signals[0].evidence, { milestoneId: 'M1', share: 0.9 });
+        assert.strictEqual(alone.signals[0].strength, 0.75);
+    });
+
+    it('serves scores over REST and records them on the ledger as advisory assessments', async () => {
+        const network = new MockNetwork('2025-02-01T09:00:00.000Z');
+        await approveNGO(network);
+        await new DonationClient(network.getContract(identities.ngo())).createCampaign({
+            campaignId: 'CAMP1', ngoWallet: 'NGO_WALLET_1', title: 'Clean Water', goalAmount: 1000, deadline: '2025-12-31T23:59:59.000Z',
+            milestones: [{ milestoneId: 'M1', title: 'Wells', budgetAmount: 1000 }]
+        });
+        network.timestamp = '2025-02-01T15:00:00.000Z';
+        await new DonationClient(network.getContract(identities.oracle())).setMilestoneVerified('CAMP1', 'M1', 'ok');
+
+        const store = new MirrorStore();
+        const indexer = new Indexer({ network, chaincodeName: 'donationcontract', store });
+        const running = indexer.start();
+        while (store.getNextBlock() !== BigInt(network.blocks.length + 1)) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        indexer.stop();
+        await running;
+
+        const app = createApp(new DonationClient(network.getContract(identities.oracle())), { mirror: store });
+        const server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        const request = (path, method = 'GET') => fetch(`${baseUrl}${path}`, { method }).then(async res => ({ status: res.status, body: await res.json() }));
+
+        try {
+            const listed = await request('/risk/campaigns?level=high');
+            assert.deepStrictEqual(listed.body.map(assessment => [assessment.campaignId, assessment.score]), [['CAMP1', 85]]);
+            assert.deepStrictEqual(listed.body[0].signals.map(signal => signal.type), ['milestoneBudget', 'fastVerification']);
+            assert.deepStrictEqual((await request('/risk/campaigns?level=low')).body, []);
+            assert.strictEqual((await request('/risk/campaigns/NOPE')).status, 404);
+            assert.strictEqual((await request('/campaigns/CAMP1/risk-assessment')).status, 404);
+
+            const recorded = await request('/risk/campaigns/CAMP1/record', 'POST');
+            assert.strictEqual(recorded.status, 201);
+            assert.deepStrictEqual([recorded.body.docType, recorded.body.advisory, recorded.body.level], ['RiskAssessment', true, 'high']);
+            assert.deepStrictEqual((await request('/campaigns/CAMP1/risk-assessment')).body, recorded.body);
+            assert.strictEqual(network.chaincodeEvents.at(-1).eventName, 'RiskAssessed');
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+            store.close();
+        }
+    });
+});
@@ -0,0 +1,298 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+/**
+ * In-process stand-in for a Fabric Gateway network: contracts obtained from
+ * it run DonationContract transactions against a shared MockStub world state
+ * instead of sending proposals to peers, and each submitted transaction is
+ * committed in its own block, readable with getBlockEvents and
+ * getChaincodeEvents.
+ */
+
+const { EndorseError } = require('../../../client/node_modules/@hyperledger/fabric-gateway');
+const { common, ledger, peer } = require('../../../client/node_modules/@hyperledger/fabric-protos');
+const { Timestamp } = require('../../../client/node_modules/google-protobuf/google/protobuf/timestamp_pb');
+const DonationContract = require('../../../chaincode/index.js');
+const { MockStub, commit, identities, invoke } = require('../../support/mock-context');
+
+// gRPC status code the gateway reports for a failed endorsement
+const GRPC_ABORTED = 10;
+const CHAINCODE_NAME = 'donationcontract';
+
+/**
+ * Wrap a chaincode error the way the Fabric Gateway reports it
+ * @param {Error} error - Error thrown by the chaincode
+ * @param {string} transactionId - Transaction ID
+ * @returns {EndorseError} Gateway error with the chaincode message in its details
+ */
+function toEndorseError(error, transactionId) {
+    return new EndorseError({
+        code: GRPC_ABORTED,
+        details: [{ address: 'peer0.ngo.donation.com:7051', mspId: 'NGOMSP', message: `chaincode response 500, ${error.message}` }],
+        cause: error,
+        transactionId: transactionId,
+        message: '10 ABORTED: failed to endorse transaction, see attached details for more info'
+    });
+}
+
+/**
+ * Build a block holding one endorser transaction and its world state writes
+ * @param {Object} committed - Committed transaction ({ blockNumber, transactionId, timestamp, writes, validationCode })
+ * @returns {common.Block} Block as delivered by the Fabric Gateway block events
+ */
+function buildBlock({ blockNumber, transactionId, timestamp, writes, validationCode = peer.TxValidationCode.VALID }) {
+    const kvReadWriteSet = new ledger.rwset.kvrwset.KVRWSet();
+    kvReadWriteSet.setWritesList(writes.map(({ key, value, isDelete }) => {
+        const write = new ledger.rwset.kvrwset.KVWrite();
+        write.setKey(key);
+        write.setIsDelete(Boolean(isDelete));
+        write.setValue(value);
+        return write;
+    }));
+    const nsReadWriteSet = new ledger.rwset.NsReadWriteSet();
+    nsReadWriteSet.setNamespace(CHAINCODE_NAME);
+    nsReadWriteSet.setRwset(kvReadWriteSet.serializeBinary());
+    const readWriteSet = new ledger.rwset.TxReadWriteSet();
+    readWriteSet.setNsRwsetList([nsReadWriteSet]);
+
+    const chaincodeAction = new peer.ChaincodeAction();
+    chaincodeAction.setResults(readWriteSet.serializeBinary());
+    const responsePayload = new peer.ProposalResponsePayload();
+    responsePayload.setExtension$(chaincodeAction.serializeBinary());
+    const endorsedAction = new peer.ChaincodeEndorsedAction();
+    endorsedAction.setProposalResponsePayload(responsePayload.serializeBinary());
+    const actionPayload = new peer.ChaincodeActionPayload();
+    actionPayload.setAction(endorsedAction);
+    const action = new peer.TransactionAction();
+    action.setPayload(actionPayload.serializeBinary());
+    const transaction = new peer.Transaction();
+    transaction.setActionsList([action]);
+
+    const millis = Date.parse(timestamp);
+    const protoTimestamp = new Timestamp();
+    protoTimestamp.setSeconds(Math.floor(millis / 1000));
+    protoTimestamp.setNanos((millis % 1000) * 1000000);
+    const channelHeader = new common.ChannelHeader();
+    channelHeader.setType(common.HeaderType.ENDORSER_TRANSACTION);
+    channelHeader.setTxId(transactionId);
+    channelHeader.setTimestamp(protoTimestamp);
+    const header = new common.Header();
+    header.setChannelHeader(channelHeader.serializeBinary());
+    const payload = new common.Payload();
+    payload.setHeader(header);
+    payload.setData(transaction.serializeBinary());
+    const envelope = new common.Envelope();
+    envelope.setPayload(payload.serializeBinary());
+
+    const blockHeader = new common.BlockHeader();
+    blockHeader.setNumber(Number(blockNumber));
+    const blockData = new common.BlockData();
+    blockData.setDataList([envelope.serializeBinary()]);
+    const metadata = new common.BlockMetadata();
+    const metadataList = [new Uint8Array(), new Uint8Array(), new Uint8Array(), new Uint8Array(), new Uint8Array()];
+    metadataList[common.BlockMetadataIndex.TRANSACTIONS_FILTER] = Uint8Array.of(validationCode);
+    metadata.setMetadataList(metadataList);
+
+    const block = new common.Block();
+    block.setHeader(blockHeader);
+    block.setData(blockData);
+    block.setMetadata(metadata);
+    return block;
+}
+
+/**
+ * Shared world state and clock for the contracts of one mock network
+ */
+class MockNetwork {
+    /**
+     * @param {string} timestamp - Transaction timestamp (ISO string), may be changed between calls
+     */
+    constructor(timestamp = '2025-02-01T00:00:00.000Z') {
+        this.state = new Map();
+        this.timestamp = timestamp;
+        this.txCount = 0;
+        this.blocks = [];
+        this.chaincodeEvents = [];
+        // Submitted proposals ({ name, args, endorsingOrganizations, transientKeys })
+        this.proposals = [];
+        this.waiting = new Set();
+    }
+
+    /**
+     * Commit a transaction in a new block and record its chaincode event
+     * (Fabric keeps only the last one set)
+     * @param {MockStub} stub - Stub the transaction ran against
+     * @returns {bigint} Block number
+     */
+    _commit(stub) {
+        commit(stub, this.state);
+        const blockNumber = BigInt(this.blocks.length + 1);
+        this.blocks.push(buildBlock({ blockNumber, transactionId: stub.txId, timestamp: stub.timestamp, writes: stub.writes }));
+
+        const event = stub.events[stub.events.length - 1];
+        if (event) {
+            this.chaincodeEvents.push({
+                blockNumber,
+                transactionId: stub.txId,
+                chaincodeName: CHAINCODE_NAME,
+                eventName: event.name,
+                payload: Buffer.from(JSON.stringify(event.payload))
+            });
+        }
+        this.waiting.forEach(wake => wake());
+        this.waiting.clear();
+        return blockNumber;
+    }
+
+    /**
+     * Iterate over a growing list from an index, waiting for new entries until closed
+     * @param {Function} list - Returns the current list
+     * @param {number} index - Index of the first entry
+     * @returns {Object} Closeable async iterable
+     */
+    _subscribe(list, index) {
+        const network = this;
+        let closed = false;
+        let wake = () => {};
+
+        return {
+            close() {
+                closed = true;
+                wake();
+            },
+            async *[Symbol.asyncIterator]() {
+                while (!closed) {
+                    if (index < list().length) {
+                        yield list()[index++];
+                    } else {
+                        await new Promise(resolve => {
+                            wake = resolve;
+                            network.waiting.add(resolve);
+                        });
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Subscribe to chaincode events, following the Fabric Gateway rules:
+     * resume after the checkpointed transaction, else start at startBlock,
+     * else deliver only new events
+     * @param {string} chaincodeName - Chaincode name
+     * @param {Object} options - Checkpoint and start block ({ checkpoint, startBlock })
+     * @returns {Promise<Object>} Closeable async iterable of chaincode events
+     */
+    async getChaincodeEvents(chaincodeName, { checkpoint, startBlock } = {}) {
+        const fromBlock = blockNumber => {
+            const index = this.chaincodeEvents.findIndex(event => event.blockNumber >= blockNumber);
+            return index >= 0 ? index : this.chaincodeEvents.length;
+        };
+
+        let index = startBlock !== undefined ? fromBlock(startBlock) : this.chaincodeEvents.length;
+        const checkpointBlock = checkpoint && checkpoint.getBlockNumber();
+        if (checkpointBlock !== undefined) {
+            const transactionId = checkpoint.getTransactionId();
+            const checkpointed = this.chaincodeEvents.findIndex(event => event.transactionId === transactionId);
+            index = transactionId && checkpointed >= 0 ? checkpointed + 1 : fromBlock(checkpointBlock);
+        }
+        return this._subscribe(() => this.chaincodeEvents, index);
+    }
+
+    /**
+     * Subscribe to blocks from the checkpointed block, else startBlock, else the next block
+     * @param {Object} options - Checkpoint and start block ({ checkpoint, startBlock })
+     * @returns {Promise<Object>} Closeable async iterable of blocks
+     */
+    async getBlockEvents({ checkpoint, startBlock } = {}) {
+        const checkpointBlock = checkpoint && checkpoint.getBlockNumber();
+        const from = checkpointBlock !== undefined ? checkpointBlock : startBlock;
+        // Block n is at index n - 1: the mock has no genesis block
+        const index = from !== undefined ? Math.max(Number(from) - 1, 0) : this.blocks.length;
+        return this._subscribe(() => this.blocks, index);
+    }
+
+    /**
+     * Get a contract that invokes transactions as the given client identity
+     * @param {MockClientIdentity} identity - Client identity
+     * @returns {MockContract} Contract
+     */
+    getContract(identity) {
+        return new MockContract(this, identity);
+    }
+}
+
+/**
+ * The subset of the Fabric Gateway Contract API used by DonationClient
+ */
+class MockContract {
+    constructor(network, identity) {
+        this.network = network;
+        this.identity = identity;
+    }
+
+    async _run(name, { arguments: args = [], transientData = {} } = {}) {
+        this.network.txCount++;
+        const transactionId = `tx-${this.network.txCount}`;
+        const stub = new MockStub({ txId: transactionId, timestamp: this.network.timestamp, state: this.network.state, transient: transientData });
+        try {
+            const result = await invoke(new DonationContract(), { stub, clientIdentity: this.identity }, name, ...args.map(String));
+            return { stub, transactionId, result: Buffer.from(result === undefined ? '' : JSON.stringify(result)) };
+        } catch (error) {
+            throw toEndorseError(error, transactionId);
+        }
+    }
+
+    async evaluate(name, options) {
+        const { result } = await this._run(name, options);
+        return result;
+    }
+
+    async evaluateTransaction(name, ...args) {
+        return this.evaluate(name, { arguments: args });
+    }
+
+    async submitAsync(name, options) {
+        this.network.proposals.push({
+            name: name,
+            args: (options.arguments || []).map(String),
+            endorsingOrganizations: options.endorsingOrganizations || null,
+            transientKeys: Object.keys(options.transientData || {})
+        });
+        const { stub, transactionId, result } = await this._run(name, options);
+        const blockNumber = this.network._commit(stub);
+        return {
+            getResult: () => result,
+            getTransactionId: () => transactionId,
+            getStatus: async () => ({ successful: true, code: 0, transactionId, blockNumber })
+        };
+    }
+
+    async submitTransaction(name, ...args) {
+        const submitted = await this.submitAsync(name, { arguments: args });
+        return submitted.getResult();
+    }
+}
+
+/**
+ * Register NGO wallets to the test NGO identity and have the test oracle
+ * approve them, so the NGO can create campaigns paying into them
+ * @param {MockNetwork} network - Mock network
+ * @param {...string} wallets - NGO wallets (default NGO_WALLET_1)
+ */
+async function approveNGO(network, ...wallets) {
+    const profile = JSON.stringify({ name: 'Water for All', registrationNumber: 'REG-1', country: 'KE', kycDocumentHash: 'a'.repeat(64) });
+    for (const wallet of wallets.length > 0 ? wallets : ['NGO_WALLET_1']) {
+        await network.getContract(identities.ngo()).submitTransaction('registerNGO', wallet, profile);
+        await network.getContract(identities.oracle()).submitTransaction('reviewNGO', wallet, 'approve', '');
+    }
+}
+
+module.exports = {
+    MockNetwork,
+    approveNGO,
+    buildBlock
+};
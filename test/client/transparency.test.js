@@ -0,0 +1,136 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    DocumentSigner, DonationClient, Indexer, MirrorStore, TransparencyReporter,
+    createApp, leafHash, merkleRoot, verifyInclusion, verifyProof, verifyReport, verifySignedDocument
+} = require('../../client/app');
+const { inclusionProof } = require('../../client/lib/merkle');
+const { MockNetwork, approveNGO } = require('./support/mock-gateway');
+const { identities } = require('../support/mock-context');
+
+/**
+ * Replay every block of the mock network into the mirror
+ */
+async function catchUp(network, store) {
+    const indexer = new Indexer({ network, chaincodeName: 'donationcontract', store });
+    const running = indexer.start();
+    while (store.getNextBlock() !== BigInt(network.blocks.length + 1)) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    indexer.stop();
+    await running;
+}
+
+describe('Donation receipts and transparency reports', () => {
+    it('proves every leaf of trees of any size and rejects tampered proofs', () => {
+        assert.strictEqual(merkleRoot([]), crypto.createHash('sha256').digest('hex'));
+
+        for (let size = 1; size <= 9; size++) {
+            const hashes = Array.from({ length: size }, (_, n) => leafHash({ id: `D${n}`, amount: n }));
+            const root = merkleRoot(hashes);
+            hashes.forEach((hash, index) => assert.ok(verifyProof(hash, inclusionProof(hashes, index), root), `leaf ${index} of ${size}`));
+        }
+
+        const hashes = ['a', 'b', 'c', 'd', 'e'].map(id => leafHash({ id }));
+        const proof = inclusionProof(hashes, 4);
+        assert.deepStrictEqual(proof.map(step => step.position), ['left']);
+        assert.strictEqual(verifyProof(hashes[3], proof, merkleRoot(hashes)), false);
+        assert.strictEqual(verifyProof(hashes[4], [{ position: 'right', hash: proof[0].hash }], merkleRoot(hashes)), false);
+        assert.throws(() => inclusionProof(hashes, 5), RangeError);
+    });
+
+    it('issues signed receipts and reports whose proofs verify offline', async () => {
+        const network = new MockNetwork('2025-02-01T09:00:00.000Z');
+        await approveNGO(network);
+        const donor = new DonationClient(network.getContract(identities.donor()));
+        await new DonationClient(network.getContract(identities.ngo())).createCampaign({
+            campaignId: 'CAMP1', ngoWallet: 'NGO_WALLET_1', title: 'Clean Water', goalAmount: 1000, deadline: '2025-12-31T23:59:59.000Z',
+            milestones: [{ milestoneId: 'M1', title: 'Wells', budgetAmount: 600 }, { milestoneId: 'M2', title: 'Tests', budgetAmount: 400 }]
+        });
+        const gifts = [];
+        for (const amount of [300, 450, 125]) {
+            gifts.push(await donor.donate({ campaignId: 'CAMP1', amount }));
+        }
+        await new DonationClient(network.getContract(identities.oracle())).setMilestoneVerified('CAMP1', 'M1', 'ok');
+        network.timestamp = '2025-02-05T09:00:00.000Z';
+        await new DonationClient(network.getContract(identities.ngo())).releaseMilestoneFunds('CAMP1', 'M1');
+
+        const store = new MirrorStore();
+        await catchUp(network, store);
+
+        const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        const signer = new DocumentSigner({ privateKey, mspId: 'NGOMSP' });
+        const app = createApp(donor, { mirror: store, signer });
+        const server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        const request = (path, method = 'GET', body) => fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { 'content-type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        }).then(async res => ({ status: res.status, body: await res.json() }));
+
+        try {
+            const receipt = (await request(`/donations/${gifts[1].donationId}/receipt`)).body;
+            assert.deepStrictEqual(
+                [receipt.amount, receipt.currency, receipt.formattedAmount, receipt.txId, receipt.campaignTitle, receipt.signature.algorithm],
+                [450, 'USD', '$4.50', gifts[1].transactionId, 'Clean Water', 'ECDSA-SHA256']
+            );
+            assert.ok(Number.isInteger(receipt.blockNumber));
+            assert.strictEqual(verifySignedDocument(receipt), true);
+            assert.deepStrictEqual((await request('/receipts/verify', 'POST', receipt)).body, { valid: true, signatureValid: true, matchesLedger: true });
+            assert.deepStrictEqual((await request('/receipts/verify', 'POST', { ...receipt, amount: 4500 })).body,
+                { valid: false, signatureValid: false, matchesLedger: false });
+            assert.strictEqual((await request('/donations/DONATION_CAMP1_nope/receipt')).status, 404);
+
+            const pdf = await fetch(`${baseUrl}/donations/${gifts[1].donationId}/receipt?format=pdf`);
+            assert.strictEqual(pdf.headers.get('content-type'), 'application/pdf');
+            const pdfText = Buffer.from(await pdf.arrayBuffer()).toString('latin1');
+            assert.match(pdfText, /^%PDF-1\.4\n/);
+            assert.match(pdfText, /\(Amount: \$4\.50\) '/);
+            assert.match(pdfText, /startxref\n\d+\n%%EOF\n$/);
+
+            const created = await request('/campaigns/CAMP1/transparency-reports', 'POST');
+            assert.strictEqual(created.status, 201);
+            const report = created.body;
+            assert.deepStrictEqual(
+                [report.leafCount, report.donationCount, report.releaseCount, report.totalDonated, report.totalReleased],
+                [4, 3, 1, 875, 600]
+            );
+            assert.deepStrictEqual(report.leaves.map(leaf => leaf.type), ['donation', 'donation', 'donation', 'release']);
+            assert.deepStrictEqual(verifyReport(report), { valid: true, signatureValid: true, rootValid: true });
+            assert.deepStrictEqual((await request('/campaigns/CAMP1/transparency-reports')).body.map(header => [header.reportId, header.leaves]),
+                [[report.reportId, undefined]]);
+
+            // A donor checks inclusion with the proof alone, tied to their receipt by the leaf hash
+            const bundle = JSON.parse(JSON.stringify((await request(`/transparency-reports/${report.reportId}/proofs/${gifts[1].donationId}`)).body));
+            assert.strictEqual(bundle.leafHash, receipt.leafHash);
+            assert.deepStrictEqual(verifyInclusion(bundle), { valid: true, signatureValid: true, proofValid: true });
+            assert.deepStrictEqual(verifyInclusion({ ...bundle, leaf: { ...bundle.leaf, amount: 45000 } }).proofValid, false);
+            assert.deepStrictEqual(verifyInclusion({ ...bundle, report: { ...bundle.report, root: bundle.leafHash } }).signatureValid, false);
+            assert.strictEqual((await request(`/transparency-reports/${report.reportId}/proofs/DONATION_CAMP1_nope`)).status, 404);
+
+            // The reporter only issues a new report once the campaign's records change
+            const reporter = new TransparencyReporter({ store, signer });
+            assert.deepStrictEqual(reporter.runOnce(), []);
+            await donor.donate({ campaignId: 'CAMP1', amount: 25 });
+            await catchUp(network, store);
+            const [issued] = reporter.runOnce();
+            assert.deepStrictEqual([issued.campaignId, issued.leafCount, issued.totalDonated], ['CAMP1', 5, 900]);
+            assert.notStrictEqual(issued.root, report.root);
+            assert.deepStrictEqual((await request('/campaigns/CAMP1/transparency-reports')).body.map(header => header.reportId), [issued.reportId, report.reportId]);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+            store.close();
+        }
+    });
+});
@@ -0,0 +1,1675 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const DonationContract = require('../chaincode/index.js');
+const { TRANSACTION_ROLES } = require('../chaincode/lib/access');
+const { computeDonorHash } = require('../chaincode/lib/privacy');
+const schema = require('../chaincode/lib/schema');
+const { MockStub, MockClientIdentity, identities, commit, invoke } = require('./support/mock-context');
+
+const MILESTONES = JSON.stringify([
+    { milestoneId: 'M1', title: 'Pumps', budgetAmount: 600 },
+    { milestoneId: 'M2', title: 'Testing', budgetAmount: 400 }
+]);
+
+// Past the default 72 hour challenge period of milestones verified at the default test time
+const AFTER_CHALLENGE = '2025-02-05T00:00:00.000Z';
+
+const SALT = 'salt-0123456789abcdef';
+
+const PROFILE = JSON.stringify({ name: 'Water for All', registrationNumber: 'REG-1', country: 'KE', kycDocumentHash: 'a'.repeat(64) });
+
+/**
+ * Transient map carrying donor details
+ */
+function donor(details = {}) {
+    return { donor: JSON.stringify({ salt: SALT, donorId: 'donor1', message: '', ...details }) };
+}
+
+/**
+ * Run transactions in sequence against one shared world state, committing
+ * the writes of each successful transaction. run.with(transient) runs a
+ * transaction with a transient map; run.events holds the events emitted by
+ * the last successful transaction.
+ */
+function ledger(state, timestamp = '2025-02-01T00:00:00.000Z') {
+    let txCount = 0;
+    const execute = async (transient, identity, fcn, ...args) => {
+        txCount++;
+        const stub = new MockStub({ txId: `tx-${txCount}`, timestamp: run.timestamp, state, transient });
+        const result = await invoke(new DonationContract(), { stub, clientIdentity: identity }, fcn, ...args);
+        commit(stub, state);
+        run.events = stub.events;
+        return result;
+    };
+    const run = (identity, fcn, ...args) => execute({}, identity, fcn, ...args);
+    run.with = transient => (identity, fcn, ...args) => execute(transient, identity, fcn, ...args);
+    run.timestamp = timestamp;
+    run.events = [];
+    return run;
+}
+
+/**
+ * Register NGO wallets to the test NGO identity and approve them, returning the world state
+ */
+async function approvedNGOs(wallets = ['NGO_WALLET_1', 'NGO_WALLET_2']) {
+    const state = new Map();
+    const run = ledger(state, '2024-12-01T00:00:00.000Z');
+    for (const wallet of wallets) {
+        await run(identities.ngo(), 'registerNGO', wallet, PROFILE);
+        await run(identities.oracle(), 'reviewNGO', wallet, 'approve', '');
+    }
+    return state;
+}
+
+/**
+ * Create a campaign on a ledger with approved NGOs and return its world state
+ */
+async function seedCampaign(deadline = '2025-12-31T23:59:59.000Z') {
+    const state = await approvedNGOs();
+    await ledger(state, '2025-01-01T00:00:00.000Z')(identities.ngo(), 'createCampaign',
+        'CAMP1', 'NGO_WALLET_1', 'Clean Water', 'desc', '1000', deadline, 'Water', MILESTONES, 'water,rural');
+    return state;
+}
+
+describe('DonationContract transaction timestamps', () => {
+    it('stores the transaction timestamp rather than the peer clock', async () => {
+        const state = await seedCampaign();
+        const campaign = JSON.parse(state.get('CAMPAIGN_CAMP1').toString());
+        assert.strictEqual(campaign.createdAt, '2025-01-01T00:00:00.000Z');
+    });
+
+    it('checks the deadline against the transaction timestamp', async () => {
+        const state = await seedCampaign('2020-06-30T00:00:00.000Z');
+        const contract = new DonationContract();
+
+        const before = new MockStub({ txId: 'tx-early', timestamp: '2020-06-01T00:00:00.000Z', state, transient: donor() });
+        const campaign = await invoke(contract, { stub: before, clientIdentity: identities.donor() }, 'donate', 'CAMP1', '100');
+        assert.strictEqual(campaign.lastDonationAt, '2020-06-01T00:00:00.000Z');
+
+        const after = new MockStub({ txId: 'tx-late', timestamp: '2020-07-01T00:00:00.000Z', state, transient: donor() });
+        await assert.rejects(
+            invoke(contract, { stub: after, clientIdentity: identities.donor() }, 'donate', 'CAMP1', '100'),
+            /deadline has passed/
+        );
+    });
+
+    it('produces byte-identical writes on two endorsing peers', async () => {
+        const state = await seedCampaign();
+        const proposal = { txId: 'tx-donate', timestamp: '2025-03-01T10:00:00.123Z' };
+
+        const endorse = async () => {
+            const stub = new MockStub({ ...proposal, state, transient: donor({ message: 'thanks' }) });
+            await invoke(new DonationContract(), { stub, clientIdentity: identities.donor() }, 'donate', 'CAMP1', '1000');
+            return stub;
+        };
+
+        const ngoPeer = await endorse();
+        // Let the wall clock move on before the second peer simulates the proposal
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const oraclePeer = await endorse();
+
+        assert.deepStrictEqual(
+            oraclePeer.writes.map(({ key, value }) => [key, value.toString('hex')]),
+            ngoPeer.writes.map(({ key, value }) => [key, value.toString('hex')])
+        );
+        assert.deepStrictEqual(oraclePeer.events, ngoPeer.events);
+    });
+});
+
+describe('DonationContract access control', () => {
+    const callers = { ngo: identities.ngo, oracle: identities.oracle, admin: identities.admin, donor: identities.donor };
+
+    it('declares an access policy for every transaction', () => {
+        const transactions = Object.getOwnPropertyNames(DonationContract.prototype)
+            .filter(name => name !== 'constructor' && name !== 'beforeTransaction' && !name.startsWith('_'));
+        assert.deepStrictEqual(transactions.sort(), Object.keys(TRANSACTION_ROLES).sort());
+    });
+
+    it('rejects callers without a listed role before the transaction runs', async () => {
+        const state = await seedCampaign();
+        let rejected = 0;
+        for (const [transaction, roles] of Object.entries(TRANSACTION_ROLES)) {
+            for (const [role, identity] of Object.entries(callers).filter(([name]) => !roles.includes(name))) {
+                const stub = new MockStub({ state, transient: donor() });
+                await assert.rejects(
+                    invoke(new DonationContract(), { stub, clientIdentity: identity() }, transaction, 'CAMP1', 'M1'),
+                    { name: 'UnauthorizedError', message: new RegExp(`^Unauthorized: ${transaction} requires role .*has role ${role}$`) },
+                    `${role} calling ${transaction}`
+                );
+                assert.deepStrictEqual([stub.writes, stub.privateWrites, stub.events], [[], [], []]);
+                rejected++;
+            }
+        }
+        assert.ok(rejected >= 40, `only ${rejected} restricted role/transaction pairs checked`);
+    });
+
+    it('resolves the caller role from the certificate and organisation', async () => {
+        const state = await seedCampaign();
+        const call = (identity, fcn, ...args) => invoke(new DonationContract(), { stub: new MockStub({ state, transient: donor() }), clientIdentity: identity }, fcn, ...args);
+
+        await assert.rejects(
+            call(new MockClientIdentity('x509::/CN=mallory::/CN=ca.oracle.donation.com', 'ORACLEMSP', { role: 'ngo' }), 'readCampaign', 'CAMP1'),
+            { name: 'UnauthorizedError', message: /Role 'ngo' cannot be asserted by members of ORACLEMSP/ }
+        );
+        await call(new MockClientIdentity('x509::/CN=admin2::/CN=ca.oracle.donation.com', 'ORACLEMSP', { role: ' Admin ' }), 'initLedger');
+
+        // Only the Oracle organisation issues admins: an NGO certificate claiming the role is refused outright
+        const ngoAdmin = new MockClientIdentity('x509::/CN=admin3::/CN=ca.ngo.donation.com', 'NGOMSP', { role: 'admin' });
+        for (const [fcn, ...args] of [['initLedger'], ['updateCampaignStatus', 'CAMP1', 'Cancelled', 'forced'], ['readCampaign', 'CAMP1']]) {
+            await assert.rejects(call(ngoAdmin, fcn, ...args), { name: 'UnauthorizedError', message: /Role 'admin' cannot be asserted by members of NGOMSP/ });
+        }
+
+        // Members of other organisations can only ever act as donors
+        const outsider = new MockClientIdentity('x509::/CN=carol::/CN=ca.partner.org', 'PartnerMSP');
+        await assert.rejects(call(outsider, 'setMilestoneVerified', 'CAMP1', 'M1', 'ok'), /setMilestoneVerified requires role oracle, .*has role donor/);
+        await assert.rejects(call(new MockClientIdentity('x509::/CN=carol::/CN=ca.partner.org', 'PartnerMSP', { role: 'admin' }), 'initLedger'),
+            /Role 'admin' cannot be asserted by members of PartnerMSP/);
+        assert.strictEqual((await call(outsider, 'donate', 'CAMP1', '50')).currentAmount, 50);
+    });
+});
+
+describe('DonationContract campaigns', () => {
+    const create = (run, overrides = {}) => {
+        const args = {
+            campaignId: 'CAMP2', ngoWallet: 'NGO_WALLET_2', title: 'School Meals', description: '', goalAmount: '1000',
+            deadline: '2025-12-31T23:59:59.000Z', category: '', milestones: MILESTONES, tags: '', initialStatus: '', currency: '',
+            ...overrides
+        };
+        return run(identities.ngo(), 'createCampaign', ...Object.values(args));
+    };
+
+    it('creates a campaign with defaults and announces it', async () => {
+        const run = ledger(await approvedNGOs(), '2025-01-01T00:00:00.000Z');
+        const campaign = await create(run, { tags: ' meals , schools ', currency: 'EUR' });
+
+        assert.deepStrictEqual(
+            [campaign.campaignStatus, campaign.currency, campaign.category, campaign.tags, campaign.totalMilestones, campaign.ngoMspId],
+            ['Active', 'EUR', 'General', ['meals', 'schools'], 2, 'NGOMSP']
+        );
+        assert.deepStrictEqual([campaign.currentAmount, campaign.escrowBalance, campaign.milestones.M1.targetDate], [0, 0, '2025-12-31T23:59:59.000Z']);
+        assert.deepStrictEqual(run.events, [{
+            name: 'CampaignCreated',
+            payload: {
+                campaignId: 'CAMP2',
+                ngoWallet: 'NGO_WALLET_2',
+                currency: 'EUR',
+                goalAmount: 1000,
+                createdBy: identities.ngo().getID(),
+                timestamp: '2025-01-01T00:00:00.000Z'
+            }
+        }]);
+        assert.deepStrictEqual(await run(identities.donor(), 'readCampaign', 'CAMP2'), campaign);
+
+        const draft = await create(run, { campaignId: 'CAMP3', initialStatus: 'Draft', milestones: '' });
+        assert.deepStrictEqual([draft.campaignStatus, draft.totalMilestones], ['Draft', 0]);
+    });
+
+    it('rejects incomplete or inconsistent campaigns without writing them', async () => {
+        const state = await seedCampaign();
+        const run = ledger(state);
+        const budgets = (...amounts) => JSON.stringify(amounts.map((budgetAmount, n) => ({ milestoneId: `M${n + 1}`, title: 'Work', budgetAmount })));
+
+        for (const [overrides, error] of [
+            [{ campaignId: 'CAMP1' }, /Campaign with ID CAMP1 already exists/],
+            [{ title: '' }, /Missing required parameters/],
+            [{ goalAmount: '10.5' }, /Goal amount must be a positive whole number of minor units, got: 10.5/],
+            [{ goalAmount: '0' }, /Goal amount must be a positive whole number/],
+            [{ initialStatus: 'Completed' }, /Invalid initial status: Completed/],
+            [{ currency: 'XYZ' }, /Unsupported currency: XYZ/],
+            [{ milestones: '{"M1":1}' }, /Milestones must be an array/],
+            [{ milestones: 'not json' }, /Error parsing milestones JSON/],
+            [{ milestones: JSON.stringify([{ milestoneId: 'M1', budgetAmount: 10 }]) }, /Invalid milestone at index 0: missing required fields/],
+            [{ milestones: budgets(600, -1) }, /Budget of milestone M2 must be a positive whole number/],
+            [{ milestones: budgets(700, 400) }, /Total milestone budget exceeds campaign goal amount/]
+        ]) {
+            await assert.rejects(create(run, overrides), error);
+        }
+        assert.deepStrictEqual([...state.keys()].filter(key => key.startsWith('CAMPAIGN_')), ['CAMPAIGN_CAMP1']);
+        await assert.rejects(run(identities.donor(), 'readCampaign', 'CAMP2'), /Campaign with ID CAMP2 does not exist/);
+    });
+
+    it('seeds the demo campaign from initLedger only when asked, and only once', async () => {
+        const state = new Map();
+        const run = ledger(state);
+        assert.deepStrictEqual((await run(identities.admin(), 'initLedger')).seeded, { campaigns: [], ngos: [] });
+        assert.strictEqual(state.size, 0);
+
+        // Its dates count from when it is seeded, however late that is
+        run.timestamp = '2031-06-01T00:00:00.000Z';
+        const initialized = await run(identities.admin(), 'initLedger', 'true');
+        assert.deepStrictEqual([initialized.seeded, initialized.schemaVersions.Campaign], [{ campaigns: ['CAMP001'], ngos: ['NGO_WALLET_001'] }, 2]);
+        const sample = await run(identities.donor(), 'readCampaign', 'CAMP001');
+        assert.deepStrictEqual(
+            [sample.goalAmount, sample.createdBy, Object.keys(sample.milestones), sample.createdAt],
+            [5000000, 'system', ['MILE001', 'MILE002'], '2031-06-01T00:00:00.000Z']
+        );
+        assert.deepStrictEqual(
+            [sample.milestones.MILE001.targetDate, sample.milestones.MILE002.targetDate, sample.deadline],
+            ['2031-07-01T00:00:00.000Z', '2031-07-31T00:00:00.000Z', '2031-08-30T00:00:00.000Z']
+        );
+
+        // Running it again, e.g. after an upgrade, leaves existing records alone
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP001', '100');
+        assert.deepStrictEqual((await run(identities.admin(), 'initLedger', 'true')).seeded, { campaigns: [], ngos: [] });
+        assert.strictEqual((await run(identities.donor(), 'readCampaign', 'CAMP001')).currentAmount, 100);
+        await assert.rejects(run(identities.admin(), 'initLedger', 'yes'), /Invalid seedDemoData flag: yes/);
+    });
+
+    it('lists campaigns by key range and by NGO wallet', async () => {
+        const run = ledger(await seedCampaign());
+        await create(run);
+        await create(run, { campaignId: 'CAMP3', ngoWallet: 'NGO_WALLET_1' });
+        const ids = campaigns => campaigns.map(campaign => campaign.campaignId);
+
+        assert.deepStrictEqual(ids(await run(identities.donor(), 'getAllCampaigns')), ['CAMP1', 'CAMP2', 'CAMP3']);
+        assert.deepStrictEqual(ids(await run(identities.donor(), 'getAllCampaigns', '', '', '2')), ['CAMP1', 'CAMP2']);
+        assert.deepStrictEqual(ids(await run(identities.donor(), 'getAllCampaigns', 'CAMPAIGN_CAMP2')), ['CAMP2', 'CAMP3']);
+        assert.deepStrictEqual(ids(await run(identities.donor(), 'getCampaignsByNGO', 'NGO_WALLET_1')), ['CAMP1', 'CAMP3']);
+
+        const first = await run(identities.donor(), 'getCampaignsByNGOWithPagination', 'NGO_WALLET_1', '1', '');
+        const second = await run(identities.donor(), 'getCampaignsByNGOWithPagination', 'NGO_WALLET_1', '1', first.bookmark);
+        assert.deepStrictEqual([ids(first.records), ids(second.records), second.bookmark], [['CAMP1'], ['CAMP3'], '']);
+        await assert.rejects(run(identities.donor(), 'getCampaignsByNGOWithPagination', '', '1', ''), /NGO wallet is required/);
+    });
+
+    it('records donations and announces each one', async () => {
+        const run = ledger(await seedCampaign());
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '250');
+        assert.deepStrictEqual(run.events.map(event => event.name), ['DonationReceived']);
+        assert.deepStrictEqual(
+            [run.events[0].payload.donationId, run.events[0].payload.donationAmount, run.events[0].payload.currentAmount, run.events[0].payload.donorHash],
+            ['DONATION_CAMP1_tx-1', 250, 250, computeDonorHash(identities.donor().getID(), SALT)]
+        );
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '100');
+
+        const donations = await run(identities.donor(), 'getDonationHistory', 'CAMP1');
+        assert.deepStrictEqual(donations.map(donation => [donation.donationId, donation.amount]), [
+            ['DONATION_CAMP1_tx-1', 250],
+            ['DONATION_CAMP1_tx-2', 100]
+        ]);
+        await assert.rejects(run.with(donor())(identities.donor(), 'donate', 'CAMP9', '100'), /Campaign with ID CAMP9 does not exist/);
+        await assert.rejects(run.with(donor())(identities.donor(), 'donate', 'CAMP1', '-5'), /must be a positive whole number/);
+    });
+
+    it('returns stored records by ID and rejects unknown ones', async () => {
+        const run = ledger(await seedCampaign());
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '700');
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M1', 'ok');
+        const pledge = await run.with(donor())(identities.donor(), 'createPledge', 'CAMP1', '50', 'weekly', '', '');
+        const pool = await run.with(donor())(identities.donor(), 'createMatchingPool', 'CAMP1', '200', '1', '');
+        const amendment = await run(identities.ngo(), 'amendCampaign', 'CAMP1', JSON.stringify({ title: 'Clean Water for All' }), 'Wider reach');
+        const dispute = await run.with(donor())(identities.donor(), 'raiseDispute', 'CAMP1', 'M1', 'no pumps', 'd'.repeat(64));
+
+        assert.deepStrictEqual(await run(identities.donor(), 'getPledge', pledge.pledgeId), pledge);
+        assert.deepStrictEqual(await run(identities.donor(), 'getCampaignPledges', 'CAMP1'), [pledge]);
+        assert.deepStrictEqual(await run(identities.donor(), 'getMatchingPool', pool.poolId), pool);
+        assert.deepStrictEqual(await run(identities.donor(), 'getCampaignAmendment', amendment.amendmentId), amendment);
+        assert.deepStrictEqual(await run(identities.donor(), 'getDispute', dispute.disputeId), dispute);
+
+        for (const [fcn, id] of [['getPledge', 'PLEDGE_CAMP1_nope'], ['getMatchingPool', 'MATCHPOOL_CAMP1_nope'],
+            ['getCampaignAmendment', 'AMENDMENT_CAMP1_000009'], ['getDispute', 'DISPUTE_CAMP1_nope'], ['getDispute', 'CAMPAIGN_CAMP1']]) {
+            await assert.rejects(run(identities.donor(), fcn, id), new RegExp(`with ID ${id} does not exist`));
+        }
+    });
+});
+
+describe('DonationContract exchange rates and challenge periods', () => {
+    it('records oracle exchange rates and announces updates', async () => {
+        const run = ledger(new Map());
+        const rate = await run(identities.oracle(), 'setExchangeRate', 'eur', 'USD', '1.085');
+        assert.deepStrictEqual([rate.from, rate.to, rate.rate, rate.txId], ['EUR', 'USD', '1.085', 'tx-1']);
+        assert.deepStrictEqual(run.events, [{ name: 'ExchangeRateUpdated', payload: rate }]);
+        assert.deepStrictEqual(await run(identities.donor(), 'getExchangeRate', 'EUR', 'USD'), rate);
+
+        await assert.rejects(run(identities.donor(), 'getExchangeRate', 'USD', 'EUR'), /Exchange rate from USD to EUR does not exist/);
+        await assert.rejects(run(identities.oracle(), 'setExchangeRate', 'USD', 'USD', '1'), /two different currencies/);
+        await assert.rejects(run(identities.oracle(), 'setExchangeRate', 'GBP', 'USD', '-1.2'), /Exchange rate must be a positive decimal/);
+        await assert.rejects(run(identities.oracle(), 'setExchangeRate', '', 'USD', '1.2'), /Both currencies are required/);
+    });
+
+    it('lets the owning NGO change the challenge period until the first donation, and an admin at any time', async () => {
+        const run = ledger(await seedCampaign());
+        const otherNgo = new MockClientIdentity('x509::/CN=ngo2::/CN=ca.ngo.donation.com', 'NGOMSP');
+        await assert.rejects(run(otherNgo, 'setChallengePeriod', 'CAMP1', '24'), { name: 'UnauthorizedError', message: /Only the owning NGO/ });
+        for (const hours of ['1.5', '0', '23', '']) {
+            await assert.rejects(run(identities.ngo(), 'setChallengePeriod', 'CAMP1', hours), /whole number of hours, at least 24/);
+        }
+        await assert.rejects(run(identities.admin(), 'setChallengePeriod', 'CAMP1', '0'), /at least 24/);
+        await run(identities.admin(), 'setChallengePeriod', 'CAMP1', '48');
+        assert.deepStrictEqual(run.events.map(event => [event.name, event.payload.oldHours, event.payload.newHours, event.payload.setBy]),
+            [['ChallengePeriodSet', 72, 48, identities.admin().getID()]]);
+        assert.strictEqual((await run(identities.ngo(), 'setChallengePeriod', 'CAMP1', '24')).challengePeriodHours, 24);
+        assert.deepStrictEqual([run.events[0].payload.oldHours, run.events[0].payload.newHours], [48, 24]);
+
+        // Donations lock the window for the NGO, even before they are compacted
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '600');
+        await assert.rejects(run(identities.ngo(), 'setChallengePeriod', 'CAMP1', '96'),
+            { name: 'UnauthorizedError', message: /challenge period of campaign CAMP1 is locked once it has donations/ });
+        assert.strictEqual((await run(identities.admin(), 'setChallengePeriod', 'CAMP1', '24')).challengePeriodHours, 24);
+
+        // A milestone verified now can be released a day later
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M1', 'ok');
+        run.timestamp = '2025-02-02T00:00:00.000Z';
+        assert.strictEqual((await run(identities.ngo(), 'releaseMilestoneFunds', 'CAMP1', 'M1')).releasedAmount, 600);
+    });
+});
+
+describe('DonationContract escrow', () => {
+    it('debits escrow and credits the NGO wallet on release', async () => {
+        const run = ledger(await seedCampaign());
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '700');
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M1', 'ok');
+        run.timestamp = AFTER_CHALLENGE;
+        const campaign = await run(identities.ngo(), 'releaseMilestoneFunds', 'CAMP1', 'M1');
+
+        assert.strictEqual(campaign.escrowBalance, 100);
+        assert.strictEqual(campaign.releasedAmount, 600);
+        const wallet = await run(identities.donor(), 'getWalletBalance', 'NGO_WALLET_1');
+        assert.strictEqual(wallet.balance, 600);
+
+        const report = await run(identities.donor(), 'checkFundInvariants');
+        assert.strictEqual(report.valid, true);
+        assert.deepStrictEqual(report.totals, { donated: 700, escrow: 100, released: 600, refunded: 0 });
+    });
+
+    it('flags completion on the one event delivered for the last release', async () => {
+        const run = ledger(await seedCampaign());
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '1000');
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M1', 'ok');
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M2', 'ok');
+        run.timestamp = AFTER_CHALLENGE;
+        await run(identities.ngo(), 'releaseMilestoneFunds', 'CAMP1', 'M1');
+        assert.deepStrictEqual(run.events.map(event => [event.name, event.payload.campaignCompleted]), [['FundsReleased', false]]);
+
+        const campaign = await run(identities.ngo(), 'releaseMilestoneFunds', 'CAMP1', 'M2');
+        assert.strictEqual(campaign.campaignStatus, 'Completed');
+        assert.deepStrictEqual(run.events.map(event => [event.name, event.payload.campaignCompleted]), [['FundsReleased', true]]);
+        assert.deepStrictEqual([run.events[0].payload.completedMilestones, run.events[0].payload.totalAmount], [2, 1000]);
+    });
+
+    it('refuses to release the same donated funds for a second milestone', async () => {
+        const run = ledger(await seedCampaign());
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '700');
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M1', 'ok');
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M2', 'ok');
+        run.timestamp = AFTER_CHALLENGE;
+        await run(identities.ngo(), 'releaseMilestoneFunds', 'CAMP1', 'M1');
+
+        await assert.rejects(
+            run(identities.ngo(), 'releaseMilestoneFunds', 'CAMP1', 'M2'),
+            /Insufficient escrow balance in campaign CAMP1. Required: 400, Available: 100/
+        );
+    });
+});
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1) (mulberry32), so a failing
+ * sequence can be replayed from its seed
+ */
+function random(seed) {
+    let t = seed >>> 0;
+    return () => {
+        t = (t + 0x6D2B79F5) >>> 0;
+        let r = Math.imul(t ^ (t >>> 15), 1 | t);
+        r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+describe('DonationContract fund conservation', () => {
+    const SEEDS = 20;
+    const STEPS = 40;
+    const WALLETS = { CAMP1: 'NGO_WALLET_1', CAMP2: 'NGO_WALLET_2' };
+    const donors = ['alice', 'bob', 'carol'].map(name => new MockClientIdentity(`x509::/CN=${name}::/CN=ca.ngo.donation.com`, 'NGOMSP', { role: 'donor' }));
+    const sum = (records, field) => records.reduce((total, record) => total + record[field], 0);
+
+    // Steps are drawn without regard to the ledger state, so many are refused; a refused step commits nothing
+    const steps = {
+        donate: (run, pick, rand) => run.with(donor())(pick(donors), 'donate', pick(Object.keys(WALLETS)), String(1 + Math.floor(rand() * 250))),
+        verify: (run, pick) => run(identities.oracle(), 'setMilestoneVerified', pick(Object.keys(WALLETS)), pick(['M1', 'M2']), 'ok'),
+        release: (run, pick) => run(identities.ngo(), 'releaseMilestoneFunds', pick(Object.keys(WALLETS)), pick(['M1', 'M2'])),
+        wait: async (run, pick, rand) => {
+            run.timestamp = new Date(Date.parse(run.timestamp) + Math.ceil(rand() * 96) * 3600000).toISOString();
+        },
+        cancel: (run, pick) => run(identities.admin(), 'updateCampaignStatus', pick(Object.keys(WALLETS)), 'Cancelled', 'random cancellation'),
+        claimRefund: (run, pick) => run.with(donor())(pick(donors), 'claimRefund', pick(Object.keys(WALLETS))),
+        issueRefunds: (run, pick) => run(identities.admin(), 'issueRefunds', pick(Object.keys(WALLETS))),
+        compact: run => run(identities.admin(), 'compactDonations', '')
+    };
+    // Cancelling ends a campaign's part in the sequence, so it is drawn rarely
+    const WEIGHTS = { donate: 16, verify: 6, release: 10, wait: 6, cancel: 1, claimRefund: 4, issueRefunds: 2, compact: 3 };
+    const draws = Object.entries(WEIGHTS).flatMap(([name, weight]) => Array(weight).fill(name));
+
+    /**
+     * Check that every donated unit is in escrow, in the NGO's wallet or refunded
+     */
+    async function assertConserved(run, trace) {
+        const read = (fcn, ...args) => run(identities.donor(), fcn, ...args);
+        const report = await read('checkFundInvariants');
+        assert.ok(report.valid, `${JSON.stringify(report.violations)} after ${trace}`);
+
+        for (const [campaignId, walletId] of Object.entries(WALLETS)) {
+            const campaign = await read('readCampaign', campaignId);
+            const released = Object.values(campaign.milestones).filter(milestone => milestone.fundsReleased);
+            assert.deepStrictEqual(
+                [campaign.currentAmount, campaign.escrowBalance + campaign.releasedAmount + campaign.refundedAmount],
+                [sum(await read('getDonationHistory', campaignId), 'amount'), campaign.currentAmount],
+                `${campaignId} donations after ${trace}`
+            );
+            assert.ok(campaign.escrowBalance >= 0, `${campaignId} escrow is negative after ${trace}`);
+            assert.deepStrictEqual(
+                [campaign.releasedAmount, (await read('getWalletBalance', walletId)).balance, campaign.refundedAmount],
+                [sum(released, 'budgetAmount'), campaign.releasedAmount, sum(await read('getRefunds', campaignId), 'amount')],
+                `${campaignId} releases and refunds after ${trace}`
+            );
+        }
+    }
+
+    it('accounts for every donated unit across random donate, verify, release, refund and compaction sequences', async () => {
+        const succeeded = Object.fromEntries(Object.keys(steps).map(name => [name, 0]));
+
+        for (let seed = 1; seed <= SEEDS; seed++) {
+            const rand = random(seed);
+            const pick = items => items[Math.floor(rand() * items.length)];
+            const run = ledger(await seedCampaign());
+            await run(identities.ngo(), 'createCampaign', 'CAMP2', 'NGO_WALLET_2', 'School Meals', '', '500', '2025-12-31T23:59:59.000Z', 'Education',
+                JSON.stringify([{ milestoneId: 'M1', title: 'Kitchen', budgetAmount: 300 }, { milestoneId: 'M2', title: 'Meals', budgetAmount: 200 }]), '');
+
+            const trace = [];
+            for (let step = 0; step < STEPS; step++) {
+                const name = pick(draws);
+                trace.push(name);
+                try {
+                    await steps[name](run, pick, rand);
+                    succeeded[name]++;
+                } catch (error) {
+                    // Only refusals by the contract are expected, never programming errors
+                    assert.ok(['Error', 'UnauthorizedError'].includes(error.name), `seed ${seed}: ${error.stack}`);
+                }
+                await assertConserved(run, `seed ${seed}: ${trace.join(', ')}`);
+            }
+        }
+
+        // The sequences must have exercised every kind of step, not just been refused
+        for (const [name, count] of Object.entries(succeeded)) {
+            assert.ok(count > 0, `no ${name} step succeeded in ${SEEDS} sequences`);
+        }
+    });
+});
+
+describe('DonationContract amounts and currencies', () => {
+    it('stores whole minor units and rejects anything else', async () => {
+        const state = await seedCampaign();
+        const run = ledger(state);
+        assert.strictEqual((await run(identities.donor(), 'readCampaign', 'CAMP1')).currency, 'USD');
+
+        for (const amount of ['10.50', 'abc', '-5', '0', '1e3', '']) {
+            await assert.rejects(run.with(donor())(identities.donor(), 'donate', 'CAMP1', amount), /Donation amount must be a positive whole number of minor units|amount are required/);
+        }
+        await assert.rejects(run(identities.ngo(), 'createCampaign', 'CAMP2', 'NGO_WALLET_1', 'Wells', '', '1000.5', '2025-12-31T23:59:59.000Z', 'Water', '', '', ''),
+            /Goal amount must be a positive whole number/);
+        const badBudget = JSON.stringify([{ milestoneId: 'M1', title: 'Pumps', budgetAmount: 'lots' }]);
+        await assert.rejects(run(identities.ngo(), 'createCampaign', 'CAMP2', 'NGO_WALLET_1', 'Wells', '', '1000', '2025-12-31T23:59:59.000Z', 'Water', badBudget, '', ''),
+            /Budget of milestone M1 must be a positive whole number/);
+        await assert.rejects(run(identities.ngo(), 'createCampaign', 'CAMP2', 'NGO_WALLET_1', 'Wells', '', '1000', '2025-12-31T23:59:59.000Z', 'Water', '', '', '', 'XYZ'),
+            /Unsupported currency: XYZ/);
+
+        const campaign = await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '1050');
+        assert.strictEqual(campaign.currentAmount, 1050);
+    });
+
+    it('converts donations in other currencies with the oracle exchange rate', async () => {
+        const run = ledger(await approvedNGOs(), '2025-01-01T00:00:00.000Z');
+        await run(identities.ngo(), 'createCampaign', 'CAMPINR', 'NGO_WALLET_1', 'Jal Seva', '', '10000000', '2025-12-31T23:59:59.000Z', 'Water', '', '', '', 'inr');
+        await assert.rejects(run.with(donor())(identities.donor(), 'donate', 'CAMPINR', '1050', 'USD'), /No exchange rate from USD to INR/);
+
+        await assert.rejects(run(identities.ngo(), 'setExchangeRate', 'USD', 'INR', '83.125'), { name: 'UnauthorizedError' });
+        await assert.rejects(run(identities.oracle(), 'setExchangeRate', 'USD', 'INR', '83,125'), /positive decimal/);
+        await run(identities.oracle(), 'setExchangeRate', 'USD', 'INR', '83.125');
+
+        // 10.50 USD is 872.8125 INR, rounded down to the paisa
+        await run.with(donor())(identities.donor(), 'donate', 'CAMPINR', '1050', 'usd');
+        const [donation] = await run(identities.donor(), 'getDonationHistory', 'CAMPINR');
+        assert.deepStrictEqual(
+            [donation.amount, donation.currency, donation.originalAmount, donation.originalCurrency, donation.exchangeRate],
+            [87281, 'INR', 1050, 'USD', '83.125']
+        );
+
+        const analytics = await run(identities.donor(), 'getCampaignAnalytics', 'CAMPINR');
+        assert.deepStrictEqual([analytics.currency, analytics.formatted.currentAmount, analytics.formatted.goalAmount], ['INR', '872.81', '100000.00']);
+
+        run.timestamp = '2025-01-02T00:00:01.000Z';
+        await assert.rejects(run.with(donor())(identities.donor(), 'donate', 'CAMPINR', '1050', 'USD'), /Exchange rate from USD to INR is stale/);
+    });
+});
+
+describe('DonationContract batch donations', () => {
+    // Each gift's donor, by default the donor identity with a salt of its own
+    const batchDonor = (paymentReference, details = {}) =>
+        ({ donorIdentity: identities.donor().getID(), salt: `${paymentReference}-salt-0123456`, donorId: 'Gala dinner 2025', ...details });
+    const importBatch = (run, items, donors = {}, identity = identities.ngo()) => {
+        const batchDonors = Object.fromEntries(items.map(item => [item.paymentReference, batchDonor(item.paymentReference, donors[item.paymentReference])]));
+        return run.with({ batchDonors: JSON.stringify(batchDonors) })(identity, 'donateBatch', 'CAMP1', JSON.stringify(items));
+    };
+
+    it('imports a settlement in one transaction and matches each gift', async () => {
+        const run = ledger(await seedCampaign());
+        await run.with(donor({ salt: 'sponsor-salt-0123456' }))(identities.donor(), 'createMatchingPool', 'CAMP1', '150', '1', '');
+        await run(identities.oracle(), 'setExchangeRate', 'EUR', 'USD', '1.085');
+        const versions = (await run(identities.donor(), 'getCampaignHistory', 'CAMP1')).length;
+
+        const result = await importBatch(run, [
+            { paymentReference: 'ch_001', amount: 200 },
+            { paymentReference: 'ch_002', amount: 100, currency: 'eur' },
+            { paymentReference: 'ch_003', amount: 50 }
+        ], { ch_002: { donorId: 'Marie', message: 'Bon courage' }, ch_003: { anonymous: true } });
+
+        assert.deepStrictEqual(result.donations.map(donation => [donation.donationId, donation.paymentReference, donation.amount, donation.matchedAmount]), [
+            [`DONATION_CAMP1_tx-4_001`, 'ch_001', 200, 150],
+            [`DONATION_CAMP1_tx-4_002`, 'ch_002', 108, 0],
+            [`DONATION_CAMP1_tx-4_003`, 'ch_003', 50, 0]
+        ]);
+        assert.deepStrictEqual([result.batchId, result.totalAmount, result.matchedAmount, result.campaign.currentAmount],
+            ['BATCH_CAMP1_tx-4', 358, 150, 508]);
+        assert.deepStrictEqual(run.events.map(event => [event.name, event.payload.donations.length, event.payload.goalReached]), [['DonationBatchReceived', 3, false]]);
+        // Short of the goal, the batch is held as a delta and the campaign record is not rewritten
+        assert.strictEqual((await run(identities.donor(), 'getCampaignHistory', 'CAMP1')).length, versions);
+
+        const [first, second, third] = (await run(identities.donor(), 'getDonationHistory', 'CAMP1'))
+            .filter(donation => donation.source === 'batch')
+            .sort((a, b) => a.donationId.localeCompare(b.donationId));
+        assert.deepStrictEqual([first.originalCurrency, second.originalAmount, second.originalCurrency, second.exchangeRate, third.anonymous],
+            ['USD', 100, 'EUR', '1.085', true]);
+        // Each gift is hashed for its own donor, who can read it and claim its refund, not for the importer
+        assert.deepStrictEqual([first.donorHash, second.donorHash],
+            [computeDonorHash(identities.donor().getID(), 'ch_001-salt-0123456'), computeDonorHash(identities.donor().getID(), 'ch_002-salt-0123456')]);
+        assert.deepStrictEqual(result.donations.map(donation => donation.donorHash), [first.donorHash, second.donorHash, third.donorHash]);
+        const withDetails = (id, salt) => run.with(donor({ salt }))(identities.donor(), 'getDonationDetails', id);
+        assert.deepStrictEqual([(await withDetails('DONATION_CAMP1_tx-4_001', 'ch_001-salt-0123456')).donorId, (await withDetails('DONATION_CAMP1_tx-4_002', 'ch_002-salt-0123456')).message],
+            ['Gala dinner 2025', 'Bon courage']);
+        await assert.rejects(run.with(donor({ salt: 'ch_001-salt-0123456' }))(identities.ngo(), 'getDonationDetails', 'DONATION_CAMP1_tx-4_001'), { name: 'UnauthorizedError' });
+        await assert.rejects(withDetails('DONATION_CAMP1_tx-4_001', 'ch_002-salt-0123456'), { name: 'UnauthorizedError' });
+
+        // The goal is checked once the whole batch is in
+        const closing = await importBatch(run, [{ paymentReference: 'ch_004', amount: 400 }, { paymentReference: 'ch_005', amount: 400 }]);
+        assert.deepStrictEqual([closing.campaign.campaignStatus, closing.campaign.currentAmount, run.events[0].payload.goalReached], ['GoalReached', 1308, true]);
+        const analytics = await run(identities.donor(), 'getCampaignAnalytics', 'CAMP1');
+        assert.deepStrictEqual(analytics.donationsBySource.batch, { count: 5, amount: 1158 });
+        assert.strictEqual((await run(identities.donor(), 'checkFundInvariants')).valid, true);
+    });
+
+    it('validates every item and rejects payments imported before', async () => {
+        const state = await seedCampaign();
+        const run = ledger(state);
+        await importBatch(run, [{ paymentReference: 'ch_001', amount: 200 }, { paymentReference: 'ch_002', amount: 100 }]);
+        const keys = [...state.keys()];
+
+        for (const [items, error] of [
+            [[], /A batch must be an array of between 1 and 200 donations/],
+            [Array.from({ length: 201 }, (_, n) => ({ paymentReference: `r${n}`, amount: 1 })), /between 1 and 200/],
+            [[{ paymentReference: 'ok_1', amount: 10 }, { paymentReference: 'bad ref', amount: 10 }], /Invalid batch item at index 1: payment reference must be/],
+            [[{ paymentReference: 'ok_1', amount: 10 }, { paymentReference: 'ok_1', amount: 20 }], /index 1: payment reference ok_1 appears more than once/],
+            [[{ paymentReference: 'ok_1', amount: '10.5' }], /index 0: Donation amount must be a positive whole number of minor units, got: 10.5/],
+            [[{ paymentReference: 'ok_1', amount: 10, currency: 'XYZ' }], /index 0: Unsupported currency: XYZ/],
+            [[{ paymentReference: 'ok_1', amount: 10, currency: 'EUR' }], /index 0: No exchange rate from EUR to USD/],
+            [[{ paymentReference: 'ch_002', amount: 100 }, { paymentReference: 'ok_1', amount: 10 }, { paymentReference: 'ch_001', amount: 200 }],
+                /Batch rejected, payment references already imported: ch_002, ch_001/]
+        ]) {
+            await assert.rejects(importBatch(run, items), error);
+        }
+        await assert.rejects(run.with({ batchDonors: '{}' })(identities.ngo(), 'donateBatch', 'CAMP1', '{"paymentReference":"x"}'), /must be an array/);
+        await assert.rejects(importBatch(run, [{ paymentReference: 'ok_1', amount: 10 }], {}, identities.donor()), { name: 'UnauthorizedError' });
+        await assert.rejects(importBatch(run, [{ paymentReference: 'ok_1', amount: 10 }], {}, new MockClientIdentity('x509::/CN=ngo2::/CN=ca.ngo.donation.com', 'NGOMSP')),
+            { name: 'UnauthorizedError', message: /Only the owning NGO can manage campaign CAMP1/ });
+        const okItem = JSON.stringify([{ paymentReference: 'ok_1', amount: 10 }]);
+        await assert.rejects(run(identities.ngo(), 'donateBatch', 'CAMP1', okItem), /transient map under 'batchDonors'/);
+        await assert.rejects(run.with({ batchDonors: '["Marie"]' })(identities.ngo(), 'donateBatch', 'CAMP1', okItem), /must be an object keyed by payment reference/);
+        // Every gift needs its own donor; the importer's identity is never used in its place
+        await assert.rejects(run.with({ batchDonors: '{}' })(identities.ngo(), 'donateBatch', 'CAMP1', okItem),
+            /Invalid batch item at index 0: no donor passed under 'batchDonors' for payment reference ok_1/);
+        await assert.rejects(importBatch(run, [{ paymentReference: 'ok_1', amount: 10 }], { ok_1: { donorIdentity: '' } }), /Batch donor of payment ok_1 must name the donor's identity/);
+        await assert.rejects(importBatch(run, [{ paymentReference: 'ok_1', amount: 10 }], { ok_1: { salt: 'short' } }), /Batch donor salt of payment ok_1 must be a string of at least 16 characters/);
+        assert.deepStrictEqual([...state.keys()], keys);
+
+        await run(identities.ngo(), 'updateCampaignStatus', 'CAMP1', 'Paused', 'audit');
+        await assert.rejects(importBatch(run, [{ paymentReference: 'ok_1', amount: 10 }]), /cannot accept donations with status: Paused/);
+
+        // An admin may import for any campaign
+        await run(identities.ngo(), 'updateCampaignStatus', 'CAMP1', 'Active', 'audit done');
+        const imported = await importBatch(run, [{ paymentReference: 'ok_1', amount: 10 }], {}, identities.admin());
+        assert.deepStrictEqual(imported.donations.map(donation => donation.paymentReference), ['ok_1']);
+    });
+});
+
+describe('DonationContract donation deltas', () => {
+    const record = (state, campaignId = 'CAMP1') => JSON.parse(state.get(`CAMPAIGN_${campaignId}`).toString());
+    const deltaKeys = state => [...state.keys()].filter(key => key.startsWith('\u0000CampaignDelta\u0000'));
+
+    it('holds donations short of the goal as deltas that reads and releases add up', async () => {
+        const state = await seedCampaign();
+        const run = ledger(state);
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '300');
+        const second = await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '400');
+        assert.deepStrictEqual([second.currentAmount, second.escrowBalance, second.campaignStatus], [700, 700, 'Active']);
+        assert.deepStrictEqual([record(state).currentAmount, deltaKeys(state).length], [0, 2]);
+
+        const campaign = await run(identities.donor(), 'readCampaign', 'CAMP1');
+        assert.deepStrictEqual([campaign.currentAmount, campaign.escrowBalance, campaign.lastDonationAt], [700, 700, run.timestamp]);
+        assert.strictEqual((await run(identities.donor(), 'getCampaignAnalytics', 'CAMP1')).currentAmount, 700);
+        assert.strictEqual((await run(identities.donor(), 'checkFundInvariants')).valid, true);
+
+        // Releasing funds folds the deltas into the campaign it writes
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M1', 'ok');
+        run.timestamp = AFTER_CHALLENGE;
+        const released = await run(identities.ngo(), 'releaseMilestoneFunds', 'CAMP1', 'M1');
+        assert.deepStrictEqual([released.escrowBalance, record(state).currentAmount, record(state).escrowBalance, deltaKeys(state)], [100, 700, 100, []]);
+
+        // The donation reaching the goal writes the campaign and closes it
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '200');
+        const closing = await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '150');
+        assert.deepStrictEqual([closing.campaignStatus, record(state).campaignStatus, record(state).currentAmount, deltaKeys(state)],
+            ['GoalReached', 'GoalReached', 1050, []]);
+        assert.deepStrictEqual(run.events.map(event => event.name), ['DonationReceived']);
+        assert.deepStrictEqual([run.events[0].payload.goalReached, run.events[0].payload.goalAmount], [true, 1000]);
+    });
+
+    it('folds outstanding deltas into the campaign when verifying a milestone or changing its status', async () => {
+        const state = await seedCampaign();
+        const run = ledger(state);
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '300');
+        const verified = await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M1', 'ok');
+        assert.deepStrictEqual([verified.currentAmount, record(state).currentAmount, record(state).escrowBalance, deltaKeys(state)], [300, 300, 300, []]);
+
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '200');
+        const paused = await run(identities.ngo(), 'updateCampaignStatus', 'CAMP1', 'Paused', 'audit');
+        assert.deepStrictEqual([paused.currentAmount, record(state).currentAmount, record(state).campaignStatus, deltaKeys(state)], [500, 500, 'Paused', []]);
+        assert.strictEqual((await run(identities.donor(), 'checkFundInvariants')).valid, true);
+    });
+
+    it('lists campaigns with the donations not yet compacted into them', async () => {
+        const state = await seedCampaign();
+        const run = ledger(state);
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '300');
+        const totals = campaign => [campaign.campaignId, campaign.currentAmount, campaign.escrowBalance];
+
+        assert.deepStrictEqual((await run(identities.donor(), 'getAllCampaigns', '', '', '')).map(totals), [['CAMP1', 300, 300]]);
+        assert.deepStrictEqual((await run(identities.donor(), 'getCampaignsByNGO', 'NGO_WALLET_1')).map(totals), [['CAMP1', 300, 300]]);
+        assert.deepStrictEqual((await run(identities.donor(), 'getAllCampaignsWithPagination', '', '')).records.map(totals), [['CAMP1', 300, 300]]);
+        assert.deepStrictEqual((await run(identities.donor(), 'getCampaignsByNGOWithPagination', 'NGO_WALLET_1', '', '')).records.map(totals),
+            [['CAMP1', 300, 300]]);
+        assert.deepStrictEqual((await run(identities.donor(), 'getNGOProfile', 'NGO_WALLET_1')).campaigns.map(totals), [['CAMP1', 300, undefined]]);
+
+        // The raised-amount filters match the compacted totals
+        const raised = filters => run(identities.donor(), 'queryCampaignsWithPagination', JSON.stringify(filters), '', '')
+            .then(page => page.records.map(totals));
+        assert.deepStrictEqual(await raised({ minRaised: 100 }), []);
+        assert.deepStrictEqual(await raised({ maxRaised: 100 }), [['CAMP1', 300, 300]]);
+        await run(identities.admin(), 'compactDonations', '');
+        assert.deepStrictEqual(await raised({ minRaised: 100 }), [['CAMP1', 300, 300]]);
+        assert.deepStrictEqual(deltaKeys(state), []);
+    });
+
+    it('lets concurrent donations commit and closes the goal they pass when compacting', async () => {
+        const state = await seedCampaign();
+        await ledger(state)(identities.ngo(), 'createCampaign', 'CAMP2', 'NGO_WALLET_2', 'School Meals', '', '500', '2025-12-31T23:59:59.000Z', '', '', '');
+
+        // Donations endorsed against the same world state, as by concurrent clients
+        const endorse = async (txId, campaignId, amount) => {
+            const stub = new MockStub({ txId, timestamp: '2025-02-01T00:00:00.000Z', state, transient: donor() });
+            await invoke(new DonationContract(), { stub, clientIdentity: identities.donor() }, 'donate', campaignId, amount);
+            return stub;
+        };
+        const endorsed = [await endorse('tx-a', 'CAMP1', '600'), await endorse('tx-b', 'CAMP1', '500'), await endorse('tx-c', 'CAMP2', '50')];
+        assert.ok(endorsed.every(stub => stub.writes.every(write => !write.key.startsWith('CAMPAIGN_'))));
+        endorsed.forEach(stub => commit(stub, state));
+
+        const run = ledger(state);
+        const raced = await run(identities.donor(), 'readCampaign', 'CAMP1');
+        assert.deepStrictEqual([raced.currentAmount, raced.campaignStatus], [1100, 'Active']);
+
+        await assert.rejects(run(identities.donor(), 'compactDonations', ''), { name: 'UnauthorizedError' });
+        const first = await run(identities.admin(), 'compactDonations', '1');
+        assert.deepStrictEqual([first.compactedCampaigns, first.more], [
+            [{ campaignId: 'CAMP1', deltas: 2, amount: 1100, donations: 2, currentAmount: 1100, goalReached: true }], true
+        ]);
+        assert.deepStrictEqual(run.events.map(event => event.name), ['DonationsCompacted']);
+        assert.deepStrictEqual([record(state).campaignStatus, record(state).currentAmount, record(state).escrowBalance], ['GoalReached', 1100, 1100]);
+
+        const second = await run(identities.admin(), 'compactDonations', '');
+        assert.deepStrictEqual(second.compactedCampaigns.map(campaign => [campaign.campaignId, campaign.currentAmount, campaign.goalReached]), [['CAMP2', 50, false]]);
+        assert.deepStrictEqual([deltaKeys(state), (await run(identities.admin(), 'compactDonations', '')).compactedCampaigns], [[], []]);
+    });
+
+    it('sweeps without range-scanning deltas or campaigns, reading back only what it changes', async () => {
+        const state = await seedCampaign('2025-03-01T00:00:00.000Z');
+        await ledger(state)(identities.ngo(), 'createCampaign', 'CAMP2', 'NGO_WALLET_2', 'School Meals', '', '500', '2025-12-31T23:59:59.000Z', '', '', '');
+        const run = ledger(state);
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '100');
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP2', '50');
+
+        // Keys and ranges a peer would put in the sweep's read set
+        class ReadSetStub extends MockStub {
+            constructor(options) {
+                super(options);
+                this.reads = [];
+                this.ranges = [];
+            }
+
+            async getState(key) {
+                this.reads.push(key);
+                return super.getState(key);
+            }
+
+            async getStateByRange(startKey, endKey) {
+                this.ranges.push([startKey, endKey]);
+                return super.getStateByRange(startKey, endKey);
+            }
+        }
+        const sweep = async (fcn, timestamp) => {
+            const stub = new ReadSetStub({ txId: fcn, timestamp, state });
+            return { stub, result: await invoke(new DonationContract(), { stub, clientIdentity: identities.admin() }, fcn, '1') };
+        };
+
+        const compaction = await sweep('compactDonations', '2025-02-01T00:00:00.000Z');
+        assert.deepStrictEqual([compaction.result.compactedCampaigns.map(campaign => campaign.campaignId), compaction.result.more], [['CAMP1'], true]);
+        assert.deepStrictEqual(compaction.stub.ranges, []);
+        assert.deepStrictEqual(compaction.stub.reads.filter(key => key.startsWith('\u0000CampaignDelta\u0000')),
+            deltaKeys(state).filter(key => key.includes('\u0000CAMP1\u0000')));
+
+        const expirations = await sweep('processExpirations', '2025-03-02T00:00:00.000Z');
+        assert.deepStrictEqual(expirations.result.expiredCampaigns.map(campaign => campaign.campaignId), ['CAMP1']);
+        assert.ok(expirations.stub.ranges.every(([startKey]) => startKey.startsWith('\u0000CampaignDelta\u0000CAMP1\u0000')));
+        assert.ok(!expirations.stub.reads.includes('CAMPAIGN_CAMP2'));
+    });
+
+    it('counts outstanding deltas in the refund pool of an expiring campaign', async () => {
+        const state = await seedCampaign('2025-03-01T00:00:00.000Z');
+        const run = ledger(state);
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '300');
+
+        run.timestamp = '2025-03-02T00:00:00.000Z';
+        const sweep = await run(identities.admin(), 'processExpirations', '');
+        assert.deepStrictEqual(sweep.expiredCampaigns.map(campaign => [campaign.currentAmount, campaign.refundableAmount]), [[300, 300]]);
+        assert.deepStrictEqual([record(state).campaignStatus, record(state).escrowBalance, deltaKeys(state)], ['Expired', 300, []]);
+    });
+});
+
+describe('DonationContract pledges and matching gifts', () => {
+    it('records due pledge installments as donations until the pledge is paid', async () => {
+        const run = ledger(await seedCampaign());
+        const pledge = await run.with(donor())(identities.donor(), 'createPledge', 'CAMP1', '100', 'monthly', '3', '');
+        assert.deepStrictEqual([pledge.status, pledge.nextDueAt, pledge.currency], ['Active', '2025-02-01T00:00:00.000Z', 'USD']);
+        assert.deepStrictEqual((await run(identities.admin(), 'getDuePledges')).map(due => due.pledgeId), [pledge.pledgeId]);
+
+        await assert.rejects(run(identities.donor(), 'executePledge', pledge.pledgeId), { name: 'UnauthorizedError' });
+        let executed = await run(identities.admin(), 'executePledge', pledge.pledgeId);
+        assert.deepStrictEqual([executed.installmentsPaid, executed.nextDueAt], [1, '2025-03-01T00:00:00.000Z']);
+        await assert.rejects(run(identities.admin(), 'executePledge', pledge.pledgeId), /is not due until 2025-03-01/);
+
+        // A paused campaign holds the installment back instead of ending the pledge
+        await run(identities.ngo(), 'updateCampaignStatus', 'CAMP1', 'Paused', 'audit');
+        run.timestamp = '2025-03-02T00:00:00.000Z';
+        await assert.rejects(run(identities.admin(), 'executePledge', pledge.pledgeId), /cannot accept donations with status: Paused/);
+        await run(identities.ngo(), 'updateCampaignStatus', 'CAMP1', 'Active', 'audit done');
+        await run(identities.admin(), 'executePledge', pledge.pledgeId);
+        run.timestamp = '2025-04-01T00:00:00.000Z';
+        executed = await run(identities.admin(), 'executePledge', pledge.pledgeId);
+        assert.deepStrictEqual([executed.status, executed.installmentsPaid, executed.totalPaid, executed.nextDueAt], ['Completed', 3, 300, null]);
+
+        const donations = await run(identities.donor(), 'getDonationHistory', 'CAMP1');
+        assert.deepStrictEqual(donations.map(donation => [donation.amount, donation.source, donation.pledgeId]), Array(3).fill([100, 'pledge', pledge.pledgeId]));
+        assert.ok(donations.every(donation => donation.donorHash === computeDonorHash(identities.donor().getID(), SALT)));
+        assert.strictEqual((await run(identities.donor(), 'readCampaign', 'CAMP1')).currentAmount, 300);
+
+        // Only the donor's own salt, or an admin, can cancel a pledge
+        const open = await run.with(donor())(identities.donor(), 'createPledge', 'CAMP1', '50', 'weekly', '', '2025-05-01T00:00:00.000Z');
+        await assert.rejects(run.with(donor({ salt: 'another-salt-0123456' }))(identities.donor(), 'cancelPledge', open.pledgeId, ''), { name: 'UnauthorizedError' });
+        const cancelled = await run.with(donor())(identities.donor(), 'cancelPledge', open.pledgeId, 'moving abroad');
+        assert.deepStrictEqual([cancelled.status, cancelled.endReason], ['Cancelled', 'moving abroad']);
+        await assert.rejects(run(identities.admin(), 'cancelPledge', open.pledgeId, ''), /already Cancelled/);
+        assert.deepStrictEqual(await run(identities.admin(), 'getDuePledges'), []);
+    });
+
+    it('ends pledges whose campaign can no longer accept their installments', async () => {
+        const run = ledger(await seedCampaign(), '2025-12-20T00:00:00.000Z');
+        await assert.rejects(run.with(donor())(identities.donor(), 'createPledge', 'CAMP1', '100', 'weekly', '', '2026-01-05T00:00:00.000Z'),
+            /must fall before the campaign deadline/);
+        await assert.rejects(run.with(donor())(identities.donor(), 'createPledge', 'CAMP1', '100', 'daily', '', ''), /Invalid pledge period: daily/);
+
+        const weekly = await run.with(donor())(identities.donor(), 'createPledge', 'CAMP1', '100', 'weekly', '', '');
+        const monthly = await run.with(donor())(identities.donor(), 'createPledge', 'CAMP1', '100', 'monthly', '', '');
+        await run(identities.admin(), 'executePledge', weekly.pledgeId);
+        run.timestamp = '2025-12-27T00:00:00.000Z';
+        const ended = await run(identities.admin(), 'executePledge', weekly.pledgeId);
+        assert.deepStrictEqual([ended.status, ended.installmentsPaid, ended.endReason], ['Ended', 2, 'Campaign deadline has passed']);
+
+        await run(identities.admin(), 'updateCampaignStatus', 'CAMP1', 'Cancelled', 'fraud');
+        const stopped = await run(identities.admin(), 'executePledge', monthly.pledgeId);
+        assert.deepStrictEqual([stopped.status, stopped.installmentsPaid, stopped.endReason], ['Ended', 0, 'Campaign is Cancelled']);
+        assert.strictEqual((await run(identities.donor(), 'readCampaign', 'CAMP1')).currentAmount, 200);
+    });
+
+    it('matches eligible donations from sponsor pools until they run out', async () => {
+        const run = ledger(await seedCampaign());
+        const sponsor = donor({ salt: 'sponsor-salt-0123456', donorId: 'Acme Corp' });
+        const acme = await run.with(sponsor)(identities.donor(), 'createMatchingPool', 'CAMP1', '500', '1',
+            JSON.stringify({ sponsorName: 'Acme Corp', maxMatchPerDonation: 300 }));
+        await assert.rejects(run.with(sponsor)(identities.donor(), 'createMatchingPool', 'CAMP1', '500', '1.5%', ''), /Match ratio must be a positive decimal/);
+
+        // Sponsors do not match their own gifts
+        let campaign = await run.with(sponsor)(identities.donor(), 'donate', 'CAMP1', '100');
+        assert.strictEqual(campaign.currentAmount, 100);
+
+        const halves = await run.with(donor({ salt: 'other-sponsor-salt-01' }))(identities.ngo(), 'createMatchingPool', 'CAMP1', '100', '0.5', '');
+        campaign = await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '200');
+        assert.strictEqual(campaign.currentAmount, 600);
+        campaign = await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '150');
+        assert.strictEqual(campaign.currentAmount, 900);
+
+        const [acmePool, halvesPool] = await run(identities.donor(), 'getMatchingPools', 'CAMP1');
+        assert.deepStrictEqual([acmePool.poolId, acmePool.matchedAmount, acmePool.remaining, acmePool.matchCount], [acme.poolId, 350, 150, 2]);
+        assert.deepStrictEqual([halvesPool.poolId, halvesPool.status, halvesPool.remaining], [halves.poolId, 'Exhausted', 0]);
+
+        const matches = (await run(identities.donor(), 'getDonationHistory', 'CAMP1')).filter(donation => donation.source === 'match');
+        const gift = matches.find(match => match.matchPoolId === halves.poolId);
+        assert.match(gift.donationId, /^DONATION_CAMP1_tx-\d+_MATCH_2$/);
+        assert.deepStrictEqual([gift.amount, gift.matchedDonationId, gift.anonymous], [100, gift.donationId.replace(/_MATCH_2$/, ''), true]);
+        assert.ok(matches.filter(match => match.matchPoolId === acme.poolId).every(match => match.donorHash === acme.sponsorHash));
+
+        await assert.rejects(run.with(donor())(identities.donor(), 'closeMatchingPool', acme.poolId), { name: 'UnauthorizedError' });
+        const closed = await run.with(sponsor)(identities.donor(), 'closeMatchingPool', acme.poolId);
+        assert.deepStrictEqual([closed.status, closed.returnedAmount, closed.remaining], ['Closed', 150, 0]);
+        campaign = await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '50');
+        assert.strictEqual(campaign.currentAmount, 950);
+
+        const analytics = await run(identities.donor(), 'getCampaignAnalytics', 'CAMP1');
+        assert.deepStrictEqual(analytics.donationsBySource, {
+            direct: { count: 4, amount: 500 }, pledge: { count: 0, amount: 0 }, batch: { count: 0, amount: 0 }, match: { count: 3, amount: 450 }
+        });
+        assert.deepStrictEqual(analytics.matching, { pools: 2, activePools: 0, totalCap: 600, matchedAmount: 450, remainingAmount: 0 });
+        assert.strictEqual((await run(identities.donor(), 'checkFundInvariants')).valid, true);
+    });
+});
+
+describe('DonationContract expirations', () => {
+    const createCampaign = (run, campaignId, deadline, milestones = MILESTONES) => run(identities.ngo(), 'createCampaign',
+        campaignId, 'NGO_WALLET_1', `Campaign ${campaignId}`, '', '1000', deadline, '', milestones, '');
+
+    it('expires open campaigns past their deadline in bounded sweeps and opens refunds', async () => {
+        const run = ledger(await seedCampaign());
+        for (const campaignId of ['CAMP2', 'CAMP3', 'CAMP4']) {
+            await createCampaign(run, campaignId, '2025-03-01T00:00:00.000Z');
+        }
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP2', '300');
+        await run(identities.ngo(), 'updateCampaignStatus', 'CAMP3', 'Paused', 'site visit');
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP4', '1000');
+
+        const quiet = await run(identities.admin(), 'processExpirations', '');
+        assert.deepStrictEqual([quiet.expiredCampaigns, quiet.overdueMilestones, quiet.more, run.events], [[], [], false, []]);
+
+        run.timestamp = '2025-03-02T00:00:00.000Z';
+        const first = await run(identities.admin(), 'processExpirations', '1');
+        assert.deepStrictEqual(first.expiredCampaigns, [{
+            campaignId: 'CAMP2',
+            ngoWallet: 'NGO_WALLET_1',
+            deadline: '2025-03-01T00:00:00.000Z',
+            currentAmount: 300,
+            goalAmount: 1000,
+            refundableAmount: 300
+        }]);
+        assert.strictEqual(first.more, true);
+        assert.deepStrictEqual(run.events, [{ name: 'ExpirationsProcessed', payload: first }]);
+
+        // A campaign that reached its goal does not expire, but its milestones (due at the deadline) are now overdue
+        const second = await run(identities.admin(), 'processExpirations', '');
+        assert.deepStrictEqual(
+            [second.expiredCampaigns.map(expired => expired.campaignId), second.overdueMilestones.map(overdue => overdue.campaignId), second.more],
+            [['CAMP3'], ['CAMP4', 'CAMP4'], false]
+        );
+        assert.strictEqual((await run(identities.donor(), 'readCampaign', 'CAMP4')).campaignStatus, 'GoalReached');
+        assert.deepStrictEqual((await run(identities.admin(), 'processExpirations', '')).expiredCampaigns, []);
+        await assert.rejects(run(identities.admin(), 'processExpirations', '500'), /Sweep limit must be an integer between 1 and 200/);
+
+        const campaign = await run(identities.donor(), 'readCampaign', 'CAMP2');
+        assert.deepStrictEqual(campaign.statusHistory.at(-1), {
+            from: 'Active', to: 'Expired', by: identities.admin().getID(), reason: 'Deadline passed', at: '2025-03-02T00:00:00.000Z', txId: 'tx-8'
+        });
+        assert.deepStrictEqual([campaign.refundPool.poolAmount, campaign.refundPool.reason], [300, 'Campaign deadline passed without reaching goal']);
+        assert.strictEqual((await run.with(donor())(identities.donor(), 'claimRefund', 'CAMP2')).amount, 300);
+        await assert.rejects(run(identities.admin(), 'updateCampaignStatus', 'CAMP2', 'Active', ''), /Allowed next states: none \(terminal state\)/);
+
+        const { reputation } = await run(identities.donor(), 'getNGOOverdueReport', 'NGO_WALLET_1');
+        assert.deepStrictEqual([reputation.score, reputation.overdueMilestones, reputation.expiredCampaigns], [90, 2, 2]);
+    });
+
+    it('flags overdue milestones and penalises the NGO once per milestone', async () => {
+        const run = ledger(await approvedNGOs());
+        await createCampaign(run, 'CAMP1', '2025-12-31T23:59:59.000Z', JSON.stringify([
+            { milestoneId: 'M1', title: 'Pumps', budgetAmount: 600, targetDate: '2025-03-01T00:00:00.000Z' },
+            { milestoneId: 'M2', title: 'Testing', budgetAmount: 400 }
+        ]));
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '700');
+
+        run.timestamp = '2025-03-03T12:00:00.000Z';
+        const sweep = await run(identities.admin(), 'processExpirations', '');
+        assert.deepStrictEqual(sweep.overdueMilestones, [{
+            campaignId: 'CAMP1', ngoWallet: 'NGO_WALLET_1', milestoneId: 'M1', targetDate: '2025-03-01T00:00:00.000Z', overdueAt: '2025-03-03T12:00:00.000Z'
+        }]);
+        assert.deepStrictEqual(sweep.penalties, [{ ngoWallet: 'NGO_WALLET_1', penalty: 5, score: 95 }]);
+
+        const report = await run(identities.donor(), 'getNGOOverdueReport', 'NGO_WALLET_1');
+        assert.deepStrictEqual(report.reputation, {
+            score: 95,
+            onTimeMilestones: 0,
+            lateMilestones: 0,
+            overdueMilestones: 1,
+            disputesLost: 0,
+            refundsIssued: 0,
+            expiredCampaigns: 0,
+            lastPenaltyAt: '2025-03-03T12:00:00.000Z'
+        });
+        assert.deepStrictEqual(report.overdueMilestones.map(overdue => [overdue.campaignId, overdue.milestoneId, overdue.budgetAmount, overdue.daysOverdue]),
+            [['CAMP1', 'M1', 600, 2]]);
+        assert.deepStrictEqual((await run(identities.admin(), 'processExpirations', '')).overdueMilestones, []);
+
+        // Rescheduling clears the flag; falling overdue again is flagged without a second penalty
+        await run(identities.ngo(), 'amendCampaign', 'CAMP1', JSON.stringify({ milestones: { update: [{ milestoneId: 'M1', targetDate: '2025-06-30T00:00:00.000Z' }] } }), 'Parts delayed');
+        await run(identities.oracle(), 'reviewCampaignAmendment', 'AMENDMENT_CAMP1_000001', 'approve', '');
+        assert.deepStrictEqual((await run(identities.donor(), 'getNGOOverdueReport', 'NGO_WALLET_1')).overdueMilestones, []);
+        run.timestamp = '2025-07-01T00:00:00.000Z';
+        const again = await run(identities.admin(), 'processExpirations', '');
+        assert.deepStrictEqual([again.overdueMilestones.map(overdue => overdue.milestoneId), again.penalties], [['M1'], []]);
+
+        const verified = await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M1', 'pumps installed late');
+        assert.deepStrictEqual([verified.milestones.M1.isOverdue, verified.milestones.M1.overdueAt], [false, '2025-03-03T12:00:00.000Z']);
+        const cleared = await run(identities.donor(), 'getNGOOverdueReport', 'NGO_WALLET_1');
+        assert.deepStrictEqual([cleared.overdueMilestones, cleared.reputation.score], [[], 95]);
+        await assert.rejects(run(identities.donor(), 'getNGOOverdueReport', ''), /NGO wallet is required/);
+    });
+});
+
+describe('DonationContract NGO registry', () => {
+    const otherNGO = () => new MockClientIdentity('x509::/CN=ngo2::/CN=ca.ngo.donation.com', 'NGOMSP');
+    const create = (run, campaignId, ngoWallet = 'NGO_WALLET_1', identity = identities.ngo()) => run(identity, 'createCampaign',
+        campaignId, ngoWallet, 'Wells', '', '1000', '2025-12-31T23:59:59.000Z', 'Water', MILESTONES, '');
+    const profile = overrides => JSON.stringify({ ...JSON.parse(PROFILE), ...overrides });
+
+    it('onboards an NGO through KYC review before it can raise funds', async () => {
+        const run = ledger(new Map(), '2025-01-01T00:00:00.000Z');
+        await assert.rejects(create(run, 'CAMP1'), { name: 'UnauthorizedError', message: /NGO wallet NGO_WALLET_1 is not registered/ });
+
+        for (const [submitted, error] of [
+            ['not json', /Invalid NGO profile JSON/],
+            ['[]', /NGO profile must be a JSON object/],
+            [profile({ name: ' ' }), /NGO profile requires name/],
+            [profile({ country: 'Kenya' }), /Country must be an ISO 3166-1 alpha-2 code, got: Kenya/],
+            [profile({ kycDocumentHash: 'abc' }), /KYC document hash must be a hex-encoded SHA-256 digest/]
+        ]) {
+            await assert.rejects(run(identities.ngo(), 'registerNGO', 'NGO_WALLET_1', submitted), error);
+        }
+
+        const registered = await run(identities.ngo(), 'registerNGO', 'NGO_WALLET_1', profile({ kycDocumentHash: 'A'.repeat(64) }));
+        assert.deepStrictEqual(
+            [registered.status, registered.kycStatus, registered.ownerId, registered.ownerMspId, registered.profile.kycDocumentHash, registered.reputation.score],
+            ['Pending', 'Pending', identities.ngo().getID(), 'NGOMSP', 'a'.repeat(64), 100]
+        );
+        assert.deepStrictEqual(run.events.map(event => [event.name, event.payload.name, event.payload.ownerId]),
+            [['NGORegistered', 'Water for All', identities.ngo().getID()]]);
+        await assert.rejects(run(otherNGO(), 'registerNGO', 'NGO_WALLET_1', PROFILE), /NGO wallet NGO_WALLET_1 is already registered/);
+        await assert.rejects(create(run, 'CAMP1'), /NGO NGO_WALLET_1 cannot create campaigns with status: Pending/);
+        await assert.rejects(run(identities.ngo(), 'reviewNGO', 'NGO_WALLET_1', 'approve', ''), { name: 'UnauthorizedError' });
+        await assert.rejects(run(identities.oracle(), 'reviewNGO', 'NGO_WALLET_1', 'maybe', ''), /Invalid verdict: maybe/);
+
+        const approved = await run(identities.oracle(), 'reviewNGO', 'NGO_WALLET_1', 'APPROVE', 'registry extract checked');
+        assert.deepStrictEqual([approved.status, approved.kycStatus, approved.reviewedBy, approved.reviewNotes],
+            ['Approved', 'Verified', identities.oracle().getID(), 'registry extract checked']);
+        assert.deepStrictEqual(run.events.map(event => [event.name, event.payload.verdict, event.payload.status]), [['NGOReviewed', 'approve', 'Approved']]);
+        await assert.rejects(run(identities.admin(), 'reviewNGO', 'NGO_WALLET_1', 'reject', ''),
+            /Invalid status transition for NGO NGO_WALLET_1: Approved -> Rejected/);
+
+        // The wallet is bound to the identity that registered it
+        await assert.rejects(create(run, 'CAMP1', 'NGO_WALLET_1', otherNGO()), { name: 'UnauthorizedError', message: /registered to another identity/ });
+        assert.strictEqual((await create(run, 'CAMP1')).ngoWallet, 'NGO_WALLET_1');
+
+        // A rejected registration can be resubmitted by the same identity only
+        await run(otherNGO(), 'registerNGO', 'NGO_WALLET_2', PROFILE);
+        const rejected = await run(identities.admin(), 'reviewNGO', 'NGO_WALLET_2', 'reject', 'registration number unknown');
+        assert.deepStrictEqual([rejected.status, rejected.kycStatus], ['Rejected', 'Failed']);
+        await assert.rejects(run(identities.ngo(), 'registerNGO', 'NGO_WALLET_2', PROFILE), { name: 'UnauthorizedError' });
+        const resubmitted = await run(otherNGO(), 'registerNGO', 'NGO_WALLET_2', profile({ registrationNumber: 'REG-2' }));
+        assert.deepStrictEqual(resubmitted.statusHistory.map(change => change.to), ['Pending', 'Rejected', 'Pending']);
+
+        assert.deepStrictEqual((await run(identities.donor(), 'getNGOs', '')).map(ngo => [ngo.ngoWallet, ngo.status]),
+            [['NGO_WALLET_1', 'Approved'], ['NGO_WALLET_2', 'Pending']]);
+        assert.deepStrictEqual((await run(identities.donor(), 'getNGOs', 'Pending')).map(ngo => ngo.ngoWallet), ['NGO_WALLET_2']);
+        await assert.rejects(run(identities.donor(), 'getNGOs', 'Unregistered'), /Invalid NGO status: Unregistered/);
+        await assert.rejects(run(identities.donor(), 'getNGO', 'NGO_WALLET_3'), /NGO with wallet NGO_WALLET_3 does not exist/);
+    });
+
+    it('lets an admin or oracle suspend and reinstate an NGO', async () => {
+        const run = ledger(await approvedNGOs(['NGO_WALLET_1']));
+        await assert.rejects(run(identities.ngo(), 'updateNGOStatus', 'NGO_WALLET_1', 'Suspended', ''), { name: 'UnauthorizedError' });
+
+        const suspended = await run(identities.admin(), 'updateNGOStatus', 'NGO_WALLET_1', 'Suspended', 'complaint under investigation');
+        assert.deepStrictEqual(suspended.statusHistory.at(-1), {
+            from: 'Approved', to: 'Suspended', by: identities.admin().getID(), reason: 'complaint under investigation', at: '2025-02-01T00:00:00.000Z', txId: 'tx-2'
+        });
+        assert.deepStrictEqual(run.events.map(event => [event.name, event.payload.oldStatus, event.payload.newStatus]), [['NGOStatusUpdated', 'Approved', 'Suspended']]);
+        await assert.rejects(create(run, 'CAMP1'), /NGO NGO_WALLET_1 cannot create campaigns with status: Suspended/);
+        await assert.rejects(run(identities.admin(), 'updateNGOStatus', 'NGO_WALLET_1', 'Rejected', ''), /Invalid status transition for NGO NGO_WALLET_1: Suspended -> Rejected/);
+
+        await run(identities.oracle(), 'updateNGOStatus', 'NGO_WALLET_1', 'Approved', 'complaint dismissed');
+        assert.strictEqual((await create(run, 'CAMP1')).campaignStatus, 'Active');
+
+        // Pending registrations are decided by review, not by a status change
+        await run(otherNGO(), 'registerNGO', 'NGO_WALLET_2', PROFILE);
+        await assert.rejects(run(identities.admin(), 'updateNGOStatus', 'NGO_WALLET_2', 'Approved', ''),
+            /NGO NGO_WALLET_2 cannot be suspended or reinstated with status: Pending/);
+        await assert.rejects(run(identities.admin(), 'updateNGOStatus', 'NGO_WALLET_3', 'Suspended', ''), /does not exist/);
+    });
+
+    it('refuses to bind a wallet already paid into by another identity\'s campaigns', async () => {
+        const state = new Map();
+        state.set('CAMPAIGN_OLD', Buffer.from(JSON.stringify({
+            docType: 'Campaign', campaignId: 'OLD', ngoWallet: 'NGO_WALLET_1', ngoMspId: 'NGOMSP', createdBy: identities.ngo().getID()
+        })));
+        const run = ledger(state);
+        await assert.rejects(run(otherNGO(), 'registerNGO', 'NGO_WALLET_1', PROFILE),
+            { name: 'UnauthorizedError', message: /NGO wallet NGO_WALLET_1 receives funds from campaigns created by another identity/ });
+        assert.strictEqual((await run(identities.ngo(), 'registerNGO', 'NGO_WALLET_1', PROFILE)).status, 'Pending');
+
+        await run(identities.admin(), 'initLedger', 'true');
+        const sample = await run(identities.donor(), 'getNGO', 'NGO_WALLET_001');
+        assert.deepStrictEqual([sample.status, sample.kycStatus, sample.ownerId], ['Approved', 'Verified', 'system']);
+    });
+
+    it('tracks delivery, upheld disputes and refunds in the NGO profile', async () => {
+        const run = ledger(await seedCampaign());
+        await create(run, 'CAMP2');
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '1000');
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP2', '200');
+
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M1', 'ok');
+        const dispute = await run.with(donor())(identities.donor(), 'raiseDispute', 'CAMP1', 'M1', 'photos are stock images', 'c'.repeat(64));
+        await run(identities.admin(), 'resolveDispute', dispute.disputeId, 'upheld', '');
+
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M1', 'site visit');
+        run.timestamp = AFTER_CHALLENGE;
+        await run(identities.ngo(), 'releaseMilestoneFunds', 'CAMP1', 'M1');
+
+        await run(identities.admin(), 'updateCampaignStatus', 'CAMP2', 'Cancelled', 'duplicate');
+        await run(identities.admin(), 'issueRefunds', 'CAMP2');
+
+        const ngo = await run(identities.donor(), 'getNGOProfile', 'NGO_WALLET_1');
+        assert.deepStrictEqual(ngo.reputation, {
+            score: 91,
+            onTimeMilestones: 1,
+            lateMilestones: 0,
+            overdueMilestones: 0,
+            disputesLost: 1,
+            refundsIssued: 1,
+            expiredCampaigns: 0,
+            lastPenaltyAt: '2025-02-01T00:00:00.000Z'
+        });
+        assert.deepStrictEqual(ngo.campaigns.map(campaign => [campaign.campaignId, campaign.campaignStatus, campaign.releasedAmount, campaign.refundedAmount]),
+            [['CAMP1', 'GoalReached', 600, 0], ['CAMP2', 'Cancelled', 0, 200]]);
+        assert.deepStrictEqual(ngo.campaignCounts, { GoalReached: 1, Cancelled: 1 });
+        assert.strictEqual(ngo.profile.name, 'Water for All');
+    });
+});
+
+describe('DonationContract refunds', () => {
+    const donorA = () => new MockClientIdentity('x509::/CN=donorA::/CN=ca.ngo.donation.com', 'NGOMSP', { role: 'donor' });
+    const donorB = () => new MockClientIdentity('x509::/CN=donorB::/CN=ca.ngo.donation.com', 'NGOMSP', { role: 'donor' });
+
+    async function cancelledCampaign() {
+        const run = ledger(await seedCampaign());
+        await run.with(donor({ donorId: 'alice' }))(donorA(), 'donate', 'CAMP1', '600');
+        await run.with(donor({ donorId: 'bob' }))(donorB(), 'donate', 'CAMP1', '200');
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M1', 'ok');
+        run.timestamp = AFTER_CHALLENGE;
+        await run(identities.ngo(), 'releaseMilestoneFunds', 'CAMP1', 'M1');
+        await run(identities.admin(), 'updateCampaignStatus', 'CAMP1', 'Cancelled', 'fraud');
+        return run;
+    }
+
+    it('refunds unreleased escrow pro rata and blocks double claims', async () => {
+        const run = await cancelledCampaign();
+
+        const refundA = await run.with(donor())(donorA(), 'claimRefund', 'CAMP1');
+        assert.strictEqual(refundA.amount, 150);
+        await assert.rejects(run.with(donor())(donorA(), 'claimRefund', 'CAMP1'), /already been issued/);
+
+        const issued = await run(identities.admin(), 'issueRefunds', 'CAMP1');
+        assert.deepStrictEqual(issued.map(refund => [refund.donorHash, refund.amount]), [[computeDonorHash(donorB().getID(), SALT), 50]]);
+
+        const campaign = await run(identities.donor(), 'readCampaign', 'CAMP1');
+        assert.strictEqual(campaign.escrowBalance, 0);
+        assert.strictEqual(campaign.refundedAmount, 200);
+        assert.strictEqual((await run(identities.donor(), 'getRefunds', 'CAMP1')).length, 2);
+        assert.strictEqual((await run(identities.donor(), 'checkFundInvariants')).valid, true);
+    });
+
+    it('opens refunds once the deadline passes without reaching the goal', async () => {
+        const state = await seedCampaign();
+        const run = ledger(state);
+        await run.with(donor({ donorId: 'bob' }))(donorB(), 'donate', 'CAMP1', '100');
+        await assert.rejects(run.with(donor())(donorB(), 'claimRefund', 'CAMP1'), /not eligible for refunds/);
+
+        const stub = new MockStub({ txId: 'tx-refund', timestamp: '2026-01-15T00:00:00.000Z', state, transient: donor() });
+        const refund = await invoke(new DonationContract(), { stub, clientIdentity: donorB() }, 'claimRefund', 'CAMP1');
+
+        assert.strictEqual(refund.amount, 100);
+        assert.strictEqual(refund.reason, 'Campaign deadline passed without reaching goal');
+        assert.deepStrictEqual(stub.events.map(event => event.name), ['RefundIssued']);
+        assert.deepStrictEqual(stub.events[0].payload.refunds.map(issued => issued.amount), [100]);
+    });
+});
+
+describe('DonationContract donor privacy', () => {
+    it('keeps donor names and messages out of public state and events', async () => {
+        const state = await seedCampaign();
+        const stub = new MockStub({ txId: 'tx-private', timestamp: '2025-02-01T00:00:00.000Z', state, transient: donor({ donorId: 'Alice Smith', message: 'for the village' }) });
+        await invoke(new DonationContract(), { stub, clientIdentity: identities.donor() }, 'donate', 'CAMP1', '250');
+
+        const publicWrites = stub.writes.map(({ value }) => value.toString()).join('') + JSON.stringify(stub.events);
+        for (const secret of ['Alice Smith', 'for the village', identities.donor().getID(), SALT]) {
+            assert.ok(!publicWrites.includes(secret), `public state leaks ${secret}`);
+        }
+        assert.deepStrictEqual(stub.privateWrites.map(({ collection, key }) => [collection, key]), [
+            ['donorDetailsCollection', 'DONATION_CAMP1_tx-private']
+        ]);
+        const details = JSON.parse(stub.privateWrites[0].value.toString());
+        assert.strictEqual(details.donorId, 'Alice Smith');
+        assert.strictEqual(details.message, 'for the village');
+    });
+
+    it('routes anonymous donations to the oracle-only collection', async () => {
+        const state = await seedCampaign();
+        const stub = new MockStub({ txId: 'tx-anon', timestamp: '2025-02-01T00:00:00.000Z', state, transient: donor({ anonymous: true }) });
+        await invoke(new DonationContract(), { stub, clientIdentity: identities.donor() }, 'donate', 'CAMP1', '250');
+
+        assert.deepStrictEqual(stub.privateWrites.map(({ collection }) => collection), ['anonymousDonorCollection']);
+        assert.strictEqual(JSON.parse(stub.privateWrites[0].value.toString()).donorId, 'anonymous');
+        await assert.rejects(
+            invoke(new DonationContract(), { stub: new MockStub({ state }), clientIdentity: identities.donor() }, 'donate', 'CAMP1', '250'),
+            /transient map/
+        );
+    });
+
+    it('verifies a donation receipt from the hash preimage', async () => {
+        const run = ledger(await seedCampaign());
+        await run.with(donor({ donorId: 'alice' }))(identities.donor(), 'donate', 'CAMP1', '300');
+        const donationId = 'DONATION_CAMP1_tx-1';
+
+        const receipt = await run(identities.ngo(), 'verifyDonationReceipt', donationId, identities.donor().getID(), SALT);
+        assert.deepStrictEqual([receipt.valid, receipt.amount], [true, 300]);
+        const forged = await run(identities.ngo(), 'verifyDonationReceipt', donationId, identities.ngo().getID(), SALT);
+        assert.strictEqual(forged.valid, false);
+
+        const details = await run.with(donor())(identities.donor(), 'getDonationDetails', donationId);
+        assert.deepStrictEqual([details.donorId, details.amount], ['alice', 300]);
+        await assert.rejects(
+            run.with(donor({ salt: 'another-salt-0123456789' }))(identities.donor(), 'getDonationDetails', donationId),
+            { name: 'UnauthorizedError' }
+        );
+    });
+});
+
+describe('DonationContract campaign state machine', () => {
+    it('lets the owning NGO pause and resume and records the history', async () => {
+        const run = ledger(await seedCampaign());
+        await run(identities.ngo(), 'updateCampaignStatus', 'CAMP1', 'Paused', 'site visit');
+        await assert.rejects(run.with(donor())(identities.donor(), 'donate', 'CAMP1', '10'), /cannot accept donations with status: Paused/);
+        const campaign = await run(identities.ngo(), 'updateCampaignStatus', 'CAMP1', 'Active', 'resumed');
+
+        assert.deepStrictEqual(campaign.statusHistory.map(entry => [entry.from, entry.to]), [
+            [null, 'Active'],
+            ['Active', 'Paused'],
+            ['Paused', 'Active']
+        ]);
+    });
+
+    it('rejects transitions outside the state machine and lists the allowed next states', async () => {
+        const run = ledger(await seedCampaign());
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '1000');
+        await assert.rejects(
+            run(identities.admin(), 'updateCampaignStatus', 'CAMP1', 'Active', ''),
+            /GoalReached -> Active. Allowed next states: Completed, Cancelled/
+        );
+
+        await run(identities.admin(), 'updateCampaignStatus', 'CAMP1', 'Cancelled', '');
+        await assert.rejects(
+            run(identities.admin(), 'updateCampaignStatus', 'CAMP1', 'GoalReached', ''),
+            /Allowed next states: none \(terminal state\)/
+        );
+    });
+
+    it('requires the role listed for the transition', async () => {
+        const run = ledger(await seedCampaign());
+        await assert.rejects(
+            run(identities.ngo(), 'updateCampaignStatus', 'CAMP1', 'Cancelled', ''),
+            { name: 'UnauthorizedError', message: /^Unauthorized: Transition Active -> Cancelled for campaign CAMP1 requires admin$/ }
+        );
+        await assert.rejects(
+            run(identities.admin(), 'updateCampaignStatus', 'CAMP1', 'GoalReached', ''),
+            /Unauthorized: Transition Active -> GoalReached for campaign CAMP1 requires system/
+        );
+    });
+});
+
+describe('DonationContract campaign amendments', () => {
+    const oracle = n => new MockClientIdentity(`x509::/CN=oracle${n}::/CN=ca.oracle.donation.com`, 'ORACLEMSP');
+    const amend = changes => JSON.stringify(changes);
+
+    it('applies the changes only once an oracle approves and bumps the version', async () => {
+        const run = ledger(await seedCampaign());
+        const changes = {
+            deadline: '2026-06-30T23:59:59.000Z',
+            goalAmount: 1500,
+            milestones: {
+                add: [{ milestoneId: 'M3', title: 'Training', budgetAmount: 300 }],
+                update: [{ milestoneId: 'M1', budgetAmount: 800 }]
+            }
+        };
+        const proposed = await run(identities.ngo(), 'amendCampaign', 'CAMP1', amend(changes), 'Pump prices rose');
+        assert.deepStrictEqual([proposed.amendmentId, proposed.status, proposed.baseVersion], ['AMENDMENT_CAMP1_000001', 'Proposed', 1]);
+        assert.ok(proposed.diff.some(change => change.field === 'milestones.M1.budgetAmount' && change.from === 600 && change.to === 800));
+
+        let campaign = await run(identities.donor(), 'readCampaign', 'CAMP1');
+        assert.deepStrictEqual([campaign.goalAmount, campaign.pendingAmendmentId], [1000, 'AMENDMENT_CAMP1_000001']);
+        await assert.rejects(run(identities.ngo(), 'amendCampaign', 'CAMP1', amend({ title: 'Wells' }), 'Rename'), /already has a pending amendment/);
+
+        const approved = await run(identities.oracle(), 'reviewCampaignAmendment', proposed.amendmentId, 'approve', 'quotes checked');
+        assert.deepStrictEqual([approved.status, approved.version, approved.approvalCount], ['Approved', 2, 1]);
+
+        campaign = await run(identities.donor(), 'readCampaign', 'CAMP1');
+        assert.deepStrictEqual(
+            [campaign.version, campaign.goalAmount, campaign.deadline, campaign.totalMilestones, campaign.milestones.M1.budgetAmount, campaign.pendingAmendmentId],
+            [2, 1500, '2026-06-30T23:59:59.000Z', 3, 800, null]
+        );
+        assert.strictEqual(campaign.milestones.M3.verificationStatus, 'Pending');
+
+        const amendments = await run(identities.donor(), 'getCampaignAmendments', 'CAMP1');
+        assert.deepStrictEqual(amendments.map(entry => [entry.amendmentId, entry.status, entry.reviews.length]), [['AMENDMENT_CAMP1_000001', 'Approved', 1]]);
+    });
+
+    it('keeps released milestones immutable and budgets within the goal', async () => {
+        const run = ledger(await seedCampaign());
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '700');
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M1', 'ok');
+        run.timestamp = AFTER_CHALLENGE;
+        await run(identities.ngo(), 'releaseMilestoneFunds', 'CAMP1', 'M1');
+
+        await assert.rejects(
+            run(identities.ngo(), 'amendCampaign', 'CAMP1', amend({ milestones: { update: [{ milestoneId: 'M1', budgetAmount: 500 }] } }), 'Refund part'),
+            /Milestone M1 cannot be amended: it has already been released/
+        );
+        await assert.rejects(
+            run(identities.ngo(), 'amendCampaign', 'CAMP1', amend({ milestones: { remove: ['M1'] } }), 'Drop'),
+            /already been released/
+        );
+        await assert.rejects(
+            run(identities.ngo(), 'amendCampaign', 'CAMP1', amend({ milestones: { update: [{ milestoneId: 'M2', budgetAmount: 500 }] } }), 'More tests'),
+            /Total milestone budget exceeds campaign goal amount/
+        );
+        await assert.rejects(run(identities.ngo(), 'amendCampaign', 'CAMP1', amend({ ngoWallet: 'OTHER' }), 'Move'), /Cannot amend ngoWallet/);
+        await assert.rejects(run(identities.ngo(), 'amendCampaign', 'CAMP1', amend({ deadline: '2025-01-01T00:00:00.000Z' }), 'Shorten'), /must be in the future/);
+
+        const otherNgo = new MockClientIdentity('x509::/CN=ngo2::/CN=ca.ngo.donation.com', 'NGOMSP');
+        await assert.rejects(run(otherNgo, 'amendCampaign', 'CAMP1', amend({ title: 'Mine' }), 'Take over'), { name: 'UnauthorizedError' });
+
+        const proposed = await run(identities.ngo(), 'amendCampaign', 'CAMP1', amend({ milestones: { update: [{ milestoneId: 'M2', budgetAmount: 300 }] } }), 'Cheaper tests');
+        await run(identities.oracle(), 'reviewCampaignAmendment', proposed.amendmentId, 'approve', '');
+        const campaign = await run(identities.donor(), 'readCampaign', 'CAMP1');
+        assert.deepStrictEqual([campaign.milestones.M1.budgetAmount, campaign.milestones.M2.budgetAmount, campaign.version], [600, 300, 2]);
+    });
+
+    it('validates added and updated milestones like the campaign fields', async () => {
+        const run = ledger(await seedCampaign());
+        const milestones = changes => amend({ milestones: changes });
+        for (const [changes, error] of [
+            [{ update: [{ milestoneId: 'M1', targetDate: 'soon' }] }, /Invalid target date of milestone M1: soon/],
+            [{ update: [{ milestoneId: 'M1', title: '' }] }, /Title of milestone M1 cannot be empty/],
+            [{ update: [{ milestoneId: 'M1', title: 42 }] }, /Title of milestone M1 cannot be empty/],
+            [{ add: [{ milestoneId: 'M3', title: 'Training', budgetAmount: 100, targetDate: 'soon' }] }, /Invalid target date of milestone M3: soon/],
+            [{ add: [{ milestoneId: 'M3', title: '  ', budgetAmount: 100 }] }, /Title of milestone M3 cannot be empty/]
+        ]) {
+            await assert.rejects(run(identities.ngo(), 'amendCampaign', 'CAMP1', milestones(changes), 'Replan'), error);
+        }
+        assert.deepStrictEqual(await run(identities.donor(), 'getCampaignAmendments', 'CAMP1'), []);
+
+        const proposed = await run(identities.ngo(), 'amendCampaign', 'CAMP1', milestones({
+            update: [{ milestoneId: 'M1', description: 7, targetDate: '2025-09-30T00:00:00.000Z' }]
+        }), 'Replan');
+        await run(identities.oracle(), 'reviewCampaignAmendment', proposed.amendmentId, 'approve', '');
+        const { M1 } = (await run(identities.donor(), 'readCampaign', 'CAMP1')).milestones;
+        assert.deepStrictEqual([M1.description, M1.targetDate], ['7', '2025-09-30T00:00:00.000Z']);
+    });
+
+    it('follows the oracle panel quorum and can be withdrawn', async () => {
+        const run = ledger(await seedCampaign());
+        await run(identities.ngo(), 'setOraclePanel', 'CAMP1', JSON.stringify([1, 2, 3].map(n => oracle(n).getID())), '2');
+
+        const first = await run(identities.ngo(), 'amendCampaign', 'CAMP1', amend({ title: 'Clean Water Wells' }), 'Clearer title');
+        await assert.rejects(run(oracle(4), 'reviewCampaignAmendment', first.amendmentId, 'approve', ''), { name: 'UnauthorizedError' });
+        let review = await run(oracle(1), 'reviewCampaignAmendment', first.amendmentId, 'reject', 'misleading');
+        assert.strictEqual(review.status, 'Proposed');
+        await assert.rejects(run(oracle(1), 'reviewCampaignAmendment', first.amendmentId, 'approve', ''), /already reviewed/);
+        review = await run(oracle(2), 'reviewCampaignAmendment', first.amendmentId, 'reject', '');
+        assert.deepStrictEqual([review.status, review.rejectionCount], ['Rejected', 2]);
+
+        const second = await run(identities.ngo(), 'amendCampaign', 'CAMP1', amend({ description: 'Boreholes' }), 'Detail');
+        assert.strictEqual(second.amendmentId, 'AMENDMENT_CAMP1_000002');
+        const withdrawn = await run(identities.ngo(), 'withdrawCampaignAmendment', second.amendmentId);
+        assert.strictEqual(withdrawn.status, 'Withdrawn');
+        await assert.rejects(run(oracle(1), 'reviewCampaignAmendment', second.amendmentId, 'approve', ''), /is already Withdrawn/);
+
+        const campaign = await run(identities.donor(), 'readCampaign', 'CAMP1');
+        assert.deepStrictEqual([campaign.title, campaign.description, campaign.version, campaign.pendingAmendmentId], ['Clean Water', 'desc', undefined, null]);
+    });
+});
+
+describe('DonationContract milestone attestations', () => {
+    const oracle = n => new MockClientIdentity(`x509::/CN=oracle${n}::/CN=ca.oracle.donation.com`, 'ORACLEMSP');
+    const EVIDENCE = 'a'.repeat(64);
+
+    async function panelCampaign() {
+        const run = ledger(await seedCampaign());
+        const panel = JSON.stringify([1, 2, 3].map(n => oracle(n).getID()));
+        await run(identities.ngo(), 'setOraclePanel', 'CAMP1', panel, '2');
+        return run;
+    }
+
+    it('verifies a milestone only once the quorum approves', async () => {
+        const run = await panelCampaign();
+        await assert.rejects(run(oracle(1), 'setMilestoneVerified', 'CAMP1', 'M1', ''), /uses quorum verification/);
+
+        let campaign = await run(oracle(1), 'submitMilestoneAttestation', 'CAMP1', 'M1', EVIDENCE, 'approve', 'photos');
+        assert.strictEqual(campaign.milestones.M1.isVerified, false);
+        assert.strictEqual(campaign.milestones.M1.approvalCount, 1);
+
+        campaign = await run(oracle(2), 'submitMilestoneAttestation', 'CAMP1', 'M1', 'b'.repeat(64), 'approve', '');
+        assert.strictEqual(campaign.milestones.M1.isVerified, true);
+        assert.strictEqual(campaign.milestones.M1.verificationStatus, 'Verified');
+        assert.deepStrictEqual(campaign.milestones.M1.evidenceHashes, [EVIDENCE, 'b'.repeat(64)]);
+
+        await assert.rejects(run(oracle(3), 'submitMilestoneAttestation', 'CAMP1', 'M1', EVIDENCE, 'approve', ''), /already verified/);
+        await assert.rejects(run(oracle(1), 'withdrawMilestoneAttestation', 'CAMP1', 'M1'), /already reached quorum/);
+    });
+
+    it('tracks rejections and withdrawals before quorum', async () => {
+        const run = await panelCampaign();
+        await run(oracle(1), 'submitMilestoneAttestation', 'CAMP1', 'M1', EVIDENCE, 'reject', 'no pumps on site');
+        let campaign = await run(oracle(2), 'submitMilestoneAttestation', 'CAMP1', 'M1', EVIDENCE, 'reject', '');
+        assert.strictEqual(campaign.milestones.M1.verificationStatus, 'Rejected');
+
+        campaign = await run(oracle(2), 'withdrawMilestoneAttestation', 'CAMP1', 'M1');
+        assert.strictEqual(campaign.milestones.M1.verificationStatus, 'Pending');
+        assert.strictEqual(campaign.milestones.M1.rejectionCount, 1);
+
+        const recorded = await run(identities.donor(), 'getMilestoneAttestations', 'CAMP1', 'M1');
+        assert.deepStrictEqual(recorded.map(entry => [entry.verdict, entry.withdrawn]).sort(), [['reject', false], ['reject', true]]);
+    });
+
+    it('rejects oracles outside the panel and malformed evidence', async () => {
+        const run = await panelCampaign();
+        await assert.rejects(
+            run(oracle(4), 'submitMilestoneAttestation', 'CAMP1', 'M1', EVIDENCE, 'approve', ''),
+            { name: 'UnauthorizedError' }
+        );
+        await assert.rejects(run(oracle(1), 'submitMilestoneAttestation', 'CAMP1', 'M1', 'not-a-hash', 'approve', ''), /SHA-256/);
+        await assert.rejects(run(oracle(1), 'submitMilestoneAttestation', 'CAMP1', 'M1', EVIDENCE, 'maybe', ''), /Invalid verdict/);
+    });
+});
+
+describe('DonationContract milestone disputes', () => {
+    const EVIDENCE = 'c'.repeat(64);
+
+    async function verifiedMilestone() {
+        const run = ledger(await seedCampaign());
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '700');
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M1', 'ok');
+        return run;
+    }
+
+    it('freezes release while a dispute is open and releases once it is dismissed', async () => {
+        const run = await verifiedMilestone();
+        await assert.rejects(run(identities.ngo(), 'releaseMilestoneFunds', 'CAMP1', 'M1'), /challenge period until 2025-02-04/);
+
+        const dispute = await run.with(donor())(identities.donor(), 'raiseDispute', 'CAMP1', 'M1', 'pumps not installed', EVIDENCE);
+        run.timestamp = AFTER_CHALLENGE;
+        await assert.rejects(run(identities.ngo(), 'releaseMilestoneFunds', 'CAMP1', 'M1'), /1 open dispute\(s\)/);
+
+        const resolved = await run(identities.admin(), 'resolveDispute', dispute.disputeId, 'dismissed', 'pumps confirmed');
+        assert.strictEqual(resolved.status, 'Dismissed');
+        const campaign = await run(identities.ngo(), 'releaseMilestoneFunds', 'CAMP1', 'M1');
+        assert.strictEqual(campaign.milestones.M1.fundsReleased, true);
+    });
+
+    it('reverts the milestone to unverified when a dispute is upheld', async () => {
+        const run = await verifiedMilestone();
+        const dispute = await run.with(donor())(identities.donor(), 'raiseDispute', 'CAMP1', 'M1', 'photos are stock images', EVIDENCE);
+        await run(identities.oracle(), 'resolveDispute', dispute.disputeId, 'upheld', '');
+
+        const campaign = await run(identities.donor(), 'readCampaign', 'CAMP1');
+        assert.strictEqual(campaign.milestones.M1.isVerified, false);
+        assert.strictEqual(campaign.milestones.M1.openDisputes, 0);
+        const recorded = await run(identities.donor(), 'getCampaignDisputes', 'CAMP1', 'M1');
+        assert.deepStrictEqual(recorded.map(entry => entry.status), ['Upheld']);
+        await assert.rejects(run(identities.admin(), 'resolveDispute', dispute.disputeId, 'dismissed', ''), /already Upheld/);
+    });
+
+    it('only accepts disputes from donors within the challenge period', async () => {
+        const run = await verifiedMilestone();
+        await assert.rejects(
+            run.with(donor())(identities.ngo(), 'raiseDispute', 'CAMP1', 'M1', 'reason', EVIDENCE),
+            { name: 'UnauthorizedError' }
+        );
+        run.timestamp = AFTER_CHALLENGE;
+        await assert.rejects(run.with(donor())(identities.donor(), 'raiseDispute', 'CAMP1', 'M1', 'reason', EVIDENCE), /Challenge period .* ended/);
+    });
+});
+
+describe('DonationContract paginated queries', () => {
+    async function catalogue() {
+        const state = await approvedNGOs();
+        const run = ledger(state, '2025-01-01T00:00:00.000Z');
+        const campaigns = [
+            ['C1', 'Water', '5000', '2025-03-01T00:00:00.000Z', 'water,rural'],
+            ['C2', 'Health', '2000', '2025-06-01T00:00:00.000Z', 'health'],
+            ['C3', 'Water', '8000', '2025-09-01T00:00:00.000Z', 'water,urban'],
+            ['C4', 'Water', '1000', '2025-12-01T00:00:00.000Z', 'water,rural']
+        ];
+        for (const [id, category, goal, deadline, tags] of campaigns) {
+            await run(identities.ngo(), 'createCampaign', id, 'NGO_WALLET_1', id, '', goal, deadline, category, '', tags);
+        }
+        return run;
+    }
+
+    it('pages through all campaigns with a bookmark', async () => {
+        const run = await catalogue();
+        const first = await run(identities.donor(), 'getAllCampaignsWithPagination', '3', '');
+        assert.deepStrictEqual(first.records.map(campaign => campaign.campaignId), ['C1', 'C2', 'C3']);
+        assert.strictEqual(first.fetchedCount, 3);
+
+        const second = await run(identities.donor(), 'getAllCampaignsWithPagination', '3', first.bookmark);
+        assert.deepStrictEqual(second.records.map(campaign => campaign.campaignId), ['C4']);
+        assert.strictEqual(second.bookmark, '');
+    });
+
+    it('filters by category, tags and deadline and sorts the results', async () => {
+        const run = await catalogue();
+        const filters = JSON.stringify({
+            category: 'Water',
+            tags: ['water', 'rural'],
+            deadlineFrom: '2025-02-01',
+            sortBy: 'goalAmount',
+            sortOrder: 'desc'
+        });
+        const page = await run(identities.donor(), 'queryCampaignsWithPagination', filters, '10', '');
+        assert.deepStrictEqual(page.records.map(campaign => campaign.campaignId), ['C1', 'C4']);
+
+        await assert.rejects(run(identities.donor(), 'queryCampaignsWithPagination', '{"owner":"x"}', '10', ''), /Unsupported filter\(s\): owner/);
+        await assert.rejects(run(identities.donor(), 'getAllCampaignsWithPagination', '500', ''), /between 1 and 100/);
+    });
+
+    it('filters a campaign\'s donations by amount range', async () => {
+        const run = await catalogue();
+        for (const amount of ['50', '150', '250']) {
+            await run.with(donor())(identities.donor(), 'donate', 'C1', amount);
+        }
+        const filters = JSON.stringify({ minAmount: 100, sortBy: 'amount', sortOrder: 'desc' });
+        const page = await run(identities.donor(), 'getDonationHistoryWithPagination', 'C1', filters, '1', '');
+        assert.deepStrictEqual(page.records.map(donation => donation.amount), [250]);
+
+        const next = await run(identities.donor(), 'getDonationHistoryWithPagination', 'C1', filters, '1', page.bookmark);
+        assert.deepStrictEqual(next.records.map(donation => donation.amount), [150]);
+    });
+});
+
+describe('DonationContract audit trail', () => {
+    it('returns every campaign version with its invoker and changed fields', async () => {
+        const run = ledger(await seedCampaign());
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '700');
+        await run(identities.admin(), 'compactDonations', '');
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M1', 'ok');
+
+        const trail = await run(identities.donor(), 'getCampaignHistory', 'CAMP1');
+        assert.deepStrictEqual(trail.map(version => version.invokedBy), [
+            identities.ngo().getID(), identities.admin().getID(), identities.oracle().getID()
+        ]);
+        assert.deepStrictEqual(trail[0].timestamp, '2025-01-01T00:00:00.000Z');
+
+        const donation = trail[1].changes.find(change => change.field === 'currentAmount');
+        assert.deepStrictEqual(donation, { field: 'currentAmount', from: 0, to: 700 });
+        assert.ok(trail[2].changes.some(change => change.field === 'milestones.M1.isVerified' && change.to === true));
+        assert.ok(trail[2].changes.every(change => !change.field.startsWith('lastModified')));
+    });
+
+    it('limits the milestone trail to versions that touched the milestone', async () => {
+        const run = ledger(await seedCampaign());
+        await run.with(donor())(identities.donor(), 'donate', 'CAMP1', '700');
+        await run(identities.oracle(), 'setMilestoneVerified', 'CAMP1', 'M2', 'ok');
+
+        const trail = await run(identities.donor(), 'getMilestoneHistory', 'CAMP1', 'M2');
+        assert.strictEqual(trail.length, 2);
+        assert.strictEqual(trail[1].invokedBy, identities.oracle().getID());
+        assert.ok(trail[1].changes.every(change => change.field.startsWith('milestones.M2.')));
+        await assert.rejects(run(identities.donor(), 'getMilestoneHistory', 'CAMP1', 'M9'), /Milestone M9 not found/);
+    });
+});
+
+describe('DonationContract risk assessments', () => {
+    const assessment = {
+        score: 82,
+        level: 'high',
+        modelVersion: 'risk-v1',
+        signals: [{ type: 'fastVerification', strength: 0.9, explanation: 'Milestone M1 was verified 0.5h after the previous step', evidence: { milestoneId: 'M1' } }]
+    };
+
+    it('records an advisory assessment from an oracle', async () => {
+        const run = ledger(await seedCampaign());
+        const recorded = await run(identities.oracle(), 'recordRiskAssessment', 'CAMP1', JSON.stringify(assessment));
+        assert.deepStrictEqual(recorded, {
+            docType: 'RiskAssessment',
+            campaignId: 'CAMP1',
+            ...assessment,
+            advisory: true,
+            assessedBy: identities.oracle().getID(),
+            assessedAt: '2025-02-01T00:00:00.000Z',
+            txId: 'tx-1',
+            schemaVersion: 1
+        });
+        assert.deepStrictEqual(await run(identities.donor(), 'getRiskAssessment', 'CAMP1'), recorded);
+    });
+
+    it('rejects malformed assessments and callers without the oracle or admin role', async () => {
+        const run = ledger(await seedCampaign());
+        await assert.rejects(run(identities.ngo(), 'recordRiskAssessment', 'CAMP1', JSON.stringify(assessment)), { name: 'UnauthorizedError' });
+        await assert.rejects(run(identities.oracle(), 'recordRiskAssessment', 'CAMP1', JSON.stringify({ ...assessment, level: 'severe' })), /Invalid risk level/);
+        await assert.rejects(run(identities.oracle(), 'recordRiskAssessment', 'CAMP1', JSON.stringify({ ...assessment, score: 101 })), /between 0 and 100/);
+        await assert.rejects(run(identities.donor(), 'getRiskAssessment', 'CAMP1'), /does not exist/);
+    });
+});
+
+describe('DonationContract schema versions', () => {
+    // A campaign as written before escrow tracking and schema versions existed, with amounts in whole dollars
+    const legacyCampaign = {
+        docType: 'Campaign', campaignId: 'OLD', ngoWallet: 'NGO_WALLET_1', title: 'Wells', goalAmount: 1000, currentAmount: 300,
+        deadline: '2025-12-31T23:59:59.000Z', campaignStatus: 'Active', createdBy: identities.ngo().getID(),
+        milestones: { M1: { milestoneId: 'M1', title: 'Pumps', budgetAmount: 600, isVerified: false, fundsReleased: false } }
+    };
+
+    it('reads old records in the current shape and migrates them in pages', async () => {
+        const state = await seedCampaign();
+        state.set('CAMPAIGN_OLD', Buffer.from(JSON.stringify(legacyCampaign)));
+        state.set('DONATION_OLD_tx0', Buffer.from(JSON.stringify({ docType: 'Donation', donationId: 'DONATION_OLD_tx0', campaignId: 'OLD', amount: 300 })));
+        state.set('WALLET_NGO_WALLET_OLD', Buffer.from(JSON.stringify({ docType: 'Wallet', walletId: 'NGO_WALLET_OLD', balance: 250, totalReceived: 400 })));
+        const run = ledger(state);
+
+        const upgraded = await run(identities.donor(), 'readCampaign', 'OLD');
+        assert.deepStrictEqual(
+            [upgraded.schemaVersion, upgraded.escrowBalance, upgraded.refundedAmount, upgraded.lastDonationAt, upgraded.statusUpdateReason],
+            [2, 30000, 0, null, null]
+        );
+        // Whole dollars become cents, and every field readers rely on is filled in
+        assert.deepStrictEqual([upgraded.goalAmount, upgraded.currentAmount], [100000, 30000]);
+        assert.deepStrictEqual(
+            [upgraded.currency, upgraded.statusHistory, upgraded.ngoMspId, upgraded.releasedAmount],
+            ['USD', [], 'NGOMSP', 0]
+        );
+        assert.deepStrictEqual(upgraded.milestones.M1, {
+            ...legacyCampaign.milestones.M1, budgetAmount: 60000, verificationStatus: 'Pending', verificationNotes: null, isOverdue: false, overdueAt: null
+        });
+        const verified = schema.upgrade({ ...legacyCampaign, milestones: { M1: { ...legacyCampaign.milestones.M1, isVerified: true } } });
+        assert.strictEqual(verified.milestones.M1.verificationStatus, 'Verified');
+        const [donation] = await run(identities.donor(), 'getDonationHistory', 'OLD');
+        assert.deepStrictEqual([donation.amount, donation.currency, donation.schemaVersion], [30000, 'USD', 2]);
+        const wallet = await run(identities.donor(), 'getWalletBalance', 'NGO_WALLET_OLD');
+        assert.deepStrictEqual([wallet.balance, wallet.totalReceived], [25000, 40000]);
+        assert.strictEqual((await run(identities.donor(), 'readCampaign', 'CAMP1')).schemaVersion, 2);
+
+        await assert.rejects(run(identities.donor(), 'migrateState', '', ''), { name: 'UnauthorizedError' });
+        const migrated = [];
+        let page = { bookmark: '' };
+        let pages = 0;
+        do {
+            page = await run(identities.admin(), 'migrateState', '2', page.bookmark);
+            migrated.push(...page.migrated);
+            pages++;
+        } while (page.bookmark);
+        assert.ok(pages > 1);
+        // Peers refuse writes after a paginated query, which is why migrateState pages a plain range query
+        const paginated = new MockStub({ state });
+        await paginated.getStateByRangeWithPagination('', '', 1, '');
+        await assert.rejects(paginated.putState('CAMPAIGN_OLD', Buffer.from('{}')), /paginated query. Writes are not allowed/);
+        assert.deepStrictEqual(migrated, [
+            { key: 'CAMPAIGN_OLD', docType: 'Campaign', fromVersion: 1, toVersion: 2 },
+            { key: 'DONATION_OLD_tx0', docType: 'Donation', fromVersion: 1, toVersion: 2 },
+            { key: 'WALLET_NGO_WALLET_OLD', docType: 'Wallet', fromVersion: 1, toVersion: 2 }
+        ]);
+        const stored = JSON.parse(state.get('CAMPAIGN_OLD'));
+        assert.deepStrictEqual([stored.schemaVersion, stored.escrowBalance, stored.milestones.M1.isOverdue, stored.lastModifiedBy],
+            [2, 30000, false, identities.admin().getID()]);
+        // Migrated records are scaled once: reading them again leaves their amounts alone
+        assert.deepStrictEqual([JSON.parse(state.get('DONATION_OLD_tx0')).amount, JSON.parse(state.get('WALLET_NGO_WALLET_OLD')).balance], [30000, 25000]);
+        assert.strictEqual((await run(identities.donor(), 'readCampaign', 'OLD')).goalAmount, 100000);
+        assert.deepStrictEqual((await run(identities.admin(), 'migrateState', '100', '')).migrated, []);
+
+        // Its NGO manages the migrated campaign, whose MSP and status history were filled in
+        const paused = await run(identities.ngo(), 'updateCampaignStatus', 'OLD', 'Paused', 'audit');
+        assert.deepStrictEqual(paused.statusHistory.map(entry => [entry.from, entry.to]), [['Active', 'Paused']]);
+
+        // A record written by a newer chaincode is refused rather than misread
+        state.set('CAMPAIGN_NEW', Buffer.from(JSON.stringify({ ...legacyCampaign, campaignId: 'NEW', schemaVersion: 3 })));
+        await assert.rejects(run(identities.donor(), 'readCampaign', 'NEW'), /Campaign record has schema version 3, newer than the 2 this chaincode supports/);
+    });
+});
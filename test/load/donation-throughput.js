@@ -0,0 +1,176 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+/**
+ * Load test of concurrent donations to one campaign against the mock stub.
+ * Each simulated block endorses one donation per client against the world
+ * state as of the block's start, then validates them in order the way a
+ * Fabric peer does: a transaction whose read set (keys read and ranges
+ * scanned) overlaps the writes of an earlier valid transaction in the block
+ * fails with MVCC_READ_CONFLICT or PHANTOM_READ_CONFLICT and its client
+ * retries in the next block. Rich query results are not in the read set,
+ * as on a peer.
+ *
+ * Runs the contract as is, where donations write per-transaction deltas and
+ * an admin compacts them every few blocks, and with every donation rewriting
+ * the campaign record, as before deltas existed. A compaction is endorsed
+ * alongside the block's donations and ordered among them, so donations
+ * validated both before and after it show what it costs them and what they
+ * cost it.
+ *
+ *   node test/load/donation-throughput.js [donations] [clients]
+ */
+
+const DonationContract = require('../../chaincode/index.js');
+const { MockStub, MockClientIdentity, identities, commit, invoke } = require('../support/mock-context');
+
+const DONATIONS = Number(process.argv[2]) || 400;
+const CLIENTS = Number(process.argv[3]) || 20;
+const COMPACT_EVERY_BLOCKS = 5;
+const TIMESTAMP = '2025-02-01T00:00:00.000Z';
+
+/**
+ * The contract with the accounting used before deltas: every donation folds
+ * the campaign's totals and rewrites its record
+ */
+class HotKeyContract extends DonationContract {
+    async _settleGifts(ctx, campaign, amount, donations, by) {
+        await this._foldDeltas(ctx, campaign);
+        this._checkGoalReached(ctx, campaign, by);
+        await this._putCampaign(ctx, campaign, by);
+    }
+}
+
+/**
+ * MockStub that records the read set a peer would validate
+ */
+class ReadSetStub extends MockStub {
+    constructor(options) {
+        super(options);
+        this.reads = new Set();
+        this.ranges = [];
+    }
+
+    async getState(key) {
+        this.reads.add(key);
+        return super.getState(key);
+    }
+
+    async getStateByRange(startKey, endKey) {
+        this.ranges.push([startKey, endKey]);
+        return super.getStateByRange(startKey, endKey);
+    }
+
+    /**
+     * Whether a key written earlier in the block invalidates this transaction
+     * @param {Set} written - Keys written by earlier valid transactions in the block
+     * @returns {boolean} True on a read or phantom read conflict
+     */
+    conflictsWith(written) {
+        return [...written].some(key => this.reads.has(key) || this.ranges.some(([startKey, endKey]) => key >= startKey && key < endKey));
+    }
+}
+
+/**
+ * Register and approve an NGO and create an open-ended campaign
+ * @param {Map} state - World state
+ */
+async function seed(state) {
+    let txCount = 0;
+    const run = async (identity, fcn, ...args) => {
+        const stub = new MockStub({ txId: `setup-${++txCount}`, timestamp: TIMESTAMP, state });
+        await invoke(new DonationContract(), { stub, clientIdentity: identity }, fcn, ...args);
+        commit(stub, state);
+    };
+    await run(identities.ngo(), 'registerNGO', 'NGO_WALLET_1',
+        JSON.stringify({ name: 'Water for All', registrationNumber: 'REG-1', country: 'KE', kycDocumentHash: 'a'.repeat(64) }));
+    await run(identities.oracle(), 'reviewNGO', 'NGO_WALLET_1', 'approve', '');
+    await run(identities.ngo(), 'createCampaign', 'CAMP1', 'NGO_WALLET_1', 'Clean Water', '', String(Number.MAX_SAFE_INTEGER),
+        '2025-12-31T23:59:59.000Z', '', '', '');
+}
+
+/**
+ * Push DONATIONS donations from CLIENTS concurrent clients through simulated blocks
+ * @param {Function} Contract - Contract class to run
+ * @param {boolean} compact - Run compactDonations every COMPACT_EVERY_BLOCKS blocks
+ * @returns {Promise<Object>} Run statistics
+ */
+async function simulate(Contract, compact) {
+    const state = new Map();
+    await seed(state);
+    const clients = Array.from({ length: CLIENTS }, (_, index) =>
+        new MockClientIdentity(`x509::/CN=donor${index}::/CN=ca.ngo.donation.com`, 'NGOMSP', { role: 'donor' }));
+    const transient = { donor: JSON.stringify({ salt: 'load-test-salt-0123', donorId: 'load', message: '' }) };
+
+    let remaining = DONATIONS;
+    let blocks = 0;
+    let endorsed = 0;
+    let conflicts = 0;
+    let compactions = 0;
+    let failedCompactions = 0;
+    let txCount = 0;
+    const started = process.hrtime.bigint();
+
+    while (remaining > 0) {
+        blocks++;
+        const proposals = [];
+        for (const client of clients.slice(0, remaining)) {
+            const stub = new ReadSetStub({ txId: `tx-${++txCount}`, timestamp: TIMESTAMP, state, transient });
+            await invoke(new Contract(), { stub, clientIdentity: client }, 'donate', 'CAMP1', '100');
+            proposals.push(stub);
+        }
+        if (compact && blocks % COMPACT_EVERY_BLOCKS === 0) {
+            const stub = new ReadSetStub({ txId: `tx-${++txCount}`, timestamp: TIMESTAMP, state });
+            await invoke(new Contract(), { stub, clientIdentity: identities.admin() }, 'compactDonations', '');
+            proposals.splice(Math.floor(proposals.length / 2), 0, stub);
+            compactions++;
+        }
+        endorsed += proposals.length;
+
+        const written = new Set();
+        for (const stub of proposals) {
+            if (stub.conflictsWith(written)) {
+                conflicts++;
+                failedCompactions += stub.fcn === 'compactDonations' ? 1 : 0;
+                continue;
+            }
+            commit(stub, state);
+            stub.writes.forEach(({ key }) => written.add(key));
+            if (stub.fcn === 'donate') {
+                remaining--;
+            }
+        }
+    }
+
+    const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+    const stub = new MockStub({ txId: 'check', timestamp: TIMESTAMP, state });
+    const campaign = await invoke(new Contract(), { stub, clientIdentity: identities.admin() }, 'readCampaign', 'CAMP1');
+    if (campaign.currentAmount !== DONATIONS * 100) {
+        throw new Error(`Campaign total ${campaign.currentAmount} does not match the ${DONATIONS} donations committed`);
+    }
+
+    return {
+        blocks: blocks,
+        'donations per block': Number((DONATIONS / blocks).toFixed(2)),
+        'conflict rate': `${(100 * conflicts / endorsed).toFixed(1)}%`,
+        endorsements: endorsed,
+        'compactions failed': `${failedCompactions}/${compactions}`,
+        'donations per second': Math.round(DONATIONS / (elapsedMs / 1000))
+    };
+}
+
+async function main() {
+    console.log(`${DONATIONS} donations of 100 from ${CLIENTS} concurrent clients to one campaign\n`);
+    const hotKey = await simulate(HotKeyContract, false);
+    const deltas = await simulate(DonationContract, true);
+    console.table({ 'campaign rewritten per donation': hotKey, 'per-transaction deltas': deltas });
+    console.log(`Blocks needed: ${hotKey.blocks} -> ${deltas.blocks} (${(hotKey.blocks / deltas.blocks).toFixed(1)}x throughput)`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
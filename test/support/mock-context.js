@@ -0,0 +1,336 @@
+/*
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+'use strict';
+
+/**
+ * In-memory stand-ins for the fabric-shim ChaincodeStub and ClientIdentity,
+ * enough to run DonationContract transactions without a peer.
+ */
+
+// Key history of each world state Map, filled in by commit()
+const histories = new WeakMap();
+
+// Private data collections of each world state Map ({ collection: Map }), filled in by commit()
+const privateStates = new WeakMap();
+
+/**
+ * Wrap results in the async iterator shape returned by the stub query APIs
+ * @param {Array} results - Query results ({ key, value })
+ * @returns {Object} Async iterable with a close() method
+ */
+function toIterator(results) {
+    return {
+        async close() {},
+        async *[Symbol.asyncIterator]() {
+            yield* results;
+        }
+    };
+}
+
+/**
+ * Whether a key falls in a range query, with Fabric's empty bounds: an empty
+ * start key skips composite keys and an empty end key is unbounded
+ * @param {string} key - World state key
+ * @param {string} startKey - Inclusive start key
+ * @param {string} endKey - Exclusive end key
+ * @returns {boolean} True if the range query returns the key
+ */
+function inRange(key, startKey, endKey) {
+    return key >= (startKey || '\u0001') && (endKey === '' || key < endKey);
+}
+
+/**
+ * Evaluate the subset of CouchDB Mango selectors used by the contract
+ * @param {Object} record - Ledger document
+ * @param {Object} selector - Mango selector
+ * @returns {boolean} True if the record matches
+ */
+function matchesSelector(record, selector) {
+    return Object.entries(selector).every(([field, condition]) => {
+        const value = record[field];
+        if (condition === null || typeof condition !== 'object') {
+            return value === condition;
+        }
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+            case '$eq': return value === operand;
+            case '$gt': return operand === null ? value !== undefined && value !== null : value > operand;
+            case '$gte': return value >= operand;
+            case '$lt': return value < operand;
+            case '$lte': return value <= operand;
+            case '$in': return operand.includes(value);
+            case '$all': return Array.isArray(value) && operand.every(item => value.includes(item));
+            default: throw new Error(`MockStub does not support selector operator ${operator}`);
+            }
+        });
+    });
+}
+
+/**
+ * Convert an ISO string to the protobuf timestamp shape returned by the stub
+ * @param {string} isoString - Timestamp (ISO string)
+ * @returns {Object} Timestamp ({ seconds, nanos }) with a Long-like seconds
+ */
+function toTimestamp(isoString) {
+    const millis = Date.parse(isoString);
+    const seconds = Math.floor(millis / 1000);
+    return {
+        seconds: { toNumber: () => seconds },
+        nanos: (millis % 1000) * 1000000
+    };
+}
+
+/**
+ * Minimal ChaincodeStub backed by a Map of world state
+ */
+class MockStub {
+    /**
+     * @param {Object} options - Proposal values
+     * @param {string} options.txId - Transaction ID
+     * @param {string} options.timestamp - Transaction timestamp (ISO string)
+     * @param {Map} options.state - Initial world state (copied)
+     * @param {Object} options.transient - Transient map entries (strings)
+     */
+    constructor({ txId = 'tx1', timestamp = '2025-01-01T00:00:00.000Z', state = new Map(), transient = {} } = {}) {
+        this.txId = txId;
+        this.timestamp = timestamp;
+        this.history = histories.get(state) || new Map();
+        this.state = new Map(state);
+        this.privateState = privateStates.get(state) || {};
+        this.transient = new Map(Object.entries(transient).map(([key, value]) => [key, Buffer.from(value)]));
+        this.writes = [];
+        this.privateWrites = [];
+        this.events = [];
+        this.fcn = '';
+        this.params = [];
+        this.paginated = false;
+    }
+
+    getTxID() {
+        return this.txId;
+    }
+
+    getTxTimestamp() {
+        return toTimestamp(this.timestamp);
+    }
+
+    getFunctionAndParameters() {
+        return { fcn: this.fcn, params: this.params };
+    }
+
+    getTransient() {
+        return this.transient;
+    }
+
+    async getState(key) {
+        return this.state.get(key) || Buffer.alloc(0);
+    }
+
+    // As on a peer, writes go to the write set and are not visible to reads in the same transaction
+    async putState(key, value) {
+        this.assertWritable();
+        this.writes.push({ key, value: Buffer.from(value) });
+    }
+
+    async deleteState(key) {
+        this.assertWritable();
+        this.writes.push({ key, value: Buffer.alloc(0), isDelete: true });
+    }
+
+    // Peers refuse writes from a transaction that has run a paginated query
+    assertWritable() {
+        if (this.paginated) {
+            throw new Error('Transaction has already performed a paginated query. Writes are not allowed');
+        }
+    }
+
+    async getPrivateData(collection, key) {
+        const collectionState = this.privateState[collection];
+        return (collectionState && collectionState.get(key)) || Buffer.alloc(0);
+    }
+
+    async putPrivateData(collection, key, value) {
+        this.assertWritable();
+        this.privateWrites.push({ collection, key, value: Buffer.from(value) });
+    }
+
+    async getStateByRange(startKey, endKey) {
+        const keys = [...this.state.keys()]
+            .filter(key => inRange(key, startKey, endKey))
+            .sort();
+        return toIterator(keys.map(key => ({ key, value: this.state.get(key) })));
+    }
+
+    async getStateByRangeWithPagination(startKey, endKey, pageSize, bookmark) {
+        this.paginated = true;
+        const keys = [...this.state.keys()]
+            .filter(key => inRange(key, bookmark || startKey, endKey))
+            .sort();
+        const page = keys.slice(0, pageSize);
+        return {
+            iterator: toIterator(page.map(key => ({ key, value: this.state.get(key) }))),
+            metadata: { fetchedRecordsCount: page.length, bookmark: keys[pageSize] || '' }
+        };
+    }
+
+    // Composite keys in the fabric-shim format: U+0000, then each part followed by U+0000
+    createCompositeKey(objectType, attributes) {
+        return `\u0000${[objectType, ...attributes].map(part => `${part}\u0000`).join('')}`;
+    }
+
+    splitCompositeKey(compositeKey) {
+        const [objectType, ...attributes] = compositeKey.slice(1, -1).split('\u0000');
+        return { objectType, attributes };
+    }
+
+    async getStateByPartialCompositeKey(objectType, attributes) {
+        const startKey = this.createCompositeKey(objectType, attributes);
+        return this.getStateByRange(startKey, `${startKey}\u{10ffff}`);
+    }
+
+    /**
+     * Run a Mango query over world state, returning matches in sort order
+     * @param {string} queryString - Mango query JSON
+     * @returns {Array} Matching results ({ key, value })
+     */
+    runQuery(queryString) {
+        const query = JSON.parse(queryString);
+        const results = [...this.state.keys()].sort()
+            .map(key => ({ key, value: this.state.get(key), record: JSON.parse(this.state.get(key).toString()) }))
+            .filter(({ record }) => matchesSelector(record, query.selector));
+
+        for (const clause of [...(query.sort || [])].reverse()) {
+            const [field, order] = Object.entries(clause)[0];
+            const direction = order === 'desc' ? -1 : 1;
+            results.sort((a, b) => (a.record[field] > b.record[field] ? 1 : a.record[field] < b.record[field] ? -1 : 0) * direction);
+        }
+        return results.map(({ key, value }) => ({ key, value }));
+    }
+
+    async getQueryResult(queryString) {
+        return toIterator(this.runQuery(queryString));
+    }
+
+    // Bookmarks are opaque to callers; here they are the offset of the next page
+    async getQueryResultWithPagination(queryString, pageSize, bookmark) {
+        this.paginated = true;
+        const results = this.runQuery(queryString);
+        const offset = Number(bookmark) || 0;
+        const page = results.slice(offset, offset + pageSize);
+        return {
+            iterator: toIterator(page),
+            metadata: {
+                fetchedRecordsCount: page.length,
+                bookmark: offset + pageSize < results.length ? String(offset + pageSize) : ''
+            }
+        };
+    }
+
+    // Newest first, as returned by Fabric 2.x peers
+    async getHistoryForKey(key) {
+        const versions = this.history.get(key) || [];
+        return toIterator([...versions].reverse().map(version => ({
+            txId: version.txId,
+            timestamp: toTimestamp(version.timestamp),
+            isDelete: version.isDelete,
+            value: version.value
+        })));
+    }
+
+    setEvent(name, payload) {
+        this.events.push({ name, payload: JSON.parse(payload.toString()) });
+    }
+}
+
+/**
+ * ClientIdentity with a fixed ID, MSP ID and certificate attributes
+ */
+class MockClientIdentity {
+    /**
+     * @param {string} id - Identity ID
+     * @param {string} mspId - MSP ID
+     * @param {Object} attributes - Certificate attributes (e.g. { role: 'admin' })
+     */
+    constructor(id, mspId, attributes = {}) {
+        this.id = id;
+        this.mspId = mspId;
+        this.attributes = attributes;
+    }
+
+    getID() {
+        return this.id;
+    }
+
+    getMSPID() {
+        return this.mspId;
+    }
+
+    getAttributeValue(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+}
+
+/**
+ * Identities matching the organisations in network/configtx.yaml
+ */
+const identities = {
+    ngo: () => new MockClientIdentity('x509::/CN=ngo1::/CN=ca.ngo.donation.com', 'NGOMSP'),
+    oracle: () => new MockClientIdentity('x509::/CN=oracle1::/CN=ca.oracle.donation.com', 'ORACLEMSP'),
+    admin: () => new MockClientIdentity('x509::/CN=admin1::/CN=ca.oracle.donation.com', 'ORACLEMSP', { role: 'admin' }),
+    donor: () => new MockClientIdentity('x509::/CN=donor1::/CN=ca.ngo.donation.com', 'NGOMSP', { role: 'donor' })
+};
+
+/**
+ * Commit a successful transaction's writes (public and private) to a world state, recording key history
+ * @param {MockStub} stub - Stub the transaction ran against
+ * @param {Map} state - World state to update
+ */
+function commit(stub, state) {
+    if (!histories.has(state)) {
+        histories.set(state, new Map());
+    }
+    const history = histories.get(state);
+
+    for (const { key, value, isDelete = false } of stub.writes) {
+        if (isDelete) {
+            state.delete(key);
+        } else {
+            state.set(key, value);
+        }
+        history.set(key, (history.get(key) || []).concat({ txId: stub.txId, timestamp: stub.timestamp, isDelete, value }));
+    }
+
+    if (!privateStates.has(state)) {
+        privateStates.set(state, {});
+    }
+    const privateState = privateStates.get(state);
+    for (const { collection, key, value } of stub.privateWrites) {
+        privateState[collection] = privateState[collection] || new Map();
+        privateState[collection].set(key, value);
+    }
+}
+
+/**
+ * Invoke a transaction the way the contract runtime does: beforeTransaction first
+ * @param {Contract} contract - Contract instance
+ * @param {Object} ctx - Context built from a MockStub and MockClientIdentity
+ * @param {string} fcn - Transaction function name
+ * @param {...string} args - Transaction arguments
+ * @returns {Promise<*>} Transaction result
+ */
+async function invoke(contract, ctx, fcn, ...args) {
+    ctx.stub.fcn = fcn;
+    ctx.stub.params = args;
+    await contract.beforeTransaction(ctx);
+    return contract[fcn](ctx, ...args);
+}
+
+module.exports = {
+    MockStub,
+    MockClientIdentity,
+    identities,
+    commit,
+    invoke
+};